@@ -25,6 +25,10 @@ const LABEL_SIZES = {
     '29x90': { widthDots: 306, heightDots: 1050, mediaType: 0x0B, widthMm: 29, lengthMm: 90, name: '29×90mm Standard Address (DK-11201)' },
     '38x90': { widthDots: 442, heightDots: 1050, mediaType: 0x0B, widthMm: 38, lengthMm: 90, name: '38×90mm Large Address (DK-11208)' },
     '62x100': { widthDots: 720, heightDots: 1164, mediaType: 0x0B, widthMm: 62, lengthMm: 100, name: '62×100mm Shipping (DK-11202)' },
+    // Continuous rolls (till receipts) — length follows the image
+    '62_continuous': { widthDots: 696, heightDots: 0, mediaType: 0x0A, widthMm: 62, lengthMm: 0, name: '62mm Continuous Roll (DK-22205)' },
+    // 80mm thermal receipt printers speak ESC/POS, not Brother raster (203dpi, 72mm printable)
+    '80_receipt': { widthDots: 576, heightDots: 0, widthMm: 80, lengthMm: 0, protocol: 'escpos', name: '80mm Thermal Receipt (ESC/POS)' },
 };
 
 // ─────────────────────────────────────────────────────────────
@@ -41,7 +45,7 @@ app.get('/labels', (_req, res) => {
 });
 
 // ─────────────────────────────────────────────────────────────
-// POST /print — Print a label via Brother raster protocol
+// POST /print — Print a label or receipt via Brother raster / ESC/POS
 // Body: { ip, image (base64 PNG), labelSize (key from LABEL_SIZES) }
 // ─────────────────────────────────────────────────────────────
 app.post('/print', async (req, res) => {
@@ -92,8 +96,10 @@ app.post('/print', async (req, res) => {
         const imgWidth = info.width;
         const imgHeight = info.height;
 
-        // 3. Build the Brother raster command buffer
-        const rasterData = buildBrotherRasterData(pixelData, imgWidth, imgHeight, label, targetHeight);
+        // 3. Build the printer command buffer
+        const rasterData = label.protocol === 'escpos'
+            ? buildEscPosRasterData(pixelData, imgWidth, imgHeight)
+            : buildBrotherRasterData(pixelData, imgWidth, imgHeight, label, targetHeight);
 
         // 4. Send via TCP to printer on port 9100
         await sendToPrinter(ip, rasterData);
@@ -212,6 +218,43 @@ function buildBrotherRasterData(pixelData, imgWidth, imgHeight, label, actualHei
     return Buffer.concat(buffers);
 }
 
+// ─────────────────────────────────────────────────────────────
+// Build ESC/POS Raster Image Sequence (80mm thermal receipt printers)
+// Uses GS v 0 (print raster bit image), then feeds and cuts
+// ─────────────────────────────────────────────────────────────
+function buildEscPosRasterData(pixelData, imgWidth, imgHeight) {
+    const buffers = [];
+    const bytesPerLine = Math.ceil(imgWidth / 8);
+
+    // ── 1. Initialize: ESC @ ──
+    buffers.push(Buffer.from([0x1B, 0x40]));
+
+    // ── 2. Raster bit image: GS v 0 {m} {xL} {xH} {yL} {yH} {data...} ──
+    // m=0: normal density; x = bytes per line, y = number of lines
+    buffers.push(Buffer.from([
+        0x1D, 0x76, 0x30, 0x00,
+        bytesPerLine & 0xFF, (bytesPerLine >> 8) & 0xFF,
+        imgHeight & 0xFF, (imgHeight >> 8) & 0xFF
+    ]));
+
+    // Bit 1 = print (black dot), threshold at 128 like the Brother path
+    const imageBuffer = Buffer.alloc(bytesPerLine * imgHeight, 0x00);
+    for (let y = 0; y < imgHeight; y++) {
+        for (let x = 0; x < imgWidth; x++) {
+            if (pixelData[y * imgWidth + x] < 128) {
+                imageBuffer[y * bytesPerLine + Math.floor(x / 8)] |= (1 << (7 - (x % 8)));
+            }
+        }
+    }
+    buffers.push(imageBuffer);
+
+    // ── 3. Feed 4 lines and partial cut: ESC d 4, GS V 1 ──
+    buffers.push(Buffer.from([0x1B, 0x64, 0x04]));
+    buffers.push(Buffer.from([0x1D, 0x56, 0x01]));
+
+    return Buffer.concat(buffers);
+}
+
 // ─────────────────────────────────────────────────────────────
 // Send raw data to printer via TCP port 9100
 // ─────────────────────────────────────────────────────────────
@@ -247,7 +290,7 @@ function sendToPrinter(ip, data) {
 }
 
 app.listen(PORT, () => {
-    console.log(`Brother QL-810W Print Server running on http://localhost:${PORT}`);
+    console.log(`Brother QL-810W / ESC/POS Print Server running on http://localhost:${PORT}`);
     console.log('Supported labels:');
     Object.entries(LABEL_SIZES).forEach(([key, val]) => {
         console.log(`  ${key}: ${val.name}`);
@@ -2,27 +2,54 @@ import { useState } from 'react';
 import { ToastProvider } from './contexts/ToastContext';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { InventoryProvider } from './contexts/InventoryContext';
+import { ShiftProvider } from './contexts/ShiftContext';
+import { VehicleProvider } from './contexts/VehicleContext';
+import { PurchasingProvider } from './contexts/PurchasingContext';
+import { PromotionsProvider } from './contexts/PromotionsContext';
 import { ModalProvider } from './contexts/ModalContext';
 import Layout from './components/Layout';
 import Login from './components/Login';
+import DashboardView from './components/DashboardView';
 import ScanView from './components/ScanView';
 import InventoryView from './components/InventoryView';
 import TransactionsView from './components/TransactionsView';
 import UserManagementView from './components/UserManagementView';
 import POSView from './components/POSView';
 import SalesView from './components/SalesView';
+import ReportsView from './components/ReportsView';
 import StockIntakeView from './components/StockIntakeView';
+import ReturnsView from './components/ReturnsView';
+import ShiftView from './components/ShiftView';
+import SyncView from './components/SyncView';
+import ImportView from './components/ImportView';
+import VehiclesView from './components/VehiclesView';
+import VehicleDetailView from './components/VehicleDetailView';
+import LocationsView from './components/LocationsView';
+import StockTakeView from './components/StockTakeView';
+import LowStockView from './components/LowStockView';
+import DeletedItemsView from './components/DeletedItemsView';
+import PurchaseOrdersView from './components/PurchaseOrdersView';
+import PurchaseOrderView from './components/PurchaseOrderView';
+import SuppliersView from './components/SuppliersView';
+import PromotionsView from './components/PromotionsView';
 import './index.css';
 
 
 function MainApp() {
   const { isAuthenticated } = useAuth();
-  const [currentView, setCurrentView] = useState('scan');
+  const [currentView, setCurrentView] = useState('dashboard');
+  // Extra context for the view being opened, e.g. which sale to return.
+  const [viewParams, setViewParams] = useState({});
   // Default to desktop if width is large enough, otherwise mobile. Or default false as asked for a toggle.
   const [isDesktop, setIsDesktop] = useState(window.innerWidth > 768);
 
   const toggleViewMode = () => setIsDesktop(!isDesktop);
 
+  const navigate = (view, params = {}) => {
+    setViewParams(params);
+    setCurrentView(view);
+  };
+
   if (!isAuthenticated) {
     return <Login />;
   }
@@ -30,18 +57,40 @@ function MainApp() {
   return (
     <Layout
       currentView={currentView}
-      onViewChange={setCurrentView}
+      onViewChange={navigate}
       isDesktop={isDesktop}
       onToggleViewMode={toggleViewMode}
     >
       <div className={`mode-${isDesktop ? 'desktop' : 'mobile'}`}>
+        {currentView === 'dashboard' && <DashboardView isDesktop={isDesktop} onNavigate={navigate} />}
         {currentView === 'scan' && <ScanView isDesktop={isDesktop} />}
-        {currentView === 'pos' && <POSView isDesktop={isDesktop} />}
-        {currentView === 'intake' && <StockIntakeView isDesktop={isDesktop} />}
-        {currentView === 'inventory' && <InventoryView isDesktop={isDesktop} />}
-        {currentView === 'sales' && <SalesView isDesktop={isDesktop} />}
+        {currentView === 'pos' && <POSView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'shift' && <ShiftView isDesktop={isDesktop} />}
+        {currentView === 'intake' && (
+          <StockIntakeView isDesktop={isDesktop} purchaseOrderId={viewParams.purchaseOrderId} />
+        )}
+        {currentView === 'purchasing' && <PurchaseOrdersView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'purchaseorder' && (
+          <PurchaseOrderView isDesktop={isDesktop} purchaseOrderId={viewParams.purchaseOrderId} onNavigate={navigate} />
+        )}
+        {currentView === 'suppliers' && <SuppliersView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'inventory' && <InventoryView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'import' && <ImportView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'vehicles' && <VehiclesView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'locations' && <LocationsView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'stocktake' && <StockTakeView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'lowstock' && <LowStockView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'deleted' && <DeletedItemsView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'vehicle' && (
+          <VehicleDetailView isDesktop={isDesktop} vehicleId={viewParams.vehicleId} onNavigate={navigate} />
+        )}
+        {currentView === 'sales' && <SalesView isDesktop={isDesktop} onNavigate={navigate} />}
+        {currentView === 'promotions' && <PromotionsView isDesktop={isDesktop} />}
+        {currentView === 'reports' && <ReportsView />}
+        {currentView === 'returns' && <ReturnsView isDesktop={isDesktop} initialSaleId={viewParams.saleId} />}
         {currentView === 'transactions' && <TransactionsView isDesktop={isDesktop} />}
         {currentView === 'users' && <UserManagementView isDesktop={isDesktop} />}
+        {currentView === 'sync' && <SyncView isDesktop={isDesktop} />}
       </div>
     </Layout>
   );
@@ -52,11 +101,19 @@ function App() {
     <ToastProvider>
       <AuthProvider>
         <InventoryProvider>
-          <ModalProvider>
-            <div style={{ position: 'relative' }}>
-              <MainApp />
-            </div>
-          </ModalProvider>
+          <VehicleProvider>
+            <PurchasingProvider>
+              <PromotionsProvider>
+                <ShiftProvider>
+                  <ModalProvider>
+                    <div style={{ position: 'relative' }}>
+                      <MainApp />
+                    </div>
+                  </ModalProvider>
+                </ShiftProvider>
+              </PromotionsProvider>
+            </PurchasingProvider>
+          </VehicleProvider>
         </InventoryProvider>
       </AuthProvider>
     </ToastProvider>
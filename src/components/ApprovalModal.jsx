@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { X, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// A manager signs in here to approve a sale past the checkout thresholds.
+// required: from getRequiredApprovals (utils/approvals)
+// onApprove receives { uid, name } of whoever approved it.
+export default function ApprovalModal({ required, isOpen, onClose, onApprove }) {
+    const { verifyApprover } = useAuth();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isVerifying, setIsVerifying] = useState(false);
+
+    if (!isOpen) return null;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsVerifying(true);
+        setError('');
+        try {
+            const permissions = [...new Set(required.map(r => r.permission))];
+            const approver = await verifyApprover(email.trim(), password, permissions);
+            onApprove(approver);
+        } catch (err) {
+            setError(err.message || 'Approval failed');
+            setPassword('');
+        } finally {
+            setIsVerifying(false);
+        }
+    };
+
+    return (
+        <div className="modal active">
+            <div className="modal-content modal-small">
+                <div className="modal-header">
+                    <h2>Manager Approval</h2>
+                    <button className="close-modal-btn" onClick={onClose}>
+                        <X size={24} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <ul className="approval-reasons">
+                        {required.map(r => <li key={r.reason}>{r.message}</li>)}
+                    </ul>
+
+                    <div className="form-group">
+                        <label htmlFor="approval-email">Manager Email</label>
+                        <input
+                            type="email"
+                            id="approval-email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            autoComplete="off"
+                            autoFocus
+                            required
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label htmlFor="approval-password">Password</label>
+                        <input
+                            type="password"
+                            id="approval-password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            autoComplete="off"
+                            required
+                        />
+                    </div>
+
+                    {error && <p className="approval-error">{error}</p>}
+
+                    <div className="form-actions">
+                        <button type="button" className="btn btn-secondary cancel-btn" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={isVerifying}>
+                            <ShieldCheck size={18} />
+                            {isVerifying ? 'Checking...' : 'Approve'}
+                        </button>
+                    </div>
+                </form>
+
+                <style>{`
+                    .approval-reasons {
+                        margin: 0 0 1rem;
+                        padding-left: 1.25rem;
+                        color: var(--accent-warning);
+                        font-weight: 600;
+                    }
+                    .approval-error {
+                        color: var(--accent-danger);
+                        font-size: 0.85rem;
+                    }
+                `}</style>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,60 @@
+import { useEffect, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { formatCurrency } from '../utils/format';
+
+const formatDate = (dateString) => {
+    try {
+        return new Date(dateString).toLocaleDateString();
+    } catch {
+        return dateString;
+    }
+};
+
+// How an item's average cost got to where it is: every delivery, return and
+// hand edit, with the average before and after.
+export default function CostHistory({ itemId }) {
+    const { fetchCostHistory } = useInventory();
+    // null while loading
+    const [entries, setEntries] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchCostHistory(itemId).then(result => {
+            if (!cancelled) setEntries(result || []);
+        });
+        return () => { cancelled = true; };
+    }, [fetchCostHistory, itemId]);
+
+    if (entries === null) return <p className="cost-history-empty">Loading cost history...</p>;
+    if (entries.length === 0) return <p className="cost-history-empty">No cost changes recorded yet.</p>;
+
+    return (
+        <div className="cost-history">
+            <table className="cost-history-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Change</th>
+                        <th>Qty</th>
+                        <th>Unit Cost</th>
+                        <th>Average</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {entries.map(entry => (
+                        <tr key={entry.id}>
+                            <td>{formatDate(entry.timestamp)}</td>
+                            <td>{entry.reason || entry.type}</td>
+                            <td>{entry.type === 'COST' ? '-' : entry.quantity}</td>
+                            <td>{formatCurrency(entry.costPrice)}</td>
+                            <td>
+                                {entry.previousCost != null && `${formatCurrency(entry.previousCost)} → `}
+                                {formatCurrency(entry.averageCost)}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -0,0 +1,434 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatCurrency } from '../utils/format';
+import { isLowStock } from '../utils/reorder';
+import { summarizeValuation } from '../utils/valuation';
+import { buildDailySales, getRecentDays, getTopSellers } from '../utils/dashboard';
+import { AlertTriangle, RefreshCw } from 'lucide-react';
+
+// Days shown in the sales trend and counted for top sellers.
+const TREND_DAYS = 30;
+const TOP_SELLERS = 5;
+const RECENT_ACTIVITY = 8;
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+
+const TREND_METRICS = [
+    { id: 'revenue', label: 'Revenue' },
+    { id: 'profit', label: 'Profit' }
+];
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+
+const formatTime = (dateString) => {
+    try {
+        return new Date(dateString).toLocaleString();
+    } catch {
+        return dateString;
+    }
+};
+
+const formatQuantity = (t) => {
+    if (t.type === 'TRANSFER' || t.type === 'COST') return '';
+    const quantity = Number(t.quantity) || 0;
+    return quantity > 0 ? `+${quantity}` : String(quantity);
+};
+
+// One bar per day. Drawn in a fixed coordinate space and scaled to the
+// container, so it fits the desktop grid and a phone screen alike.
+function SalesTrendChart({ days, metric }) {
+    const values = days.map(d => d[metric]);
+    const max = Math.max(...values.map(Math.abs), 1);
+    // Losing days (refunds outweighing sales) hang below the baseline.
+    const hasNegative = values.some(v => v < 0);
+    const baseline = hasNegative ? CHART_HEIGHT / 2 : CHART_HEIGHT;
+    const scale = (hasNegative ? CHART_HEIGHT / 2 : CHART_HEIGHT) / max;
+    const slot = CHART_WIDTH / days.length;
+
+    return (
+        <div className="dashboard-chart">
+            <div className="dashboard-chart-max">{formatCurrency(max)}</div>
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" role="img" aria-label={`Daily ${metric}`}>
+                <line x1="0" y1={baseline} x2={CHART_WIDTH} y2={baseline} className="dashboard-chart-axis" />
+                {days.map((day, idx) => {
+                    const height = Math.abs(day[metric]) * scale;
+                    return (
+                        <rect
+                            key={day.date}
+                            x={idx * slot + slot * 0.15}
+                            y={day[metric] >= 0 ? baseline - height : baseline}
+                            width={slot * 0.7}
+                            height={height}
+                            className={day[metric] >= 0 ? 'dashboard-bar' : 'dashboard-bar negative'}
+                        >
+                            <title>{`${formatDay(day.date)}: ${formatCurrency(day[metric])} (${day.sales} sale${day.sales !== 1 ? 's' : ''})`}</title>
+                        </rect>
+                    );
+                })}
+            </svg>
+            <div className="dashboard-chart-labels">
+                <span>{formatDay(days[0].date)}</span>
+                <span>{formatDay(days[Math.floor(days.length / 2)].date)}</span>
+                <span>Today</span>
+            </div>
+        </div>
+    );
+}
+
+export default function DashboardView({ onNavigate }) {
+    const { items, transactions: recentTransactions, fetchAllTransactions } = useInventory();
+    const { can } = useAuth();
+    const showCosts = can(PERMISSIONS.VIEW_COSTS);
+    const [days] = useState(() => getRecentDays(TREND_DAYS));
+    const [salesLines, setSalesLines] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [metric, setMetric] = useState('revenue');
+    // Bumped by Refresh to re-run the query.
+    const [reloadKey, setReloadKey] = useState(0);
+    const requestRef = useRef(0);
+
+    useEffect(() => {
+        const requestId = ++requestRef.current;
+        fetchAllTransactions({ dateFrom: days[0], types: ['OUT', 'RETURN'] }).then(loaded => {
+            if (requestId !== requestRef.current) return;
+            setIsLoading(false);
+            if (loaded) setSalesLines(loaded);
+        });
+    }, [fetchAllTransactions, days, reloadKey]);
+
+    const refresh = () => {
+        setIsLoading(true);
+        setReloadKey(prev => prev + 1);
+    };
+
+    const daily = useMemo(() => buildDailySales(salesLines, days), [salesLines, days]);
+    const topSellers = useMemo(() => getTopSellers(salesLines, TOP_SELLERS), [salesLines]);
+    const valuation = useMemo(() => summarizeValuation(items), [items]);
+    const lowStockCount = useMemo(() => items.filter(isLowStock).length, [items]);
+
+    const today = daily[daily.length - 1];
+    const periodRevenue = daily.reduce((sum, d) => sum + d.revenue, 0);
+    const periodProfit = daily.reduce((sum, d) => sum + d.profit, 0);
+    const topRevenue = topSellers[0]?.revenue || 1;
+
+    return (
+        <section className="view active">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <h2>Dashboard</h2>
+                <div className="view-actions">
+                    <button className="btn btn-secondary" onClick={refresh} disabled={isLoading}>
+                        <RefreshCw size={18} />
+                        Refresh
+                    </button>
+                </div>
+            </div>
+
+            <div className="dashboard-kpis">
+                <button className="dashboard-kpi" onClick={() => onNavigate('sales')}>
+                    <span className="dashboard-kpi-label">Today's Revenue</span>
+                    <span className="dashboard-kpi-value">{isLoading ? '-' : formatCurrency(today.revenue)}</span>
+                    <span className="dashboard-kpi-meta">{isLoading ? '' : `${today.sales} sale${today.sales !== 1 ? 's' : ''}`}</span>
+                </button>
+                {showCosts && (
+                    <>
+                        <button className="dashboard-kpi" onClick={() => onNavigate('sales')}>
+                            <span className="dashboard-kpi-label">Today's Profit</span>
+                            <span className="dashboard-kpi-value text-success">{isLoading ? '-' : formatCurrency(today.profit)}</span>
+                            <span className="dashboard-kpi-meta">
+                                {isLoading || today.revenue === 0 ? '' : `${Math.round((today.profit / today.revenue) * 100)}% margin`}
+                            </span>
+                        </button>
+                        <button className="dashboard-kpi" onClick={() => onNavigate('reports')}>
+                            <span className="dashboard-kpi-label">Stock Value</span>
+                            <span className="dashboard-kpi-value">{formatCurrency(valuation.costValue)}</span>
+                            <span className="dashboard-kpi-meta">{valuation.units} units at cost</span>
+                        </button>
+                    </>
+                )}
+                <button className={`dashboard-kpi ${lowStockCount > 0 ? 'warning' : ''}`} onClick={() => onNavigate('lowstock')}>
+                    <span className="dashboard-kpi-label">Low Stock</span>
+                    <span className="dashboard-kpi-value">
+                        {lowStockCount > 0 && <AlertTriangle size={18} />} {lowStockCount}
+                    </span>
+                    <span className="dashboard-kpi-meta">at or below reorder point</span>
+                </button>
+            </div>
+
+            <div className="dashboard-grid">
+                <div className="dashboard-panel dashboard-panel-wide">
+                    <div className="dashboard-panel-header">
+                        <h3>Last {TREND_DAYS} Days</h3>
+                        {showCosts && (
+                            <div className="dashboard-metric-toggle">
+                                {TREND_METRICS.map(m => (
+                                    <button
+                                        key={m.id}
+                                        className={`btn ${metric === m.id ? 'btn-primary' : 'btn-secondary'}`}
+                                        onClick={() => setMetric(m.id)}
+                                    >
+                                        {m.label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                    {isLoading ? (
+                        <p className="dashboard-empty">Loading sales...</p>
+                    ) : (
+                        <>
+                            <SalesTrendChart days={daily} metric={metric} />
+                            <div className="dashboard-panel-footer">
+                                Revenue {formatCurrency(periodRevenue)}{showCosts && ` · Profit ${formatCurrency(periodProfit)}`}
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                <div className="dashboard-panel">
+                    <div className="dashboard-panel-header">
+                        <h3>Top Sellers</h3>
+                    </div>
+                    {isLoading ? (
+                        <p className="dashboard-empty">Loading sales...</p>
+                    ) : topSellers.length === 0 ? (
+                        <p className="dashboard-empty">No sales in the last {TREND_DAYS} days.</p>
+                    ) : (
+                        <ul className="dashboard-top-list">
+                            {topSellers.map(entry => (
+                                <li key={entry.itemId}>
+                                    <div className="dashboard-top-row">
+                                        <span className="dashboard-top-name">{entry.itemName}</span>
+                                        <span>{formatCurrency(entry.revenue)}</span>
+                                    </div>
+                                    <div className="dashboard-top-bar">
+                                        <div style={{ width: `${(entry.revenue / topRevenue) * 100}%` }} />
+                                    </div>
+                                    <span className="dashboard-top-meta">{entry.quantity} sold</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="dashboard-panel">
+                    <div className="dashboard-panel-header">
+                        <h3>Recent Activity</h3>
+                        <button className="btn btn-secondary" onClick={() => onNavigate('transactions')}>View All</button>
+                    </div>
+                    {recentTransactions.length === 0 ? (
+                        <p className="dashboard-empty">No activity yet.</p>
+                    ) : (
+                        <ul className="dashboard-activity">
+                            {recentTransactions.slice(0, RECENT_ACTIVITY).map(t => (
+                                <li key={t.id}>
+                                    <span className={`dashboard-activity-type type-${t.type.toLowerCase()}`}>{t.type}</span>
+                                    <div className="dashboard-activity-body">
+                                        <span className="dashboard-activity-item">{t.itemName} {formatQuantity(t)}</span>
+                                        <span className="dashboard-activity-meta">
+                                            {t.reason || '-'} · {t.performedBy || 'Unknown'} · {formatTime(t.timestamp)}
+                                        </span>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+
+            <style>{`
+                .dashboard-kpis {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+                    gap: 1rem;
+                    margin-bottom: 1.5rem;
+                }
+                .dashboard-kpi {
+                    background: var(--bg-card);
+                    border: none;
+                    border-left: 3px solid var(--accent-primary);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 12px 16px;
+                    display: flex;
+                    flex-direction: column;
+                    align-items: flex-start;
+                    color: var(--text-primary);
+                    font: inherit;
+                    text-align: left;
+                    cursor: pointer;
+                }
+                .dashboard-kpi:hover {
+                    box-shadow: var(--shadow-md);
+                }
+                .dashboard-kpi.warning {
+                    border-left-color: var(--accent-warning);
+                }
+                .dashboard-kpi-label {
+                    font-size: 0.8rem;
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .dashboard-kpi-value {
+                    font-size: 1.4rem;
+                    font-weight: 700;
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                }
+                .dashboard-kpi.warning .dashboard-kpi-value {
+                    color: var(--accent-warning);
+                }
+                .dashboard-kpi-meta {
+                    font-size: 0.8rem;
+                    color: var(--text-secondary);
+                    min-height: 1em;
+                }
+                .dashboard-grid {
+                    display: grid;
+                    grid-template-columns: 1fr;
+                    gap: 1rem;
+                }
+                .mode-desktop .dashboard-grid {
+                    grid-template-columns: 1fr 1fr;
+                }
+                .mode-desktop .dashboard-panel-wide {
+                    grid-column: 1 / -1;
+                }
+                .dashboard-panel {
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 1rem 1.25rem;
+                    color: var(--text-primary);
+                    min-width: 0;
+                }
+                .dashboard-panel-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 0.5rem;
+                    margin-bottom: 0.75rem;
+                }
+                .dashboard-panel-header h3 {
+                    margin: 0;
+                }
+                .dashboard-metric-toggle {
+                    display: flex;
+                    gap: 0.25rem;
+                }
+                .dashboard-panel-footer {
+                    margin-top: 0.5rem;
+                    font-size: 0.85rem;
+                    color: var(--text-secondary);
+                }
+                .dashboard-empty {
+                    color: var(--text-secondary);
+                    font-size: 0.9rem;
+                    margin: 0.5rem 0;
+                }
+                .dashboard-chart svg {
+                    display: block;
+                    width: 100%;
+                    height: 180px;
+                }
+                .dashboard-chart-max {
+                    font-size: 0.75rem;
+                    color: var(--text-secondary);
+                    margin-bottom: 4px;
+                }
+                .dashboard-chart-axis {
+                    stroke: var(--border-color);
+                    stroke-width: 1;
+                }
+                .dashboard-bar {
+                    fill: var(--accent-primary);
+                }
+                .dashboard-bar.negative {
+                    fill: var(--accent-danger);
+                }
+                .dashboard-chart-labels {
+                    display: flex;
+                    justify-content: space-between;
+                    font-size: 0.75rem;
+                    color: var(--text-secondary);
+                    margin-top: 4px;
+                }
+                .dashboard-top-list, .dashboard-activity {
+                    list-style: none;
+                    margin: 0;
+                    padding: 0;
+                }
+                .dashboard-top-list li {
+                    margin-bottom: 0.75rem;
+                }
+                .dashboard-top-row {
+                    display: flex;
+                    justify-content: space-between;
+                    gap: 0.5rem;
+                    font-size: 0.9rem;
+                }
+                .dashboard-top-name {
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                .dashboard-top-bar {
+                    height: 6px;
+                    background: var(--bg-elevated);
+                    border-radius: 3px;
+                    margin: 4px 0 2px;
+                    overflow: hidden;
+                }
+                .dashboard-top-bar div {
+                    height: 100%;
+                    background: var(--accent-success);
+                }
+                .dashboard-top-meta {
+                    font-size: 0.75rem;
+                    color: var(--text-secondary);
+                }
+                .dashboard-activity li {
+                    display: flex;
+                    gap: 0.75rem;
+                    align-items: flex-start;
+                    padding: 6px 0;
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .dashboard-activity li:last-child {
+                    border-bottom: none;
+                }
+                .dashboard-activity-type {
+                    font-size: 0.7rem;
+                    font-weight: 700;
+                    padding: 2px 6px;
+                    border-radius: 4px;
+                    min-width: 64px;
+                    text-align: center;
+                    background: var(--bg-elevated);
+                    color: var(--text-secondary);
+                }
+                .dashboard-activity-type.type-out, .dashboard-activity-type.type-delete {
+                    color: var(--accent-danger);
+                }
+                .dashboard-activity-type.type-in, .dashboard-activity-type.type-return {
+                    color: var(--accent-success);
+                }
+                .dashboard-activity-body {
+                    display: flex;
+                    flex-direction: column;
+                    min-width: 0;
+                }
+                .dashboard-activity-item {
+                    font-size: 0.9rem;
+                }
+                .dashboard-activity-meta {
+                    font-size: 0.75rem;
+                    color: var(--text-secondary);
+                }
+            `}</style>
+        </section>
+    );
+}
@@ -0,0 +1,115 @@
+import { useMemo, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { ArrowLeft, RotateCcw, Trash2 } from 'lucide-react';
+
+const formatDate = (dateString) => {
+    try {
+        return new Date(dateString).toLocaleString();
+    } catch {
+        return dateString;
+    }
+};
+
+// Items deleted from the inventory, most recent first. Restoring one puts it
+// back with the stock it had when it was deleted.
+export default function DeletedItemsView({ onNavigate }) {
+    const { deletedItems, restoreItem, loading } = useInventory();
+    const [restoringId, setRestoringId] = useState(null);
+
+    const sortedItems = useMemo(
+        () => [...deletedItems].sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || '')),
+        [deletedItems]
+    );
+
+    const handleRestore = async (item) => {
+        if (!window.confirm(`Restore ${item.description} with ${Number(item.quantity) || 0} in stock?`)) return;
+        setRestoringId(item.id);
+        await restoreItem(item.id);
+        setRestoringId(null);
+    };
+
+    if (loading && deletedItems.length === 0) {
+        return <div className="loading-state">Loading inventory...</div>;
+    }
+
+    return (
+        <section className="view active">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <button className="btn btn-secondary" onClick={() => onNavigate('inventory')}>
+                    <ArrowLeft size={18} />
+                    Inventory
+                </button>
+            </div>
+
+            <div className="inventory-header">
+                <h2><Trash2 size={24} style={{ verticalAlign: 'middle', marginRight: '8px' }} />Deleted Items</h2>
+            </div>
+
+            {sortedItems.length === 0 ? (
+                <div className="empty-state">
+                    <p className="empty-state-text">No deleted items.</p>
+                </div>
+            ) : (
+                <div className="deleted-table-wrapper">
+                    <table className="deleted-table">
+                        <thead>
+                            <tr>
+                                <th>Stock #</th>
+                                <th>Item</th>
+                                <th>Qty</th>
+                                <th>Deleted</th>
+                                <th>By</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sortedItems.map(item => (
+                                <tr key={item.id}>
+                                    <td>{item.stockNumber}</td>
+                                    <td>{item.description}</td>
+                                    <td>{Number(item.quantity) || 0}</td>
+                                    <td>{item.deletedAt ? formatDate(item.deletedAt) : '-'}</td>
+                                    <td>{item.deletedBy || 'Unknown'}</td>
+                                    <td>
+                                        <button
+                                            className="btn btn-secondary"
+                                            onClick={() => handleRestore(item)}
+                                            disabled={restoringId === item.id}
+                                        >
+                                            <RotateCcw size={16} />
+                                            {restoringId === item.id ? 'Restoring...' : 'Restore'}
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <style>{`
+                .deleted-table-wrapper {
+                    overflow-x: auto;
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                }
+                .deleted-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                    color: var(--text-primary);
+                }
+                .deleted-table th, .deleted-table td {
+                    padding: 8px 12px;
+                    text-align: left;
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .deleted-table th {
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+            `}</style>
+        </section>
+    );
+}
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { EXPORT_FORMATS } from '../utils/spreadsheet';
+import { Download } from 'lucide-react';
+
+// Export button with a small menu of formats. onExport(format) does the work
+// and may be async; the button stays disabled until it finishes.
+export default function ExportMenu({ onExport, disabled = false }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+
+    const handleSelect = async (format) => {
+        setIsOpen(false);
+        setIsExporting(true);
+        try {
+            await onExport(format);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div className="export-menu">
+            <button
+                className="btn btn-secondary"
+                onClick={() => setIsOpen(prev => !prev)}
+                disabled={disabled || isExporting}
+            >
+                <Download size={18} />
+                {isExporting ? 'Exporting...' : 'Export'}
+            </button>
+            {isOpen && (
+                <div className="export-menu-list">
+                    {EXPORT_FORMATS.map(format => (
+                        <button key={format.id} onClick={() => handleSelect(format.id)}>
+                            {format.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <style>{`
+                .export-menu {
+                    position: relative;
+                    display: inline-block;
+                }
+                .export-menu-list {
+                    position: absolute;
+                    right: 0;
+                    top: calc(100% + 4px);
+                    z-index: 20;
+                    min-width: 120px;
+                    background: var(--bg-card);
+                    border: 1px solid var(--border-color);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    overflow: hidden;
+                }
+                .export-menu-list button {
+                    display: block;
+                    width: 100%;
+                    padding: 8px 14px;
+                    text-align: left;
+                    background: none;
+                    border: none;
+                    color: var(--text-primary);
+                    cursor: pointer;
+                }
+                .export-menu-list button:hover {
+                    background: var(--bg-elevated);
+                }
+            `}</style>
+        </div>
+    );
+}
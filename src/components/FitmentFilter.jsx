@@ -0,0 +1,73 @@
+import { useMemo } from 'react';
+import { EMPTY_FITMENT_SELECTION, getFitmentOptions } from '../utils/fitment';
+import { X } from 'lucide-react';
+
+// Make / model / year pickers for finding parts by the vehicle they fit.
+// Only makes and models that some item fits are offered.
+export default function FitmentFilter({ items, value, onChange }) {
+    const { makes, modelsByMake } = useMemo(() => getFitmentOptions(items), [items]);
+    const models = modelsByMake.get(value.make.toLowerCase()) || [];
+
+    const update = (name, fieldValue) => {
+        // A different make invalidates the chosen model.
+        onChange(name === 'make'
+            ? { ...value, make: fieldValue, model: '' }
+            : { ...value, [name]: fieldValue });
+    };
+
+    return (
+        <div className="fitment-filter">
+            <select value={value.make} onChange={(e) => update('make', e.target.value)} aria-label="Make">
+                <option value="">{makes.length === 0 ? 'No fitment data yet' : 'Make...'}</option>
+                {makes.map(make => <option key={make} value={make}>{make}</option>)}
+            </select>
+            <select
+                value={value.model}
+                onChange={(e) => update('model', e.target.value)}
+                disabled={!value.make}
+                aria-label="Model"
+            >
+                <option value="">Any model</option>
+                {models.map(model => <option key={model} value={model}>{model}</option>)}
+            </select>
+            <input
+                type="number"
+                value={value.year}
+                onChange={(e) => update('year', e.target.value)}
+                placeholder="Year"
+                min="1900"
+                max="2100"
+                aria-label="Year"
+            />
+            {(value.make || value.year) && (
+                <button className="clear-btn" onClick={() => onChange(EMPTY_FITMENT_SELECTION)} title="Clear vehicle">
+                    <X size={16} />
+                </button>
+            )}
+
+            <style>{`
+                .fitment-filter {
+                    display: flex;
+                    gap: 0.5rem;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    margin-bottom: 1rem;
+                }
+                .fitment-filter select, .fitment-filter input {
+                    flex: 1 1 140px;
+                    padding: 10px 12px;
+                    border-radius: 8px;
+                    border: 1px solid var(--border-color);
+                    background: var(--bg-input);
+                    color: var(--text-primary);
+                }
+                .fitment-filter input {
+                    flex: 0 1 100px;
+                }
+                .fitment-filter .clear-btn {
+                    position: static;
+                }
+            `}</style>
+        </div>
+    );
+}
@@ -0,0 +1,375 @@
+import { useMemo, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { readSpreadsheet } from '../utils/spreadsheet';
+import { IMPORT_FIELDS, guessMapping, validateImportRows } from '../utils/bulkImport';
+import { formatCurrency } from '../utils/format';
+import { getTaxClass } from '../utils/vat';
+import { Upload, ArrowLeft, AlertTriangle } from 'lucide-react';
+
+const FILTERS = [
+    { id: 'all', label: 'All' },
+    { id: 'create', label: 'New' },
+    { id: 'update', label: 'Updates' },
+    { id: 'unchanged', label: 'Unchanged' },
+    { id: 'errors', label: 'Errors' }
+];
+
+const ACTION_BADGES = {
+    create: { label: 'New', className: 'badge-success' },
+    update: { label: 'Update', className: 'badge-info' },
+    unchanged: { label: 'Unchanged', className: 'badge-muted' }
+};
+
+const formatValue = (field, value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    if (field === 'costPrice' || field === 'sellingPrice') return formatCurrency(value);
+    if (field === 'taxClass') return getTaxClass(value).label;
+    return String(value);
+};
+
+export default function ImportView({ onNavigate }) {
+    const { items, bulkImportItems } = useInventory();
+    const [fileName, setFileName] = useState('');
+    const [headers, setHeaders] = useState([]);
+    const [dataRows, setDataRows] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [filter, setFilter] = useState('all');
+    const [isReading, setIsReading] = useState(false);
+    const [readError, setReadError] = useState('');
+    const [isImporting, setIsImporting] = useState(false);
+    const [lastResult, setLastResult] = useState(null);
+
+    const preview = useMemo(
+        () => (dataRows.length > 0 && mapping.stockNumber !== undefined
+            ? validateImportRows(dataRows, mapping, items)
+            : []),
+        [dataRows, mapping, items]
+    );
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setIsReading(true);
+        setReadError('');
+        setLastResult(null);
+        try {
+            const rows = await readSpreadsheet(file);
+            if (rows.length < 2) throw new Error('The file needs a header row and at least one item row.');
+            setFileName(file.name);
+            setHeaders(rows[0].map(h => h.trim()));
+            setDataRows(rows.slice(1));
+            setMapping(guessMapping(rows[0]));
+            setFilter('all');
+        } catch (err) {
+            console.error('Error reading import file:', err);
+            setReadError(err.message || 'Could not read the file');
+            setFileName('');
+            setHeaders([]);
+            setDataRows([]);
+        } finally {
+            setIsReading(false);
+        }
+    };
+
+    const handleMappingChange = (fieldKey, value) => {
+        setMapping(prev => {
+            const next = { ...prev };
+            if (value === '') delete next[fieldKey];
+            else next[fieldKey] = Number(value);
+            return next;
+        });
+    };
+
+    const counts = preview.reduce((acc, row) => {
+        if (row.errors.length > 0) acc.errors++;
+        else acc[row.action]++;
+        return acc;
+    }, { create: 0, update: 0, unchanged: 0, errors: 0 });
+
+    const importable = preview.filter(row => row.errors.length === 0 && row.action !== 'unchanged');
+    const unitsIn = importable.reduce((sum, row) => sum + row.quantity, 0);
+
+    const visibleRows = preview.filter(row => {
+        if (filter === 'all') return true;
+        if (filter === 'errors') return row.errors.length > 0;
+        return row.errors.length === 0 && row.action === filter;
+    });
+
+    const handleImport = async () => {
+        if (importable.length === 0) return;
+        const skipped = counts.errors > 0 ? `\n${counts.errors} row(s) with errors will be skipped.` : '';
+        if (!window.confirm(
+            `Import ${counts.create} new and ${counts.update} updated items (${unitsIn} units in)?${skipped}`
+        )) return;
+
+        setIsImporting(true);
+        try {
+            const result = await bulkImportItems(importable);
+            if (result) {
+                setLastResult({ ...result, fileName });
+                setFileName('');
+                setHeaders([]);
+                setDataRows([]);
+                setMapping({});
+            }
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    return (
+        <section className="view active import-view">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <h2>Import Inventory</h2>
+                <button className="btn btn-secondary" onClick={() => onNavigate('inventory')}>
+                    <ArrowLeft size={18} />
+                    Back to Inventory
+                </button>
+            </div>
+
+            <div className="import-card">
+                <p className="import-help">
+                    Choose a .csv or .xlsx file with a header row. Existing items are matched by stock
+                    number; blank cells leave their fields as they are. Quantity is the number of units
+                    being brought in and is added to stock.
+                </p>
+                <label className="btn btn-primary import-file-btn">
+                    <Upload size={18} />
+                    {isReading ? 'Reading...' : 'Choose File'}
+                    <input
+                        type="file"
+                        accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                        onChange={handleFileChange}
+                        disabled={isReading || isImporting}
+                        hidden
+                    />
+                </label>
+                {fileName && <span className="import-file-name">{fileName} · {dataRows.length} rows</span>}
+                {readError && (
+                    <div className="import-error">
+                        <AlertTriangle size={16} />
+                        <span>{readError}</span>
+                    </div>
+                )}
+                {lastResult && (
+                    <div className="import-success">
+                        Imported {lastResult.fileName}: {lastResult.created} new, {lastResult.updated} updated.
+                    </div>
+                )}
+            </div>
+
+            {headers.length > 0 && (
+                <div className="import-card">
+                    <h3>Columns</h3>
+                    <div className="import-mapping">
+                        {IMPORT_FIELDS.map(field => (
+                            <div key={field.key} className="form-group">
+                                <label>{field.label}{field.required && ' *'}</label>
+                                <select
+                                    value={mapping[field.key] ?? ''}
+                                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                                >
+                                    <option value="">Not imported</option>
+                                    {headers.map((header, idx) => (
+                                        <option key={idx} value={idx}>{header || `Column ${idx + 1}`}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                    {mapping.stockNumber === undefined && (
+                        <div className="import-error">
+                            <AlertTriangle size={16} />
+                            <span>Choose the stock number column to preview the import.</span>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {preview.length > 0 && (
+                <div className="import-card">
+                    <div className="import-preview-header">
+                        <div className="import-filters">
+                            {FILTERS.map(f => (
+                                <button
+                                    key={f.id}
+                                    className={`btn ${filter === f.id ? 'btn-primary' : 'btn-secondary'}`}
+                                    onClick={() => setFilter(f.id)}
+                                >
+                                    {f.label} ({f.id === 'all' ? preview.length : counts[f.id]})
+                                </button>
+                            ))}
+                        </div>
+                        <button
+                            className="btn btn-accent"
+                            onClick={handleImport}
+                            disabled={importable.length === 0 || isImporting}
+                        >
+                            {isImporting ? 'Importing...' : `Import ${importable.length} Rows`}
+                        </button>
+                    </div>
+
+                    <div className="import-table-wrapper">
+                        <table className="import-table">
+                            <thead>
+                                <tr>
+                                    <th>Row</th>
+                                    <th>Status</th>
+                                    <th>Stock #</th>
+                                    <th>Description</th>
+                                    <th>Changes</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visibleRows.map(row => {
+                                    const hasErrors = row.errors.length > 0;
+                                    const badge = hasErrors
+                                        ? { label: 'Error', className: 'badge-danger' }
+                                        : ACTION_BADGES[row.action];
+                                    return (
+                                        <tr key={row.rowNumber} className={hasErrors ? 'import-row-error' : ''}>
+                                            <td>{row.rowNumber}</td>
+                                            <td><span className={`badge ${badge.className}`}>{badge.label}</span></td>
+                                            <td>{row.values.stockNumber || '—'}</td>
+                                            <td>{row.values.description || row.item?.description || '—'}</td>
+                                            <td>
+                                                {hasErrors ? (
+                                                    <ul className="import-messages">
+                                                        {row.errors.map(error => <li key={error}>{error}</li>)}
+                                                    </ul>
+                                                ) : (
+                                                    <ul className="import-messages">
+                                                        {row.changes.map(change => (
+                                                            <li key={change.field}>
+                                                                <strong>{change.label}:</strong>{' '}
+                                                                {row.action === 'create'
+                                                                    ? formatValue(change.field, change.to)
+                                                                    : `${formatValue(change.field, change.from)} → ${formatValue(change.field, change.to)}`}
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            <style>{`
+                .import-card {
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 1rem 1.25rem;
+                    margin-bottom: 1.5rem;
+                    color: var(--text-primary);
+                }
+                .import-card h3 {
+                    margin-bottom: 0.75rem;
+                }
+                .import-help {
+                    color: var(--text-secondary);
+                    font-size: 0.9rem;
+                    margin-bottom: 1rem;
+                }
+                .import-file-btn {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 8px;
+                    cursor: pointer;
+                }
+                .import-file-name {
+                    margin-left: 1rem;
+                    color: var(--text-secondary);
+                }
+                .import-error {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-top: 0.75rem;
+                    color: var(--accent-danger);
+                    font-size: 0.9rem;
+                }
+                .import-success {
+                    margin-top: 0.75rem;
+                    padding: 10px 14px;
+                    border-radius: 8px;
+                    background-color: rgba(16, 185, 129, 0.15);
+                    border-left: 3px solid var(--accent-success);
+                }
+                .import-mapping {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+                    gap: 0.75rem;
+                }
+                .import-preview-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 1rem;
+                    flex-wrap: wrap;
+                    margin-bottom: 1rem;
+                }
+                .import-filters {
+                    display: flex;
+                    gap: 0.5rem;
+                    flex-wrap: wrap;
+                }
+                .import-table-wrapper {
+                    overflow-x: auto;
+                }
+                .import-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                }
+                .import-table th, .import-table td {
+                    padding: 6px 8px;
+                    text-align: left;
+                    vertical-align: top;
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .import-table th {
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .import-row-error td {
+                    color: var(--accent-danger);
+                }
+                .import-messages {
+                    margin: 0;
+                    padding-left: 1rem;
+                }
+                .badge {
+                    display: inline-block;
+                    padding: 2px 8px;
+                    border-radius: 4px;
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                }
+                .badge-success {
+                    background-color: rgba(16, 185, 129, 0.2);
+                    color: var(--accent-success);
+                }
+                .badge-info {
+                    background-color: rgba(59, 130, 246, 0.2);
+                    color: var(--accent-primary);
+                }
+                .badge-muted {
+                    background-color: var(--bg-elevated);
+                    color: var(--text-secondary);
+                }
+                .badge-danger {
+                    background-color: rgba(239, 68, 68, 0.2);
+                    color: var(--accent-danger);
+                }
+            `}</style>
+        </section>
+    );
+}
@@ -1,37 +1,63 @@
 import { useMemo, useState } from 'react';
 import { useInventory } from '../contexts/InventoryContext';
 import { useModal } from '../contexts/ModalContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { searchItems } from '../utils/search';
+import { EMPTY_FITMENT_SELECTION, filterByFitment } from '../utils/fitment';
+import { downloadRows } from '../utils/spreadsheet';
+import { INVENTORY_COLUMNS, toInventoryRows } from '../utils/exports';
+import { toDateInputValue } from '../utils/sales';
+import { isLowStock } from '../utils/reorder';
+import useResultNavigation from '../hooks/useResultNavigation';
 import ItemCard from './ItemCard';
-import { Search, X } from 'lucide-react';
+import ExportMenu from './ExportMenu';
+import FitmentFilter from './FitmentFilter';
+import { Search, X, Upload, Car, MapPin, ClipboardCheck, AlertTriangle, Trash2 } from 'lucide-react';
 
 const PAGE_SIZE = 20;
+const NO_RESULTS = [];
+// Left out of the export for roles that can't see costs.
+const COST_COLUMN_KEYS = ['costPrice', 'stockValue'];
 
-export default function InventoryView() {
-    const { items, loading } = useInventory();
+export default function InventoryView({ onNavigate }) {
+    const { items, deletedItems, loading } = useInventory();
     const { openDetailModal, openItemModal } = useModal();
+    const { can } = useAuth();
     const [query, setQuery] = useState('');
     const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+    const [isFitmentMode, setIsFitmentMode] = useState(false);
+    const [fitment, setFitment] = useState(EMPTY_FITMENT_SELECTION);
 
     const sortedItems = useMemo(
         () => [...items].sort((a, b) => a.description.localeCompare(b.description)),
         [items]
     );
 
+    const lowStockCount = useMemo(() => items.filter(isLowStock).length, [items]);
+
     const trimmedQuery = query.trim();
 
     // Searching always checks the full inventory, not just whatever page is
     // currently visible, so results don't miss items outside the top 20.
+    // Results come back best match first. In fitment mode the picked vehicle
+    // narrows the list first and the text (e.g. "headlight") searches within it.
     const filteredItems = useMemo(() => {
-        if (!trimmedQuery) return null;
+        const fitted = isFitmentMode && fitment.make ? filterByFitment(sortedItems, fitment) : null;
+        if (!trimmedQuery) return fitted;
+        return searchItems(fitted || sortedItems, trimmedQuery);
+    }, [sortedItems, trimmedQuery, isFitmentMode, fitment]);
+
+    const { activeIndex, handleKeyDown } = useResultNavigation(filteredItems || NO_RESULTS, openDetailModal);
 
-        const searchTerm = trimmedQuery.toLowerCase();
-        return sortedItems.filter(item =>
-            item.description.toLowerCase().includes(searchTerm) ||
-            item.stockNumber.toLowerCase().includes(searchTerm) ||
-            item.supplier.toLowerCase().includes(searchTerm) ||
-            (item.barcode && item.barcode.toLowerCase().includes(searchTerm))
-        );
-    }, [sortedItems, trimmedQuery]);
+    // Exports whatever the list is showing: search results, or every item
+    // (not just the loaded page) when there's no search.
+    const handleExport = (format) => downloadRows(
+        toInventoryRows(filteredItems || sortedItems),
+        can(PERMISSIONS.VIEW_COSTS) ? INVENTORY_COLUMNS : INVENTORY_COLUMNS.filter(col => !COST_COLUMN_KEYS.includes(col.key)),
+        format,
+        `inventory-${toDateInputValue(new Date())}`
+    );
 
     if (loading && items.length === 0) {
         return <div className="loading-state">Loading inventory...</div>;
@@ -45,6 +71,39 @@ export default function InventoryView() {
         <section className="view active">
             <div className="inventory-header">
                 <h2>Full Inventory</h2>
+                <div className="view-actions">
+                    {can(PERMISSIONS.RECEIVE_STOCK) && (
+                        <button className="btn btn-secondary" onClick={() => onNavigate('lowstock')}>
+                            <AlertTriangle size={18} />
+                            Low Stock{lowStockCount > 0 && ` (${lowStockCount})`}
+                        </button>
+                    )}
+                    {can(PERMISSIONS.ADJUST_STOCK) && (
+                        <button className="btn btn-secondary" onClick={() => onNavigate('locations')}>
+                            <MapPin size={18} />
+                            Locations
+                        </button>
+                    )}
+                    {can(PERMISSIONS.ADJUST_STOCK) && (
+                        <button className="btn btn-secondary" onClick={() => onNavigate('stocktake')}>
+                            <ClipboardCheck size={18} />
+                            Stock Take
+                        </button>
+                    )}
+                    {can(PERMISSIONS.EDIT_ITEMS) && (
+                        <button className="btn btn-secondary" onClick={() => onNavigate('import')}>
+                            <Upload size={18} />
+                            Import
+                        </button>
+                    )}
+                    {can(PERMISSIONS.DELETE_ITEMS) && deletedItems.length > 0 && (
+                        <button className="btn btn-secondary" onClick={() => onNavigate('deleted')}>
+                            <Trash2 size={18} />
+                            Deleted ({deletedItems.length})
+                        </button>
+                    )}
+                    <ExportMenu onExport={handleExport} disabled={sortedItems.length === 0} />
+                </div>
             </div>
 
             <div className="search-container">
@@ -56,6 +115,10 @@ export default function InventoryView() {
                         placeholder="Search by name, stock number, supplier, or barcode..."
                         value={query}
                         onChange={(e) => setQuery(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (handleKeyDown(e)) return;
+                            if (e.key === 'Escape') setQuery('');
+                        }}
                     />
                     {query && (
                         <button className="clear-btn" onClick={() => setQuery('')}>
@@ -63,8 +126,18 @@ export default function InventoryView() {
                         </button>
                     )}
                 </div>
+                <button
+                    className={`btn ${isFitmentMode ? 'btn-primary' : 'btn-secondary'} fitment-toggle`}
+                    onClick={() => setIsFitmentMode(prev => !prev)}
+                    title="Find parts by the vehicle they fit"
+                >
+                    <Car size={18} />
+                    By Vehicle
+                </button>
             </div>
 
+            {isFitmentMode && <FitmentFilter items={items} value={fitment} onChange={setFitment} />}
+
             <div className="inventory-list">
                 {sortedItems.length === 0 ? (
                     <div className="empty-state">
@@ -74,17 +147,20 @@ export default function InventoryView() {
                 ) : isSearching && displayedItems.length === 0 ? (
                     <div className="empty-state">
                         <div className="empty-state-icon">🔍</div>
-                        <p className="empty-state-text">No items found for "{query}"</p>
+                        <p className="empty-state-text">
+                            {trimmedQuery ? `No items found for "${query}"` : 'No items fit this vehicle'}
+                        </p>
                         <button className="btn btn-accent add-new-from-empty" onClick={() => openItemModal(null)}>
                             ➕ Add New Item
                         </button>
                     </div>
                 ) : (
-                    displayedItems.map(item => (
+                    displayedItems.map((item, idx) => (
                         <ItemCard
                             key={item.id}
                             item={item}
                             onClick={openDetailModal}
+                            isActive={isSearching && idx === activeIndex}
                         />
                     ))
                 )}
@@ -0,0 +1,105 @@
+import { useEffect, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { useVehicles } from '../contexts/VehicleContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatCurrency } from '../utils/format';
+import { formatVehicleName } from '../utils/vehicles';
+import { formatFitment } from '../utils/fitment';
+import { getLocationName } from '../utils/locations';
+import { getTaxClass } from '../utils/vat';
+import { getAuditActionLabel, getFieldLabel } from '../utils/audit';
+
+const PRICE_FIELDS = ['costPrice', 'sellingPrice'];
+// Hidden from roles that can't see costs.
+const COST_FIELDS = ['costPrice'];
+
+const formatTime = (dateString) => {
+    try {
+        return new Date(dateString).toLocaleString();
+    } catch {
+        return dateString;
+    }
+};
+
+// Transfers move stock without changing the total; cost edits don't move any.
+const describeMovement = (t) => {
+    if (t.type === 'TRANSFER' || t.type === 'COST') return t.reason || t.type;
+    const quantity = Number(t.quantity) || 0;
+    return `${t.reason || t.type} (${quantity > 0 ? `+${quantity}` : quantity})`;
+};
+
+// Everything that has happened to one item, newest first: edits with each
+// field's old and new value, deletes and restores, and stock movements.
+export default function ItemAuditTrail({ itemId }) {
+    const { fetchItemHistory, locations } = useInventory();
+    const { vehicles } = useVehicles();
+    const { can } = useAuth();
+    // null while loading
+    const [entries, setEntries] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchItemHistory(itemId).then(result => {
+            if (!cancelled) setEntries(result || []);
+        });
+        return () => { cancelled = true; };
+    }, [fetchItemHistory, itemId]);
+
+    const formatValue = (field, value) => {
+        if (value === null || value === undefined) return '-';
+        if (PRICE_FIELDS.includes(field)) return formatCurrency(value);
+        if (field === 'taxClass') return getTaxClass(value).label;
+        if (field === 'deleted') return value ? 'Yes' : 'No';
+        if (field === 'vehicleId') {
+            const vehicle = vehicles.find(v => v.id === value);
+            return vehicle ? formatVehicleName(vehicle) : value;
+        }
+        if (field === 'fitments') return value.map(formatFitment).join(', ') || '-';
+        if (field === 'stockByLocation' || field === 'bins') {
+            return Object.entries(value)
+                .map(([locationId, v]) => `${getLocationName(locations, locationId)}: ${v}`)
+                .join(', ') || '-';
+        }
+        return String(value);
+    };
+
+    const showCosts = can(PERMISSIONS.VIEW_COSTS);
+    const visibleChanges = (entry) => (entry.changes || []).filter(c => showCosts || !COST_FIELDS.includes(c.field));
+
+    if (entries === null) return <p className="item-audit-empty">Loading history...</p>;
+
+    // An edit that only touched the cost says nothing to someone who can't see it.
+    const shown = entries.filter(entry => entry.kind !== 'audit' || entry.action !== 'update' || visibleChanges(entry).length > 0);
+    if (shown.length === 0) return <p className="item-audit-empty">No changes recorded yet.</p>;
+
+    return (
+        <ul className="item-audit">
+            {shown.map(entry => (
+                <li key={`${entry.kind}-${entry.id}`} className={`item-audit-entry item-audit-${entry.kind}`}>
+                    <div className="item-audit-header">
+                        <span className="item-audit-action">
+                            {entry.kind === 'audit'
+                                ? getAuditActionLabel(entry.action)
+                                : describeMovement(entry)}
+                            {entry.kind === 'audit' && entry.reason && ` · ${entry.reason}`}
+                        </span>
+                        <span className="item-audit-meta">
+                            {formatTime(entry.timestamp)} · {entry.performedBy || 'Unknown'}
+                        </span>
+                    </div>
+                    {entry.kind === 'audit' && entry.action === 'update' && (
+                        <ul className="item-audit-changes">
+                            {visibleChanges(entry).map(change => (
+                                <li key={change.field}>
+                                    <span className="item-audit-field">{getFieldLabel(change.field)}</span>
+                                    {' '}{formatValue(change.field, change.from)} → {formatValue(change.field, change.to)}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+}
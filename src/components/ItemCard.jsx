@@ -1,17 +1,42 @@
+import { useEffect, useRef } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 import { formatCurrency, getStockClass } from '../utils/format';
-import { Package, Factory } from 'lucide-react';
+import { getReorderPoint } from '../utils/reorder';
+import { Package, Factory, RefreshCw } from 'lucide-react';
 
-export default function ItemCard({ item, onClick }) {
-    const stockClass = getStockClass(item.quantity);
+export default function ItemCard({ item, onClick, isActive = false }) {
+    const stockClass = getStockClass(item.quantity, getReorderPoint(item));
     const stockText = item.quantity === 0 ? 'Out of Stock' : `${item.quantity} in stock`;
+    const { remoteUpdates } = useInventory();
+    const { can } = useAuth();
+    const remoteUpdate = remoteUpdates[item.id];
+    const cardRef = useRef(null);
+
+    // Keep the card highlighted by keyboard navigation on screen.
+    useEffect(() => {
+        if (isActive && cardRef.current) cardRef.current.scrollIntoView({ block: 'nearest' });
+    }, [isActive]);
 
     return (
-        <div className="item-card" onClick={() => onClick(item)}>
+        <div
+            ref={cardRef}
+            className={`item-card ${isActive ? 'active' : ''} ${remoteUpdate ? 'remote-updated' : ''}`}
+            onClick={() => onClick(item)}
+        >
             <div className="item-card-header">
                 <span className="item-name">{item.description}</span>
                 <span className={`item-stock ${stockClass}`}>{stockText}</span>
             </div>
 
+            {remoteUpdate && (
+                <div className="item-remote-update">
+                    <RefreshCw size={12} />
+                    <span>Updated by {remoteUpdate.by}</span>
+                </div>
+            )}
+
             <div className="item-meta">
                 <div className="meta-item">
                     <Package size={14} />
@@ -24,10 +49,12 @@ export default function ItemCard({ item, onClick }) {
             </div>
 
             <div className="item-prices">
-                <div className="price-tag">
-                    <span className="label">Cost: </span>
-                    <span className="value">{formatCurrency(item.costPrice)}</span>
-                </div>
+                {can(PERMISSIONS.VIEW_COSTS) && (
+                    <div className="price-tag">
+                        <span className="label">Cost: </span>
+                        <span className="value">{formatCurrency(item.costPrice)}</span>
+                    </div>
+                )}
                 <div className="price-tag">
                     <span className="label">Sell: </span>
                     <span className="value">{formatCurrency(item.sellingPrice)}</span>
@@ -1,9 +1,20 @@
-import { X, Edit, ShoppingCart, Printer, Settings } from 'lucide-react';
+import { X, Edit, ShoppingCart, Printer, Settings, ArrowRightLeft, History } from 'lucide-react';
 import { formatCurrency, getStockClass } from '../utils/format';
 import Barcode from 'react-barcode';
 import { useRef, useState, useEffect } from 'react';
 import html2canvas from 'html2canvas';
 import { useToast } from '../contexts/ToastContext';
+import { useVehicles } from '../contexts/VehicleContext';
+import { formatVehicleName } from '../utils/vehicles';
+import { formatFitment } from '../utils/fitment';
+import { getLocationBreakdown } from '../utils/locations';
+import { getReorderPoint, getSuggestedOrderQuantity } from '../utils/reorder';
+import { useInventory } from '../contexts/InventoryContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import StockTransferForm from './StockTransferForm';
+import CostHistory from './CostHistory';
+import ItemAuditTrail from './ItemAuditTrail';
 
 // Label size definitions (must match printer-server label keys)
 const LABEL_OPTIONS = [
@@ -16,8 +27,19 @@ const LABEL_OPTIONS = [
     { id: '62x100', name: '62×100mm Shipping (DK-11202)', widthPx: 240, heightPx: 388 },
 ];
 
+const DETAIL_TABS = [
+    { id: 'details', label: 'Details' },
+    { id: 'audit', label: 'Audit' }
+];
+
 export default function ItemDetailModal({ item, isOpen, onClose, onEdit, onSell }) {
     const { showToast } = useToast();
+    const { vehicles } = useVehicles();
+    const { items, locations } = useInventory();
+    const { can } = useAuth();
+    const [showTransfer, setShowTransfer] = useState(false);
+    const [showCostHistory, setShowCostHistory] = useState(false);
+    const [tab, setTab] = useState('details');
     const [printerIp, setPrinterIp] = useState('');
     const [labelSize, setLabelSize] = useState('29x90');
     const [showPrinterConfig, setShowPrinterConfig] = useState(false);
@@ -44,7 +66,10 @@ export default function ItemDetailModal({ item, isOpen, onClose, onEdit, onSell
 
     if (!isOpen || !item) return null;
 
-    const stockClass = getStockClass(item.quantity);
+    // The modal opens with a snapshot; stock moves show up from the live list.
+    const liveItem = items.find(i => i.id === item.id) || item;
+    const stockClass = getStockClass(item.quantity, getReorderPoint(item));
+    const donor = item.vehicleId ? vehicles.find(v => v.id === item.vehicleId) : null;
     const selectedLabel = LABEL_OPTIONS.find(l => l.id === labelSize) || LABEL_OPTIONS[0];
 
     // Determine print template dimensions based on label
@@ -217,110 +242,178 @@ export default function ItemDetailModal({ item, isOpen, onClose, onEdit, onSell
                     </button>
                 </div>
 
-                <div id="item-details">
-                    <div className="detail-row">
-                        <span className="detail-label">Barcode</span>
-                        <div style={{ textAlign: 'right' }}>
-                            <span className="detail-value">{item.barcode || 'N/A'}</span>
-                            {(item.barcode || item.stockNumber) && (
-                                <div style={{ marginTop: '5px' }}>
-                                    <Barcode
-                                        value={item.barcode || item.stockNumber}
-                                        width={1.5}
-                                        height={40}
-                                        fontSize={12}
-                                        displayValue={false}
+                <div className="detail-tabs">
+                    {DETAIL_TABS.map(t => (
+                        <button
+                            key={t.id}
+                            className={`btn ${tab === t.id ? 'btn-primary' : 'btn-secondary'}`}
+                            onClick={() => setTab(t.id)}
+                        >
+                            {t.label}
+                        </button>
+                    ))}
+                </div>
+
+                {tab === 'audit' ? (
+                    <ItemAuditTrail itemId={item.id} />
+                ) : (
+                    <div id="item-details">
+                        <div className="detail-row">
+                            <span className="detail-label">Barcode</span>
+                            <div style={{ textAlign: 'right' }}>
+                                <span className="detail-value">{item.barcode || 'N/A'}</span>
+                                {(item.barcode || item.stockNumber) && (
+                                    <div style={{ marginTop: '5px' }}>
+                                        <Barcode
+                                            value={item.barcode || item.stockNumber}
+                                            width={1.5}
+                                            height={40}
+                                            fontSize={12}
+                                            displayValue={false}
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                        <div className="detail-row">
+                            <span className="detail-label">Stock Number</span>
+                            <span className="detail-value">{item.stockNumber}</span>
+                        </div>
+                        <div className="detail-row">
+                            <span className="detail-label">Supplier</span>
+                            <span className="detail-value">{item.supplier}</span>
+                        </div>
+                        {donor && (
+                            <div className="detail-row">
+                                <span className="detail-label">Donor Vehicle</span>
+                                <span className="detail-value">{formatVehicleName(donor)}</span>
+                            </div>
+                        )}
+                        {item.fitments?.length > 0 && (
+                            <div className="detail-row">
+                                <span className="detail-label">Fits</span>
+                                <span className="detail-value">{item.fitments.map(formatFitment).join(', ')}</span>
+                            </div>
+                        )}
+                        <div className="detail-row">
+                            <span className="detail-label">Description</span>
+                            <span className="detail-value">{item.description}</span>
+                        </div>
+                        {can(PERMISSIONS.VIEW_COSTS) && (
+                            <div className="detail-row">
+                                <span className="detail-label">Cost Price (avg)</span>
+                                <span className="detail-value">
+                                    {formatCurrency(liveItem.costPrice)}
+                                    <button
+                                        className="btn btn-secondary detail-inline-btn"
+                                        onClick={() => setShowCostHistory(!showCostHistory)}
+                                        title="Cost history"
+                                    >
+                                        <History size={14} />
+                                    </button>
+                                </span>
+                            </div>
+                        )}
+                        {showCostHistory && <CostHistory itemId={item.id} />}
+                        <div className="detail-row">
+                            <span className="detail-label">Selling Price</span>
+                            <span className="detail-value text-success">{formatCurrency(item.sellingPrice)}</span>
+                        </div>
+                        <div className="detail-row">
+                            <span className="detail-label">In Stock</span>
+                            <span className={`detail-value ${stockClass === 'out-of-stock' ? 'text-danger' :
+                                stockClass === 'low-stock' ? 'text-warning' : 'text-success'}`}>
+                                {item.quantity}
+                            </span>
+                        </div>
+                        <div className="detail-row">
+                            <span className="detail-label">Reorder</span>
+                            <span className="detail-value">
+                                at {getReorderPoint(item)}{item.reorderPoint == null && ' (default)'}, order {item.reorderQuantity || getSuggestedOrderQuantity(item)}
+                            </span>
+                        </div>
+                        {locations.length > 0 && (
+                            <div className="detail-locations">
+                                {getLocationBreakdown(liveItem, locations).map(row => (
+                                    <div key={row.locationId || 'unassigned'} className="detail-row detail-location-row">
+                                        <span className="detail-label">
+                                            {row.name}{row.bin && ` · Bin ${row.bin}`}
+                                        </span>
+                                        <span className="detail-value">{row.quantity}</span>
+                                    </div>
+                                ))}
+                                {!can(PERMISSIONS.ADJUST_STOCK) ? null : showTransfer ? (
+                                    <StockTransferForm item={liveItem} onDone={() => setShowTransfer(false)} />
+                                ) : (
+                                    <button className="btn btn-secondary" onClick={() => setShowTransfer(true)}>
+                                        <ArrowRightLeft size={16} />
+                                        Transfer Stock
+                                    </button>
+                                )}
+                            </div>
+                        )}
+
+                        {showPrinterConfig && (
+                            <div className="printer-config" style={{
+                                marginTop: '1rem',
+                                padding: '1rem',
+                                background: '#f3f4f6',
+                                borderRadius: '8px',
+                                border: '1px solid #e5e7eb'
+                            }}>
+                                <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>
+                                    Printer IP Address:
+                                </label>
+                                <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}>
+                                    <input
+                                        type="text"
+                                        placeholder="e.g. 192.168.1.50"
+                                        value={printerIp}
+                                        onChange={(e) => savePrinterIp(e.target.value)}
+                                        style={{ flex: 1, padding: '0.5rem', borderRadius: '4px', border: '1px solid #ccc' }}
                                     />
                                 </div>
-                            )}
-                        </div>
-                    </div>
-                    <div className="detail-row">
-                        <span className="detail-label">Stock Number</span>
-                        <span className="detail-value">{item.stockNumber}</span>
-                    </div>
-                    <div className="detail-row">
-                        <span className="detail-label">Supplier</span>
-                        <span className="detail-value">{item.supplier}</span>
-                    </div>
-                    <div className="detail-row">
-                        <span className="detail-label">Description</span>
-                        <span className="detail-value">{item.description}</span>
-                    </div>
-                    <div className="detail-row">
-                        <span className="detail-label">Cost Price</span>
-                        <span className="detail-value">{formatCurrency(item.costPrice)}</span>
-                    </div>
-                    <div className="detail-row">
-                        <span className="detail-label">Selling Price</span>
-                        <span className="detail-value text-success">{formatCurrency(item.sellingPrice)}</span>
-                    </div>
-                    <div className="detail-row">
-                        <span className="detail-label">In Stock</span>
-                        <span className={`detail-value ${stockClass === 'out-of-stock' ? 'text-danger' :
-                            stockClass === 'low-stock' ? 'text-warning' : 'text-success'}`}>
-                            {item.quantity}
-                        </span>
-                    </div>
 
-                    {showPrinterConfig && (
-                        <div className="printer-config" style={{
-                            marginTop: '1rem',
-                            padding: '1rem',
-                            background: '#f3f4f6',
-                            borderRadius: '8px',
-                            border: '1px solid #e5e7eb'
-                        }}>
-                            <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>
-                                Printer IP Address:
-                            </label>
-                            <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}>
-                                <input
-                                    type="text"
-                                    placeholder="e.g. 192.168.1.50"
-                                    value={printerIp}
-                                    onChange={(e) => savePrinterIp(e.target.value)}
-                                    style={{ flex: 1, padding: '0.5rem', borderRadius: '4px', border: '1px solid #ccc' }}
-                                />
-                            </div>
+                                <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>
+                                    Label Size:
+                                </label>
+                                <select
+                                    value={labelSize}
+                                    onChange={(e) => saveLabelSize(e.target.value)}
+                                    style={{
+                                        width: '100%',
+                                        padding: '0.5rem',
+                                        borderRadius: '4px',
+                                        border: '1px solid #ccc',
+                                        backgroundColor: 'white',
+                                        fontSize: '0.85rem',
+                                        marginBottom: '0.5rem'
+                                    }}
+                                >
+                                    {LABEL_OPTIONS.map(opt => (
+                                        <option key={opt.id} value={opt.id}>{opt.name}</option>
+                                    ))}
+                                </select>
 
-                            <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold', fontSize: '0.9rem' }}>
-                                Label Size:
-                            </label>
-                            <select
-                                value={labelSize}
-                                onChange={(e) => saveLabelSize(e.target.value)}
-                                style={{
-                                    width: '100%',
-                                    padding: '0.5rem',
-                                    borderRadius: '4px',
-                                    border: '1px solid #ccc',
-                                    backgroundColor: 'white',
-                                    fontSize: '0.85rem',
-                                    marginBottom: '0.5rem'
-                                }}
-                            >
-                                {LABEL_OPTIONS.map(opt => (
-                                    <option key={opt.id} value={opt.id}>{opt.name}</option>
-                                ))}
-                            </select>
+                                <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '0.5rem' }}>
+                                    <button className="btn btn-secondary" onClick={() => setShowPrinterConfig(false)}>Done</button>
+                                </div>
 
-                            <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '0.5rem' }}>
-                                <button className="btn btn-secondary" onClick={() => setShowPrinterConfig(false)}>Done</button>
+                                <p style={{ fontSize: '0.75rem', color: '#6b7280', marginTop: '0.5rem' }}>
+                                    Uses Brother QL-810W raster protocol (TCP port 9100). Bridge server must be running.
+                                </p>
                             </div>
-
-                            <p style={{ fontSize: '0.75rem', color: '#6b7280', marginTop: '0.5rem' }}>
-                                Uses Brother QL-810W raster protocol (TCP port 9100). Bridge server must be running.
-                            </p>
-                        </div>
-                    )}
-                </div>
+                        )}
+                    </div>
+                )}
 
                 <div className="detail-actions">
-                    <button className="btn btn-secondary" onClick={() => onEdit(item)}>
-                        <Edit className="btn-icon" size={18} />
-                        Edit
-                    </button>
+                    {can(PERMISSIONS.EDIT_ITEMS) && (
+                        <button className="btn btn-secondary" onClick={() => onEdit(item)}>
+                            <Edit className="btn-icon" size={18} />
+                            Edit
+                        </button>
+                    )}
 
                     <div style={{ display: 'flex', gap: '2px' }}>
                         <button
@@ -348,10 +441,12 @@ export default function ItemDetailModal({ item, isOpen, onClose, onEdit, onSell
                         </button>
                     </div>
 
-                    <button className="btn btn-primary" onClick={() => onSell(item)}>
-                        <ShoppingCart className="btn-icon" size={18} />
-                        Sell
-                    </button>
+                    {can(PERMISSIONS.SELL) && (
+                        <button className="btn btn-primary" onClick={() => onSell(item)}>
+                            <ShoppingCart className="btn-icon" size={18} />
+                            Sell
+                        </button>
+                    )}
                 </div>
 
                 {/* Hidden Label Template — dynamically sized based on selected label */}
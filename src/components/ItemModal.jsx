@@ -1,38 +1,70 @@
 import { useState, useEffect } from 'react';
-import { X, Trash2 } from 'lucide-react';
+import { X, Trash2, Plus } from 'lucide-react';
+import { TAX_CLASSES, DEFAULT_TAX_CLASS } from '../utils/vat';
+import { formatVehicleName } from '../utils/vehicles';
+import { fitmentFromVehicle, normalizeFitments } from '../utils/fitment';
+import { getAssignedStock } from '../utils/locations';
+import { DEFAULT_REORDER_POINT } from '../utils/reorder';
+import { useVehicles } from '../contexts/VehicleContext';
+import { usePurchasing } from '../contexts/PurchasingContext';
+import { useInventory } from '../contexts/InventoryContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+
+const EMPTY_ITEM = {
+    barcode: '',
+    stockNumber: '',
+    supplier: '',
+    category: '',
+    description: '',
+    costPrice: '',
+    sellingPrice: '',
+    taxClass: DEFAULT_TAX_CLASS,
+    quantity: '',
+    reorderPoint: '',
+    reorderQuantity: '',
+    vehicleId: '',
+    fitments: []
+};
+
+const EMPTY_FITMENT = { make: '', model: '', yearFrom: '', yearTo: '', variant: '' };
 
 export default function ItemModal({ isOpen, onClose, onSave, onDelete, initialData }) {
-    const [formData, setFormData] = useState({
-        barcode: '',
-        stockNumber: '',
-        supplier: '',
-        description: '',
-        costPrice: '',
-        sellingPrice: '',
-        quantity: ''
-    });
+    const { vehicles } = useVehicles();
+    const { suppliers } = usePurchasing();
+    const { items } = useInventory();
+    const { can } = useAuth();
+    const [formData, setFormData] = useState(EMPTY_ITEM);
+
+    // Categories already in use, so the same one isn't typed three ways.
+    const categories = [...new Set(items.map(i => (i.category || '').trim()).filter(Boolean))].sort();
 
     useEffect(() => {
-        if (initialData) {
-            setFormData(initialData);
-        } else {
-            setFormData({
-                barcode: '',
-                stockNumber: '',
-                supplier: '',
-                description: '',
-                costPrice: '',
-                sellingPrice: '',
-                quantity: ''
-            });
-        }
+        // Items created before VAT tracking have no tax class yet, and new
+        // parts may arrive with only a donor vehicle filled in.
+        setFormData({
+            ...EMPTY_ITEM,
+            ...initialData,
+            vehicleId: initialData?.vehicleId || '',
+            reorderPoint: initialData?.reorderPoint ?? '',
+            reorderQuantity: initialData?.reorderQuantity ?? '',
+            fitments: (initialData?.fitments || []).map(f => ({
+                ...f,
+                yearFrom: f.yearFrom ?? '',
+                yearTo: f.yearTo ?? ''
+            }))
+        });
     }, [initialData, isOpen]);
 
     if (!isOpen) return null;
 
     const handleSubmit = (e) => {
         e.preventDefault();
-        onSave(formData);
+        onSave({
+            ...formData,
+            vehicleId: formData.vehicleId || null,
+            fitments: normalizeFitments(formData.fitments)
+        });
         onClose();
     };
 
@@ -41,6 +73,23 @@ export default function ItemModal({ isOpen, onClose, onSave, onDelete, initialDa
         setFormData(prev => ({ ...prev, [name]: value }));
     };
 
+    const updateFitment = (idx, name, value) => {
+        setFormData(prev => ({
+            ...prev,
+            fitments: prev.fitments.map((f, i) => (i === idx ? { ...f, [name]: value } : f))
+        }));
+    };
+
+    const addFitment = (fitment = EMPTY_FITMENT) => {
+        setFormData(prev => ({ ...prev, fitments: [...prev.fitments, fitment] }));
+    };
+
+    const removeFitment = (idx) => {
+        setFormData(prev => ({ ...prev, fitments: prev.fitments.filter((_, i) => i !== idx) }));
+    };
+
+    const donor = vehicles.find(v => v.id === formData.vehicleId);
+
     return (
         <div className="modal active">
             <div className="modal-content">
@@ -85,7 +134,27 @@ export default function ItemModal({ isOpen, onClose, onSave, onDelete, initialDa
                             onChange={handleChange}
                             required
                             placeholder="Supplier name"
+                            list="supplier-options"
+                        />
+                        <datalist id="supplier-options">
+                            {suppliers.map(s => <option key={s.id} value={s.name} />)}
+                        </datalist>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="category">Category</label>
+                        <input
+                            type="text"
+                            id="category"
+                            name="category"
+                            value={formData.category}
+                            onChange={handleChange}
+                            placeholder="e.g., Engine, Body, Electrical"
+                            list="category-options"
                         />
+                        <datalist id="category-options">
+                            {categories.map(c => <option key={c} value={c} />)}
+                        </datalist>
                     </div>
 
                     <div className="form-group">
@@ -101,20 +170,22 @@ export default function ItemModal({ isOpen, onClose, onSave, onDelete, initialDa
                     </div>
 
                     <div className="form-row">
-                        <div className="form-group">
-                            <label htmlFor="costPrice">Cost Price *</label>
-                            <input
-                                type="number"
-                                id="costPrice"
-                                name="costPrice"
-                                value={formData.costPrice}
-                                onChange={handleChange}
-                                required
-                                step="0.01"
-                                min="0"
-                                placeholder="0.00"
-                            />
-                        </div>
+                        {can(PERMISSIONS.VIEW_COSTS) && (
+                            <div className="form-group">
+                                <label htmlFor="costPrice">Cost Price *</label>
+                                <input
+                                    type="number"
+                                    id="costPrice"
+                                    name="costPrice"
+                                    value={formData.costPrice}
+                                    onChange={handleChange}
+                                    required
+                                    step="0.01"
+                                    min="0"
+                                    placeholder="0.00"
+                                />
+                            </div>
+                        )}
 
                         <div className="form-group">
                             <label htmlFor="sellingPrice">Selling Price *</label>
@@ -132,6 +203,110 @@ export default function ItemModal({ isOpen, onClose, onSave, onDelete, initialDa
                         </div>
                     </div>
 
+                    <div className="form-group">
+                        <label htmlFor="taxClass">VAT Class *</label>
+                        <select
+                            id="taxClass"
+                            name="taxClass"
+                            value={formData.taxClass}
+                            onChange={handleChange}
+                            required
+                        >
+                            {TAX_CLASSES.map(t => (
+                                <option key={t.id} value={t.id}>{t.label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="vehicleId">Donor Vehicle</label>
+                        <select
+                            id="vehicleId"
+                            name="vehicleId"
+                            value={formData.vehicleId}
+                            onChange={handleChange}
+                        >
+                            <option value="">None</option>
+                            {vehicles.map(v => (
+                                <option key={v.id} value={v.id}>
+                                    {formatVehicleName(v)}{v.vin ? ` (${v.vin})` : ''}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="form-group">
+                        <label>Fits Vehicles</label>
+                        {formData.fitments.map((fitment, idx) => (
+                            <div key={idx} className="fitment-row">
+                                <input
+                                    type="text"
+                                    value={fitment.make}
+                                    onChange={(e) => updateFitment(idx, 'make', e.target.value)}
+                                    placeholder="Make"
+                                    aria-label="Make"
+                                    required
+                                />
+                                <input
+                                    type="text"
+                                    value={fitment.model}
+                                    onChange={(e) => updateFitment(idx, 'model', e.target.value)}
+                                    placeholder="Model"
+                                    aria-label="Model"
+                                />
+                                <input
+                                    type="number"
+                                    value={fitment.yearFrom}
+                                    onChange={(e) => updateFitment(idx, 'yearFrom', e.target.value)}
+                                    placeholder="From"
+                                    aria-label="Year from"
+                                    min="1900"
+                                    max="2100"
+                                />
+                                <input
+                                    type="number"
+                                    value={fitment.yearTo}
+                                    onChange={(e) => updateFitment(idx, 'yearTo', e.target.value)}
+                                    placeholder="To"
+                                    aria-label="Year to"
+                                    min="1900"
+                                    max="2100"
+                                />
+                                <input
+                                    type="text"
+                                    value={fitment.variant}
+                                    onChange={(e) => updateFitment(idx, 'variant', e.target.value)}
+                                    placeholder="Variant"
+                                    aria-label="Variant"
+                                />
+                                <button
+                                    type="button"
+                                    className="fitment-remove-btn"
+                                    onClick={() => removeFitment(idx)}
+                                    aria-label="Remove fitment"
+                                >
+                                    <X size={16} />
+                                </button>
+                            </div>
+                        ))}
+                        <div className="fitment-actions">
+                            <button type="button" className="btn btn-secondary" onClick={() => addFitment()}>
+                                <Plus size={16} />
+                                Add Vehicle
+                            </button>
+                            {donor && (
+                                <button
+                                    type="button"
+                                    className="btn btn-secondary"
+                                    onClick={() => addFitment(fitmentFromVehicle(donor))}
+                                >
+                                    <Plus size={16} />
+                                    Same as Donor
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
                     <div className="form-group">
                         <label htmlFor="quantity">Amount in Stock *</label>
                         <input
@@ -141,11 +316,41 @@ export default function ItemModal({ isOpen, onClose, onSave, onDelete, initialDa
                             value={formData.quantity}
                             onChange={handleChange}
                             required
-                            min="0"
+                            min={getAssignedStock(formData)}
                             placeholder="0"
+                            // Existing stock levels only change through a stock adjustment.
+                            readOnly={!!initialData?.id && !can(PERMISSIONS.ADJUST_STOCK)}
                         />
                     </div>
 
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="reorderPoint">Reorder Point</label>
+                            <input
+                                type="number"
+                                id="reorderPoint"
+                                name="reorderPoint"
+                                value={formData.reorderPoint}
+                                onChange={handleChange}
+                                min="0"
+                                placeholder={`Default (${DEFAULT_REORDER_POINT})`}
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="reorderQuantity">Reorder Quantity</label>
+                            <input
+                                type="number"
+                                id="reorderQuantity"
+                                name="reorderQuantity"
+                                value={formData.reorderQuantity}
+                                onChange={handleChange}
+                                min="0"
+                                placeholder="Suggested"
+                            />
+                        </div>
+                    </div>
+
                     <div className="form-actions" style={{ justifyContent: 'space-between' }}>
                         {initialData?.id && onDelete && (
                             <button
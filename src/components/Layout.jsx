@@ -1,9 +1,12 @@
-import { Package, Camera, ClipboardList, Users, LogOut, Smartphone, Monitor, Sun, Moon, ShoppingCart, TrendingUp, PackagePlus } from 'lucide-react';
+import { Package, Camera, ClipboardList, Users, LogOut, Smartphone, Monitor, Sun, Moon, ShoppingCart, TrendingUp, PackagePlus, Undo2, Clock, CloudOff, Car, Truck, PieChart, LayoutDashboard, Tag } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { useInventory } from '../contexts/InventoryContext';
+import { PERMISSIONS } from '../utils/permissions';
 import { useState, useEffect } from 'react';
 
 export default function Layout({ children, currentView, onViewChange, isDesktop, onToggleViewMode }) {
-    const { isAdmin, logout } = useAuth();
+    const { can, logout } = useAuth();
+    const { isOnline, offlineQueue } = useInventory();
 
     // Theme state
     const [theme, setTheme] = useState(() => {
@@ -22,18 +25,23 @@ export default function Layout({ children, currentView, onViewChange, isDesktop,
         setTheme(prev => prev === 'light' ? 'dark' : 'light');
     };
 
+    // Screens whose whole job needs a permission are left out for roles without it.
     const navItems = [
+        { id: 'dashboard', label: 'Home', icon: LayoutDashboard },
         { id: 'scan', label: 'Scan', icon: Camera },
-        { id: 'pos', label: 'POS', icon: ShoppingCart },
-        { id: 'intake', label: 'Stock In', icon: PackagePlus },
+        { id: 'pos', label: 'POS', icon: ShoppingCart, permission: PERMISSIONS.SELL },
+        { id: 'returns', label: 'Returns', icon: Undo2, permission: PERMISSIONS.SELL },
+        { id: 'shift', label: 'Shift', icon: Clock, permission: PERMISSIONS.SELL },
+        { id: 'intake', label: 'Stock In', icon: PackagePlus, permission: PERMISSIONS.RECEIVE_STOCK },
+        { id: 'purchasing', label: 'Orders', icon: Truck, permission: PERMISSIONS.RECEIVE_STOCK },
         { id: 'inventory', label: 'Inventory', icon: ClipboardList },
+        { id: 'vehicles', label: 'Vehicles', icon: Car },
         { id: 'sales', label: 'Sales', icon: TrendingUp },
+        { id: 'promotions', label: 'Promotions', icon: Tag, permission: PERMISSIONS.MANAGE_PROMOTIONS },
+        { id: 'reports', label: 'Reports', icon: PieChart, permission: PERMISSIONS.VIEW_COSTS },
         { id: 'transactions', label: 'History', icon: Package },
-    ];
-
-    if (isAdmin) {
-        navItems.push({ id: 'users', label: 'Users', icon: Users });
-    }
+        { id: 'users', label: 'Users', icon: Users, permission: PERMISSIONS.MANAGE_USERS },
+    ].filter(item => !item.permission || can(item.permission));
 
     return (
         <div className="app-container">
@@ -43,6 +51,12 @@ export default function Layout({ children, currentView, onViewChange, isDesktop,
                     Stock Manager
                 </h1>
                 <div className="header-actions">
+                    {(!isOnline || offlineQueue.length > 0) && (
+                        <button onClick={() => onViewChange('sync')} className="sync-indicator-btn" title="Offline sync">
+                            <CloudOff size={18} />
+                            <span>{isOnline ? 'Sync' : 'Offline'}{offlineQueue.length > 0 ? ` (${offlineQueue.length})` : ''}</span>
+                        </button>
+                    )}
                     <button onClick={toggleTheme} className="mode-toggle-btn" title={theme === 'light' ? "Switch to Dark Mode" : "Switch to Light Mode"}>
                         {theme === 'light' ? <Moon size={20} /> : <Sun size={20} />}
                     </button>
@@ -91,6 +105,19 @@ export default function Layout({ children, currentView, onViewChange, isDesktop,
                 .mode-toggle-btn:hover {
                     opacity: 1;
                 }
+                .sync-indicator-btn {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    background: rgba(245, 158, 11, 0.9);
+                    border: none;
+                    border-radius: 999px;
+                    color: white;
+                    cursor: pointer;
+                    padding: 4px 12px;
+                    font-size: 0.85rem;
+                    font-weight: 600;
+                }
                 .layout-body {
                     flex: 1;
                     display: flex;
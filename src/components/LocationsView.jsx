@@ -0,0 +1,227 @@
+import { useMemo, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { useModal } from '../contexts/ModalContext';
+import { useToast } from '../contexts/ToastContext';
+import { UNASSIGNED_LOCATION, getStockAt } from '../utils/locations';
+import { ArrowLeft, ChevronDown, ChevronRight, Edit, MapPin, Plus, Trash2 } from 'lucide-react';
+
+export default function LocationsView({ onNavigate }) {
+    const { items, locations, addLocation, renameLocation, deleteLocation } = useInventory();
+    const { openDetailModal } = useModal();
+    const { showToast } = useToast();
+    const [newName, setNewName] = useState('');
+    const [expandedId, setExpandedId] = useState(null);
+
+    // What's at each location (and unassigned), with bin codes, by description.
+    const stockByLocation = useMemo(() => {
+        const rows = new Map([[UNASSIGNED_LOCATION, []], ...locations.map(l => [l.id, []])]);
+        items.forEach(item => {
+            rows.forEach((list, locationId) => {
+                const quantity = getStockAt(item, locationId);
+                if (quantity !== 0) list.push({ item, quantity, bin: item.bins?.[locationId] || '' });
+            });
+        });
+        rows.forEach(list => list.sort((a, b) =>
+            (a.bin || '').localeCompare(b.bin || '') ||
+            (a.item.description || '').localeCompare(b.item.description || '')));
+        return rows;
+    }, [items, locations]);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        if (locations.some(l => l.name.toLowerCase() === newName.trim().toLowerCase())) {
+            showToast('A location with that name already exists', 'warning');
+            return;
+        }
+        if (await addLocation(newName)) setNewName('');
+    };
+
+    const handleRename = async (location) => {
+        const name = window.prompt('Rename location', location.name);
+        if (name && name.trim() && name.trim() !== location.name) await renameLocation(location.id, name);
+    };
+
+    const handleDelete = async (location) => {
+        if (!window.confirm(`Delete ${location.name}?`)) return;
+        await deleteLocation(location.id);
+    };
+
+    const rows = [
+        ...locations.map(l => ({ id: l.id, name: l.name, location: l })),
+        { id: UNASSIGNED_LOCATION, name: 'Unassigned', location: null }
+    ];
+
+    return (
+        <section className="view active">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <button className="btn btn-secondary" onClick={() => onNavigate('inventory')}>
+                    <ArrowLeft size={18} />
+                    Inventory
+                </button>
+            </div>
+
+            <div className="inventory-header">
+                <h2>Stock Locations</h2>
+            </div>
+
+            <form className="location-add-form" onSubmit={handleAdd}>
+                <input
+                    type="text"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="New location, e.g. Bay 3 or Storage Yard"
+                />
+                <button type="submit" className="btn btn-primary" disabled={!newName.trim()}>
+                    <Plus size={18} />
+                    Add Location
+                </button>
+            </form>
+
+            <div className="location-list">
+                {rows.map(row => {
+                    const stock = stockByLocation.get(row.id) || [];
+                    const units = stock.reduce((sum, s) => sum + s.quantity, 0);
+                    const isExpanded = expandedId === row.id;
+                    // Nothing to show for an empty unassigned bucket.
+                    if (!row.location && stock.length === 0) return null;
+
+                    return (
+                        <div key={row.id || 'unassigned'} className="location-card">
+                            <div className="location-card-header">
+                                <button
+                                    className="location-toggle"
+                                    onClick={() => setExpandedId(isExpanded ? null : row.id)}
+                                >
+                                    {isExpanded ? <ChevronDown size={18} /> : <ChevronRight size={18} />}
+                                    <MapPin size={18} />
+                                    <span className="location-name">{row.name}</span>
+                                    <span className="location-meta">{stock.length} items · {units} units</span>
+                                </button>
+                                {row.location && (
+                                    <div className="location-actions">
+                                        <button className="btn btn-secondary" onClick={() => handleRename(row.location)} title="Rename">
+                                            <Edit size={16} />
+                                        </button>
+                                        <button className="btn btn-danger" onClick={() => handleDelete(row.location)} title="Delete">
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+
+                            {isExpanded && (
+                                stock.length === 0 ? (
+                                    <p className="location-empty">Nothing stored here.</p>
+                                ) : (
+                                    <table className="location-table">
+                                        <thead>
+                                            <tr>
+                                                <th>Bin</th>
+                                                <th>Stock #</th>
+                                                <th>Item</th>
+                                                <th>Qty</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {stock.map(({ item, quantity, bin }) => (
+                                                <tr key={item.id} onClick={() => openDetailModal(item)}>
+                                                    <td>{bin || '-'}</td>
+                                                    <td>{item.stockNumber}</td>
+                                                    <td>{item.description}</td>
+                                                    <td>{quantity}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <style>{`
+                .location-add-form {
+                    display: flex;
+                    gap: 0.5rem;
+                    margin-bottom: 1.5rem;
+                }
+                .location-add-form input {
+                    flex: 1;
+                    padding: 10px 12px;
+                    border-radius: 8px;
+                    border: 1px solid var(--border-color);
+                    background: var(--bg-input);
+                    color: var(--text-primary);
+                }
+                .location-list {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.75rem;
+                }
+                .location-card {
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 0.75rem 1rem;
+                    color: var(--text-primary);
+                }
+                .location-card-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 1rem;
+                }
+                .location-toggle {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    flex: 1;
+                    background: none;
+                    border: none;
+                    color: inherit;
+                    cursor: pointer;
+                    text-align: left;
+                    padding: 0;
+                }
+                .location-name {
+                    font-weight: 600;
+                }
+                .location-meta {
+                    color: var(--text-secondary);
+                    font-size: 0.85rem;
+                }
+                .location-actions {
+                    display: flex;
+                    gap: 0.5rem;
+                }
+                .location-empty {
+                    color: var(--text-secondary);
+                    margin: 0.75rem 0 0;
+                }
+                .location-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    margin-top: 0.75rem;
+                    font-size: 0.9rem;
+                }
+                .location-table th, .location-table td {
+                    padding: 6px 8px;
+                    text-align: left;
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .location-table th {
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .location-table tbody tr {
+                    cursor: pointer;
+                }
+                .location-table tbody tr:hover {
+                    background: var(--bg-elevated);
+                }
+            `}</style>
+        </section>
+    );
+}
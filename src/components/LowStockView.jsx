@@ -0,0 +1,252 @@
+import { useMemo, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { useModal } from '../contexts/ModalContext';
+import { usePurchasing } from '../contexts/PurchasingContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatCurrency } from '../utils/format';
+import { getReorderPoint, groupLowStockBySupplier } from '../utils/reorder';
+import { PURCHASE_LIST_COLUMNS, toPurchaseListRows } from '../utils/exports';
+import { downloadRows } from '../utils/spreadsheet';
+import { toDateInputValue } from '../utils/sales';
+import { toPurchaseOrderLines } from '../utils/purchasing';
+import ExportMenu from './ExportMenu';
+import { AlertTriangle, ArrowLeft, FileText } from 'lucide-react';
+
+const COST_COLUMN_KEYS = ['costPrice', 'lineCost'];
+
+export default function LowStockView({ onNavigate }) {
+    const { items, loading } = useInventory();
+    const { openDetailModal } = useModal();
+    const { suppliers, addSupplier, createPurchaseOrder } = usePurchasing();
+    const { can } = useAuth();
+    const showCosts = can(PERMISSIONS.VIEW_COSTS);
+    // Order quantities changed from the suggestion, by item id.
+    const [quantities, setQuantities] = useState({});
+
+    const groups = useMemo(() => groupLowStockBySupplier(items), [items]);
+
+    const getOrderQuantity = (line) => quantities[line.item.id] ?? line.orderQuantity;
+
+    const updateQuantity = (itemId, rawValue) => {
+        const qty = parseFloat(rawValue);
+        setQuantities(prev => ({ ...prev, [itemId]: isNaN(qty) || qty < 0 ? 0 : qty }));
+    };
+
+    const groupCost = (group) => group.lines.reduce(
+        (sum, line) => sum + getOrderQuantity(line) * (Number(line.item.costPrice) || 0), 0);
+
+    const lineCount = groups.reduce((sum, g) => sum + g.lines.length, 0);
+    const outOfStock = groups.reduce((sum, g) => sum + g.lines.filter(l => (Number(l.item.quantity) || 0) <= 0).length, 0);
+    const totalCost = groups.reduce((sum, g) => sum + groupCost(g), 0);
+
+    // Lines set to order nothing are left off the purchase list.
+    const handleExport = (format) => downloadRows(
+        toPurchaseListRows(groups, quantities).filter(row => row.orderQuantity > 0),
+        showCosts ? PURCHASE_LIST_COLUMNS : PURCHASE_LIST_COLUMNS.filter(col => !COST_COLUMN_KEYS.includes(col.key)),
+        format,
+        `purchase-list-${toDateInputValue(new Date())}`
+    );
+
+    // Draft a PO from one supplier's suggestions. Suppliers only known from
+    // the items' supplier text are added to the supplier list first.
+    const handleCreateOrder = async (group) => {
+        const lines = toPurchaseOrderLines(group, quantities);
+        if (lines.length === 0) return;
+        let supplierId = suppliers.find(s => s.name.trim().toLowerCase() === group.supplier.toLowerCase())?.id;
+        if (!supplierId) {
+            if (!window.confirm(`${group.supplier} isn't in your suppliers yet. Add it and create the order?`)) return;
+            supplierId = await addSupplier({ name: group.supplier });
+            if (!supplierId) return;
+        }
+        const id = await createPurchaseOrder({ supplierId, lines });
+        if (id) onNavigate('purchaseorder', { purchaseOrderId: id });
+    };
+
+    if (loading && items.length === 0) {
+        return <div className="loading-state">Loading inventory...</div>;
+    }
+
+    return (
+        <section className="view active">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <button className="btn btn-secondary" onClick={() => onNavigate('inventory')}>
+                    <ArrowLeft size={18} />
+                    Inventory
+                </button>
+            </div>
+
+            <div className="inventory-header">
+                <h2><AlertTriangle size={24} style={{ verticalAlign: 'middle', marginRight: '8px' }} />Low Stock</h2>
+                <div className="view-actions">
+                    <ExportMenu onExport={handleExport} disabled={lineCount === 0} />
+                </div>
+            </div>
+
+            <div className="lowstock-stats">
+                <div className="lowstock-stat">
+                    <span className="lowstock-stat-label">At or Below Reorder Point</span>
+                    <span className="lowstock-stat-value">{lineCount}</span>
+                </div>
+                <div className="lowstock-stat">
+                    <span className="lowstock-stat-label">Out of Stock</span>
+                    <span className="lowstock-stat-value text-danger">{outOfStock}</span>
+                </div>
+                {showCosts && (
+                    <div className="lowstock-stat">
+                        <span className="lowstock-stat-label">Suggested Order Cost</span>
+                        <span className="lowstock-stat-value">{formatCurrency(totalCost)}</span>
+                    </div>
+                )}
+            </div>
+
+            {groups.length === 0 ? (
+                <div className="empty-state">
+                    <p className="empty-state-text">Nothing is below its reorder point.</p>
+                </div>
+            ) : (
+                groups.map(group => (
+                    <div key={group.supplier} className="lowstock-group">
+                        <div className="lowstock-group-header">
+                            <h3>{group.supplier}</h3>
+                            <span className="lowstock-group-meta">
+                                {group.lines.length} item{group.lines.length !== 1 ? 's' : ''}{showCosts && ` · ${formatCurrency(groupCost(group))}`}
+                            </span>
+                            {group.supplier !== 'No supplier' && can(PERMISSIONS.RECEIVE_STOCK) && (
+                                <button className="btn btn-secondary" onClick={() => handleCreateOrder(group)}>
+                                    <FileText size={16} />
+                                    Create Order
+                                </button>
+                            )}
+                        </div>
+                        <div className="lowstock-table-wrapper">
+                            <table className="lowstock-table">
+                                <thead>
+                                    <tr>
+                                        <th>Stock #</th>
+                                        <th>Item</th>
+                                        <th>On Hand</th>
+                                        <th>Reorder Point</th>
+                                        <th>Order Qty</th>
+                                        {showCosts && <th>Cost</th>}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {group.lines.map(line => {
+                                        const onHand = Number(line.item.quantity) || 0;
+                                        const orderQuantity = getOrderQuantity(line);
+                                        return (
+                                            <tr key={line.item.id}>
+                                                <td>{line.item.stockNumber}</td>
+                                                <td>
+                                                    <button className="lowstock-item-link" onClick={() => openDetailModal(line.item)}>
+                                                        {line.item.description}
+                                                    </button>
+                                                </td>
+                                                <td className={onHand <= 0 ? 'text-danger' : 'text-warning'}>{onHand}</td>
+                                                <td>{getReorderPoint(line.item)}</td>
+                                                <td>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        step="1"
+                                                        value={orderQuantity}
+                                                        onChange={(e) => updateQuantity(line.item.id, e.target.value)}
+                                                        className="lowstock-qty-input"
+                                                    />
+                                                </td>
+                                                {showCosts && <td>{formatCurrency(orderQuantity * (Number(line.item.costPrice) || 0))}</td>}
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                ))
+            )}
+
+            <style>{`
+                .lowstock-stats {
+                    display: flex;
+                    gap: 1rem;
+                    flex-wrap: wrap;
+                    margin-bottom: 1.5rem;
+                }
+                .lowstock-stat {
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 12px 20px;
+                    display: flex;
+                    flex-direction: column;
+                    min-width: 160px;
+                    border-left: 3px solid var(--accent-warning);
+                }
+                .lowstock-stat-label {
+                    font-size: 0.8rem;
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .lowstock-stat-value {
+                    font-size: 1.4rem;
+                    font-weight: 700;
+                    color: var(--text-primary);
+                }
+                .lowstock-group {
+                    margin-bottom: 1.5rem;
+                }
+                .lowstock-group-header {
+                    display: flex;
+                    gap: 1rem;
+                    align-items: center;
+                    margin-bottom: 0.5rem;
+                }
+                .lowstock-group-header h3 {
+                    margin: 0;
+                    flex: 1;
+                }
+                .lowstock-group-meta {
+                    color: var(--text-secondary);
+                    font-size: 0.9rem;
+                }
+                .lowstock-table-wrapper {
+                    overflow-x: auto;
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                }
+                .lowstock-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                    color: var(--text-primary);
+                }
+                .lowstock-table th, .lowstock-table td {
+                    padding: 8px 12px;
+                    text-align: left;
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .lowstock-table th {
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .lowstock-item-link {
+                    background: none;
+                    border: none;
+                    padding: 0;
+                    color: inherit;
+                    cursor: pointer;
+                    text-align: left;
+                }
+                .lowstock-item-link:hover {
+                    text-decoration: underline;
+                }
+                .lowstock-qty-input {
+                    width: 80px;
+                    padding: 4px 8px;
+                }
+            `}</style>
+        </section>
+    );
+}
@@ -1,13 +1,35 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { useInventory } from '../contexts/InventoryContext';
 import { useToast } from '../contexts/ToastContext';
+import { useModal } from '../contexts/ModalContext';
+import { useShift } from '../contexts/ShiftContext';
+import { useAuth } from '../contexts/AuthContext';
+import { usePromotions } from '../contexts/PromotionsContext';
 import { formatCurrency } from '../utils/format';
-import { Plus, Trash2, ShoppingCart } from 'lucide-react';
+import { buildReceipt } from '../utils/receipt';
+import { toDateInputValue } from '../utils/sales';
+import { findExactItem, searchItems } from '../utils/search';
+import { EMPTY_FITMENT_SELECTION, filterByFitment } from '../utils/fitment';
+import { getAvailableStock } from '../utils/locations';
+import { APPROVAL_REASONS, getRequiredApprovals } from '../utils/approvals';
+import { DISCOUNT_TYPES, applyPromotions, calculateDiscount } from '../utils/promotions';
+import useResultNavigation from '../hooks/useResultNavigation';
+import { DEFAULT_TAX_CLASS, getTaxClass, getTaxRate, vatFromExclusive, vatFromInclusive } from '../utils/vat';
+import { Plus, Trash2, ShoppingCart, Car, MapPin } from 'lucide-react';
 import ItemCard from './ItemCard';
+import TenderModal from './TenderModal';
+import ApprovalModal from './ApprovalModal';
+import FitmentFilter from './FitmentFilter';
 
 // Persist the in-progress cart across view switches (and page reloads) so
 // leaving the POS screen mid-sale doesn't lose the cashier's work.
 const CART_STORAGE_KEY = 'pos_cart_state';
+// Whether entered/list prices already include VAT. A till setting, so it lives
+// alongside the cart rather than in Firestore.
+const VAT_MODE_STORAGE_KEY = 'pos_prices_include_vat';
+// Which stock location this till sells from; empty means any location.
+const PICK_LOCATION_STORAGE_KEY = 'pos_pick_location';
+const MAX_SEARCH_RESULTS = 20;
 
 function loadPersistedCart() {
     try {
@@ -19,20 +41,48 @@ function loadPersistedCart() {
     }
 }
 
-export default function POSView({ isDesktop }) {
-    const { items, checkoutSale } = useInventory();
+export default function POSView({ isDesktop, onNavigate }) {
+    const { items, locations, loading, checkoutSale, remoteUpdates } = useInventory();
     const { showToast } = useToast();
+    const { openReceiptModal } = useModal();
+    const { currentShift } = useShift();
+    const { user, userData, can, approvalSettings } = useAuth();
+    const { promotions } = usePromotions();
 
     const [code, setCode] = useState('');
     const [searchResults, setSearchResults] = useState([]);
+    const [isFitmentMode, setIsFitmentMode] = useState(false);
+    const [fitment, setFitment] = useState(EMPTY_FITMENT_SELECTION);
     const [cart, setCart] = useState(() => loadPersistedCart()?.cart || []);
     const [discount, setDiscount] = useState(() => loadPersistedCart()?.discount || 0);
+    // Whether the sale discount is a rand amount or a percentage of the sale.
+    const [discountType, setDiscountType] = useState(() => loadPersistedCart()?.discountType || DISCOUNT_TYPES.AMOUNT);
     const [isCheckingOut, setIsCheckingOut] = useState(false);
+    const [showTender, setShowTender] = useState(false);
+    const [showApproval, setShowApproval] = useState(false);
+    // { approvedBy, approvedByUid, reasons } for the sale being paid for, if it needed one.
+    const [approval, setApproval] = useState(null);
+    const [pricesIncludeVat, setPricesIncludeVat] = useState(() => localStorage.getItem(VAT_MODE_STORAGE_KEY) !== 'false');
+    const [pickLocationId, setPickLocationId] = useState(() => localStorage.getItem(PICK_LOCATION_STORAGE_KEY) || '');
     const inputRef = useRef(null);
+    // Which promotion each line had last time, to announce new ones. Starts
+    // null so coming back to a cart that already had them stays quiet.
+    const appliedPromotionIdsRef = useRef(null);
 
     useEffect(() => {
-        localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({ cart, discount }));
-    }, [cart, discount]);
+        localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({ cart, discount, discountType }));
+    }, [cart, discount, discountType]);
+
+    useEffect(() => {
+        localStorage.setItem(VAT_MODE_STORAGE_KEY, String(pricesIncludeVat));
+    }, [pricesIncludeVat]);
+
+    useEffect(() => {
+        localStorage.setItem(PICK_LOCATION_STORAGE_KEY, pickLocationId);
+    }, [pickLocationId]);
+
+    // A remembered location that has since been deleted means any location.
+    const pickLocation = locations.find(l => l.id === pickLocationId) || null;
 
     // Auto-focus the scan input on desktop (a physical scanner types + Enters here).
     // Skip on mobile so we don't pop the on-screen keyboard unexpectedly.
@@ -52,8 +102,9 @@ export default function POSView({ isDesktop }) {
     };
 
     const addToCart = (item) => {
-        if (!item.quantity || item.quantity <= 0) {
-            showToast(`${item.description} is out of stock`, 'warning');
+        const available = getAvailableStock(item, pickLocation?.id);
+        if (!available || available <= 0) {
+            showToast(`${item.description} is out of stock${pickLocation ? ` at ${pickLocation.name}` : ''}`, 'warning');
             setSearchResults([]);
             setCode('');
             refocusInput();
@@ -80,7 +131,13 @@ export default function POSView({ isDesktop }) {
                 unitPrice: Number(item.sellingPrice) || 0,
                 sellingPrice: Number(item.sellingPrice) || 0,
                 costPrice: Number(item.costPrice) || 0,
-                maxQuantity: item.quantity
+                taxClass: item.taxClass || DEFAULT_TAX_CLASS,
+                supplier: item.supplier || '',
+                // { type, value } from DISCOUNT_TYPES, or null
+                lineDiscount: null,
+                maxQuantity: available,
+                locationId: pickLocation?.id || null,
+                locationName: pickLocation?.name || null
             }]);
             showToast(`Added ${item.description} to cart`, 'success');
         }
@@ -90,23 +147,35 @@ export default function POSView({ isDesktop }) {
         refocusInput();
     };
 
+    // Parts fitting the picked vehicle, narrowed live by whatever is typed.
+    // The vehicle stays picked between items so several parts for the same
+    // car can be rung up in a row.
+    const fittedItems = useMemo(
+        () => (isFitmentMode && fitment.make ? filterByFitment(items, fitment) : null),
+        [items, isFitmentMode, fitment]
+    );
+    const trimmedCode = code.trim();
+    const fitmentResults = useMemo(() => {
+        if (!fittedItems) return null;
+        return trimmedCode
+            ? searchItems(fittedItems, trimmedCode, { limit: MAX_SEARCH_RESULTS })
+            : fittedItems.slice(0, MAX_SEARCH_RESULTS);
+    }, [fittedItems, trimmedCode]);
+    const displayedResults = fitmentResults || searchResults;
+
     const handleLookup = () => {
         const trimmed = code.trim();
         if (!trimmed) return;
 
-        // 1. Exact barcode match
-        const exactMatch = items.find(item => item.barcode === trimmed);
+        // 1. Exact barcode or stock number
+        const exactMatch = findExactItem(items, trimmed);
         if (exactMatch) {
             addToCart(exactMatch);
             return;
         }
 
-        // 2. Search match (description / stock number)
-        const searchTerm = trimmed.toLowerCase();
-        const searchMatches = items.filter(item =>
-            item.description.toLowerCase().includes(searchTerm) ||
-            item.stockNumber.toLowerCase().includes(searchTerm)
-        );
+        // 2. Ranked search, best match first
+        const searchMatches = searchItems(fittedItems || items, trimmed, { limit: MAX_SEARCH_RESULTS });
 
         if (searchMatches.length === 1) {
             addToCart(searchMatches[0]);
@@ -121,6 +190,8 @@ export default function POSView({ isDesktop }) {
         }
     };
 
+    const { activeIndex, handleKeyDown: handleResultKeyDown } = useResultNavigation(displayedResults, addToCart);
+
     const updateQuantity = (id, rawValue) => {
         const line = cart.find(l => l.id === id);
         if (!line) return;
@@ -143,6 +214,95 @@ export default function POSView({ isDesktop }) {
         setCart(cart.map(l => l.id === id ? { ...l, unitPrice: price } : l));
     };
 
+    const updateLineDiscount = (id, changes) => {
+        setCart(cart.map(l => {
+            if (l.id !== id) return l;
+            const lineDiscount = { type: DISCOUNT_TYPES.AMOUNT, value: 0, ...l.lineDiscount, ...changes };
+            let value = parseFloat(lineDiscount.value);
+            if (isNaN(value) || value < 0) value = 0;
+            return { ...l, lineDiscount: { ...lineDiscount, value } };
+        }));
+    };
+
+    // A cart line is stale when the item's live stock no longer matches the
+    // stock level it was added with, e.g. another till sold one meanwhile.
+    const getStaleInfo = (line) => {
+        if (loading) return null;
+        const liveItem = items.find(i => i.id === line.id);
+        const available = liveItem ? getAvailableStock(liveItem, line.locationId) : 0;
+        if (liveItem && available === line.maxQuantity) return null;
+        return {
+            available,
+            removed: !liveItem,
+            by: remoteUpdates[line.id]?.by
+        };
+    };
+
+    const syncLineStock = (id) => {
+        const line = cart.find(l => l.id === id);
+        const stale = line && getStaleInfo(line);
+        if (!stale) return;
+
+        if (stale.available <= 0) {
+            showToast(`${line.description} is no longer in stock`, 'warning');
+            setCart(cart.filter(l => l.id !== id));
+            return;
+        }
+        if (line.quantity > stale.available) {
+            showToast(`Only ${stale.available} in stock for ${line.description}`, 'warning');
+        }
+        setCart(cart.map(l => l.id === id
+            ? { ...l, maxQuantity: stale.available, quantity: Math.min(l.quantity, stale.available) }
+            : l
+        ));
+    };
+
+    const renderStaleNotice = (line) => {
+        const stale = getStaleInfo(line);
+        if (!stale) return null;
+        return (
+            <div className="pos-stale-notice">
+                <span>
+                    {stale.removed
+                        ? 'Item was removed from inventory'
+                        : `Stock changed${stale.by ? ` by ${stale.by}` : ''}: ${stale.available} available`}
+                </span>
+                <button type="button" className="pos-stale-btn" onClick={() => syncLineStock(line.id)}>
+                    {stale.removed || stale.available <= 0 ? 'Remove' : 'Update'}
+                </button>
+            </div>
+        );
+    };
+
+    const renderLineDiscount = (line) => (
+        <div className="pos-line-discount">
+            <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={line.lineDiscount?.value || 0}
+                onChange={(e) => updateLineDiscount(line.id, { value: e.target.value })}
+                className="pos-line-discount-input"
+                aria-label="Line discount"
+            />
+            <select
+                value={line.lineDiscount?.type || DISCOUNT_TYPES.AMOUNT}
+                onChange={(e) => updateLineDiscount(line.id, { type: e.target.value })}
+                className="pos-discount-type"
+                aria-label="Line discount type"
+            >
+                <option value={DISCOUNT_TYPES.AMOUNT}>R</option>
+                <option value={DISCOUNT_TYPES.PERCENT}>%</option>
+            </select>
+        </div>
+    );
+
+    const renderPromotionBadge = (pricing) => pricing.promotion && (
+        <span className="badge badge-success pos-custom-badge">
+            {pricing.promotion.name} -{formatCurrency(pricing.promotionDiscount)}
+        </span>
+    );
+
     const removeLine = (id) => {
         setCart(cart.filter(l => l.id !== id));
     };
@@ -152,6 +312,7 @@ export default function POSView({ isDesktop }) {
         if (window.confirm('Clear all items from the cart?')) {
             setCart([]);
             setDiscount(0);
+            setDiscountType(DISCOUNT_TYPES.AMOUNT);
         }
     };
 
@@ -161,32 +322,60 @@ export default function POSView({ isDesktop }) {
         setDiscount(val);
     };
 
-    const handleCheckout = async () => {
+    const handleCheckout = () => {
         if (cart.length === 0) {
             showToast('Cart is empty', 'warning');
             return;
         }
+        // Every sale has to land in a cashier's shift so the drawer can be reconciled.
+        if (!currentShift) {
+            showToast('Open a shift before taking payments', 'warning');
+            return;
+        }
+        if (requiredApprovals.length === 0) {
+            setApproval(null);
+        } else if (requiredApprovals.every(r => can(r.permission))) {
+            // The cashier's own role covers it; still recorded on the sale.
+            setApproval(toApproval({ uid: user?.uid || null, name: userData?.name || user?.email || 'Unknown' }));
+        } else {
+            setShowApproval(true);
+            return;
+        }
+        setShowTender(true);
+    };
+
+    const toApproval = (approver) => ({
+        approvedBy: approver.name,
+        approvedByUid: approver.uid,
+        ...(approver.approvalId ? { approvalId: approver.approvalId } : {}),
+        reasons: requiredApprovals.map(r => r.reason)
+    });
+
+    const handleApproved = (approver) => {
+        setApproval(toApproval(approver));
+        setShowApproval(false);
+        setShowTender(true);
+    };
+
+    // The approval covers the cart as it was; backing out of payment to
+    // change it means asking again.
+    const closeTender = () => {
+        setShowTender(false);
+        setApproval(null);
+    };
 
+    const completeSale = async (payment) => {
         setIsCheckingOut(true);
         try {
-            // A discount is taken off the subtotal as a flat amount. To keep
-            // each line's logged sale price meaningful for profit tracking,
-            // scale every line down by the same ratio so the logged total
-            // still matches what was actually charged.
-            const scale = subtotal > 0 ? total / subtotal : 1;
-
-            const cartItems = cart.map(line => ({
-                id: line.id,
-                itemName: line.description,
-                quantity: line.quantity,
-                unitPrice: Math.round(line.unitPrice * scale * 100) / 100,
-                costPrice: line.costPrice
-            }));
-
-            const success = await checkoutSale(cartItems);
-            if (success) {
+            const saleInfo = { ...payment, shiftId: currentShift?.id, ...(approval ? { approval } : {}) };
+            const saleLines = await checkoutSale(cartItems, saleInfo);
+            if (saleLines) {
                 setCart([]);
                 setDiscount(0);
+                setDiscountType(DISCOUNT_TYPES.AMOUNT);
+                setShowTender(false);
+                setApproval(null);
+                openReceiptModal(buildReceipt(saleLines));
             }
             // On failure, checkoutSale already shows its own error toast; leave cart untouched.
         } finally {
@@ -194,16 +383,137 @@ export default function POSView({ isDesktop }) {
         }
     };
 
-    const subtotal = cart.reduce((sum, line) => sum + (line.quantity * line.unitPrice), 0);
+    // Promotions are worked out afresh whenever the cart changes, so they
+    // apply as items are added and drop off once the deal no longer holds.
+    // Items carry their supplier, but take the live one in case it changed.
+    const today = toDateInputValue(new Date());
+    const appliedPromotions = useMemo(() => applyPromotions(
+        cart.map(line => ({ ...line, supplier: items.find(i => i.id === line.id)?.supplier ?? line.supplier })),
+        promotions,
+        today
+    ), [cart, items, promotions, today]);
+
+    useEffect(() => {
+        const previous = appliedPromotionIdsRef.current;
+        if (previous) {
+            const added = Object.entries(appliedPromotions).filter(([lineId, promotion]) => previous[lineId] !== promotion.id);
+            const names = [...new Set(added.map(([, promotion]) => promotion.name))];
+            if (names.length > 0) showToast(`Promotion applied: ${names.join(', ')}`, 'success');
+        }
+        appliedPromotionIdsRef.current = Object.fromEntries(
+            Object.entries(appliedPromotions).map(([lineId, promotion]) => [lineId, promotion.id])
+        );
+    }, [appliedPromotions, showToast]);
+
+    // Each line's total after its own discount or promotion (never both),
+    // before the sale discount. Lines are always logged at the VAT-inclusive
+    // price the customer paid, so with exclusive pricing vatFactor adds it on.
+    const linePricing = cart.map(line => {
+        const gross = line.quantity * line.unitPrice;
+        const lineDiscount = calculateDiscount(gross, line.lineDiscount);
+        const promotion = appliedPromotions[line.id] || null;
+        const promotionDiscount = promotion ? Math.min(promotion.discount, gross - lineDiscount) : 0;
+        return {
+            gross,
+            lineDiscount,
+            promotion,
+            promotionDiscount,
+            net: gross - lineDiscount - promotionDiscount,
+            vatFactor: pricesIncludeVat ? 1 : 1 + getTaxRate(line.taxClass)
+        };
+    });
+
+    const subtotal = linePricing.reduce((sum, p) => sum + p.gross, 0);
     const totalItems = cart.reduce((sum, line) => sum + line.quantity, 0);
-    const total = Math.max(0, subtotal - (Number(discount) || 0));
+    const lineDiscountTotal = linePricing.reduce((sum, p) => sum + p.lineDiscount, 0);
+    const promotionTotal = linePricing.reduce((sum, p) => sum + p.promotionDiscount, 0);
+    const netSubtotal = subtotal - lineDiscountTotal - promotionTotal;
+    const saleDiscount = calculateDiscount(netSubtotal, { type: discountType, value: discount });
+    const discountedSubtotal = netSubtotal - saleDiscount;
+    // The sale discount comes off what's left after line discounts and
+    // promotions. To keep each line's logged sale price meaningful for
+    // profit tracking, scale every line down by the same ratio so the
+    // logged total still matches what was actually charged.
+    const discountScale = netSubtotal > 0 ? discountedSubtotal / netSubtotal : 1;
+    // Discounts given at the till, against the sale after promotions; those
+    // are set up by a manager so don't count towards the approval limit.
+    const promotedSubtotal = subtotal - promotionTotal;
+    const discountPercent = promotedSubtotal > 0 ? ((lineDiscountTotal + saleDiscount) / promotedSubtotal) * 100 : 0;
+    const cartItems = cart.map((line, idx) => {
+        const { net, promotion, promotionDiscount, vatFactor } = linePricing[idx];
+        return {
+            id: line.id,
+            itemName: line.description,
+            quantity: line.quantity,
+            unitPrice: Math.round((net / line.quantity) * discountScale * vatFactor * 100) / 100,
+            listPrice: Math.round(line.unitPrice * vatFactor * 100) / 100,
+            sellingPrice: Math.round(line.sellingPrice * vatFactor * 100) / 100,
+            costPrice: line.costPrice,
+            taxClass: line.taxClass,
+            ...(promotion ? {
+                promotion: {
+                    id: promotion.id,
+                    name: promotion.name,
+                    discount: Math.round(promotionDiscount * vatFactor * 100) / 100
+                }
+            } : {}),
+            locationId: line.locationId || null,
+            locationName: line.locationName || null
+        };
+    });
+    // Checked against the current user at checkout; the cart survives a change of user.
+    // A promotion selling below cost was a manager's call, so it's added back for that check.
+    const requiredApprovals = getRequiredApprovals(
+        cart.map((line, idx) => ({
+            itemName: line.description,
+            unitPrice: line.unitPrice,
+            sellingPrice: line.sellingPrice,
+            chargedPrice: Math.round(
+                ((linePricing[idx].net + linePricing[idx].promotionDiscount) / line.quantity) * discountScale * linePricing[idx].vatFactor * 100
+            ) / 100,
+            costPrice: line.costPrice,
+            vatRate: getTaxRate(line.taxClass)
+        })),
+        discountPercent,
+        approvalSettings
+    );
+    const needsDiscountApproval = requiredApprovals.some(r => r.reason === APPROVAL_REASONS.DISCOUNT && !can(r.permission));
+    const vatTotal = cart.reduce((sum, line, idx) => {
+        const amount = linePricing[idx].net * discountScale;
+        const rate = getTaxRate(line.taxClass);
+        return sum + (pricesIncludeVat ? vatFromInclusive(amount, rate) : vatFromExclusive(amount, rate));
+    }, 0);
+    const total = pricesIncludeVat ? discountedSubtotal : discountedSubtotal + vatTotal;
 
     return (
         <section className="view active pos-view">
             <div className="view-header" style={{ marginBottom: '1.5rem' }}>
                 <h2>Point of Sale</h2>
+                {locations.length > 0 && (
+                    <label className="pos-pick-location">
+                        <MapPin size={16} />
+                        Pick from
+                        <select value={pickLocation?.id || ''} onChange={(e) => setPickLocationId(e.target.value)}>
+                            <option value="">Any location</option>
+                            {locations.map(l => (
+                                <option key={l.id} value={l.id}>{l.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
             </div>
 
+            {!currentShift && (
+                <div className="pos-shift-banner">
+                    <span>No shift is open. Open a shift with your float before taking payments.</span>
+                    {onNavigate && (
+                        <button className="btn btn-secondary" onClick={() => onNavigate('shift')}>
+                            Open Shift
+                        </button>
+                    )}
+                </div>
+            )}
+
             <div className="pos-scan-row">
                 <input
                     ref={inputRef}
@@ -213,9 +523,12 @@ export default function POSView({ isDesktop }) {
                     value={code}
                     onChange={(e) => setCode(e.target.value)}
                     onKeyDown={(e) => {
+                        if (handleResultKeyDown(e)) return;
                         if (e.key === 'Enter') {
                             e.preventDefault();
                             handleLookup();
+                        } else if (e.key === 'Escape') {
+                            setSearchResults([]);
                         }
                     }}
                 />
@@ -223,13 +536,33 @@ export default function POSView({ isDesktop }) {
                     <Plus size={18} />
                     Add to Cart
                 </button>
+                <button
+                    className={`btn ${isFitmentMode ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setIsFitmentMode(prev => !prev)}
+                    title="Find parts by the vehicle they fit"
+                >
+                    <Car size={18} />
+                    By Vehicle
+                </button>
             </div>
 
-            {searchResults.length > 0 && (
+            {isFitmentMode && <FitmentFilter items={items} value={fitment} onChange={setFitment} />}
+
+            {fitmentResults && fitmentResults.length === 0 && (
+                <p className="pos-search-hint pos-fitment-empty">
+                    {trimmedCode ? `No parts for this vehicle match "${trimmedCode}".` : 'No parts fit this vehicle.'}
+                </p>
+            )}
+
+            {displayedResults.length > 0 && (
                 <div className="pos-search-results">
-                    <p className="pos-search-hint">Multiple matches found. Select an item to add:</p>
-                    {searchResults.map(item => (
-                        <ItemCard key={item.id} item={item} onClick={addToCart} />
+                    <p className="pos-search-hint">
+                        {fitmentResults
+                            ? `Parts that fit (${fittedItems.length}). Type to narrow, select to add (↑/↓ and Enter):`
+                            : 'Multiple matches found. Select an item to add (↑/↓ and Enter):'}
+                    </p>
+                    {displayedResults.map((item, idx) => (
+                        <ItemCard key={item.id} item={item} onClick={addToCart} isActive={idx === activeIndex} />
                     ))}
                 </div>
             )}
@@ -249,13 +582,15 @@ export default function POSView({ isDesktop }) {
                                     <th>Stock #</th>
                                     <th>Qty</th>
                                     <th>Unit Price</th>
+                                    <th>Discount</th>
                                     <th>Total</th>
                                     <th></th>
                                 </tr>
                             </thead>
                             <tbody>
-                                {cart.map(line => {
+                                {cart.map((line, idx) => {
                                     const isCustomPrice = line.unitPrice !== line.sellingPrice;
+                                    const pricing = linePricing[idx];
                                     return (
                                         <tr key={line.id} className={isCustomPrice ? 'pos-row-custom' : ''}>
                                             <td>
@@ -263,8 +598,16 @@ export default function POSView({ isDesktop }) {
                                                 {isCustomPrice && (
                                                     <span className="badge badge-warning pos-custom-badge">Custom price</span>
                                                 )}
+                                                {line.taxClass && line.taxClass !== DEFAULT_TAX_CLASS && (
+                                                    <span className="badge badge-info pos-custom-badge">{getTaxClass(line.taxClass).label}</span>
+                                                )}
+                                                {renderPromotionBadge(pricing)}
+                                                {renderStaleNotice(line)}
+                                            </td>
+                                            <td>
+                                                {line.stockNumber}
+                                                {line.locationName && <div className="pos-line-location">{line.locationName}</div>}
                                             </td>
-                                            <td>{line.stockNumber}</td>
                                             <td>
                                                 <input
                                                     type="number"
@@ -285,7 +628,8 @@ export default function POSView({ isDesktop }) {
                                                     className="pos-price-input"
                                                 />
                                             </td>
-                                            <td className="pos-line-total">{formatCurrency(line.quantity * line.unitPrice)}</td>
+                                            <td>{renderLineDiscount(line)}</td>
+                                            <td className="pos-line-total">{formatCurrency(pricing.net)}</td>
                                             <td>
                                                 <button
                                                     className="pos-remove-btn"
@@ -304,14 +648,17 @@ export default function POSView({ isDesktop }) {
                     </div>
                 ) : (
                     <div className="pos-cart-cards">
-                        {cart.map(line => {
+                        {cart.map((line, idx) => {
                             const isCustomPrice = line.unitPrice !== line.sellingPrice;
+                            const pricing = linePricing[idx];
                             return (
                                 <div key={line.id} className={`pos-cart-card ${isCustomPrice ? 'pos-row-custom' : ''}`}>
                                     <div className="pos-cart-card-header">
                                         <div>
                                             <div className="pos-cart-card-title">{line.description}</div>
-                                            <div className="pos-cart-card-sub">{line.stockNumber}</div>
+                                            <div className="pos-cart-card-sub">
+                                                {line.stockNumber}{line.locationName && ` · ${line.locationName}`}
+                                            </div>
                                         </div>
                                         <button
                                             className="pos-remove-btn"
@@ -325,6 +672,11 @@ export default function POSView({ isDesktop }) {
                                     {isCustomPrice && (
                                         <span className="badge badge-warning pos-custom-badge">Custom price</span>
                                     )}
+                                    {line.taxClass && line.taxClass !== DEFAULT_TAX_CLASS && (
+                                        <span className="badge badge-info pos-custom-badge">{getTaxClass(line.taxClass).label}</span>
+                                    )}
+                                    {renderPromotionBadge(pricing)}
+                                    {renderStaleNotice(line)}
                                     <div className="pos-cart-card-row">
                                         <div className="pos-cart-card-field">
                                             <label>Qty</label>
@@ -348,9 +700,13 @@ export default function POSView({ isDesktop }) {
                                                 className="pos-price-input"
                                             />
                                         </div>
+                                        <div className="pos-cart-card-field">
+                                            <label>Discount</label>
+                                            {renderLineDiscount(line)}
+                                        </div>
                                     </div>
                                     <div className="pos-cart-card-total">
-                                        Total: <strong>{formatCurrency(line.quantity * line.unitPrice)}</strong>
+                                        Total: <strong>{formatCurrency(pricing.net)}</strong>
                                     </div>
                                 </div>
                             );
@@ -369,21 +725,67 @@ export default function POSView({ isDesktop }) {
                         <span>Items</span>
                         <span>{totalItems}</span>
                     </div>
+                    <label className="pos-summary-row pos-vat-toggle">
+                        <span>Prices incl. VAT</span>
+                        <input
+                            type="checkbox"
+                            checked={pricesIncludeVat}
+                            onChange={(e) => setPricesIncludeVat(e.target.checked)}
+                        />
+                    </label>
                     <div className="pos-summary-row">
-                        <span>Subtotal</span>
+                        <span>Subtotal{pricesIncludeVat ? '' : ' (excl. VAT)'}</span>
                         <span>{formatCurrency(subtotal)}</span>
                     </div>
+                    {lineDiscountTotal > 0 && (
+                        <div className="pos-summary-row">
+                            <span>Line discounts</span>
+                            <span>-{formatCurrency(lineDiscountTotal)}</span>
+                        </div>
+                    )}
+                    {promotionTotal > 0 && (
+                        <div className="pos-summary-row pos-promotion-row">
+                            <span>Promotions</span>
+                            <span>-{formatCurrency(promotionTotal)}</span>
+                        </div>
+                    )}
                     <div className="pos-summary-row pos-discount-row">
                         <label htmlFor="pos-discount">Discount</label>
-                        <input
-                            type="number"
-                            id="pos-discount"
-                            min="0"
-                            step="0.01"
-                            value={discount}
-                            onChange={(e) => updateDiscount(e.target.value)}
-                            className="pos-discount-input"
-                        />
+                        <div className="pos-line-discount">
+                            <input
+                                type="number"
+                                id="pos-discount"
+                                min="0"
+                                step="0.01"
+                                value={discount}
+                                onChange={(e) => updateDiscount(e.target.value)}
+                                className="pos-discount-input"
+                            />
+                            <select
+                                value={discountType}
+                                onChange={(e) => setDiscountType(e.target.value)}
+                                className="pos-discount-type"
+                                aria-label="Discount type"
+                            >
+                                <option value={DISCOUNT_TYPES.AMOUNT}>R</option>
+                                <option value={DISCOUNT_TYPES.PERCENT}>%</option>
+                            </select>
+                        </div>
+                    </div>
+                    {discountType === DISCOUNT_TYPES.PERCENT && saleDiscount > 0 && (
+                        <div className="pos-summary-row">
+                            <span>Discount amount</span>
+                            <span>-{formatCurrency(saleDiscount)}</span>
+                        </div>
+                    )}
+                    {needsDiscountApproval && (
+                        <div className="pos-summary-row pos-discount-warning">
+                            Over the {approvalSettings.maxDiscountPercent}% limit - needs manager approval
+                        </div>
+                    )}
+                    <div className="pos-summary-row">
+                        <span>{pricesIncludeVat ? 'VAT included' : 'VAT'}</span>
+                        <span>{formatCurrency(vatTotal)}</span>
                     </div>
                     <div className="pos-summary-row pos-summary-total">
                         <span>Total</span>
@@ -404,7 +806,51 @@ export default function POSView({ isDesktop }) {
                 </div>
             </div>
 
+            {showTender && (
+                <TenderModal
+                    isOpen={true}
+                    total={total}
+                    isProcessing={isCheckingOut}
+                    onClose={closeTender}
+                    onConfirm={completeSale}
+                />
+            )}
+
+            {showApproval && (
+                <ApprovalModal
+                    isOpen={true}
+                    required={requiredApprovals}
+                    onClose={() => setShowApproval(false)}
+                    onApprove={handleApproved}
+                />
+            )}
+
             <style>{`
+                .pos-pick-location {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 6px;
+                    margin-top: 0.5rem;
+                    font-size: 0.9rem;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                }
+                .pos-line-location {
+                    font-size: 0.8rem;
+                    color: var(--text-secondary);
+                }
+                .pos-shift-banner {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 1rem;
+                    padding: 12px 16px;
+                    margin-bottom: 1.5rem;
+                    border-radius: 8px;
+                    background-color: rgba(245, 158, 11, 0.15);
+                    color: var(--text-primary);
+                    border-left: 3px solid var(--accent-warning);
+                }
                 .pos-scan-row {
                     display: flex;
                     gap: var(--spacing-sm, 8px);
@@ -423,6 +869,9 @@ export default function POSView({ isDesktop }) {
                     font-weight: 600;
                     color: var(--text-secondary);
                 }
+                .pos-fitment-empty {
+                    margin-bottom: 1.5rem;
+                }
                 .pos-cart-section {
                     margin-bottom: 1.5rem;
                 }
@@ -489,10 +938,35 @@ export default function POSView({ isDesktop }) {
                     background-color: rgba(245, 158, 11, 0.2);
                     color: var(--accent-warning);
                 }
+                .badge-info {
+                    background-color: rgba(59, 130, 246, 0.2);
+                    color: var(--accent-primary);
+                }
+                .badge-success {
+                    background-color: rgba(16, 185, 129, 0.2);
+                    color: var(--accent-success);
+                }
                 .pos-custom-badge {
                     margin-left: 8px;
                     vertical-align: middle;
                 }
+                .pos-stale-notice {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-top: 6px;
+                    font-size: 0.8rem;
+                    color: var(--accent-warning);
+                }
+                .pos-stale-btn {
+                    background: none;
+                    border: 1px solid var(--accent-warning);
+                    color: var(--accent-warning);
+                    border-radius: 4px;
+                    padding: 2px 8px;
+                    font-size: 0.75rem;
+                    cursor: pointer;
+                }
                 .pos-cart-cards {
                     display: flex;
                     flex-direction: column;
@@ -572,14 +1046,38 @@ export default function POSView({ isDesktop }) {
                     font-weight: 700;
                     color: var(--text-primary);
                 }
-                .pos-discount-row {
+                .pos-discount-row,
+                .pos-vat-toggle {
                     align-items: center;
                 }
+                .pos-vat-toggle {
+                    cursor: pointer;
+                }
+                .pos-discount-warning {
+                    color: var(--accent-warning);
+                    font-size: 0.8rem;
+                }
                 .pos-discount-input {
                     width: 90px;
                     padding: 4px 8px;
                     text-align: right;
                 }
+                .pos-line-discount {
+                    display: flex;
+                    gap: 4px;
+                    align-items: center;
+                }
+                .pos-line-discount-input {
+                    width: 80px;
+                    padding: 8px;
+                }
+                .pos-discount-type {
+                    width: auto;
+                    padding: 4px 6px;
+                }
+                .pos-promotion-row {
+                    color: var(--accent-success);
+                }
                 .pos-footer-actions {
                     display: flex;
                     gap: 0.75rem;
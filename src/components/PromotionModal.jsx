@@ -0,0 +1,371 @@
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import { useInventory } from '../contexts/InventoryContext';
+import { usePurchasing } from '../contexts/PurchasingContext';
+import { searchItems } from '../utils/search';
+import {
+    PROMOTION_SCOPES,
+    PROMOTION_SCOPE_OPTIONS,
+    PROMOTION_TYPES,
+    PROMOTION_TYPE_OPTIONS
+} from '../utils/promotions';
+
+const MAX_SEARCH_RESULTS = 10;
+
+const EMPTY_PROMOTION = {
+    name: '',
+    type: PROMOTION_TYPES.PERCENT_OFF,
+    percent: '',
+    bundleQuantity: '',
+    bundlePrice: '',
+    buyQuantity: '',
+    freeQuantity: '',
+    scope: PROMOTION_SCOPES.ALL,
+    supplier: '',
+    itemIds: [],
+    startDate: '',
+    endDate: '',
+    active: true
+};
+
+// Add/edit form for a promotion. Mount it fresh for each promotion.
+export default function PromotionModal({ initialData, onClose, onSave }) {
+    const { items } = useInventory();
+    const { suppliers } = usePurchasing();
+    const [formData, setFormData] = useState(() => ({ ...EMPTY_PROMOTION, ...initialData }));
+    const [query, setQuery] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const results = query.trim()
+        ? searchItems(items, query.trim(), { limit: MAX_SEARCH_RESULTS }).filter(item => !formData.itemIds.includes(item.id))
+        : [];
+    const chosenItems = formData.itemIds.map(id => items.find(item => item.id === id) || { id, description: 'Deleted item' });
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const addItem = (item) => {
+        setFormData(prev => ({ ...prev, itemIds: [...prev.itemIds, item.id] }));
+        setQuery('');
+    };
+
+    const removeItem = (id) => {
+        setFormData(prev => ({ ...prev, itemIds: prev.itemIds.filter(itemId => itemId !== id) }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const saved = await onSave(formData);
+        setIsSaving(false);
+        if (saved) onClose();
+    };
+
+    return (
+        <div className="modal active">
+            <div className="modal-content">
+                <div className="modal-header">
+                    <h2>{initialData?.id ? 'Edit Promotion' : 'Add Promotion'}</h2>
+                    <button className="close-modal-btn" onClick={onClose}><X size={24} /></button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label htmlFor="promotion-name">Name *</label>
+                        <input
+                            type="text"
+                            id="promotion-name"
+                            name="name"
+                            value={formData.name}
+                            onChange={handleChange}
+                            required
+                            placeholder="Shown on the till and receipt, e.g. Midas Week"
+                        />
+                    </div>
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="promotion-type">Type</label>
+                            <select id="promotion-type" name="type" value={formData.type} onChange={handleChange}>
+                                {PROMOTION_TYPE_OPTIONS.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                            </select>
+                        </div>
+
+                        {formData.type === PROMOTION_TYPES.PERCENT_OFF && (
+                            <div className="form-group">
+                                <label htmlFor="promotion-percent">Percent Off *</label>
+                                <input
+                                    type="number"
+                                    id="promotion-percent"
+                                    name="percent"
+                                    value={formData.percent}
+                                    onChange={handleChange}
+                                    min="0.5"
+                                    max="100"
+                                    step="0.5"
+                                    required
+                                />
+                            </div>
+                        )}
+
+                        {formData.type === PROMOTION_TYPES.BUNDLE && (
+                            <>
+                                <div className="form-group">
+                                    <label htmlFor="promotion-bundle-quantity">Items in Bundle *</label>
+                                    <input
+                                        type="number"
+                                        id="promotion-bundle-quantity"
+                                        name="bundleQuantity"
+                                        value={formData.bundleQuantity}
+                                        onChange={handleChange}
+                                        min="2"
+                                        step="1"
+                                        required
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="promotion-bundle-price">Bundle Price *</label>
+                                    <input
+                                        type="number"
+                                        id="promotion-bundle-price"
+                                        name="bundlePrice"
+                                        value={formData.bundlePrice}
+                                        onChange={handleChange}
+                                        min="0"
+                                        step="0.01"
+                                        required
+                                    />
+                                </div>
+                            </>
+                        )}
+
+                        {formData.type === PROMOTION_TYPES.BUY_X_GET_Y && (
+                            <>
+                                <div className="form-group">
+                                    <label htmlFor="promotion-buy">Buy *</label>
+                                    <input
+                                        type="number"
+                                        id="promotion-buy"
+                                        name="buyQuantity"
+                                        value={formData.buyQuantity}
+                                        onChange={handleChange}
+                                        min="1"
+                                        step="1"
+                                        required
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="promotion-free">Get Free *</label>
+                                    <input
+                                        type="number"
+                                        id="promotion-free"
+                                        name="freeQuantity"
+                                        value={formData.freeQuantity}
+                                        onChange={handleChange}
+                                        min="1"
+                                        step="1"
+                                        required
+                                    />
+                                </div>
+                            </>
+                        )}
+                    </div>
+                    {formData.type === PROMOTION_TYPES.BUNDLE && (
+                        <p className="promotion-hint">Priced like selling prices, i.e. including VAT. Any mix of the items counts.</p>
+                    )}
+                    {formData.type === PROMOTION_TYPES.BUY_X_GET_Y && (
+                        <p className="promotion-hint">Any mix of the items counts; the cheapest in each group is free.</p>
+                    )}
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="promotion-scope">Applies To</label>
+                            <select id="promotion-scope" name="scope" value={formData.scope} onChange={handleChange}>
+                                {PROMOTION_SCOPE_OPTIONS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                            </select>
+                        </div>
+
+                        {formData.scope === PROMOTION_SCOPES.SUPPLIER && (
+                            <div className="form-group">
+                                <label htmlFor="promotion-supplier">Supplier *</label>
+                                <input
+                                    type="text"
+                                    id="promotion-supplier"
+                                    name="supplier"
+                                    value={formData.supplier}
+                                    onChange={handleChange}
+                                    list="promotion-supplier-options"
+                                    required
+                                    placeholder="As written on items"
+                                />
+                                <datalist id="promotion-supplier-options">
+                                    {suppliers.map(s => <option key={s.id} value={s.name} />)}
+                                </datalist>
+                            </div>
+                        )}
+                    </div>
+
+                    {formData.scope === PROMOTION_SCOPES.ITEMS && (
+                        <div className="form-group promotion-items">
+                            <label htmlFor="promotion-item-search">Items</label>
+                            <input
+                                type="text"
+                                id="promotion-item-search"
+                                value={query}
+                                onChange={(e) => setQuery(e.target.value)}
+                                onKeyDown={(e) => { if (e.key === 'Escape') setQuery(''); }}
+                                placeholder="Search by name, stock number or barcode"
+                            />
+                            {results.length > 0 && (
+                                <div className="promotion-item-results">
+                                    {results.map(item => (
+                                        <button type="button" key={item.id} className="promotion-item-result" onClick={() => addItem(item)}>
+                                            {item.description}
+                                            <span>{item.stockNumber}</span>
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                            {chosenItems.length === 0 ? (
+                                <p className="promotion-hint">No items chosen yet.</p>
+                            ) : (
+                                <ul className="promotion-item-list">
+                                    {chosenItems.map(item => (
+                                        <li key={item.id}>
+                                            <span>{item.description}{item.stockNumber && ` (${item.stockNumber})`}</span>
+                                            <button
+                                                type="button"
+                                                className="promotion-item-remove"
+                                                onClick={() => removeItem(item.id)}
+                                                aria-label="Remove item"
+                                            >
+                                                <X size={16} />
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="promotion-start">Starts</label>
+                            <input
+                                type="date"
+                                id="promotion-start"
+                                name="startDate"
+                                value={formData.startDate}
+                                onChange={handleChange}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="promotion-end">Ends</label>
+                            <input
+                                type="date"
+                                id="promotion-end"
+                                name="endDate"
+                                value={formData.endDate}
+                                onChange={handleChange}
+                                min={formData.startDate || undefined}
+                            />
+                        </div>
+                    </div>
+
+                    <label className="promotion-toggle">
+                        <input
+                            type="checkbox"
+                            name="active"
+                            checked={formData.active}
+                            onChange={handleChange}
+                        />
+                        Active (untick to pause it without deleting)
+                    </label>
+
+                    <div className="form-actions">
+                        <button type="button" className="btn btn-secondary cancel-btn" onClick={onClose}>Cancel</button>
+                        <button
+                            type="submit"
+                            className="btn btn-primary"
+                            disabled={isSaving || (formData.scope === PROMOTION_SCOPES.ITEMS && formData.itemIds.length === 0)}
+                        >
+                            {isSaving ? 'Saving...' : 'Save Promotion'}
+                        </button>
+                    </div>
+                </form>
+
+                <style>{`
+                    .promotion-hint {
+                        color: var(--text-secondary);
+                        font-size: 0.85rem;
+                        margin: -0.5rem 0 1rem;
+                    }
+                    .promotion-items {
+                        position: relative;
+                    }
+                    .promotion-item-results {
+                        position: absolute;
+                        left: 0;
+                        right: 0;
+                        z-index: 10;
+                        background: var(--bg-card);
+                        border: 1px solid var(--border-color);
+                        border-radius: 8px;
+                        box-shadow: var(--shadow-md);
+                        max-height: 240px;
+                        overflow-y: auto;
+                    }
+                    .promotion-item-result {
+                        display: block;
+                        width: 100%;
+                        text-align: left;
+                        padding: 8px 12px;
+                        background: none;
+                        border: none;
+                        border-bottom: 1px solid var(--border-color);
+                        color: var(--text-primary);
+                        cursor: pointer;
+                    }
+                    .promotion-item-result:hover {
+                        background: var(--bg-elevated);
+                    }
+                    .promotion-item-result span {
+                        color: var(--text-secondary);
+                        font-size: 0.85rem;
+                        margin-left: 8px;
+                    }
+                    .promotion-item-list {
+                        list-style: none;
+                        margin: 0.5rem 0 0;
+                        padding: 0;
+                    }
+                    .promotion-item-list li {
+                        display: flex;
+                        justify-content: space-between;
+                        align-items: center;
+                        padding: 4px 0;
+                        border-bottom: 1px solid var(--border-color);
+                        color: var(--text-primary);
+                        font-size: 0.9rem;
+                    }
+                    .promotion-item-remove {
+                        background: none;
+                        border: none;
+                        color: var(--text-secondary);
+                        cursor: pointer;
+                    }
+                    .promotion-toggle {
+                        display: flex;
+                        align-items: center;
+                        gap: 8px;
+                        margin-bottom: 1rem;
+                        color: var(--text-primary);
+                        font-size: 0.9rem;
+                    }
+                `}</style>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { usePromotions } from '../contexts/PromotionsContext';
+import { toDateInputValue } from '../utils/sales';
+import { describePromotion, describeScope, getPromotionStatus } from '../utils/promotions';
+import PromotionModal from './PromotionModal';
+import { Edit, Plus, Tag, Trash2 } from 'lucide-react';
+
+const STATUS_BADGES = {
+    running: { label: 'Running', className: 'badge-success' },
+    scheduled: { label: 'Scheduled', className: 'badge-info' },
+    ended: { label: 'Ended', className: 'badge-warning' },
+    paused: { label: 'Paused', className: 'badge-warning' }
+};
+
+const formatDateRange = (promotion) => {
+    if (!promotion.startDate && !promotion.endDate) return 'No end date';
+    if (!promotion.endDate) return `From ${promotion.startDate}`;
+    if (!promotion.startDate) return `Until ${promotion.endDate}`;
+    return `${promotion.startDate} to ${promotion.endDate}`;
+};
+
+// Promotions the POS applies to the cart by itself while they're running.
+export default function PromotionsView() {
+    const { promotions, addPromotion, updatePromotion, deletePromotion } = usePromotions();
+    // null: closed, {}: adding, a promotion: editing
+    const [editing, setEditing] = useState(null);
+    const today = toDateInputValue(new Date());
+
+    const handleSave = (data) => (data.id ? updatePromotion(data) : addPromotion(data).then(Boolean));
+
+    const handleDelete = async (promotion) => {
+        if (!window.confirm(`Delete ${promotion.name}? Past sales keep its name.`)) return;
+        await deletePromotion(promotion.id);
+    };
+
+    return (
+        <section className="view active">
+            <div className="inventory-header">
+                <h2>Promotions</h2>
+                <button className="btn btn-primary" onClick={() => setEditing({})}>
+                    <Plus size={18} />
+                    Add Promotion
+                </button>
+            </div>
+
+            {promotions.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon"><Tag size={48} /></div>
+                    <p className="empty-state-text">No promotions yet</p>
+                </div>
+            ) : (
+                <div className="promotion-list">
+                    {promotions.map(promotion => {
+                        const status = STATUS_BADGES[getPromotionStatus(promotion, today)];
+                        return (
+                            <div key={promotion.id} className="promotion-card">
+                                <div className="promotion-card-header">
+                                    <div>
+                                        <div className="promotion-card-title">{promotion.name}</div>
+                                        <span className={`badge ${status.className}`}>{status.label}</span>
+                                    </div>
+                                    <div className="promotion-card-actions">
+                                        <button className="btn btn-secondary" onClick={() => setEditing(promotion)} title="Edit">
+                                            <Edit size={16} />
+                                        </button>
+                                        <button className="btn btn-danger" onClick={() => handleDelete(promotion)} title="Delete">
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                </div>
+                                <div className="promotion-card-deal">{describePromotion(promotion)}</div>
+                                <div className="promotion-card-stats">
+                                    {describeScope(promotion)} · {formatDateRange(promotion)}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {editing && (
+                <PromotionModal
+                    initialData={editing.id ? editing : null}
+                    onClose={() => setEditing(null)}
+                    onSave={handleSave}
+                />
+            )}
+
+            <style>{`
+                .promotion-list {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+                    gap: 1rem;
+                }
+                .promotion-card {
+                    background: var(--bg-card);
+                    border: 1px solid var(--border-color);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 1rem 1.25rem;
+                    color: var(--text-primary);
+                }
+                .promotion-card-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 0.5rem;
+                    margin-bottom: 0.5rem;
+                }
+                .promotion-card-title {
+                    font-weight: 700;
+                    font-size: 1.05rem;
+                    margin-bottom: 4px;
+                }
+                .badge {
+                    display: inline-block;
+                    padding: 2px 8px;
+                    border-radius: 4px;
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                }
+                .badge-success {
+                    background-color: rgba(16, 185, 129, 0.2);
+                    color: var(--accent-success);
+                }
+                .badge-warning {
+                    background-color: rgba(245, 158, 11, 0.2);
+                    color: var(--accent-warning);
+                }
+                .badge-info {
+                    background-color: rgba(59, 130, 246, 0.2);
+                    color: var(--accent-primary);
+                }
+                .promotion-card-actions {
+                    display: flex;
+                    gap: 0.5rem;
+                }
+                .promotion-card-deal {
+                    font-weight: 600;
+                    color: var(--accent-primary);
+                }
+                .promotion-card-stats {
+                    font-size: 0.85rem;
+                    color: var(--text-secondary);
+                    margin-top: 6px;
+                }
+            `}</style>
+        </section>
+    );
+}
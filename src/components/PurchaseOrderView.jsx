@@ -0,0 +1,473 @@
+import { useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { usePurchasing } from '../contexts/PurchasingContext';
+import { formatCurrency } from '../utils/format';
+import { searchItems } from '../utils/search';
+import { getSuggestedOrderQuantity, isLowStock } from '../utils/reorder';
+import {
+    OPEN_PO_STATUSES,
+    costDiffers,
+    formatPoNumber,
+    getOutstanding,
+    getPoStatusLabel,
+    getReceivedUnitCost,
+    summarizePurchaseOrder
+} from '../utils/purchasing';
+import { AlertTriangle, ArrowLeft, PackagePlus, Plus, Send, Trash2, X } from 'lucide-react';
+
+const MAX_SEARCH_RESULTS = 8;
+
+const newLine = (item, quantity = 1) => ({
+    itemId: item.id,
+    description: item.description || '',
+    stockNumber: item.stockNumber || '',
+    quantity,
+    unitCost: Number(item.costPrice) || 0,
+    received: 0,
+    receivedCost: 0
+});
+
+// A new order (no purchaseOrderId) or an existing one: drafts are edited
+// here, anything further along is shown with what has arrived so far.
+export default function PurchaseOrderView({ purchaseOrderId, onNavigate }) {
+    const { purchaseOrders } = usePurchasing();
+    const po = purchaseOrderId ? purchaseOrders.find(p => p.id === purchaseOrderId) || null : null;
+
+    if (purchaseOrderId && !po) {
+        return (
+            <section className="view active">
+                <div className="empty-state">
+                    <p className="empty-state-text">Purchase order not found.</p>
+                    <button className="btn btn-secondary" onClick={() => onNavigate('purchasing')}>
+                        <ArrowLeft size={18} />
+                        Back to Purchase Orders
+                    </button>
+                </div>
+            </section>
+        );
+    }
+
+    return (
+        <section className="view active">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <button className="btn btn-secondary" onClick={() => onNavigate('purchasing')}>
+                    <ArrowLeft size={18} />
+                    Purchase Orders
+                </button>
+            </div>
+
+            {!po || po.status === 'draft'
+                ? <PurchaseOrderEditor key={po?.id || 'new'} po={po} onNavigate={onNavigate} />
+                : <PurchaseOrderDetail po={po} onNavigate={onNavigate} />}
+
+            <style>{`
+                .po-header-sub {
+                    font-size: 0.9rem;
+                    color: var(--text-secondary);
+                }
+                .po-search {
+                    position: relative;
+                    margin-bottom: 1rem;
+                }
+                .po-search-results {
+                    position: absolute;
+                    left: 0;
+                    right: 0;
+                    z-index: 10;
+                    background: var(--bg-card);
+                    border: 1px solid var(--border-color);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-md);
+                    max-height: 280px;
+                    overflow-y: auto;
+                }
+                .po-search-result {
+                    display: block;
+                    width: 100%;
+                    text-align: left;
+                    padding: 8px 12px;
+                    background: none;
+                    border: none;
+                    border-bottom: 1px solid var(--border-color);
+                    color: var(--text-primary);
+                    cursor: pointer;
+                }
+                .po-search-result:hover {
+                    background: var(--bg-elevated);
+                }
+                .po-search-result span {
+                    color: var(--text-secondary);
+                    font-size: 0.85rem;
+                    margin-left: 8px;
+                }
+                .po-table-wrapper {
+                    overflow-x: auto;
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    margin-bottom: 1rem;
+                }
+                .po-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                    color: var(--text-primary);
+                }
+                .po-table th, .po-table td {
+                    padding: 8px 12px;
+                    text-align: left;
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .po-table th {
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .po-table input {
+                    width: 90px;
+                    padding: 4px 8px;
+                }
+                .po-table tfoot td {
+                    font-weight: 700;
+                }
+                .po-remove-btn {
+                    background: none;
+                    border: none;
+                    color: var(--accent-danger);
+                    cursor: pointer;
+                    padding: 4px;
+                }
+                .po-cost-flag {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 4px;
+                    color: var(--accent-warning);
+                    font-weight: 600;
+                }
+                .po-notes {
+                    color: var(--text-secondary);
+                    white-space: pre-wrap;
+                    margin-bottom: 1rem;
+                }
+            `}</style>
+        </section>
+    );
+}
+
+function PurchaseOrderEditor({ po, onNavigate }) {
+    const { items } = useInventory();
+    const { suppliers, createPurchaseOrder, updatePurchaseOrder, setPurchaseOrderStatus, deletePurchaseOrder } = usePurchasing();
+    const [supplierId, setSupplierId] = useState(po?.supplierId || '');
+    const [expectedDate, setExpectedDate] = useState(po?.expectedDate || '');
+    const [notes, setNotes] = useState(po?.notes || '');
+    const [lines, setLines] = useState(po?.lines || []);
+    const [query, setQuery] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const supplier = suppliers.find(s => s.id === supplierId) || null;
+    const results = query.trim()
+        ? searchItems(items, query.trim(), { limit: MAX_SEARCH_RESULTS })
+        : [];
+    const total = lines.reduce((sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0), 0);
+
+    const addLine = (item) => {
+        if (!lines.some(line => line.itemId === item.id)) setLines([...lines, newLine(item)]);
+        setQuery('');
+    };
+
+    // Everything of this supplier's that is at or below its reorder point.
+    const addLowStock = () => {
+        const name = supplier.name.trim().toLowerCase();
+        const additions = items
+            .filter(item => (item.supplier || '').trim().toLowerCase() === name && isLowStock(item))
+            .filter(item => !lines.some(line => line.itemId === item.id))
+            .map(item => newLine(item, getSuggestedOrderQuantity(item)));
+        setLines([...lines, ...additions]);
+    };
+
+    const updateLine = (itemId, field, rawValue) => {
+        const value = parseFloat(rawValue);
+        setLines(lines.map(line => line.itemId === itemId
+            ? { ...line, [field]: isNaN(value) || value < 0 ? 0 : value }
+            : line));
+    };
+
+    const save = async (markOrdered) => {
+        if (!supplierId) return;
+        const order = { supplierId, expectedDate, notes, lines: lines.filter(line => line.quantity > 0) };
+        setIsSaving(true);
+        let id = po?.id || null;
+        if (id) {
+            if (!await updatePurchaseOrder(id, order)) id = null;
+        } else {
+            id = await createPurchaseOrder(order);
+        }
+        if (id && markOrdered) await setPurchaseOrderStatus(id, 'ordered');
+        setIsSaving(false);
+        if (id && !po) onNavigate('purchaseorder', { purchaseOrderId: id });
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete draft ${formatPoNumber(po.id)}?`)) return;
+        if (await deletePurchaseOrder(po.id)) onNavigate('purchasing');
+    };
+
+    const canSave = supplierId && lines.some(line => line.quantity > 0);
+
+    return (
+        <>
+            <div className="inventory-header">
+                <div>
+                    <h2>{po ? `Draft ${formatPoNumber(po.id)}` : 'New Purchase Order'}</h2>
+                    {supplier && (
+                        <div className="po-header-sub">
+                            {[supplier.contactName, supplier.phone, supplier.email, supplier.paymentTerms && `Terms: ${supplier.paymentTerms}`]
+                                .filter(Boolean).join(' · ')}
+                        </div>
+                    )}
+                </div>
+                {po && (
+                    <button className="btn btn-danger" onClick={handleDelete}>
+                        <Trash2 size={18} />
+                        Delete Draft
+                    </button>
+                )}
+            </div>
+
+            <div className="form-row">
+                <div className="form-group">
+                    <label htmlFor="po-supplier">Supplier *</label>
+                    <select id="po-supplier" value={supplierId} onChange={(e) => setSupplierId(e.target.value)}>
+                        <option value="">Choose a supplier...</option>
+                        {suppliers.map(s => (
+                            <option key={s.id} value={s.id}>{s.name}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="po-expected">Expected Delivery</label>
+                    <input
+                        type="date"
+                        id="po-expected"
+                        value={expectedDate}
+                        onChange={(e) => setExpectedDate(e.target.value)}
+                    />
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label htmlFor="po-notes">Notes</label>
+                <textarea
+                    id="po-notes"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    placeholder="Delivery instructions, quote reference..."
+                />
+            </div>
+
+            <div className="po-search">
+                <div className="view-actions">
+                    <input
+                        type="text"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Escape') setQuery(''); }}
+                        placeholder="Add an item: search by name, stock number or barcode"
+                        style={{ flex: 1 }}
+                    />
+                    {supplier && (
+                        <button className="btn btn-secondary" onClick={addLowStock}>
+                            <Plus size={18} />
+                            Add Low Stock
+                        </button>
+                    )}
+                </div>
+                {results.length > 0 && (
+                    <div className="po-search-results">
+                        {results.map(item => (
+                            <button key={item.id} className="po-search-result" onClick={() => addLine(item)}>
+                                {item.description}
+                                <span>{item.stockNumber} · {item.quantity} in stock · {item.supplier}</span>
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {lines.length === 0 ? (
+                <div className="empty-state">
+                    <p className="empty-state-text">No lines yet. Search for items to order.</p>
+                </div>
+            ) : (
+                <div className="po-table-wrapper">
+                    <table className="po-table">
+                        <thead>
+                            <tr>
+                                <th>Stock #</th>
+                                <th>Item</th>
+                                <th>Quantity</th>
+                                <th>Unit Cost</th>
+                                <th>Line Total</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {lines.map(line => (
+                                <tr key={line.itemId}>
+                                    <td>{line.stockNumber}</td>
+                                    <td>{line.description}</td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="1"
+                                            value={line.quantity}
+                                            onChange={(e) => updateLine(line.itemId, 'quantity', e.target.value)}
+                                        />
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="0.01"
+                                            value={line.unitCost}
+                                            onChange={(e) => updateLine(line.itemId, 'unitCost', e.target.value)}
+                                        />
+                                    </td>
+                                    <td>{formatCurrency(line.quantity * line.unitCost)}</td>
+                                    <td>
+                                        <button
+                                            className="po-remove-btn"
+                                            onClick={() => setLines(lines.filter(l => l.itemId !== line.itemId))}
+                                            title="Remove line"
+                                        >
+                                            <X size={16} />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td colSpan={4}>Order Total</td>
+                                <td colSpan={2}>{formatCurrency(total)}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            )}
+
+            <div className="form-actions">
+                <button className="btn btn-secondary" onClick={() => save(false)} disabled={!canSave || isSaving}>
+                    Save Draft
+                </button>
+                <button className="btn btn-primary" onClick={() => save(true)} disabled={!canSave || isSaving}>
+                    <Send size={18} />
+                    {isSaving ? 'Saving...' : 'Mark as Ordered'}
+                </button>
+            </div>
+        </>
+    );
+}
+
+function PurchaseOrderDetail({ po, onNavigate }) {
+    const { suppliers, setPurchaseOrderStatus } = usePurchasing();
+    const supplier = suppliers.find(s => s.id === po.supplierId) || null;
+    const summary = summarizePurchaseOrder(po);
+    const isOpen = OPEN_PO_STATUSES.includes(po.status);
+
+    const handleCancel = async () => {
+        if (!window.confirm(`Cancel ${formatPoNumber(po.id)}?`)) return;
+        await setPurchaseOrderStatus(po.id, 'cancelled');
+    };
+
+    const handleCloseShort = async () => {
+        if (!window.confirm(`Close ${formatPoNumber(po.id)} with ${summary.outstandingUnits} units still outstanding?`)) return;
+        await setPurchaseOrderStatus(po.id, 'closed');
+    };
+
+    return (
+        <>
+            <div className="inventory-header">
+                <div>
+                    <h2>
+                        {formatPoNumber(po.id)} · {po.supplierName}{' '}
+                        <span className={`po-status po-status-${po.status}`}>{getPoStatusLabel(po.status)}</span>
+                    </h2>
+                    <div className="po-header-sub">
+                        {[
+                            po.orderedAt && `Ordered ${po.orderedAt.slice(0, 10)}${po.orderedBy ? ` by ${po.orderedBy}` : ''}`,
+                            po.expectedDate && `Expected ${po.expectedDate}`,
+                            po.lastReceivedAt && `Last delivery ${po.lastReceivedAt.slice(0, 10)}`,
+                            supplier?.phone,
+                            supplier?.paymentTerms && `Terms: ${supplier.paymentTerms}`
+                        ].filter(Boolean).join(' · ')}
+                    </div>
+                </div>
+                <div className="view-actions">
+                    {isOpen && (
+                        <button className="btn btn-primary" onClick={() => onNavigate('intake', { purchaseOrderId: po.id })}>
+                            <PackagePlus size={18} />
+                            Receive Stock
+                        </button>
+                    )}
+                    {po.status === 'partial' && (
+                        <button className="btn btn-secondary" onClick={handleCloseShort}>Close Short</button>
+                    )}
+                    {po.status === 'ordered' && summary.receivedUnits === 0 && (
+                        <button className="btn btn-danger" onClick={handleCancel}>Cancel Order</button>
+                    )}
+                </div>
+            </div>
+
+            {po.notes && <p className="po-notes">{po.notes}</p>}
+
+            <div className="po-table-wrapper">
+                <table className="po-table">
+                    <thead>
+                        <tr>
+                            <th>Stock #</th>
+                            <th>Item</th>
+                            <th>Ordered</th>
+                            <th>Received</th>
+                            <th>Outstanding</th>
+                            <th>PO Cost</th>
+                            <th>Cost Paid</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {(po.lines || []).map(line => {
+                            const paid = getReceivedUnitCost(line);
+                            return (
+                                <tr key={line.itemId}>
+                                    <td>{line.stockNumber}</td>
+                                    <td>{line.description}</td>
+                                    <td>{line.quantity}</td>
+                                    <td>{line.received || 0}</td>
+                                    <td>{getOutstanding(line)}</td>
+                                    <td>{formatCurrency(line.unitCost)}</td>
+                                    <td>
+                                        {paid === null ? '-' : costDiffers(paid, line.unitCost) ? (
+                                            <span className="po-cost-flag" title="Differs from the PO cost">
+                                                <AlertTriangle size={14} />
+                                                {formatCurrency(paid)}
+                                            </span>
+                                        ) : formatCurrency(paid)}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td colSpan={2}>Total</td>
+                            <td>{summary.orderedUnits}</td>
+                            <td>{summary.receivedUnits}</td>
+                            <td>{summary.outstandingUnits}</td>
+                            <td colSpan={2}>{formatCurrency(summary.orderValue)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        </>
+    );
+}
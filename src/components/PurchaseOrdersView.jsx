@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { usePurchasing } from '../contexts/PurchasingContext';
+import { formatCurrency } from '../utils/format';
+import { OPEN_PO_STATUSES, PO_STATUSES, formatPoNumber, getPoStatusLabel, summarizePurchaseOrder } from '../utils/purchasing';
+import { FileText, Plus, Truck } from 'lucide-react';
+
+// 'open' covers drafts and orders still waiting on stock.
+const FILTERS = [
+    { id: 'open', label: 'Open' },
+    { id: 'all', label: 'All' },
+    ...PO_STATUSES
+];
+
+const isOpen = (po) => po.status === 'draft' || OPEN_PO_STATUSES.includes(po.status);
+
+export default function PurchaseOrdersView({ onNavigate }) {
+    const { purchaseOrders } = usePurchasing();
+    const [filter, setFilter] = useState('open');
+
+    const visibleOrders = purchaseOrders.filter(po => {
+        if (filter === 'open') return isOpen(po);
+        if (filter === 'all') return true;
+        return po.status === filter;
+    });
+
+    return (
+        <section className="view active">
+            <div className="inventory-header">
+                <h2>Purchase Orders</h2>
+                <div className="view-actions">
+                    <button className="btn btn-secondary" onClick={() => onNavigate('suppliers')}>
+                        <Truck size={18} />
+                        Suppliers
+                    </button>
+                    <button className="btn btn-primary" onClick={() => onNavigate('purchaseorder')}>
+                        <Plus size={18} />
+                        New Order
+                    </button>
+                </div>
+            </div>
+
+            <div className="po-filters">
+                {FILTERS.map(f => (
+                    <button
+                        key={f.id}
+                        className={`btn ${filter === f.id ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => setFilter(f.id)}
+                    >
+                        {f.label}
+                    </button>
+                ))}
+            </div>
+
+            {visibleOrders.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon"><FileText size={48} /></div>
+                    <p className="empty-state-text">No purchase orders here.</p>
+                </div>
+            ) : (
+                <div className="po-table-wrapper">
+                    <table className="po-table">
+                        <thead>
+                            <tr>
+                                <th>PO #</th>
+                                <th>Supplier</th>
+                                <th>Status</th>
+                                <th>Created</th>
+                                <th>Expected</th>
+                                <th>Received</th>
+                                <th>Value</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {visibleOrders.map(po => {
+                                const summary = summarizePurchaseOrder(po);
+                                return (
+                                    <tr key={po.id} onClick={() => onNavigate('purchaseorder', { purchaseOrderId: po.id })}>
+                                        <td>{formatPoNumber(po.id)}</td>
+                                        <td>{po.supplierName || '-'}</td>
+                                        <td><span className={`po-status po-status-${po.status}`}>{getPoStatusLabel(po.status)}</span></td>
+                                        <td>{(po.createdAt || '').slice(0, 10)}</td>
+                                        <td>{po.expectedDate || '-'}</td>
+                                        <td>{summary.receivedUnits} / {summary.orderedUnits}</td>
+                                        <td>{formatCurrency(summary.orderValue)}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <style>{`
+                .po-filters {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 0.5rem;
+                    margin-bottom: 1rem;
+                }
+                .po-table-wrapper {
+                    overflow-x: auto;
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                }
+                .po-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                    color: var(--text-primary);
+                }
+                .po-table th, .po-table td {
+                    padding: 8px 12px;
+                    text-align: left;
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .po-table th {
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .po-table tbody tr {
+                    cursor: pointer;
+                }
+                .po-table tbody tr:hover {
+                    background: var(--bg-elevated);
+                }
+            `}</style>
+        </section>
+    );
+}
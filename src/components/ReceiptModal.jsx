@@ -0,0 +1,311 @@
+import { X, Printer, Settings, FileDown, Mail, Send } from 'lucide-react';
+import { useRef, useState } from 'react';
+import html2canvas from 'html2canvas';
+import { jsPDF } from 'jspdf';
+import { formatCurrency } from '../utils/format';
+import { COMPANY, RECEIPT_ROLLS, formatReceiptText } from '../utils/receipt';
+import { getTenderLabel } from '../utils/payments';
+import { useToast } from '../contexts/ToastContext';
+
+export default function ReceiptModal({ receipt, isOpen, onClose }) {
+    const { showToast } = useToast();
+    // Receipt printers are usually a different device from the label printer,
+    // so they keep their own saved IP and roll size.
+    const [printerIp, setPrinterIp] = useState(() => localStorage.getItem('receipt_printer_ip') || '');
+    const [rollId, setRollId] = useState(() => {
+        const saved = localStorage.getItem('receipt_roll');
+        return RECEIPT_ROLLS.some(r => r.id === saved) ? saved : RECEIPT_ROLLS[0].id;
+    });
+    const [showPrinterConfig, setShowPrinterConfig] = useState(false);
+    const [isPrinting, setIsPrinting] = useState(false);
+    const printRef = useRef(null);
+
+    const savePrinterIp = (ip) => {
+        setPrinterIp(ip);
+        localStorage.setItem('receipt_printer_ip', ip);
+    };
+
+    const saveRoll = (id) => {
+        setRollId(id);
+        localStorage.setItem('receipt_roll', id);
+    };
+
+    if (!isOpen || !receipt) return null;
+
+    const roll = RECEIPT_ROLLS.find(r => r.id === rollId) || RECEIPT_ROLLS[0];
+
+    const renderCanvas = () => html2canvas(printRef.current, {
+        scale: 3, // High resolution for 203/300dpi printers
+        useCORS: true,
+        logging: false,
+        backgroundColor: '#ffffff'
+    });
+
+    const handleBrowserPrint = () => {
+        const printWindow = window.open('', '_blank', 'width=400,height=600');
+        if (!printWindow) {
+            showToast('Popup blocked! Please allow popups for this site.', 'error');
+            return;
+        }
+
+        printWindow.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Receipt ${receipt.saleNumber}</title>
+                <style>
+                    @page { margin: 0; size: ${roll.widthMm}mm auto; }
+                    * { margin: 0; padding: 0; box-sizing: border-box; }
+                    body { display: flex; justify-content: center; background: white; }
+                </style>
+            </head>
+            <body>
+                ${printRef.current.outerHTML}
+                <script>
+                    setTimeout(() => {
+                        window.print();
+                        window.close();
+                    }, 300);
+                </script>
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+    };
+
+    const handleNetworkPrint = async () => {
+        if (!printerIp) {
+            setShowPrinterConfig(true);
+            showToast('Please set Receipt Printer IP first', 'warning');
+            return;
+        }
+
+        setIsPrinting(true);
+        try {
+            const canvas = await renderCanvas();
+            showToast('Sending to printer...', 'info');
+
+            const response = await fetch('http://localhost:3001/print', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    ip: printerIp,
+                    image: canvas.toDataURL('image/png'),
+                    labelSize: roll.id
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || 'Print failed');
+            }
+
+            const result = await response.json();
+            if (result.success) {
+                showToast('Receipt printed successfully!', 'success');
+            } else {
+                throw new Error(result.error || 'Unknown error');
+            }
+        } catch (err) {
+            console.error('Print error:', err);
+            showToast(`Print Error: ${err.message}. Is the bridge server running?`, 'error');
+        } finally {
+            setIsPrinting(false);
+        }
+    };
+
+    const handleDownloadPdf = async () => {
+        try {
+            const canvas = await renderCanvas();
+            // Page is the roll width, as long as the slip needs to be.
+            const heightMm = (canvas.height / canvas.width) * roll.widthMm;
+            const pdf = new jsPDF({ unit: 'mm', format: [roll.widthMm, heightMm] });
+            pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, roll.widthMm, heightMm);
+            pdf.save(`receipt-${receipt.saleNumber}.pdf`);
+        } catch (err) {
+            console.error('PDF error:', err);
+            showToast('Failed to create PDF', 'error');
+        }
+    };
+
+    const handleEmail = () => {
+        const subject = encodeURIComponent(`${COMPANY.name} receipt ${receipt.saleNumber}`);
+        const body = encodeURIComponent(formatReceiptText(receipt));
+        window.location.href = `mailto:?subject=${subject}&body=${body}`;
+    };
+
+    const rowStyle = { display: 'flex', justifyContent: 'space-between', gap: '8px' };
+
+    return (
+        <div className="modal active">
+            <div className="modal-content">
+                <div className="modal-header">
+                    <h2>Receipt #{receipt.saleNumber}</h2>
+                    <button className="close-modal-btn" onClick={onClose}>
+                        <X size={24} />
+                    </button>
+                </div>
+
+                <div className="receipt-preview">
+                    <div
+                        ref={printRef}
+                        style={{
+                            width: `${roll.widthPx}px`,
+                            padding: '12px 8px',
+                            background: 'white',
+                            color: 'black',
+                            fontFamily: "'Courier New', monospace",
+                            fontSize: '12px',
+                            lineHeight: 1.4
+                        }}
+                    >
+                        <div style={{ textAlign: 'center', marginBottom: '8px' }}>
+                            <div style={{ fontSize: '16px', fontWeight: 'bold' }}>{COMPANY.name}</div>
+                            {COMPANY.address && <div>{COMPANY.address}</div>}
+                            {COMPANY.phone && <div>Tel: {COMPANY.phone}</div>}
+                            {COMPANY.vatNumber && <div>VAT No: {COMPANY.vatNumber}</div>}
+                        </div>
+                        <div style={{ borderTop: '1px dashed black', borderBottom: '1px dashed black', padding: '4px 0', marginBottom: '6px' }}>
+                            <div>Sale #{receipt.saleNumber}</div>
+                            <div>{new Date(receipt.timestamp).toLocaleString()}</div>
+                            <div>Cashier: {receipt.cashier}</div>
+                        </div>
+                        {receipt.lines.map((line, idx) => (
+                            <div key={idx} style={{ marginBottom: '4px' }}>
+                                <div>{line.name}</div>
+                                <div style={rowStyle}>
+                                    <span>{line.quantity} x {formatCurrency(line.unitPrice)}</span>
+                                    <span>{formatCurrency(line.total)}</span>
+                                </div>
+                                {line.promotion && (
+                                    <div style={rowStyle}>
+                                        <span>{line.promotion.name}</span>
+                                        <span>-{formatCurrency(line.promotion.discount)}</span>
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                        <div style={{ borderTop: '1px dashed black', marginTop: '6px', paddingTop: '4px' }}>
+                            <div style={rowStyle}>
+                                <span>Subtotal</span>
+                                <span>{formatCurrency(receipt.subtotal)}</span>
+                            </div>
+                            {receipt.discount > 0 && (
+                                <div style={rowStyle}>
+                                    <span>Discount</span>
+                                    <span>-{formatCurrency(receipt.discount)}</span>
+                                </div>
+                            )}
+                            <div style={{ ...rowStyle, fontSize: '15px', fontWeight: 'bold' }}>
+                                <span>TOTAL</span>
+                                <span>{formatCurrency(receipt.total)}</span>
+                            </div>
+                            <div style={rowStyle}>
+                                <span>VAT included</span>
+                                <span>{formatCurrency(receipt.vat)}</span>
+                            </div>
+                            {receipt.tenders.map((tender, idx) => (
+                                <div key={idx} style={rowStyle}>
+                                    <span>{getTenderLabel(tender.method)}</span>
+                                    {/* Cash shows what was handed over; change is listed below it */}
+                                    <span>{formatCurrency(tender.method === 'cash' && receipt.cashTendered ? receipt.cashTendered : tender.amount)}</span>
+                                </div>
+                            ))}
+                            {receipt.changeDue > 0 && (
+                                <div style={rowStyle}>
+                                    <span>Change</span>
+                                    <span>{formatCurrency(receipt.changeDue)}</span>
+                                </div>
+                            )}
+                        </div>
+                        <div style={{ textAlign: 'center', marginTop: '10px' }}>Thank you for your business!</div>
+                    </div>
+                </div>
+
+                {showPrinterConfig && (
+                    <div className="receipt-printer-config">
+                        <div className="form-group">
+                            <label htmlFor="receipt-printer-ip">Receipt Printer IP Address</label>
+                            <input
+                                type="text"
+                                id="receipt-printer-ip"
+                                placeholder="e.g. 192.168.1.60"
+                                value={printerIp}
+                                onChange={(e) => savePrinterIp(e.target.value)}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="receipt-roll">Roll Size</label>
+                            <select id="receipt-roll" value={roll.id} onChange={(e) => saveRoll(e.target.value)}>
+                                {RECEIPT_ROLLS.map(opt => (
+                                    <option key={opt.id} value={opt.id}>{opt.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <p className="receipt-config-hint">
+                            80mm uses an ESC/POS thermal printer, 62mm uses the Brother QL-810W. Bridge server must be running.
+                        </p>
+                    </div>
+                )}
+
+                <div className="receipt-actions">
+                    <button className="btn btn-primary" onClick={handleBrowserPrint}>
+                        <Printer size={18} />
+                        Print
+                    </button>
+                    <button className="btn btn-secondary" onClick={handleNetworkPrint} disabled={isPrinting}>
+                        <Send size={18} />
+                        {isPrinting ? 'Printing...' : 'Direct'}
+                    </button>
+                    <button className="btn btn-secondary" onClick={handleDownloadPdf}>
+                        <FileDown size={18} />
+                        PDF
+                    </button>
+                    <button className="btn btn-secondary" onClick={handleEmail}>
+                        <Mail size={18} />
+                        Email
+                    </button>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={() => setShowPrinterConfig(!showPrinterConfig)}
+                        title="Receipt printer settings"
+                    >
+                        <Settings size={18} />
+                    </button>
+                </div>
+
+                <style>{`
+                    .receipt-preview {
+                        display: flex;
+                        justify-content: center;
+                        background: var(--bg-elevated);
+                        border-radius: 8px;
+                        padding: 1rem;
+                        margin-bottom: 1rem;
+                        overflow-x: auto;
+                    }
+                    .receipt-printer-config {
+                        background: var(--bg-elevated);
+                        border-radius: 8px;
+                        padding: 1rem;
+                        margin-bottom: 1rem;
+                    }
+                    .receipt-config-hint {
+                        font-size: 0.75rem;
+                        color: var(--text-secondary);
+                    }
+                    .receipt-actions {
+                        display: flex;
+                        flex-wrap: wrap;
+                        gap: 8px;
+                    }
+                    .receipt-actions .btn {
+                        flex: 1;
+                    }
+                `}</style>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,346 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { useModal } from '../contexts/ModalContext';
+import { formatCurrency } from '../utils/format';
+import { toDateInputValue } from '../utils/sales';
+import {
+    AGING_BUCKETS,
+    VALUATION_GROUPINGS,
+    buildAgingReport,
+    getLastReceivedDates,
+    groupValuation,
+    summarizeValuation
+} from '../utils/valuation';
+import { AGING_COLUMNS, toAgingRows } from '../utils/exports';
+import { downloadRows } from '../utils/spreadsheet';
+import ExportMenu from './ExportMenu';
+import { RefreshCw } from 'lucide-react';
+
+// Aging lists start at the first bucket worth worrying about.
+const DEFAULT_AGING_DAYS = 90;
+
+const formatShare = (value, total) => (total > 0 ? `${Math.round((value / total) * 100)}%` : '-');
+
+export default function ReportsView() {
+    const { items, locations, loading, fetchAllTransactions } = useInventory();
+    const { openDetailModal } = useModal();
+    const [groupBy, setGroupBy] = useState('supplier');
+    const [agingDays, setAgingDays] = useState(DEFAULT_AGING_DAYS);
+    const [inTransactions, setInTransactions] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    // Bumped by Refresh to re-read the IN history.
+    const [reloadKey, setReloadKey] = useState(0);
+    const requestRef = useRef(0);
+
+    // Every IN ever recorded, to date each item's last delivery.
+    useEffect(() => {
+        const requestId = ++requestRef.current;
+        fetchAllTransactions({ types: ['IN'] }).then(loaded => {
+            if (requestId !== requestRef.current) return;
+            setIsLoading(false);
+            if (loaded) setInTransactions(loaded);
+        });
+    }, [fetchAllTransactions, reloadKey]);
+
+    const refresh = () => {
+        setIsLoading(true);
+        setReloadKey(prev => prev + 1);
+    };
+
+    const totals = useMemo(() => summarizeValuation(items), [items]);
+    const groups = useMemo(() => groupValuation(items, groupBy, locations), [items, groupBy, locations]);
+    const aging = useMemo(
+        () => buildAgingReport(items, getLastReceivedDates(inTransactions)),
+        [items, inTransactions]
+    );
+    const agedLines = aging.lines.filter(line => line.days === null || line.days >= agingDays);
+
+    const handleExport = (format) => downloadRows(
+        toAgingRows(agedLines),
+        AGING_COLUMNS,
+        format,
+        `stock-aging-${agingDays}-days-${toDateInputValue(new Date())}`
+    );
+
+    if (loading && items.length === 0) {
+        return <div className="loading-state">Loading inventory...</div>;
+    }
+
+    return (
+        <section className="view active">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <h2>Reports</h2>
+                <div className="view-actions">
+                    <button className="btn btn-secondary" onClick={refresh} disabled={isLoading}>
+                        <RefreshCw size={18} />
+                        Refresh
+                    </button>
+                </div>
+            </div>
+
+            <h3 className="report-heading">Stock Valuation</h3>
+            <div className="report-stats">
+                <div className="report-stat">
+                    <span className="report-stat-label">Items in Stock</span>
+                    <span className="report-stat-value">{totals.itemCount}</span>
+                </div>
+                <div className="report-stat">
+                    <span className="report-stat-label">Units</span>
+                    <span className="report-stat-value">{totals.units}</span>
+                </div>
+                <div className="report-stat">
+                    <span className="report-stat-label">Value at Cost</span>
+                    <span className="report-stat-value">{formatCurrency(totals.costValue)}</span>
+                </div>
+                <div className="report-stat">
+                    <span className="report-stat-label">Value at Selling</span>
+                    <span className="report-stat-value">{formatCurrency(totals.retailValue)}</span>
+                </div>
+                <div className="report-stat">
+                    <span className="report-stat-label">Potential Margin</span>
+                    <span className="report-stat-value text-success">{formatCurrency(totals.retailValue - totals.costValue)}</span>
+                </div>
+            </div>
+
+            <div className="report-toggle">
+                <span className="report-toggle-label">Break down by</span>
+                {VALUATION_GROUPINGS.map(g => (
+                    <button
+                        key={g.id}
+                        className={`btn ${groupBy === g.id ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => setGroupBy(g.id)}
+                    >
+                        {g.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="report-table-wrapper">
+                <table className="report-table">
+                    <thead>
+                        <tr>
+                            <th>{VALUATION_GROUPINGS.find(g => g.id === groupBy).label}</th>
+                            <th>Items</th>
+                            <th>Units</th>
+                            <th>At Cost</th>
+                            <th>At Selling</th>
+                            <th>Share</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {groups.length === 0 ? (
+                            <tr>
+                                <td colSpan="6" className="report-empty">Nothing in stock.</td>
+                            </tr>
+                        ) : (
+                            groups.map(group => (
+                                <tr key={group.key || 'none'}>
+                                    <td>{group.label}</td>
+                                    <td>{group.itemCount}</td>
+                                    <td>{group.units}</td>
+                                    <td>{formatCurrency(group.costValue)}</td>
+                                    <td>{formatCurrency(group.retailValue)}</td>
+                                    <td>{formatShare(group.costValue, totals.costValue)}</td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="report-section-header">
+                <h3 className="report-heading">Stock Aging</h3>
+                <ExportMenu onExport={handleExport} disabled={isLoading || agedLines.length === 0} />
+            </div>
+            <p className="report-note">Days since stock last came in. Items never received count from when they were added.</p>
+
+            <div className="report-stats">
+                {aging.buckets.map(bucket => (
+                    <button
+                        key={bucket.id}
+                        className={`report-stat report-stat-btn ${bucket.minDays > 0 && agingDays === bucket.minDays ? 'active' : ''}`}
+                        onClick={() => setAgingDays(bucket.minDays)}
+                        disabled={isLoading}
+                    >
+                        <span className="report-stat-label">{bucket.label}</span>
+                        <span className="report-stat-value">{isLoading ? '-' : formatCurrency(bucket.costValue)}</span>
+                        <span className="report-stat-meta">
+                            {isLoading ? '' : `${bucket.itemCount} item${bucket.itemCount !== 1 ? 's' : ''} · ${bucket.units} units`}
+                        </span>
+                    </button>
+                ))}
+            </div>
+
+            <div className="report-toggle">
+                <span className="report-toggle-label">Show stock not received in</span>
+                {AGING_BUCKETS.filter(b => b.minDays > 0).map(b => (
+                    <button
+                        key={b.id}
+                        className={`btn ${agingDays === b.minDays ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => setAgingDays(b.minDays)}
+                    >
+                        {b.minDays}+ days
+                    </button>
+                ))}
+                <button
+                    className={`btn ${agingDays === 0 ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setAgingDays(0)}
+                >
+                    All
+                </button>
+            </div>
+
+            <div className="report-table-wrapper">
+                <table className="report-table">
+                    <thead>
+                        <tr>
+                            <th>Stock #</th>
+                            <th>Item</th>
+                            <th>Supplier</th>
+                            <th>Qty</th>
+                            <th>Last Received</th>
+                            <th>Days</th>
+                            <th>At Cost</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {isLoading ? (
+                            <tr>
+                                <td colSpan="7" className="report-empty">Loading stock history...</td>
+                            </tr>
+                        ) : agedLines.length === 0 ? (
+                            <tr>
+                                <td colSpan="7" className="report-empty">No stock this old.</td>
+                            </tr>
+                        ) : (
+                            agedLines.map(line => (
+                                <tr key={line.item.id}>
+                                    <td>{line.item.stockNumber}</td>
+                                    <td>
+                                        <button className="report-item-link" onClick={() => openDetailModal(line.item)}>
+                                            {line.item.description}
+                                        </button>
+                                    </td>
+                                    <td>{line.item.supplier || '-'}</td>
+                                    <td>{line.units}</td>
+                                    <td>{line.lastReceivedAt ? line.lastReceivedAt.slice(0, 10) : 'Unknown'}</td>
+                                    <td className={line.days === null || line.days >= 365 ? 'text-danger' : line.days >= 90 ? 'text-warning' : ''}>
+                                        {line.days ?? '-'}
+                                    </td>
+                                    <td>{formatCurrency(line.costValue)}</td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <style>{`
+                .report-heading {
+                    margin: 0 0 0.75rem;
+                }
+                .report-section-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    margin-top: 2rem;
+                }
+                .report-note {
+                    color: var(--text-secondary);
+                    font-size: 0.85rem;
+                    margin: 0 0 1rem;
+                }
+                .report-stats {
+                    display: flex;
+                    gap: 1rem;
+                    flex-wrap: wrap;
+                    margin-bottom: 1.5rem;
+                }
+                .report-stat {
+                    background: var(--bg-card);
+                    border: none;
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 12px 20px;
+                    display: flex;
+                    flex-direction: column;
+                    align-items: flex-start;
+                    min-width: 160px;
+                    border-left: 3px solid var(--accent-primary);
+                    color: var(--text-primary);
+                    font: inherit;
+                    text-align: left;
+                }
+                .report-stat-btn {
+                    cursor: pointer;
+                }
+                .report-stat-btn.active {
+                    border-left-color: var(--accent-warning);
+                    box-shadow: var(--shadow-md);
+                }
+                .report-stat-label {
+                    font-size: 0.8rem;
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .report-stat-value {
+                    font-size: 1.4rem;
+                    font-weight: 700;
+                }
+                .report-stat-meta {
+                    font-size: 0.8rem;
+                    color: var(--text-secondary);
+                }
+                .report-toggle {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 0.5rem;
+                    margin-bottom: 1rem;
+                }
+                .report-toggle-label {
+                    color: var(--text-secondary);
+                    font-size: 0.9rem;
+                    margin-right: 0.25rem;
+                }
+                .report-table-wrapper {
+                    overflow-x: auto;
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                }
+                .report-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                    color: var(--text-primary);
+                }
+                .report-table th, .report-table td {
+                    padding: 8px 12px;
+                    text-align: left;
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .report-table th {
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .report-empty {
+                    text-align: center !important;
+                    padding: 2rem !important;
+                    color: var(--text-secondary);
+                }
+                .report-item-link {
+                    background: none;
+                    border: none;
+                    padding: 0;
+                    color: inherit;
+                    cursor: pointer;
+                    text-align: left;
+                }
+                .report-item-link:hover {
+                    text-decoration: underline;
+                }
+            `}</style>
+        </section>
+    );
+}
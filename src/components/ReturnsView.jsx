@@ -0,0 +1,385 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { useToast } from '../contexts/ToastContext';
+import { useShift } from '../contexts/ShiftContext';
+import { formatCurrency } from '../utils/format';
+import { formatSaleNumber, getReturnedQuantities, groupSales, toDateInputValue } from '../utils/sales';
+import { TENDER_TYPES } from '../utils/payments';
+import { Search, Undo2 } from 'lucide-react';
+
+export default function ReturnsView({ initialSaleId }) {
+    const { transactions, findSale, processReturn } = useInventory();
+    const { showToast } = useToast();
+    const { currentShift } = useShift();
+
+    const [saleRef, setSaleRef] = useState(initialSaleId || '');
+    const [sale, setSale] = useState(null);
+    const [returnQtys, setReturnQtys] = useState({});
+    const [reason, setReason] = useState('Customer Return');
+    const [refundMethod, setRefundMethod] = useState('cash');
+    const [isLookingUp, setIsLookingUp] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [dateFilter, setDateFilter] = useState(toDateInputValue(new Date()));
+    const [userFilter, setUserFilter] = useState('');
+
+    const formatDate = (dateString) => {
+        try {
+            return new Date(dateString).toLocaleString();
+        } catch {
+            return dateString;
+        }
+    };
+
+    const lookupSale = useCallback(async (ref) => {
+        setIsLookingUp(true);
+        try {
+            const found = await findSale(ref);
+            setSale(found);
+            setReturnQtys({});
+            if (found) setSaleRef(formatSaleNumber(found.saleId));
+        } finally {
+            setIsLookingUp(false);
+        }
+    }, [findSale]);
+
+    // Arriving from SalesView's "Process Return" button pre-loads that sale.
+    useEffect(() => {
+        if (initialSaleId) lookupSale(initialSaleId);
+    }, [initialSaleId, lookupSale]);
+
+    // Recent sales from the loaded transaction window, for picking a sale by
+    // date and cashier when the customer has no slip.
+    const recentSales = useMemo(() => {
+        return groupSales(transactions)
+            .filter(g => g.saleId)
+            .filter(g => !dateFilter || toDateInputValue(new Date(g.timestamp)) === dateFilter)
+            .filter(g => !userFilter || g.performedBy === userFilter);
+    }, [transactions, dateFilter, userFilter]);
+
+    const cashiers = useMemo(() => {
+        return [...new Set(groupSales(transactions).map(g => g.performedBy).filter(Boolean))].sort();
+    }, [transactions]);
+
+    const saleLines = useMemo(() => {
+        if (!sale) return [];
+        const returned = getReturnedQuantities(sale.lines);
+        return sale.lines
+            .filter(l => l.type === 'OUT')
+            .map(l => {
+                const sold = Math.abs(Number(l.quantity) || 0);
+                const alreadyReturned = returned.get(l.id) || 0;
+                return { ...l, sold, alreadyReturned, returnable: sold - alreadyReturned };
+            });
+    }, [sale]);
+
+    const updateReturnQty = (line, rawValue) => {
+        let qty = parseInt(rawValue, 10);
+        if (isNaN(qty) || qty < 0) qty = 0;
+        if (qty > line.returnable) {
+            qty = line.returnable;
+            showToast(`Only ${line.returnable} of ${line.itemName} can be returned`, 'warning');
+        }
+        setReturnQtys(prev => ({ ...prev, [line.id]: qty }));
+    };
+
+    const selectedLines = saleLines.filter(l => (returnQtys[l.id] || 0) > 0);
+    const refundTotal = selectedLines.reduce((sum, l) => sum + returnQtys[l.id] * (Number(l.salePrice) || 0), 0);
+
+    const handleSubmit = async () => {
+        if (selectedLines.length === 0) {
+            showToast('Choose at least one line to return', 'warning');
+            return;
+        }
+        if (!window.confirm(`Refund ${formatCurrency(refundTotal)} and return ${selectedLines.length} line(s) to stock?`)) return;
+
+        setIsSubmitting(true);
+        try {
+            const returnLines = selectedLines.map(l => ({
+                transactionId: l.id,
+                id: l.itemId,
+                itemName: l.itemName,
+                quantity: returnQtys[l.id],
+                unitPrice: Number(l.salePrice) || 0,
+                costPrice: Number(l.costPrice) || 0
+            }));
+
+            const success = await processReturn(sale.saleId, returnLines, {
+                reason: reason.trim() || 'Customer Return',
+                refundMethod,
+                shiftId: currentShift?.id
+            });
+            if (success) {
+                // Reload so the "already returned" column reflects this refund.
+                await lookupSale(sale.saleId);
+            }
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <section className="view active returns-view">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <h2><Undo2 size={24} style={{ verticalAlign: 'middle', marginRight: '8px' }} />Returns</h2>
+            </div>
+
+            <div className="returns-lookup-row">
+                <input
+                    type="text"
+                    placeholder="Sale number or sale ID"
+                    value={saleRef}
+                    onChange={(e) => setSaleRef(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            lookupSale(saleRef);
+                        }
+                    }}
+                />
+                <button className="btn btn-primary" onClick={() => lookupSale(saleRef)} disabled={isLookingUp}>
+                    <Search size={18} />
+                    {isLookingUp ? 'Looking up...' : 'Find Sale'}
+                </button>
+            </div>
+
+            {sale ? (
+                <div className="returns-sale-card">
+                    <div className="returns-sale-header">
+                        <div>
+                            <div className="returns-sale-title">Sale #{formatSaleNumber(sale.saleId)}</div>
+                            <div className="returns-sale-sub">
+                                {formatDate(saleLines[0]?.timestamp)} &middot; {saleLines[0]?.performedBy || 'Unknown'}
+                            </div>
+                        </div>
+                        <button className="btn btn-secondary" onClick={() => setSale(null)}>Change Sale</button>
+                    </div>
+
+                    <div className="table-responsive">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Item</th>
+                                    <th>Sold</th>
+                                    <th>Returned</th>
+                                    <th>Unit Price</th>
+                                    <th>Return Qty</th>
+                                    <th>Refund</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {saleLines.map(line => (
+                                    <tr key={line.id}>
+                                        <td>{line.itemName}</td>
+                                        <td>{line.sold}</td>
+                                        <td>{line.alreadyReturned || '-'}</td>
+                                        <td>{formatCurrency(line.salePrice)}</td>
+                                        <td>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max={line.returnable}
+                                                value={returnQtys[line.id] || 0}
+                                                onChange={(e) => updateReturnQty(line, e.target.value)}
+                                                disabled={line.returnable === 0}
+                                                className="returns-qty-input"
+                                            />
+                                        </td>
+                                        <td>{formatCurrency((returnQtys[line.id] || 0) * (Number(line.salePrice) || 0))}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="returns-footer">
+                        <div className="form-group returns-reason">
+                            <label htmlFor="return-reason">Reason</label>
+                            <input
+                                type="text"
+                                id="return-reason"
+                                value={reason}
+                                onChange={(e) => setReason(e.target.value)}
+                            />
+                        </div>
+                        <div className="form-group returns-refund-method">
+                            <label htmlFor="return-refund-method">Refund Via</label>
+                            <select
+                                id="return-refund-method"
+                                value={refundMethod}
+                                onChange={(e) => setRefundMethod(e.target.value)}
+                            >
+                                {TENDER_TYPES.map(type => (
+                                    <option key={type.id} value={type.id}>{type.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="returns-footer-actions">
+                            <span className="returns-refund-total">Refund: {formatCurrency(refundTotal)}</span>
+                            <button
+                                className="btn btn-primary btn-large"
+                                onClick={handleSubmit}
+                                disabled={isSubmitting || selectedLines.length === 0}
+                            >
+                                {isSubmitting ? 'Processing...' : 'Process Return'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            ) : (
+                <div className="returns-recent">
+                    <div className="returns-recent-filters">
+                        <input
+                            type="date"
+                            value={dateFilter}
+                            onChange={(e) => setDateFilter(e.target.value)}
+                        />
+                        <select value={userFilter} onChange={(e) => setUserFilter(e.target.value)}>
+                            <option value="">All cashiers</option>
+                            {cashiers.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {recentSales.length === 0 ? (
+                        <div className="empty-state">
+                            <div className="empty-state-icon"><Undo2 size={48} /></div>
+                            <p className="empty-state-text">No sales found. Enter the sale number from the customer's slip.</p>
+                        </div>
+                    ) : (
+                        <div className="table-responsive">
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Sale #</th>
+                                        <th>Date</th>
+                                        <th>User</th>
+                                        <th>Items</th>
+                                        <th>Total</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {recentSales.map(group => (
+                                        <tr key={group.groupId} className="sale-row" onClick={() => lookupSale(group.saleId)}>
+                                            <td>{formatSaleNumber(group.saleId)}</td>
+                                            <td>{formatDate(group.timestamp)}</td>
+                                            <td>{group.performedBy || 'Unknown'}</td>
+                                            <td>{group.lines.length}</td>
+                                            <td>{formatCurrency(group.totalSales)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <style>{`
+                .returns-lookup-row {
+                    display: flex;
+                    gap: 8px;
+                    margin-bottom: 1.5rem;
+                }
+                .returns-lookup-row input {
+                    flex: 1;
+                }
+                .returns-sale-card {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 1rem;
+                }
+                .returns-sale-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 1rem;
+                }
+                .returns-sale-title {
+                    font-weight: 700;
+                    font-size: 1.1rem;
+                }
+                .returns-sale-sub {
+                    font-size: 0.85rem;
+                    color: var(--text-secondary);
+                }
+                .returns-qty-input {
+                    width: 80px;
+                    padding: 8px;
+                }
+                .returns-footer {
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 1rem 1.25rem;
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 1rem;
+                    justify-content: space-between;
+                    align-items: flex-end;
+                }
+                .returns-reason {
+                    flex: 1;
+                    min-width: 200px;
+                    margin-bottom: 0;
+                }
+                .returns-refund-method {
+                    min-width: 140px;
+                    margin-bottom: 0;
+                }
+                .returns-footer-actions {
+                    display: flex;
+                    align-items: center;
+                    gap: 1rem;
+                }
+                .returns-refund-total {
+                    font-size: 1.1rem;
+                    font-weight: 700;
+                }
+                .returns-recent-filters {
+                    display: flex;
+                    gap: 8px;
+                    margin-bottom: 1rem;
+                }
+                .table-responsive {
+                    overflow-x: auto;
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                }
+                .data-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    min-width: 600px;
+                    color: var(--text-primary);
+                }
+                .data-table th, .data-table td {
+                    padding: 12px 16px;
+                    text-align: left;
+                    border-bottom: 1px solid var(--border-color);
+                    vertical-align: middle;
+                }
+                .data-table th {
+                    background-color: var(--bg-elevated);
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                }
+                .sale-row {
+                    cursor: pointer;
+                }
+                .sale-row:hover {
+                    background-color: var(--bg-elevated);
+                }
+                @media (max-width: 768px) {
+                    .returns-lookup-row, .returns-recent-filters, .returns-footer-actions {
+                        flex-direction: column;
+                        align-items: stretch;
+                    }
+                    .data-table th, .data-table td {
+                        padding: 8px 10px;
+                        font-size: 0.9rem;
+                    }
+                }
+            `}</style>
+        </section>
+    );
+}
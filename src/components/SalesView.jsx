@@ -1,24 +1,63 @@
-import { useState, useMemo, Fragment } from 'react';
+import { useState, useMemo, useEffect, useRef, Fragment } from 'react';
 import { useInventory } from '../contexts/InventoryContext';
+import { useModal } from '../contexts/ModalContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 import { formatCurrency } from '../utils/format';
-import { RefreshCw, ChevronDown, ChevronRight } from 'lucide-react';
-
-const toDateInputValue = (date) => {
-    // Local calendar date (not UTC) so "Today" matches what the clock on the
-    // wall says, even though transaction timestamps are stored as UTC ISO strings.
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-};
+import { formatSaleNumber, groupSales, toDateInputValue } from '../utils/sales';
+import { buildReceipt } from '../utils/receipt';
+import { getTenderLabel, summarizeTenders } from '../utils/payments';
+import { summarizeVat } from '../utils/vat';
+import { getApprovalReasonLabel, summarizeOverrides } from '../utils/approvals';
+import { downloadRows } from '../utils/spreadsheet';
+import { SALES_COLUMNS, toSalesRows } from '../utils/exports';
+import ExportMenu from './ExportMenu';
+import { RefreshCw, ChevronDown, ChevronRight, Undo2, Receipt } from 'lucide-react';
 
 const todayStr = toDateInputValue(new Date());
+// Left out of the export for roles that can't see costs.
+const COST_COLUMN_KEYS = ['cost', 'profit'];
 
-export default function SalesView() {
-    const { transactions, loadTransactions } = useInventory();
+export default function SalesView({ onNavigate }) {
+    const { fetchAllTransactions } = useInventory();
+    const { openReceiptModal } = useModal();
+    const { can } = useAuth();
+    const showCosts = can(PERMISSIONS.VIEW_COSTS);
     const [expandedIds, setExpandedIds] = useState(new Set());
     const [dateFrom, setDateFrom] = useState(todayStr);
     const [dateTo, setDateTo] = useState(todayStr);
+    const [transactions, setTransactions] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    // Bumped by Refresh to re-run the query for the same period.
+    const [reloadKey, setReloadKey] = useState(0);
+    // Ignore results that arrive after the period has changed again.
+    const requestRef = useRef(0);
+
+    // Every sale and return line in the period, so totals are complete
+    // however long the range is. Callers set isLoading first.
+    useEffect(() => {
+        const requestId = ++requestRef.current;
+        fetchAllTransactions({ dateFrom, dateTo, types: ['OUT', 'RETURN'] }).then(loaded => {
+            if (requestId !== requestRef.current) return;
+            setIsLoading(false);
+            if (loaded) setTransactions(loaded);
+        });
+    }, [fetchAllTransactions, dateFrom, dateTo, reloadKey]);
+
+    const changeDateFrom = (value) => {
+        setIsLoading(true);
+        setDateFrom(value);
+    };
+
+    const changeDateTo = (value) => {
+        setIsLoading(true);
+        setDateTo(value);
+    };
+
+    const refresh = () => {
+        setIsLoading(true);
+        setReloadKey(prev => prev + 1);
+    };
 
     const formatDate = (dateString) => {
         try {
@@ -40,51 +79,24 @@ export default function SalesView() {
         });
     };
 
-    // Only actual sales (OUT). Group line items that share a saleId into a single sale row.
-    // Legacy transactions without a saleId are treated as their own standalone sale group.
-    const saleGroups = useMemo(() => {
-        const outTransactions = transactions.filter(t => t.type === 'OUT');
+    // Only actual sales (OUT), with any customer returns netted off the sale they belong to.
+    // Returns made in the period for older sales show up as return-only groups.
+    const saleGroups = useMemo(() => groupSales(transactions), [transactions]);
 
-        const groupMap = new Map();
-        outTransactions.forEach(t => {
-            const groupId = t.saleId || t.id;
-            if (!groupMap.has(groupId)) {
-                groupMap.set(groupId, []);
-            }
-            groupMap.get(groupId).push(t);
-        });
-
-        return Array.from(groupMap.entries()).map(([groupId, lines]) => {
-            const totalSales = lines.reduce((sum, l) => sum + (Number(l.totalSales) || 0), 0);
-            const totalCost = Math.abs(lines.reduce((sum, l) => sum + (Number(l.totalCost) || 0), 0));
-            const profit = totalSales - totalCost;
+    const totalRevenue = saleGroups.reduce((sum, g) => sum + g.totalSales, 0);
+    const totalCostSum = saleGroups.reduce((sum, g) => sum + g.totalCost, 0);
+    const totalProfit = saleGroups.reduce((sum, g) => sum + g.profit, 0);
+    const totalRefunds = saleGroups.reduce((sum, g) => sum + g.refunds, 0);
+    const tenderTotals = useMemo(() => summarizeTenders(saleGroups), [saleGroups]);
+    const vatSummary = useMemo(() => summarizeVat(saleGroups), [saleGroups]);
+    const overrides = useMemo(() => summarizeOverrides(saleGroups), [saleGroups]);
 
-            return {
-                groupId,
-                timestamp: lines[0].timestamp,
-                performedBy: lines[0].performedBy,
-                lines,
-                totalSales,
-                totalCost,
-                profit
-            };
-        });
-    }, [transactions]);
-
-    const filteredGroups = useMemo(() => {
-        if (!dateFrom && !dateTo) return saleGroups;
-        return saleGroups.filter(g => {
-            if (!g.timestamp) return true;
-            const groupDate = toDateInputValue(new Date(g.timestamp));
-            if (dateFrom && groupDate < dateFrom) return false;
-            if (dateTo && groupDate > dateTo) return false;
-            return true;
-        });
-    }, [saleGroups, dateFrom, dateTo]);
-
-    const totalRevenue = filteredGroups.reduce((sum, g) => sum + g.totalSales, 0);
-    const totalCostSum = filteredGroups.reduce((sum, g) => sum + g.totalCost, 0);
-    const totalProfit = filteredGroups.reduce((sum, g) => sum + g.profit, 0);
+    const handleExport = (format) => downloadRows(
+        toSalesRows(saleGroups),
+        showCosts ? SALES_COLUMNS : SALES_COLUMNS.filter(col => !COST_COLUMN_KEYS.includes(col.key)),
+        format,
+        `sales-${dateFrom || 'start'}-to-${dateTo || todayStr}`
+    );
 
     const yesterdayStr = useMemo(() => {
         const y = new Date();
@@ -107,6 +119,8 @@ export default function SalesView() {
     }, []);
 
     const applyPreset = (from, to) => {
+        if (from === dateFrom && to === dateTo) return;
+        setIsLoading(true);
         setDateFrom(from);
         setDateTo(to);
     };
@@ -118,10 +132,13 @@ export default function SalesView() {
         <section className="view active">
             <div className="view-header" style={{ marginBottom: '1.5rem' }}>
                 <h2>Sales</h2>
-                <button className="btn btn-secondary" onClick={loadTransactions}>
-                    <RefreshCw size={18} />
-                    Refresh
-                </button>
+                <div className="view-actions">
+                    <button className="btn btn-secondary" onClick={refresh} disabled={isLoading}>
+                        <RefreshCw size={18} />
+                        Refresh
+                    </button>
+                    <ExportMenu onExport={handleExport} disabled={isLoading || saleGroups.length === 0} />
+                </div>
             </div>
 
             <div className="sales-filter-bar">
@@ -163,14 +180,14 @@ export default function SalesView() {
                         type="date"
                         id="sales-date-from"
                         value={dateFrom}
-                        onChange={(e) => setDateFrom(e.target.value)}
+                        onChange={(e) => changeDateFrom(e.target.value)}
                     />
                     <label htmlFor="sales-date-to">To</label>
                     <input
                         type="date"
                         id="sales-date-to"
                         value={dateTo}
-                        onChange={(e) => setDateTo(e.target.value)}
+                        onChange={(e) => changeDateTo(e.target.value)}
                     />
                 </div>
             </div>
@@ -178,21 +195,89 @@ export default function SalesView() {
             <div className="sales-summary-strip">
                 <div className="summary-stat">
                     <span className="summary-label">Sales</span>
-                    <span className="summary-value">{filteredGroups.length}</span>
+                    <span className="summary-value">{saleGroups.length}</span>
                 </div>
                 <div className="summary-stat">
                     <span className="summary-label">Revenue</span>
                     <span className="summary-value">{formatCurrency(totalRevenue)}</span>
                 </div>
-                <div className="summary-stat">
-                    <span className="summary-label">Cost</span>
-                    <span className="summary-value">{formatCurrency(totalCostSum)}</span>
+                {totalRefunds > 0 && (
+                    <div className="summary-stat">
+                        <span className="summary-label">Refunds</span>
+                        <span className="summary-value refund-value">-{formatCurrency(totalRefunds)}</span>
+                    </div>
+                )}
+                {showCosts && (
+                    <div className="summary-stat">
+                        <span className="summary-label">Cost</span>
+                        <span className="summary-value">{formatCurrency(totalCostSum)}</span>
+                    </div>
+                )}
+                {showCosts && (
+                    <div className="summary-stat">
+                        <span className="summary-label">Profit</span>
+                        <span className="summary-value profit-value">{formatCurrency(totalProfit)}</span>
+                    </div>
+                )}
+            </div>
+
+            {Object.keys(tenderTotals).length > 0 && (
+                <div className="sales-tender-strip">
+                    <span className="summary-label">Takings by tender</span>
+                    <div className="sales-tender-list">
+                        {Object.entries(tenderTotals).map(([method, amount]) => (
+                            <div key={method} className="sales-tender-item">
+                                <span>{getTenderLabel(method)}</span>
+                                <strong>{formatCurrency(amount)}</strong>
+                            </div>
+                        ))}
+                    </div>
                 </div>
-                <div className="summary-stat">
-                    <span className="summary-label">Profit</span>
-                    <span className="summary-value profit-value">{formatCurrency(totalProfit)}</span>
+            )}
+
+            {saleGroups.length > 0 && (
+                <div className="sales-tender-strip">
+                    <span className="summary-label">VAT for this period (VAT201)</span>
+                    <div className="sales-tender-list">
+                        <div className="sales-tender-item">
+                            <span>Standard-rated supplies (excl. VAT)</span>
+                            <strong>{formatCurrency(vatSummary.standardSupplies)}</strong>
+                        </div>
+                        <div className="sales-tender-item">
+                            <span>Output VAT</span>
+                            <strong>{formatCurrency(vatSummary.outputVat)}</strong>
+                        </div>
+                        <div className="sales-tender-item">
+                            <span>Zero-rated supplies</span>
+                            <strong>{formatCurrency(vatSummary.zeroRatedSupplies)}</strong>
+                        </div>
+                        <div className="sales-tender-item">
+                            <span>Exempt supplies</span>
+                            <strong>{formatCurrency(vatSummary.exemptSupplies)}</strong>
+                        </div>
+                    </div>
                 </div>
-            </div>
+            )}
+
+            {overrides.length > 0 && (
+                <div className="sales-tender-strip">
+                    <span className="summary-label">Approved overrides by cashier</span>
+                    <div className="sales-tender-list">
+                        {overrides.map(entry => (
+                            <div key={entry.cashier} className="sales-tender-item">
+                                <span>{entry.cashier}</span>
+                                <strong>
+                                    {entry.sales} sale{entry.sales !== 1 ? 's' : ''} · {formatCurrency(entry.discountGiven)} off
+                                </strong>
+                                <span className="sales-override-detail">
+                                    {Object.entries(entry.reasons).map(([reason, count]) => `${getApprovalReasonLabel(reason)} ×${count}`).join(', ')}
+                                </span>
+                                <span className="sales-override-detail">Approved by {entry.approvers.join(', ')}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
 
             <div className="table-responsive">
                 <table className="data-table">
@@ -203,19 +288,19 @@ export default function SalesView() {
                             <th>User</th>
                             <th>Items</th>
                             <th>Total Sale</th>
-                            <th>Total Cost</th>
-                            <th>Profit</th>
+                            {showCosts && <th>Total Cost</th>}
+                            {showCosts && <th>Profit</th>}
                         </tr>
                     </thead>
                     <tbody>
-                        {filteredGroups.length === 0 ? (
+                        {saleGroups.length === 0 ? (
                             <tr>
-                                <td colSpan="7" style={{ textAlign: 'center', padding: '2rem' }}>
-                                    {saleGroups.length === 0 ? 'No transactions recorded yet.' : 'No sales in this date range.'}
+                                <td colSpan={showCosts ? 7 : 5} style={{ textAlign: 'center', padding: '2rem' }}>
+                                    {isLoading ? 'Loading sales...' : 'No sales in this date range.'}
                                 </td>
                             </tr>
                         ) : (
-                            filteredGroups.map(group => {
+                            saleGroups.map(group => {
                                 const isExpanded = expandedIds.has(group.groupId);
                                 return (
                                     <Fragment key={group.groupId}>
@@ -236,16 +321,24 @@ export default function SalesView() {
                                                 <span className="badge badge-success">
                                                     {group.lines.length} item{group.lines.length !== 1 ? 's' : ''}
                                                 </span>
+                                                {group.returnLines.length > 0 && (
+                                                    <span className="badge badge-warning sale-returned-badge">Returned</span>
+                                                )}
+                                                {group.approval && (
+                                                    <span className="badge badge-warning sale-approved-badge">Approved</span>
+                                                )}
                                             </td>
                                             <td>{formatCurrency(group.totalSales)}</td>
-                                            <td>{formatCurrency(group.totalCost)}</td>
-                                            <td className={group.profit >= 0 ? 'profit-positive' : 'profit-negative'}>
-                                                {formatCurrency(group.profit)}
-                                            </td>
+                                            {showCosts && <td>{formatCurrency(group.totalCost)}</td>}
+                                            {showCosts && (
+                                                <td className={group.profit >= 0 ? 'profit-positive' : 'profit-negative'}>
+                                                    {formatCurrency(group.profit)}
+                                                </td>
+                                            )}
                                         </tr>
                                         {isExpanded && (
                                             <tr className="sale-detail-row">
-                                                <td colSpan="7">
+                                                <td colSpan={showCosts ? 7 : 5}>
                                                     <div className="sale-line-items">
                                                         <table className="sale-line-table">
                                                             <thead>
@@ -259,14 +352,56 @@ export default function SalesView() {
                                                             <tbody>
                                                                 {group.lines.map(line => (
                                                                     <tr key={line.id}>
-                                                                        <td>{line.itemName}</td>
+                                                                        <td>
+                                                                            {line.itemName}
+                                                                            {line.promotion && (
+                                                                                <span className="sale-line-promotion">
+                                                                                    {line.promotion.name} -{formatCurrency(line.promotion.discount)}
+                                                                                </span>
+                                                                            )}
+                                                                        </td>
                                                                         <td>{Math.abs(Number(line.quantity) || 0)}</td>
                                                                         <td>{line.salePrice ? formatCurrency(line.salePrice) : '-'}</td>
                                                                         <td>{line.totalSales ? formatCurrency(line.totalSales) : '-'}</td>
                                                                     </tr>
                                                                 ))}
+                                                                {group.returnLines.map(line => (
+                                                                    <tr key={line.id} className="sale-return-line">
+                                                                        <td>{line.itemName} (returned)</td>
+                                                                        <td>-{Number(line.quantity) || 0}</td>
+                                                                        <td>{line.salePrice ? formatCurrency(line.salePrice) : '-'}</td>
+                                                                        <td>-{formatCurrency(line.refundAmount)}</td>
+                                                                    </tr>
+                                                                ))}
                                                             </tbody>
                                                         </table>
+                                                        {group.saleId && (
+                                                            <div className="sale-detail-actions">
+                                                                <span className="sale-number">
+                                                                    Sale #{formatSaleNumber(group.saleId)}
+                                                                    {group.tenders && ` · Paid by ${group.tenders.map(t => `${getTenderLabel(t.method)} ${formatCurrency(t.amount)}`).join(', ')}`}
+                                                                    {group.approval && ` · Approved by ${group.approval.approvedBy || 'Unknown'} (${(group.approval.reasons || []).map(getApprovalReasonLabel).join(', ')})`}
+                                                                </span>
+                                                                <div className="sale-detail-buttons">
+                                                                    <button
+                                                                        className="btn btn-secondary"
+                                                                        onClick={() => openReceiptModal(buildReceipt(group.lines))}
+                                                                    >
+                                                                        <Receipt size={16} />
+                                                                        Reprint Receipt
+                                                                    </button>
+                                                                    {onNavigate && (
+                                                                        <button
+                                                                            className="btn btn-secondary"
+                                                                            onClick={() => onNavigate('returns', { saleId: group.saleId })}
+                                                                        >
+                                                                            <Undo2 size={16} />
+                                                                            Process Return
+                                                                        </button>
+                                                                    )}
+                                                                </div>
+                                                            </div>
+                                                        )}
                                                     </div>
                                                 </td>
                                             </tr>
@@ -333,12 +468,48 @@ export default function SalesView() {
                 .profit-value {
                     color: var(--accent-success);
                 }
+                .refund-value {
+                    color: var(--accent-danger);
+                }
                 .sales-summary-strip {
                     display: flex;
                     gap: 1rem;
                     margin-bottom: 1.5rem;
                     flex-wrap: wrap;
                 }
+                .sales-tender-strip {
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 12px 20px;
+                    margin-bottom: 1.5rem;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                }
+                .sales-tender-list {
+                    display: flex;
+                    gap: 1.5rem;
+                    flex-wrap: wrap;
+                }
+                .sales-tender-item {
+                    display: flex;
+                    flex-direction: column;
+                    font-size: 0.9rem;
+                    color: var(--text-secondary);
+                }
+                .sales-tender-item strong {
+                    font-size: 1.1rem;
+                    color: var(--text-primary);
+                }
+                .sales-override-detail {
+                    font-size: 0.8rem;
+                }
+                .sale-line-promotion {
+                    margin-left: 8px;
+                    font-size: 0.8rem;
+                    color: var(--accent-success);
+                }
                 .summary-stat {
                     background: var(--bg-card);
                     border-radius: 8px;
@@ -433,6 +604,33 @@ export default function SalesView() {
                     background-color: rgba(16, 185, 129, 0.2);
                     color: var(--accent-success);
                 }
+                .badge-warning {
+                    background-color: rgba(245, 158, 11, 0.2);
+                    color: var(--accent-warning);
+                }
+                .sale-returned-badge, .sale-approved-badge {
+                    margin-left: 6px;
+                }
+                .sale-return-line td {
+                    color: var(--accent-danger);
+                }
+                .sale-detail-actions {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 1rem;
+                    margin-top: 12px;
+                }
+                .sale-detail-buttons {
+                    display: flex;
+                    gap: 8px;
+                    flex-wrap: wrap;
+                }
+                .sale-number {
+                    font-size: 0.85rem;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                }
                 /* Compact mobile styles */
                 @media (max-width: 768px) {
                     .data-table th, .data-table td {
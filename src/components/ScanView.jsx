@@ -3,6 +3,7 @@ import { Html5Qrcode, Html5QrcodeSupportedFormats } from 'html5-qrcode';
 import { useInventory } from '../contexts/InventoryContext';
 import { useModal } from '../contexts/ModalContext';
 import { useToast } from '../contexts/ToastContext';
+import { findExactItem, searchItems } from '../utils/search';
 import { Camera, StopCircle } from 'lucide-react';
 import ItemCard from './ItemCard';
 
@@ -75,20 +76,16 @@ export default function ScanView() {
     const handleBarcode = (code) => {
         showToast(`Looking up: ${code} `, 'info');
 
-        // 1. Exact match
-        const exactMatch = items.find(item => item.barcode === code);
+        // 1. Exact barcode or stock number
+        const exactMatch = findExactItem(items, code);
         if (exactMatch) {
             setSearchResults([]);
             openDetailModal(exactMatch);
             return;
         }
 
-        // 2. Search match (description/stock number)
-        const searchTerm = code.toLowerCase();
-        const searchMatches = items.filter(item =>
-            item.description.toLowerCase().includes(searchTerm) ||
-            item.stockNumber.toLowerCase().includes(searchTerm)
-        );
+        // 2. Ranked search, best match first
+        const searchMatches = searchItems(items, code);
 
         if (searchMatches.length === 1) {
             setSearchResults([]);
@@ -1,9 +1,12 @@
 import { useState } from 'react';
 import { X, Trash2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 
 export default function SellModal({ item, isOpen, onClose, onConfirm }) {
     const [quantity, setQuantity] = useState(1);
     const [salePrice, setSalePrice] = useState(item.sellingPrice || 0);
+    const { can } = useAuth();
 
     if (!isOpen || !item) return null;
 
@@ -52,6 +55,7 @@ export default function SellModal({ item, isOpen, onClose, onConfirm }) {
                             step="0.01"
                             value={salePrice}
                             onChange={(e) => setSalePrice(e.target.value)}
+                            readOnly={!can(PERMISSIONS.OVERRIDE_PRICE)}
                         />
                     </div>
 
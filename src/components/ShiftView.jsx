@@ -0,0 +1,388 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useShift } from '../contexts/ShiftContext';
+import { useToast } from '../contexts/ToastContext';
+import { formatCurrency } from '../utils/format';
+import { getTenderLabel } from '../utils/payments';
+import { buildZReport } from '../utils/shifts';
+import { Clock, Printer, RefreshCw, ChevronDown, ChevronRight } from 'lucide-react';
+
+const formatDate = (dateString) => {
+    try {
+        return new Date(dateString).toLocaleString();
+    } catch {
+        return dateString;
+    }
+};
+
+// Printable summary of a shift. Used for the live X read, the Z report
+// shown at close, and reprints from the admin list.
+function ZReport({ shift, report, title }) {
+    const { showToast } = useToast();
+    const printRef = useRef(null);
+
+    const handlePrint = () => {
+        const printWindow = window.open('', '_blank', 'width=400,height=600');
+        if (!printWindow) {
+            showToast('Popup blocked! Please allow popups for this site.', 'error');
+            return;
+        }
+        printWindow.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${title}</title>
+                <style>
+                    @page { margin: 0; size: 80mm auto; }
+                    * { margin: 0; padding: 0; box-sizing: border-box; }
+                    body { display: flex; justify-content: center; background: white; }
+                </style>
+            </head>
+            <body>
+                ${printRef.current.outerHTML}
+                <script>
+                    setTimeout(() => {
+                        window.print();
+                        window.close();
+                    }, 300);
+                </script>
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+    };
+
+    const rowStyle = { display: 'flex', justifyContent: 'space-between', gap: '8px' };
+    const sectionStyle = { borderTop: '1px dashed black', marginTop: '6px', paddingTop: '4px' };
+
+    return (
+        <div className="zreport">
+            <div className="zreport-preview">
+                <div
+                    ref={printRef}
+                    style={{
+                        width: '272px',
+                        padding: '12px 8px',
+                        background: 'white',
+                        color: 'black',
+                        fontFamily: "'Courier New', monospace",
+                        fontSize: '12px',
+                        lineHeight: 1.4
+                    }}
+                >
+                    <div style={{ textAlign: 'center', fontWeight: 'bold', fontSize: '15px' }}>{title}</div>
+                    <div style={sectionStyle}>
+                        <div>Cashier: {shift.openedBy}</div>
+                        <div>Opened: {formatDate(shift.openedAt)}</div>
+                        {shift.closedAt && <div>Closed: {formatDate(shift.closedAt)}</div>}
+                    </div>
+                    <div style={sectionStyle}>
+                        <div style={rowStyle}><span>Sales</span><span>{report.salesCount}</span></div>
+                        <div style={rowStyle}><span>Gross</span><span>{formatCurrency(report.gross)}</span></div>
+                        <div style={rowStyle}><span>Discounts</span><span>-{formatCurrency(report.discounts)}</span></div>
+                        <div style={rowStyle}><span>Returns ({report.returnsCount})</span><span>-{formatCurrency(report.returns)}</span></div>
+                        <div style={{ ...rowStyle, fontWeight: 'bold' }}><span>Net Sales</span><span>{formatCurrency(report.netSales)}</span></div>
+                    </div>
+                    <div style={sectionStyle}>
+                        <div style={{ fontWeight: 'bold' }}>Tenders</div>
+                        {Object.entries(report.tenders).map(([method, amount]) => (
+                            <div key={method} style={rowStyle}><span>{getTenderLabel(method)}</span><span>{formatCurrency(amount)}</span></div>
+                        ))}
+                    </div>
+                    <div style={sectionStyle}>
+                        <div style={{ fontWeight: 'bold' }}>By Cashier</div>
+                        {Object.entries(report.byUser).map(([name, stats]) => (
+                            <div key={name} style={rowStyle}><span>{name} ({stats.salesCount})</span><span>{formatCurrency(stats.total)}</span></div>
+                        ))}
+                    </div>
+                    <div style={sectionStyle}>
+                        <div style={rowStyle}><span>Opening Float</span><span>{formatCurrency(report.openingFloat)}</span></div>
+                        <div style={rowStyle}><span>Expected Cash</span><span>{formatCurrency(report.expectedCash)}</span></div>
+                        {shift.closedAt && (
+                            <>
+                                <div style={rowStyle}><span>Counted Cash</span><span>{formatCurrency(report.countedCash)}</span></div>
+                                <div style={{ ...rowStyle, fontWeight: 'bold' }}>
+                                    <span>Variance</span>
+                                    <span>{report.variance > 0 ? '+' : ''}{formatCurrency(report.variance)}</span>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                    {shift.notes && <div style={sectionStyle}>Notes: {shift.notes}</div>}
+                </div>
+            </div>
+            <button className="btn btn-secondary" onClick={handlePrint}>
+                <Printer size={18} />
+                Print
+            </button>
+        </div>
+    );
+}
+
+export default function ShiftView() {
+    const { isAdmin } = useAuth();
+    const { currentShift, openShift, closeShift, loadShiftTransactions, loadShiftReports } = useShift();
+    const { showToast } = useToast();
+
+    const [openingFloat, setOpeningFloat] = useState('');
+    const [countedCash, setCountedCash] = useState('');
+    const [notes, setNotes] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [liveReport, setLiveReport] = useState(null);
+    const [closedShift, setClosedShift] = useState(null);
+    const [reports, setReports] = useState([]);
+    const [expandedId, setExpandedId] = useState(null);
+
+    const refreshLiveReport = useCallback(async () => {
+        if (!currentShift) return;
+        try {
+            const shiftTransactions = await loadShiftTransactions(currentShift.id);
+            setLiveReport(buildZReport(currentShift, shiftTransactions, 0));
+        } catch (err) {
+            console.error('Error loading shift activity:', err);
+            showToast('Failed to load shift activity', 'error');
+        }
+    }, [currentShift, loadShiftTransactions, showToast]);
+
+    useEffect(() => {
+        refreshLiveReport();
+    }, [refreshLiveReport]);
+
+    useEffect(() => {
+        if (isAdmin) loadShiftReports().then(setReports);
+    }, [isAdmin, loadShiftReports, closedShift]);
+
+    const handleOpen = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        try {
+            if (await openShift(openingFloat)) {
+                setOpeningFloat('');
+                setClosedShift(null);
+            }
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleClose = async (e) => {
+        e.preventDefault();
+        if (countedCash === '') {
+            showToast('Count the cash drawer first', 'warning');
+            return;
+        }
+        if (!window.confirm('Close this shift? You will not be able to add more sales to it.')) return;
+
+        setIsSubmitting(true);
+        try {
+            const closed = await closeShift(countedCash, notes.trim());
+            if (closed) {
+                setClosedShift(closed);
+                setCountedCash('');
+                setNotes('');
+                setLiveReport(null);
+            }
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <section className="view active shift-view">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <h2><Clock size={24} style={{ verticalAlign: 'middle', marginRight: '8px' }} />Shift</h2>
+            </div>
+
+            <div className="shift-grid">
+                {currentShift ? (
+                    <div className="card">
+                        <h3>Current Shift</h3>
+                        <p className="shift-meta">
+                            Opened {formatDate(currentShift.openedAt)} with a float of {formatCurrency(currentShift.openingFloat)}
+                        </p>
+
+                        {liveReport && (
+                            <>
+                                <ZReport shift={currentShift} report={liveReport} title="X Read (Shift so far)" />
+                                <button className="btn btn-secondary shift-refresh-btn" onClick={refreshLiveReport}>
+                                    <RefreshCw size={18} />
+                                    Refresh
+                                </button>
+                            </>
+                        )}
+
+                        <form onSubmit={handleClose} className="shift-form">
+                            <div className="form-group">
+                                <label htmlFor="counted-cash">Counted Cash in Drawer *</label>
+                                <input
+                                    type="number"
+                                    id="counted-cash"
+                                    min="0"
+                                    step="0.01"
+                                    placeholder="0.00"
+                                    value={countedCash}
+                                    onChange={(e) => setCountedCash(e.target.value)}
+                                    required
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="shift-notes">Notes</label>
+                                <textarea
+                                    id="shift-notes"
+                                    value={notes}
+                                    onChange={(e) => setNotes(e.target.value)}
+                                    placeholder="Explain any variance"
+                                />
+                            </div>
+                            <button type="submit" className="btn btn-danger" disabled={isSubmitting}>
+                                {isSubmitting ? 'Closing...' : 'Close Shift & Print Z Report'}
+                            </button>
+                        </form>
+                    </div>
+                ) : (
+                    <div className="card">
+                        <h3>Open Shift</h3>
+                        <form onSubmit={handleOpen} className="shift-form">
+                            <div className="form-group">
+                                <label htmlFor="opening-float">Opening Float *</label>
+                                <input
+                                    type="number"
+                                    id="opening-float"
+                                    min="0"
+                                    step="0.01"
+                                    placeholder="0.00"
+                                    value={openingFloat}
+                                    onChange={(e) => setOpeningFloat(e.target.value)}
+                                    required
+                                />
+                            </div>
+                            <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+                                {isSubmitting ? 'Opening...' : 'Open Shift'}
+                            </button>
+                        </form>
+
+                        {closedShift && (
+                            <ZReport shift={closedShift} report={closedShift.zReport} title="Z Report" />
+                        )}
+                    </div>
+                )}
+
+                {isAdmin && (
+                    <div className="card">
+                        <h3>Z Reports</h3>
+                        {reports.length === 0 ? (
+                            <p className="shift-meta">No closed shifts yet.</p>
+                        ) : (
+                            <ul className="shift-report-list">
+                                {reports.map(shift => {
+                                    const isExpanded = expandedId === shift.id;
+                                    const variance = shift.zReport?.variance || 0;
+                                    return (
+                                        <li key={shift.id}>
+                                            <button
+                                                className="shift-report-row"
+                                                onClick={() => setExpandedId(isExpanded ? null : shift.id)}
+                                            >
+                                                {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                                                <span className="shift-report-name">{shift.openedBy}</span>
+                                                <span className="shift-meta">{formatDate(shift.closedAt)}</span>
+                                                <span className={variance < 0 ? 'profit-negative' : 'profit-positive'}>
+                                                    {variance > 0 ? '+' : ''}{formatCurrency(variance)}
+                                                </span>
+                                            </button>
+                                            {isExpanded && shift.zReport && (
+                                                <ZReport shift={shift} report={shift.zReport} title="Z Report" />
+                                            )}
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            <style>{`
+                .shift-grid {
+                    display: grid;
+                    grid-template-columns: 1fr;
+                    gap: 1.5rem;
+                }
+                @media (min-width: 768px) {
+                    .mode-desktop .shift-grid {
+                        grid-template-columns: 1fr 1fr;
+                    }
+                }
+                .card {
+                    background: var(--bg-card);
+                    padding: 1.5rem;
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    color: var(--text-primary);
+                }
+                .card h3 {
+                    margin-top: 0;
+                    margin-bottom: 1rem;
+                    border-bottom: 1px solid var(--border-color);
+                    padding-bottom: 0.5rem;
+                }
+                .shift-meta {
+                    color: var(--text-secondary);
+                    font-size: 0.85rem;
+                }
+                .shift-form {
+                    margin-top: 1rem;
+                }
+                .shift-refresh-btn {
+                    margin-top: 8px;
+                }
+                .zreport {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    gap: 8px;
+                    margin: 1rem 0;
+                }
+                .zreport-preview {
+                    background: var(--bg-elevated);
+                    border-radius: 8px;
+                    padding: 1rem;
+                    overflow-x: auto;
+                    max-width: 100%;
+                }
+                .shift-report-list {
+                    list-style: none;
+                    padding: 0;
+                    margin: 0;
+                }
+                .shift-report-list li {
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .shift-report-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    width: 100%;
+                    padding: 10px 0;
+                    background: none;
+                    border: none;
+                    color: var(--text-primary);
+                    cursor: pointer;
+                    text-align: left;
+                }
+                .shift-report-name {
+                    font-weight: 600;
+                    flex: 1;
+                }
+                .profit-positive {
+                    color: var(--accent-success);
+                    font-weight: 600;
+                }
+                .profit-negative {
+                    color: var(--accent-danger);
+                    font-weight: 600;
+                }
+            `}</style>
+        </section>
+    );
+}
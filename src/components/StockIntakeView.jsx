@@ -1,18 +1,28 @@
 import { useEffect, useRef, useState } from 'react';
 import { Html5Qrcode, Html5QrcodeSupportedFormats } from 'html5-qrcode';
 import { useInventory } from '../contexts/InventoryContext';
+import { usePurchasing } from '../contexts/PurchasingContext';
 import { useToast } from '../contexts/ToastContext';
 import { formatCurrency } from '../utils/format';
-import { Plus, Minus, Trash2, PackagePlus, PackageCheck, Camera, StopCircle } from 'lucide-react';
+import { findExactItem, searchItems } from '../utils/search';
+import { UNASSIGNED_LOCATION, getLocationName } from '../utils/locations';
+import { OPEN_PO_STATUSES, costDiffers, formatPoNumber, getOutstanding, mergePoIntoCart } from '../utils/purchasing';
+import useResultNavigation from '../hooks/useResultNavigation';
+import { Plus, Minus, Trash2, PackagePlus, PackageCheck, Camera, StopCircle, MapPin, FileText, AlertTriangle } from 'lucide-react';
 import ItemCard from './ItemCard';
 
 // Minimum time between accepted scans of the same code, so holding an item
 // in front of the camera doesn't add it to the batch a dozen times over.
 const SCAN_COOLDOWN_MS = 1500;
+const MAX_SEARCH_RESULTS = 20;
 
 // Persist the in-progress intake batch across view switches (and page
 // reloads) so leaving the screen mid-delivery doesn't lose the count.
 const INTAKE_STORAGE_KEY = 'stock_intake_cart_state';
+// Where deliveries get put away, remembered between batches.
+const PUT_AWAY_STORAGE_KEY = 'stock_intake_location';
+// The purchase order the batch is being received against, if any.
+const PO_STORAGE_KEY = 'stock_intake_po';
 
 function loadPersistedCart() {
     try {
@@ -25,13 +35,26 @@ function loadPersistedCart() {
     }
 }
 
-export default function StockIntakeView({ isDesktop }) {
-    const { items, receiveStock } = useInventory();
+// purchaseOrderId: opened from a PO's Receive button - its outstanding lines
+// are added to the batch.
+export default function StockIntakeView({ isDesktop, purchaseOrderId }) {
+    const { items, locations, receiveStock } = useInventory();
+    const { purchaseOrders } = usePurchasing();
     const { showToast } = useToast();
 
+    const openOrders = purchaseOrders.filter(po => OPEN_PO_STATUSES.includes(po.status));
+
     const [code, setCode] = useState('');
     const [searchResults, setSearchResults] = useState([]);
-    const [cart, setCart] = useState(() => loadPersistedCart());
+    const [poId, setPoId] = useState(() => purchaseOrderId || localStorage.getItem(PO_STORAGE_KEY) || '');
+    const [cart, setCart] = useState(() => {
+        const persisted = loadPersistedCart();
+        const po = purchaseOrderId && openOrders.find(p => p.id === purchaseOrderId);
+        return po ? mergePoIntoCart(persisted, po, items) : persisted;
+    });
+    const [putAwayLocationId, setPutAwayLocationId] = useState(
+        () => localStorage.getItem(PUT_AWAY_STORAGE_KEY) || UNASSIGNED_LOCATION
+    );
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [isScanning, setIsScanning] = useState(false);
     const inputRef = useRef(null);
@@ -42,6 +65,46 @@ export default function StockIntakeView({ isDesktop }) {
         localStorage.setItem(INTAKE_STORAGE_KEY, JSON.stringify(cart));
     }, [cart]);
 
+    useEffect(() => {
+        localStorage.setItem(PUT_AWAY_STORAGE_KEY, putAwayLocationId);
+    }, [putAwayLocationId]);
+
+    useEffect(() => {
+        localStorage.setItem(PO_STORAGE_KEY, poId);
+    }, [poId]);
+
+    // Orders received in full (or cancelled) meanwhile drop out.
+    const activePo = openOrders.find(po => po.id === poId) || null;
+
+    const selectPurchaseOrder = (id) => {
+        setPoId(id);
+        const po = openOrders.find(p => p.id === id);
+        if (po) setCart(mergePoIntoCart(cart, po, items));
+    };
+
+    // What the PO says about a batch line: not on the order, a different
+    // cost, or more than is still outstanding.
+    const getPoFlags = (line) => {
+        if (!activePo) return [];
+        const poLine = activePo.lines.find(l => l.itemId === line.id);
+        if (!poLine) return [`Not on ${formatPoNumber(activePo.id)}`];
+        const flags = [];
+        if (costDiffers(line.costPrice, poLine.unitCost)) flags.push(`PO cost ${formatCurrency(poLine.unitCost)}`);
+        const outstanding = getOutstanding(poLine);
+        if (line.quantity > outstanding) flags.push(`Only ${outstanding} outstanding on the PO`);
+        return flags;
+    };
+
+    // A remembered location that has since been deleted falls back to unassigned.
+    const putAwayLocation = locations.find(l => l.id === putAwayLocationId) || null;
+    const activeLocationId = putAwayLocation ? putAwayLocation.id : UNASSIGNED_LOCATION;
+
+    // The item's current bin at the put-away location, suggested for each line.
+    const getExistingBin = (id) => {
+        if (!activeLocationId) return '';
+        return items.find(i => i.id === id)?.bins?.[activeLocationId] || '';
+    };
+
     useEffect(() => {
         if (isDesktop && inputRef.current) {
             const timer = setTimeout(() => {
@@ -71,7 +134,8 @@ export default function StockIntakeView({ isDesktop }) {
                 stockNumber: item.stockNumber,
                 currentStock: Number(item.quantity) || 0,
                 quantity: 1,
-                costPrice: Number(item.costPrice) || 0
+                costPrice: Number(item.costPrice) || 0,
+                bin: ''
             }]);
         }
 
@@ -81,21 +145,19 @@ export default function StockIntakeView({ isDesktop }) {
         refocusInput();
     };
 
+    const { activeIndex, handleKeyDown: handleResultKeyDown } = useResultNavigation(searchResults, addToCart);
+
     const handleLookup = (overrideCode) => {
         const trimmed = (overrideCode ?? code).trim();
         if (!trimmed) return;
 
-        const exactMatch = items.find(item => item.barcode === trimmed);
+        const exactMatch = findExactItem(items, trimmed);
         if (exactMatch) {
             addToCart(exactMatch);
             return;
         }
 
-        const searchTerm = trimmed.toLowerCase();
-        const searchMatches = items.filter(item =>
-            item.description.toLowerCase().includes(searchTerm) ||
-            item.stockNumber.toLowerCase().includes(searchTerm)
-        );
+        const searchMatches = searchItems(items, trimmed, { limit: MAX_SEARCH_RESULTS });
 
         if (searchMatches.length === 1) {
             addToCart(searchMatches[0]);
@@ -219,6 +281,10 @@ export default function StockIntakeView({ isDesktop }) {
         setCart(cart.map(line => line.id === id ? { ...line, costPrice: price } : line));
     };
 
+    const updateBin = (id, value) => {
+        setCart(cart.map(line => line.id === id ? { ...line, bin: value } : line));
+    };
+
     const removeLine = (id) => {
         setCart(cart.filter(line => line.id !== id));
     };
@@ -242,12 +308,15 @@ export default function StockIntakeView({ isDesktop }) {
                 id: line.id,
                 itemName: line.description,
                 quantity: line.quantity,
-                costPrice: line.costPrice
+                costPrice: line.costPrice,
+                locationId: activeLocationId,
+                bin: activeLocationId ? (line.bin || '').trim() : ''
             }));
 
-            const success = await receiveStock(cartItems);
+            const success = await receiveStock(cartItems, activePo ? { purchaseOrderId: activePo.id } : {});
             if (success) {
                 setCart([]);
+                setPoId('');
             }
             // On failure, receiveStock already shows its own error toast; leave batch untouched.
         } finally {
@@ -265,6 +334,38 @@ export default function StockIntakeView({ isDesktop }) {
                 <p className="intake-subtitle">Scan or search, say how many arrived, and add it all to stock in one go.</p>
             </div>
 
+            {openOrders.length > 0 && (
+                <div className="intake-location-row">
+                    <label htmlFor="intake-po">
+                        <FileText size={16} />
+                        Against order
+                    </label>
+                    <select id="intake-po" value={activePo?.id || ''} onChange={(e) => selectPurchaseOrder(e.target.value)}>
+                        <option value="">No purchase order</option>
+                        {openOrders.map(po => (
+                            <option key={po.id} value={po.id}>{formatPoNumber(po.id)} · {po.supplierName}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            <div className="intake-location-row">
+                <label htmlFor="intake-location">
+                    <MapPin size={16} />
+                    Put away at
+                </label>
+                <select
+                    id="intake-location"
+                    value={activeLocationId}
+                    onChange={(e) => setPutAwayLocationId(e.target.value)}
+                >
+                    <option value={UNASSIGNED_LOCATION}>Unassigned</option>
+                    {locations.map(l => (
+                        <option key={l.id} value={l.id}>{l.name}</option>
+                    ))}
+                </select>
+            </div>
+
             <div className="intake-camera-section">
                 <div
                     id="intake-scanner-viewport"
@@ -289,9 +390,12 @@ export default function StockIntakeView({ isDesktop }) {
                     value={code}
                     onChange={(e) => setCode(e.target.value)}
                     onKeyDown={(e) => {
+                        if (handleResultKeyDown(e)) return;
                         if (e.key === 'Enter') {
                             e.preventDefault();
                             handleLookup();
+                        } else if (e.key === 'Escape') {
+                            setSearchResults([]);
                         }
                     }}
                 />
@@ -303,9 +407,9 @@ export default function StockIntakeView({ isDesktop }) {
 
             {searchResults.length > 0 && (
                 <div className="intake-search-results">
-                    <p className="intake-search-hint">Multiple matches found. Select an item:</p>
-                    {searchResults.map(item => (
-                        <ItemCard key={item.id} item={item} onClick={addToCart} />
+                    <p className="intake-search-hint">Multiple matches found. Select an item (↑/↓ and Enter):</p>
+                    {searchResults.map((item, idx) => (
+                        <ItemCard key={item.id} item={item} onClick={addToCart} isActive={idx === activeIndex} />
                     ))}
                 </div>
             )}
@@ -397,8 +501,31 @@ export default function StockIntakeView({ isDesktop }) {
                                             className="intake-cost-input"
                                         />
                                     </div>
+
+                                    {activeLocationId && (
+                                        <div className="intake-cost-field">
+                                            <label htmlFor={`intake-bin-${line.id}`}>
+                                                Bin at {getLocationName(locations, activeLocationId)}
+                                            </label>
+                                            <input
+                                                type="text"
+                                                id={`intake-bin-${line.id}`}
+                                                value={line.bin || ''}
+                                                onChange={(e) => updateBin(line.id, e.target.value)}
+                                                placeholder={getExistingBin(line.id) || 'e.g. A-03'}
+                                                className="intake-cost-input"
+                                            />
+                                        </div>
+                                    )}
                                 </div>
 
+                                {getPoFlags(line).map(flag => (
+                                    <div key={flag} className="intake-po-flag">
+                                        <AlertTriangle size={14} />
+                                        {flag}
+                                    </div>
+                                ))}
+
                                 <div className="intake-card-total">
                                     New stock level: <strong>{Number(line.currentStock) + Number(line.quantity)}</strong>
                                     <span className="intake-line-cost">{formatCurrency(line.quantity * line.costPrice)}</span>
@@ -435,6 +562,32 @@ export default function StockIntakeView({ isDesktop }) {
                     color: var(--text-secondary);
                     font-size: 0.95rem;
                 }
+                .intake-location-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 1rem;
+                }
+                .intake-location-row label {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 6px;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                }
+                .intake-location-row select {
+                    flex: 1;
+                    max-width: 280px;
+                }
+                .intake-po-flag {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    font-size: 0.85rem;
+                    font-weight: 600;
+                    color: var(--accent-warning);
+                    margin-bottom: 0.5rem;
+                }
                 .intake-camera-section {
                     margin-bottom: 1rem;
                     text-align: center;
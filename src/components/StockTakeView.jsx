@@ -0,0 +1,814 @@
+import { useEffect, useRef, useState } from 'react';
+import { Html5Qrcode, Html5QrcodeSupportedFormats } from 'html5-qrcode';
+import { useInventory } from '../contexts/InventoryContext';
+import { useToast } from '../contexts/ToastContext';
+import { formatCurrency } from '../utils/format';
+import { findExactItem, searchItems } from '../utils/search';
+import {
+    STOCK_TAKE_SCOPES,
+    buildStockTakeSheet,
+    getSupplierOptions,
+    recordCount,
+    summarizeStockTake,
+    toSheetLine,
+    withLiveExpected
+} from '../utils/stockTake';
+import useResultNavigation from '../hooks/useResultNavigation';
+import { ArrowLeft, Camera, ChevronDown, ChevronRight, ClipboardCheck, Minus, Plus, RefreshCw, StopCircle } from 'lucide-react';
+import ItemCard from './ItemCard';
+
+// Same camera behaviour as Stock Intake: keep scanning, ignore repeats of
+// one code inside the cooldown.
+const SCAN_COOLDOWN_MS = 1500;
+const MAX_SEARCH_RESULTS = 20;
+
+// Records the scan and says whether it's a repeat of the last one.
+// lastScan: { code, time } kept between scans
+const isRepeatScan = (lastScan, code) => {
+    const now = Date.now();
+    const repeat = lastScan.code === code && (now - lastScan.time) < SCAN_COOLDOWN_MS;
+    if (!repeat) Object.assign(lastScan, { code, time: now });
+    return repeat;
+};
+
+// The count in progress, kept across view switches and reloads - a full
+// count can take a whole afternoon.
+const SESSION_STORAGE_KEY = 'stock_take_session';
+
+function loadPersistedSession() {
+    try {
+        const raw = localStorage.getItem(SESSION_STORAGE_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch {
+        return null;
+    }
+}
+
+const formatDate = (dateString) => {
+    try {
+        return new Date(dateString).toLocaleString();
+    } catch {
+        return dateString;
+    }
+};
+
+const formatVariance = (variance) => {
+    if (variance === null || variance === undefined) return '-';
+    return variance > 0 ? `+${variance}` : String(variance);
+};
+
+export default function StockTakeView({ isDesktop, onNavigate }) {
+    const { items, locations, postStockTake, fetchStockTakes } = useInventory();
+    const { showToast } = useToast();
+
+    const [session, setSession] = useState(() => loadPersistedSession());
+    const [scopeType, setScopeType] = useState('all');
+    const [scopeId, setScopeId] = useState('');
+    const [code, setCode] = useState('');
+    const [searchResults, setSearchResults] = useState([]);
+    const [isScanning, setIsScanning] = useState(false);
+    const [showVariancesOnly, setShowVariancesOnly] = useState(false);
+    const [uncountedAsZero, setUncountedAsZero] = useState(false);
+    const [isPosting, setIsPosting] = useState(false);
+    const [history, setHistory] = useState([]);
+    const [isLoadingHistory, setIsLoadingHistory] = useState(true);
+    const [expandedReportId, setExpandedReportId] = useState(null);
+    // Bumped to load the past reports again (after posting, or Refresh).
+    const [reloadKey, setReloadKey] = useState(0);
+    const inputRef = useRef(null);
+    const scannerRef = useRef(null);
+    const lastScanRef = useRef({ code: null, time: 0 });
+    // The camera keeps the callback it started with, so counting reads the
+    // latest sheet (and stock levels) from here rather than from a stale render.
+    const sessionRef = useRef(session);
+    const itemsRef = useRef(items);
+
+    useEffect(() => {
+        itemsRef.current = items;
+    }, [items]);
+
+    useEffect(() => {
+        sessionRef.current = session;
+        if (session) localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        else localStorage.removeItem(SESSION_STORAGE_KEY);
+    }, [session]);
+
+    useEffect(() => {
+        fetchStockTakes().then(reports => {
+            setIsLoadingHistory(false);
+            if (reports) setHistory(reports);
+        });
+    }, [fetchStockTakes, reloadKey]);
+
+    useEffect(() => {
+        if (session && isDesktop && inputRef.current) {
+            const timer = setTimeout(() => {
+                if (inputRef.current) inputRef.current.focus();
+            }, 100);
+            return () => clearTimeout(timer);
+        }
+    }, [isDesktop, session]);
+
+    const refocusInput = () => {
+        setTimeout(() => {
+            if (inputRef.current) inputRef.current.focus();
+        }, 0);
+    };
+
+    const suppliers = getSupplierOptions(items);
+    const scopeChoices = scopeType === 'location'
+        ? locations.map(l => ({ id: l.id, label: l.name }))
+        : suppliers.map(name => ({ id: name, label: name }));
+
+    const startCount = () => {
+        let scope = { type: 'all', id: null, label: 'All items' };
+        if (scopeType !== 'all') {
+            const choice = scopeChoices.find(c => c.id === scopeId);
+            if (!choice) {
+                showToast(`Choose a ${scopeType} to count`, 'warning');
+                return;
+            }
+            scope = { type: scopeType, id: choice.id, label: choice.label };
+        }
+
+        const lines = buildStockTakeSheet(items, scope);
+        if (lines.length === 0) {
+            showToast('Nothing to count in that selection', 'warning');
+            return;
+        }
+        setSession({ scope, startedAt: new Date().toISOString(), lines });
+        setShowVariancesOnly(false);
+        setUncountedAsZero(false);
+    };
+
+    const setLineCount = (id, counted) => {
+        const item = itemsRef.current.find(i => i.id === id);
+        setSession(prev => ({
+            ...prev,
+            lines: prev.lines.map(line => line.id === id ? recordCount(line, item, prev.scope, counted) : line)
+        }));
+    };
+
+    // One more of this item counted. Items that turn up outside the count
+    // sheet are added to it, expecting whatever the system thinks is there.
+    const countItem = (item) => {
+        if (!sessionRef.current.lines.some(l => l.id === item.id)) {
+            showToast(`${item.description} wasn't expected in this count - added`, 'info');
+        }
+        const liveItem = itemsRef.current.find(i => i.id === item.id) || item;
+        setSession(prev => {
+            const line = prev.lines.find(l => l.id === item.id);
+            if (!line) {
+                return { ...prev, lines: [...prev.lines, toSheetLine(liveItem, prev.scope, { counted: 1, unexpected: true })] };
+            }
+            const counted = Math.round(((line.counted || 0) + 1) * 100) / 100;
+            return { ...prev, lines: prev.lines.map(l => l.id === item.id ? recordCount(l, liveItem, prev.scope, counted) : l) };
+        });
+        setSearchResults([]);
+        setCode('');
+        refocusInput();
+    };
+
+    const { activeIndex, handleKeyDown: handleResultKeyDown } = useResultNavigation(searchResults, countItem);
+
+    const handleLookup = (overrideCode) => {
+        const trimmed = (overrideCode ?? code).trim();
+        if (!trimmed) return;
+
+        const exactMatch = findExactItem(items, trimmed);
+        if (exactMatch) {
+            countItem(exactMatch);
+            return;
+        }
+
+        const searchMatches = searchItems(items, trimmed, { limit: MAX_SEARCH_RESULTS });
+        if (searchMatches.length === 1) {
+            countItem(searchMatches[0]);
+        } else if (searchMatches.length > 1) {
+            setSearchResults(searchMatches);
+            showToast(`Found ${searchMatches.length} matches. Please select one.`, 'info');
+        } else {
+            setSearchResults([]);
+            showToast('Item not found', 'warning');
+            setCode('');
+            refocusInput();
+        }
+    };
+
+    const handleScanSuccess = (decodedText) => {
+        if (isRepeatScan(lastScanRef.current, decodedText)) return;
+        handleLookup(decodedText);
+    };
+
+    const startScanner = async () => {
+        try {
+            if (!window.isSecureContext) {
+                showToast('Camera requires a secure context (HTTPS or localhost)', 'error');
+                return;
+            }
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                showToast('Camera API not present. Are you on HTTPS?', 'error');
+                return;
+            }
+            if (!document.getElementById('stocktake-scanner-viewport')) {
+                showToast('Scanner display element missing', 'error');
+                return;
+            }
+
+            const scanner = new Html5Qrcode('stocktake-scanner-viewport');
+            scannerRef.current = scanner;
+
+            try {
+                await navigator.mediaDevices.getUserMedia({ video: true });
+            } catch (permErr) {
+                showToast(`Permission denied: ${permErr.message}`, 'error');
+                return;
+            }
+
+            const config = {
+                fps: 15,
+                qrbox: { width: 250, height: 250 },
+                aspectRatio: 1.0,
+                formatsToSupport: [Html5QrcodeSupportedFormats.QR_CODE]
+            };
+
+            await scanner.start(
+                { facingMode: 'environment' },
+                config,
+                handleScanSuccess,
+                () => {
+                    // minor per-frame scan misses, ignore
+                }
+            );
+
+            setIsScanning(true);
+            showToast('Scanner active - scan each item as you count it', 'success');
+        } catch (err) {
+            console.error('Scanner error:', err);
+            showToast(`Start failed: ${err.message || err}`, 'error');
+        }
+    };
+
+    const stopScanner = async () => {
+        if (scannerRef.current) {
+            try {
+                if (scannerRef.current.isScanning) {
+                    await scannerRef.current.stop();
+                }
+                scannerRef.current.clear();
+            } catch (err) {
+                console.error('Stop scanner error:', err);
+            }
+        }
+        setIsScanning(false);
+    };
+
+    // Stop the camera if the user navigates away mid-scan.
+    useEffect(() => {
+        return () => {
+            if (scannerRef.current && scannerRef.current.isScanning) {
+                scannerRef.current.stop().catch(console.error);
+            }
+        };
+    }, []);
+
+    const handleCountInput = (id, rawValue) => {
+        if (rawValue === '') {
+            setLineCount(id, null);
+            return;
+        }
+        const qty = parseFloat(rawValue);
+        setLineCount(id, isNaN(qty) || qty < 0 ? 0 : qty);
+    };
+
+    const adjustCount = (line, delta) => {
+        const next = Math.round(((line.counted || 0) + delta) * 100) / 100;
+        setLineCount(line.id, Math.max(0, next));
+    };
+
+    const handleCancel = async () => {
+        if (!window.confirm('Abandon this stock take? Counts entered so far will be lost.')) return;
+        await stopScanner();
+        setSession(null);
+    };
+
+    const refreshHistory = () => {
+        setIsLoadingHistory(true);
+        setReloadKey(prev => prev + 1);
+    };
+
+    // Uncounted lines posted as none on hand go from today's level, not the
+    // one the sheet started with.
+    const sheetLines = session && uncountedAsZero
+        ? session.lines.map(line => (line.counted === null
+            ? withLiveExpected(line, items.find(i => i.id === line.id), session.scope)
+            : line))
+        : session?.lines;
+    const summary = session ? summarizeStockTake(sheetLines, uncountedAsZero) : null;
+
+    const handleApprove = async () => {
+        if (summary.counted === 0) {
+            showToast('Count at least one item first', 'warning');
+            return;
+        }
+        const adjusting = summary.lines.filter(l => l.variance).length;
+        const notice = summary.uncounted > 0 && !uncountedAsZero
+            ? ` ${summary.uncounted} uncounted item${summary.uncounted !== 1 ? 's' : ''} will be left as they are.`
+            : '';
+        if (!window.confirm(`Post this stock take? ${adjusting} item${adjusting !== 1 ? 's' : ''} will be adjusted.${notice}`)) return;
+
+        setIsPosting(true);
+        const reportId = await postStockTake({
+            scope: session.scope,
+            startedAt: session.startedAt,
+            uncountedAsZero,
+            summary
+        });
+        setIsPosting(false);
+        if (reportId) {
+            await stopScanner();
+            setSession(null);
+            setExpandedReportId(reportId);
+            refreshHistory();
+        }
+    };
+
+    if (!session) {
+        return (
+            <section className="view active">
+                <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                    <button className="btn btn-secondary" onClick={() => onNavigate('inventory')}>
+                        <ArrowLeft size={18} />
+                        Inventory
+                    </button>
+                </div>
+
+                <div className="inventory-header">
+                    <h2><ClipboardCheck size={24} style={{ verticalAlign: 'middle', marginRight: '8px' }} />Stock Take</h2>
+                </div>
+
+                <div className="stocktake-setup">
+                    <p className="stocktake-hint">
+                        Pick what to count. Expected quantities are frozen when the count starts;
+                        anything sold meanwhile is still taken into account when the variances are posted.
+                    </p>
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="stocktake-scope">Count</label>
+                            <select
+                                id="stocktake-scope"
+                                value={scopeType}
+                                onChange={(e) => {
+                                    setScopeType(e.target.value);
+                                    setScopeId('');
+                                }}
+                            >
+                                {STOCK_TAKE_SCOPES.map(s => (
+                                    <option key={s.id} value={s.id}>{s.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {scopeType !== 'all' && (
+                            <div className="form-group">
+                                <label htmlFor="stocktake-scope-id">{scopeType === 'location' ? 'Location' : 'Supplier'}</label>
+                                <select id="stocktake-scope-id" value={scopeId} onChange={(e) => setScopeId(e.target.value)}>
+                                    <option value="">Choose...</option>
+                                    {scopeChoices.map(c => (
+                                        <option key={c.id} value={c.id}>{c.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                    </div>
+                    <button className="btn btn-primary" onClick={startCount}>
+                        <ClipboardCheck size={18} />
+                        Start Count
+                    </button>
+                </div>
+
+                <div className="stocktake-section-header">
+                    <h3>Past Stock Takes</h3>
+                    <button className="btn btn-secondary" onClick={refreshHistory} disabled={isLoadingHistory}>
+                        <RefreshCw size={18} />
+                        Refresh
+                    </button>
+                </div>
+                {isLoadingHistory ? (
+                    <div className="loading-state">Loading stock takes...</div>
+                ) : history.length === 0 ? (
+                    <div className="empty-state">
+                        <p className="empty-state-text">No stock takes posted yet.</p>
+                    </div>
+                ) : (
+                    <div className="stocktake-history">
+                        {history.map(report => {
+                            const isExpanded = expandedReportId === report.id;
+                            const varianceLines = (report.lines || []).filter(l => l.variance);
+                            return (
+                                <div key={report.id} className="stocktake-report">
+                                    <button
+                                        className="stocktake-report-toggle"
+                                        onClick={() => setExpandedReportId(isExpanded ? null : report.id)}
+                                    >
+                                        {isExpanded ? <ChevronDown size={18} /> : <ChevronRight size={18} />}
+                                        <span className="stocktake-report-title">{report.scopeLabel}</span>
+                                        <span className="stocktake-report-meta">
+                                            {formatDate(report.completedAt)} · {report.performedBy} · {varianceLines.length} variance{varianceLines.length !== 1 ? 's' : ''}
+                                        </span>
+                                        <span className={`stocktake-report-value ${report.varianceValue < 0 ? 'variance-short' : ''}`}>
+                                            {formatCurrency(report.varianceValue)}
+                                        </span>
+                                    </button>
+                                    {isExpanded && (
+                                        <div className="stocktake-report-body">
+                                            <p className="stocktake-hint">
+                                                {report.countedLines} counted, {report.uncountedLines} not counted
+                                                {report.uncountedLines > 0 && (report.uncountedAsZero ? ' (posted as zero)' : ' (left unchanged)')}
+                                                {' '}· {report.shortUnits} short, {report.overUnits} over · started {formatDate(report.startedAt)}
+                                            </p>
+                                            {varianceLines.length === 0 ? (
+                                                <p className="stocktake-hint">Everything matched.</p>
+                                            ) : (
+                                                <VarianceTable lines={varianceLines} />
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+
+                <StockTakeStyles />
+            </section>
+        );
+    }
+
+    const visibleLines = showVariancesOnly
+        ? summary.lines.filter(l => l.variance || l.counted === null)
+        : summary.lines;
+
+    return (
+        <section className="view active">
+            <div className="inventory-header">
+                <div>
+                    <h2><ClipboardCheck size={24} style={{ verticalAlign: 'middle', marginRight: '8px' }} />Stock Take: {session.scope.label}</h2>
+                    <p className="stocktake-hint">Started {formatDate(session.startedAt)}</p>
+                </div>
+            </div>
+
+            <div className="stocktake-camera">
+                <div
+                    id="stocktake-scanner-viewport"
+                    className="stocktake-scanner-viewport"
+                    style={{ display: isScanning ? 'block' : 'none' }}
+                ></div>
+                <button
+                    className={`btn ${isScanning ? 'btn-danger' : 'btn-secondary'}`}
+                    onClick={isScanning ? stopScanner : startScanner}
+                >
+                    {isScanning ? <StopCircle size={18} /> : <Camera size={18} />}
+                    {isScanning ? 'Stop Camera' : 'Scan with Camera'}
+                </button>
+            </div>
+
+            <div className="stocktake-scan-row">
+                <input
+                    ref={inputRef}
+                    type="text"
+                    placeholder="Scan barcode or enter stock number / description to count one"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (handleResultKeyDown(e)) return;
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            handleLookup();
+                        } else if (e.key === 'Escape') {
+                            setSearchResults([]);
+                        }
+                    }}
+                />
+                <button className="btn btn-primary" onClick={() => handleLookup()}>
+                    <Plus size={18} />
+                    Count
+                </button>
+            </div>
+
+            {searchResults.length > 0 && (
+                <div className="stocktake-search-results">
+                    <p className="stocktake-hint">Multiple matches found. Select an item (↑/↓ and Enter):</p>
+                    {searchResults.map((item, idx) => (
+                        <ItemCard key={item.id} item={item} onClick={countItem} isActive={idx === activeIndex} />
+                    ))}
+                </div>
+            )}
+
+            <div className="stocktake-summary">
+                <span><strong>{summary.counted}</strong> of {summary.lines.length} counted</span>
+                <span className="variance-short"><strong>{summary.shortUnits}</strong> short</span>
+                <span className="variance-over"><strong>{summary.overUnits}</strong> over</span>
+                <span>Variance <strong>{formatCurrency(summary.varianceValue)}</strong> at cost</span>
+                <label className="stocktake-toggle">
+                    <input
+                        type="checkbox"
+                        checked={showVariancesOnly}
+                        onChange={(e) => setShowVariancesOnly(e.target.checked)}
+                    />
+                    Only variances and uncounted
+                </label>
+            </div>
+
+            <div className="stocktake-table-wrapper">
+                <table className="stocktake-table">
+                    <thead>
+                        <tr>
+                            {session.scope.type === 'location' && <th>Bin</th>}
+                            <th>Stock #</th>
+                            <th>Item</th>
+                            <th>Expected</th>
+                            <th>Counted</th>
+                            <th>Variance</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visibleLines.map(line => (
+                            <tr key={line.id} className={line.variance ? (line.variance < 0 ? 'row-short' : 'row-over') : ''}>
+                                {session.scope.type === 'location' && <td>{line.bin || '-'}</td>}
+                                <td>{line.stockNumber}</td>
+                                <td>
+                                    {line.description}
+                                    {line.unexpected && <span className="badge badge-info stocktake-badge">Not expected</span>}
+                                </td>
+                                <td>{line.expected}</td>
+                                <td>
+                                    <div className="stocktake-count">
+                                        <button type="button" onClick={() => adjustCount(line, -1)} aria-label="Count one less">
+                                            <Minus size={14} />
+                                        </button>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="0.01"
+                                            value={session.lines.find(l => l.id === line.id).counted ?? ''}
+                                            placeholder="-"
+                                            onChange={(e) => handleCountInput(line.id, e.target.value)}
+                                        />
+                                        <button type="button" onClick={() => adjustCount(line, 1)} aria-label="Count one more">
+                                            <Plus size={14} />
+                                        </button>
+                                    </div>
+                                </td>
+                                <td>{formatVariance(line.variance)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="stocktake-footer">
+                <label className="stocktake-toggle">
+                    <input
+                        type="checkbox"
+                        checked={uncountedAsZero}
+                        onChange={(e) => setUncountedAsZero(e.target.checked)}
+                    />
+                    Treat uncounted items as none on hand ({summary.uncounted})
+                </label>
+                <div className="stocktake-footer-actions">
+                    <button className="btn btn-secondary" onClick={handleCancel} disabled={isPosting}>
+                        Abandon Count
+                    </button>
+                    <button className="btn btn-primary" onClick={handleApprove} disabled={isPosting}>
+                        <ClipboardCheck size={18} />
+                        {isPosting ? 'Posting...' : 'Approve & Post'}
+                    </button>
+                </div>
+            </div>
+
+            <StockTakeStyles />
+        </section>
+    );
+}
+
+function VarianceTable({ lines }) {
+    return (
+        <div className="stocktake-table-wrapper">
+            <table className="stocktake-table">
+                <thead>
+                    <tr>
+                        <th>Stock #</th>
+                        <th>Item</th>
+                        <th>Expected</th>
+                        <th>Counted</th>
+                        <th>Variance</th>
+                        <th>Value</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {lines.map(line => (
+                        <tr key={line.id} className={line.variance < 0 ? 'row-short' : 'row-over'}>
+                            <td>{line.stockNumber}</td>
+                            <td>{line.description}</td>
+                            <td>{line.expected}</td>
+                            <td>{line.counted}</td>
+                            <td>{formatVariance(line.variance)}</td>
+                            <td>{formatCurrency(line.variance * line.costPrice)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function StockTakeStyles() {
+    return (
+        <style>{`
+            .stocktake-hint {
+                color: var(--text-secondary);
+                font-size: 0.9rem;
+                margin: 4px 0 0.75rem;
+            }
+            .stocktake-setup {
+                background: var(--bg-card);
+                border-radius: 8px;
+                box-shadow: var(--shadow-sm);
+                padding: 1rem 1.25rem;
+                margin-bottom: 1.5rem;
+            }
+            .stocktake-camera {
+                margin-bottom: 1rem;
+                text-align: center;
+            }
+            .stocktake-scanner-viewport {
+                width: 100%;
+                max-width: 400px;
+                margin: 0 auto 1rem;
+                border-radius: 12px;
+                overflow: hidden;
+            }
+            .stocktake-scan-row {
+                display: flex;
+                gap: 8px;
+                margin-bottom: 1rem;
+            }
+            .stocktake-scan-row input {
+                flex: 1;
+                font-size: 1.05rem;
+                padding: 12px 14px;
+            }
+            .stocktake-search-results {
+                display: flex;
+                flex-direction: column;
+                gap: 16px;
+                margin-bottom: 1rem;
+            }
+            .stocktake-summary {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 1.25rem;
+                margin-bottom: 0.75rem;
+                color: var(--text-secondary);
+            }
+            .stocktake-summary strong {
+                color: var(--text-primary);
+            }
+            .variance-short, .variance-short strong {
+                color: var(--accent-danger);
+            }
+            .variance-over, .variance-over strong {
+                color: var(--accent-success);
+            }
+            .stocktake-toggle {
+                display: inline-flex;
+                align-items: center;
+                gap: 6px;
+                cursor: pointer;
+            }
+            .stocktake-table-wrapper {
+                overflow-x: auto;
+                background: var(--bg-card);
+                border-radius: 8px;
+                box-shadow: var(--shadow-sm);
+            }
+            .stocktake-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 0.9rem;
+                color: var(--text-primary);
+            }
+            .stocktake-table th, .stocktake-table td {
+                padding: 8px 12px;
+                text-align: left;
+                border-bottom: 1px solid var(--border-color);
+            }
+            .stocktake-table th {
+                color: var(--text-secondary);
+                font-weight: 600;
+            }
+            .stocktake-table .row-short td:last-child {
+                color: var(--accent-danger);
+                font-weight: 600;
+            }
+            .stocktake-table .row-over td:last-child {
+                color: var(--accent-success);
+                font-weight: 600;
+            }
+            .stocktake-badge {
+                margin-left: 6px;
+            }
+            .stocktake-count {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+            }
+            .stocktake-count button {
+                width: 28px;
+                height: 28px;
+                border-radius: 6px;
+                border: 1px solid var(--border-color);
+                background: var(--bg-elevated);
+                color: var(--text-primary);
+                cursor: pointer;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+            }
+            .stocktake-count input {
+                width: 64px;
+                text-align: center;
+                padding: 4px;
+            }
+            .stocktake-footer {
+                background: var(--bg-card);
+                border-radius: 8px;
+                box-shadow: var(--shadow-sm);
+                padding: 1rem 1.25rem;
+                margin-top: 1rem;
+                display: flex;
+                flex-wrap: wrap;
+                gap: 1rem;
+                justify-content: space-between;
+                align-items: center;
+                position: sticky;
+                bottom: 0;
+            }
+            .stocktake-footer-actions {
+                display: flex;
+                gap: 0.75rem;
+            }
+            .stocktake-section-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                margin-bottom: 0.75rem;
+            }
+            .stocktake-history {
+                display: flex;
+                flex-direction: column;
+                gap: 0.75rem;
+            }
+            .stocktake-report {
+                background: var(--bg-card);
+                border-radius: 8px;
+                box-shadow: var(--shadow-sm);
+                padding: 0.75rem 1rem;
+                color: var(--text-primary);
+            }
+            .stocktake-report-toggle {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                width: 100%;
+                background: none;
+                border: none;
+                color: inherit;
+                cursor: pointer;
+                text-align: left;
+                padding: 0;
+            }
+            .stocktake-report-title {
+                font-weight: 600;
+            }
+            .stocktake-report-meta {
+                flex: 1;
+                color: var(--text-secondary);
+                font-size: 0.85rem;
+            }
+            .stocktake-report-value {
+                font-weight: 700;
+            }
+            .stocktake-report-body {
+                margin-top: 0.75rem;
+            }
+            @media (max-width: 768px) {
+                .stocktake-scan-row, .stocktake-footer, .stocktake-footer-actions {
+                    flex-direction: column;
+                    align-items: stretch;
+                }
+            }
+        `}</style>
+    );
+}
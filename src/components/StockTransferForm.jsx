@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { UNASSIGNED_LOCATION, getStockAt } from '../utils/locations';
+
+// Move some of an item's stock from one location to another.
+export default function StockTransferForm({ item, onDone }) {
+    const { locations, transferStock } = useInventory();
+    const options = [{ id: UNASSIGNED_LOCATION, name: 'Unassigned' }, ...locations];
+
+    // Start from wherever most of the stock is.
+    const [fromId, setFromId] = useState(() =>
+        options.reduce((best, l) => (getStockAt(item, l.id) > getStockAt(item, best.id) ? l : best), options[0]).id);
+    const [toId, setToId] = useState(() => (options.find(l => l.id !== fromId) || options[0]).id);
+    const [quantity, setQuantity] = useState('');
+    const [bin, setBin] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const available = getStockAt(item, fromId);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const moved = await transferStock(item.id, fromId, toId, Number(quantity), bin);
+        setIsSaving(false);
+        if (moved) onDone();
+    };
+
+    return (
+        <form className="stock-transfer-form" onSubmit={handleSubmit}>
+            <div className="form-row">
+                <div className="form-group">
+                    <label htmlFor="transfer-from">From</label>
+                    <select id="transfer-from" value={fromId} onChange={(e) => setFromId(e.target.value)}>
+                        {options.map(l => (
+                            <option key={l.id || 'unassigned'} value={l.id}>{l.name} ({getStockAt(item, l.id)})</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="transfer-to">To</label>
+                    <select id="transfer-to" value={toId} onChange={(e) => setToId(e.target.value)}>
+                        {options.map(l => (
+                            <option key={l.id || 'unassigned'} value={l.id}>{l.name}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+            <div className="form-row">
+                <div className="form-group">
+                    <label htmlFor="transfer-qty">Quantity</label>
+                    <input
+                        type="number"
+                        id="transfer-qty"
+                        value={quantity}
+                        onChange={(e) => setQuantity(e.target.value)}
+                        min="0.01"
+                        step="0.01"
+                        max={available}
+                        required
+                        placeholder={`Up to ${available}`}
+                    />
+                </div>
+                <div className="form-group">
+                    <label htmlFor="transfer-bin">Bin at Destination</label>
+                    <input
+                        type="text"
+                        id="transfer-bin"
+                        value={bin}
+                        onChange={(e) => setBin(e.target.value)}
+                        disabled={toId === UNASSIGNED_LOCATION}
+                        placeholder={item.bins?.[toId] || 'e.g. A-03'}
+                    />
+                </div>
+            </div>
+            <div className="form-actions">
+                <button type="button" className="btn btn-secondary" onClick={onDone}>Cancel</button>
+                <button type="submit" className="btn btn-primary" disabled={isSaving || fromId === toId || available <= 0}>
+                    {isSaving ? 'Moving...' : 'Move Stock'}
+                </button>
+            </div>
+        </form>
+    );
+}
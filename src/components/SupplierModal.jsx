@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { X } from 'lucide-react';
+
+const EMPTY_SUPPLIER = {
+    name: '',
+    contactName: '',
+    phone: '',
+    email: '',
+    address: '',
+    accountNumber: '',
+    paymentTerms: '',
+    leadTimeDays: '',
+    notes: ''
+};
+
+// Add/edit form for a supplier. Mount it fresh for each supplier.
+export default function SupplierModal({ initialData, onClose, onSave }) {
+    const [formData, setFormData] = useState(() => ({
+        ...EMPTY_SUPPLIER,
+        ...initialData,
+        leadTimeDays: initialData?.leadTimeDays ?? ''
+    }));
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const saved = await onSave(formData);
+        setIsSaving(false);
+        if (saved) onClose();
+    };
+
+    return (
+        <div className="modal active">
+            <div className="modal-content">
+                <div className="modal-header">
+                    <h2>{initialData?.id ? 'Edit Supplier' : 'Add Supplier'}</h2>
+                    <button className="close-modal-btn" onClick={onClose}><X size={24} /></button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label htmlFor="supplier-name">Name *</label>
+                        <input
+                            type="text"
+                            id="supplier-name"
+                            name="name"
+                            value={formData.name}
+                            onChange={handleChange}
+                            required
+                            placeholder="As written on items, e.g. Midas"
+                        />
+                    </div>
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="contactName">Contact Person</label>
+                            <input
+                                type="text"
+                                id="contactName"
+                                name="contactName"
+                                value={formData.contactName}
+                                onChange={handleChange}
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="phone">Phone</label>
+                            <input
+                                type="tel"
+                                id="phone"
+                                name="phone"
+                                value={formData.phone}
+                                onChange={handleChange}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="email">Email</label>
+                        <input
+                            type="email"
+                            id="email"
+                            name="email"
+                            value={formData.email}
+                            onChange={handleChange}
+                            placeholder="orders@supplier.co.za"
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="address">Address</label>
+                        <textarea
+                            id="address"
+                            name="address"
+                            value={formData.address}
+                            onChange={handleChange}
+                        />
+                    </div>
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="accountNumber">Our Account #</label>
+                            <input
+                                type="text"
+                                id="accountNumber"
+                                name="accountNumber"
+                                value={formData.accountNumber}
+                                onChange={handleChange}
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="paymentTerms">Payment Terms</label>
+                            <input
+                                type="text"
+                                id="paymentTerms"
+                                name="paymentTerms"
+                                value={formData.paymentTerms}
+                                onChange={handleChange}
+                                placeholder="e.g., 30 days, COD"
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="leadTimeDays">Lead Time (days)</label>
+                            <input
+                                type="number"
+                                id="leadTimeDays"
+                                name="leadTimeDays"
+                                value={formData.leadTimeDays}
+                                onChange={handleChange}
+                                min="0"
+                            />
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="supplier-notes">Notes</label>
+                        <textarea
+                            id="supplier-notes"
+                            name="notes"
+                            value={formData.notes}
+                            onChange={handleChange}
+                        />
+                    </div>
+
+                    <div className="form-actions">
+                        <button type="button" className="btn btn-secondary cancel-btn" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                            {isSaving ? 'Saving...' : 'Save Supplier'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,150 @@
+import { useMemo, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { usePurchasing } from '../contexts/PurchasingContext';
+import { OPEN_PO_STATUSES } from '../utils/purchasing';
+import SupplierModal from './SupplierModal';
+import { ArrowLeft, Edit, Mail, Phone, Plus, Trash2, Truck } from 'lucide-react';
+
+export default function SuppliersView({ onNavigate }) {
+    const { items } = useInventory();
+    const { suppliers, purchaseOrders, addSupplier, updateSupplier, deleteSupplier } = usePurchasing();
+    // null: closed, {}: adding, a supplier: editing
+    const [editing, setEditing] = useState(null);
+
+    // Items carry the supplier's name as text, so match on that.
+    const itemCounts = useMemo(() => {
+        const counts = new Map();
+        items.forEach(item => {
+            const key = (item.supplier || '').trim().toLowerCase();
+            if (key) counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return counts;
+    }, [items]);
+
+    const openOrderCount = (supplierId) => purchaseOrders
+        .filter(po => po.supplierId === supplierId && OPEN_PO_STATUSES.includes(po.status)).length;
+
+    const handleSave = (data) => (data.id ? updateSupplier(data) : addSupplier(data).then(Boolean));
+
+    const handleDelete = async (supplier) => {
+        if (!window.confirm(`Delete ${supplier.name}? Items keep their supplier name.`)) return;
+        await deleteSupplier(supplier.id);
+    };
+
+    return (
+        <section className="view active">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <button className="btn btn-secondary" onClick={() => onNavigate('purchasing')}>
+                    <ArrowLeft size={18} />
+                    Purchase Orders
+                </button>
+            </div>
+
+            <div className="inventory-header">
+                <h2>Suppliers</h2>
+                <button className="btn btn-primary" onClick={() => setEditing({})}>
+                    <Plus size={18} />
+                    Add Supplier
+                </button>
+            </div>
+
+            {suppliers.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon"><Truck size={48} /></div>
+                    <p className="empty-state-text">No suppliers yet</p>
+                </div>
+            ) : (
+                <div className="supplier-list">
+                    {suppliers.map(supplier => {
+                        const openOrders = openOrderCount(supplier.id);
+                        return (
+                            <div key={supplier.id} className="supplier-card">
+                                <div className="supplier-card-header">
+                                    <div className="supplier-card-title">{supplier.name}</div>
+                                    <div className="supplier-card-actions">
+                                        <button className="btn btn-secondary" onClick={() => setEditing(supplier)} title="Edit">
+                                            <Edit size={16} />
+                                        </button>
+                                        <button className="btn btn-danger" onClick={() => handleDelete(supplier)} title="Delete">
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                </div>
+                                {supplier.contactName && <div className="supplier-card-line">{supplier.contactName}</div>}
+                                {supplier.phone && (
+                                    <div className="supplier-card-line"><Phone size={14} /> {supplier.phone}</div>
+                                )}
+                                {supplier.email && (
+                                    <div className="supplier-card-line">
+                                        <Mail size={14} /> <a href={`mailto:${supplier.email}`}>{supplier.email}</a>
+                                    </div>
+                                )}
+                                <div className="supplier-card-stats">
+                                    {[
+                                        supplier.paymentTerms && `Terms: ${supplier.paymentTerms}`,
+                                        supplier.leadTimeDays != null && `Lead time ${supplier.leadTimeDays} days`,
+                                        supplier.accountNumber && `Acc ${supplier.accountNumber}`
+                                    ].filter(Boolean).join(' · ')}
+                                </div>
+                                <div className="supplier-card-stats">
+                                    {itemCounts.get(supplier.name.toLowerCase()) || 0} items · {openOrders} open order{openOrders !== 1 ? 's' : ''}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {editing && (
+                <SupplierModal
+                    initialData={editing.id ? editing : null}
+                    onClose={() => setEditing(null)}
+                    onSave={handleSave}
+                />
+            )}
+
+            <style>{`
+                .supplier-list {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+                    gap: 1rem;
+                }
+                .supplier-card {
+                    background: var(--bg-card);
+                    border: 1px solid var(--border-color);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 1rem 1.25rem;
+                    color: var(--text-primary);
+                }
+                .supplier-card-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 0.5rem;
+                    margin-bottom: 0.5rem;
+                }
+                .supplier-card-title {
+                    font-weight: 700;
+                    font-size: 1.05rem;
+                }
+                .supplier-card-actions {
+                    display: flex;
+                    gap: 0.5rem;
+                }
+                .supplier-card-line {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    font-size: 0.9rem;
+                    margin-bottom: 2px;
+                }
+                .supplier-card-stats {
+                    font-size: 0.85rem;
+                    color: var(--text-secondary);
+                    margin-top: 6px;
+                }
+            `}</style>
+        </section>
+    );
+}
@@ -0,0 +1,254 @@
+import { useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { formatCurrency } from '../utils/format';
+import { formatSaleNumber } from '../utils/sales';
+import { RefreshCw, CloudOff, Cloud, AlertTriangle } from 'lucide-react';
+
+const formatDate = (dateString) => {
+    try {
+        return new Date(dateString).toLocaleString();
+    } catch {
+        return dateString;
+    }
+};
+
+export default function SyncView() {
+    const { isOnline, offlineQueue, replayOfflineQueue, resolveQueuedOperation } = useInventory();
+    const [busyId, setBusyId] = useState(null);
+    const [isSyncing, setIsSyncing] = useState(false);
+
+    const handleSyncNow = async () => {
+        setIsSyncing(true);
+        try {
+            await replayOfflineQueue();
+        } finally {
+            setIsSyncing(false);
+        }
+    };
+
+    const handleResolve = async (op, resolution) => {
+        if (resolution === 'discard' &&
+            !window.confirm('Discard this record? It will not be written to the stock history.')) return;
+        if (resolution === 'force' &&
+            !window.confirm('Record this anyway? Stock for the items below may go below zero.')) return;
+
+        setBusyId(op.id);
+        try {
+            await resolveQueuedOperation(op.id, resolution);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const pendingCount = offlineQueue.filter(op => op.status === 'pending').length;
+    const conflictCount = offlineQueue.length - pendingCount;
+
+    return (
+        <section className="view active sync-view">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <h2>Offline Sync</h2>
+                <button className="btn btn-secondary" onClick={handleSyncNow} disabled={!isOnline || isSyncing}>
+                    <RefreshCw size={18} />
+                    {isSyncing ? 'Syncing...' : 'Sync Now'}
+                </button>
+            </div>
+
+            <div className={`sync-status ${isOnline ? 'online' : 'offline'}`}>
+                {isOnline ? <Cloud size={20} /> : <CloudOff size={20} />}
+                <span>
+                    {isOnline ? 'Online' : 'Offline - sales and stock intakes are saved on this device'}
+                    {' · '}
+                    {pendingCount} waiting, {conflictCount} need attention
+                </span>
+            </div>
+
+            {offlineQueue.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon"><Cloud size={48} /></div>
+                    <p className="empty-state-text">Everything is synced.</p>
+                </div>
+            ) : (
+                <div className="sync-list">
+                    {offlineQueue.map(op => {
+                        const isConflict = op.status === 'conflict';
+                        const total = op.kind === 'sale'
+                            ? op.cartItems.reduce((sum, ci) => sum + ci.quantity * Number(ci.unitPrice), 0)
+                            : null;
+                        return (
+                            <div key={op.id} className={`sync-card ${isConflict ? 'sync-card-conflict' : ''}`}>
+                                <div className="sync-card-header">
+                                    <div>
+                                        <div className="sync-card-title">
+                                            {op.kind === 'sale' ? `Sale #${formatSaleNumber(op.id)}` : 'Stock Intake'}
+                                        </div>
+                                        <div className="sync-card-sub">
+                                            {formatDate(op.createdAt)} · {op.performedBy}
+                                            {total !== null && ` · ${formatCurrency(total)}`}
+                                        </div>
+                                    </div>
+                                    <span className={`badge ${isConflict ? 'badge-danger' : 'badge-warning'}`}>
+                                        {isConflict ? 'Conflict' : 'Waiting'}
+                                    </span>
+                                </div>
+
+                                {isConflict && (
+                                    <div className="sync-conflict-message">
+                                        <AlertTriangle size={16} />
+                                        <span>{op.error || 'Could not be recorded'}</span>
+                                    </div>
+                                )}
+
+                                <table className="sync-line-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Item</th>
+                                            <th>Qty</th>
+                                            {isConflict && <th>In Stock Now</th>}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {op.cartItems.map(ci => {
+                                            const conflict = (op.conflicts || []).find(c => c.itemId === ci.id);
+                                            return (
+                                                <tr key={ci.id} className={conflict ? 'sync-line-conflict' : ''}>
+                                                    <td>{ci.itemName}</td>
+                                                    <td>{ci.quantity}</td>
+                                                    {isConflict && (
+                                                        <td>{conflict ? (conflict.missing ? 'Deleted' : conflict.available) : 'OK'}</td>
+                                                    )}
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+
+                                {isConflict && (
+                                    <div className="sync-actions">
+                                        <button
+                                            className="btn btn-secondary"
+                                            onClick={() => handleResolve(op, 'retry')}
+                                            disabled={!isOnline || busyId === op.id}
+                                        >
+                                            Retry
+                                        </button>
+                                        <button
+                                            className="btn btn-primary"
+                                            onClick={() => handleResolve(op, 'force')}
+                                            disabled={!isOnline || busyId === op.id}
+                                        >
+                                            Record Anyway
+                                        </button>
+                                        <button
+                                            className="btn btn-danger"
+                                            onClick={() => handleResolve(op, 'discard')}
+                                            disabled={busyId === op.id}
+                                        >
+                                            Discard
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <style>{`
+                .sync-status {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    padding: 12px 16px;
+                    margin-bottom: 1.5rem;
+                    border-radius: 8px;
+                    color: var(--text-primary);
+                }
+                .sync-status.online {
+                    background-color: rgba(16, 185, 129, 0.15);
+                    border-left: 3px solid var(--accent-success);
+                }
+                .sync-status.offline {
+                    background-color: rgba(245, 158, 11, 0.15);
+                    border-left: 3px solid var(--accent-warning);
+                }
+                .sync-list {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 1rem;
+                }
+                .sync-card {
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 1rem 1.25rem;
+                    border-left: 3px solid var(--accent-warning);
+                    color: var(--text-primary);
+                }
+                .sync-card-conflict {
+                    border-left-color: var(--accent-danger);
+                }
+                .sync-card-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 1rem;
+                    margin-bottom: 0.75rem;
+                }
+                .sync-card-title {
+                    font-weight: 600;
+                }
+                .sync-card-sub {
+                    font-size: 0.85rem;
+                    color: var(--text-secondary);
+                }
+                .sync-conflict-message {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 0.75rem;
+                    color: var(--accent-danger);
+                    font-size: 0.9rem;
+                }
+                .sync-line-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                }
+                .sync-line-table th, .sync-line-table td {
+                    padding: 6px 8px;
+                    text-align: left;
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .sync-line-table th {
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .sync-line-conflict td {
+                    color: var(--accent-danger);
+                    font-weight: 600;
+                }
+                .sync-actions {
+                    display: flex;
+                    gap: 0.75rem;
+                    flex-wrap: wrap;
+                    margin-top: 1rem;
+                }
+                .badge {
+                    display: inline-block;
+                    padding: 2px 8px;
+                    border-radius: 4px;
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                }
+                .badge-warning {
+                    background-color: rgba(245, 158, 11, 0.2);
+                    color: var(--accent-warning);
+                }
+                .badge-danger {
+                    background-color: rgba(239, 68, 68, 0.2);
+                    color: var(--accent-danger);
+                }
+            `}</style>
+        </section>
+    );
+}
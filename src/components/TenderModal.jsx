@@ -0,0 +1,201 @@
+import { useState } from 'react';
+import { X, Plus, Trash2 } from 'lucide-react';
+import { formatCurrency } from '../utils/format';
+import { TENDER_TYPES, settleTenders } from '../utils/payments';
+
+export default function TenderModal({ total, isOpen, onClose, onConfirm, isProcessing }) {
+    const [tenders, setTenders] = useState([{ method: 'cash', amount: '' }]);
+
+    if (!isOpen) return null;
+
+    const { paid, remaining, changeDue, overpaidNonCash, applied } = settleTenders(tenders, total);
+    const canConfirm = remaining === 0 && overpaidNonCash === 0 && !isProcessing;
+
+    const updateTender = (idx, field, value) => {
+        setTenders(tenders.map((t, i) => i === idx ? { ...t, [field]: value } : t));
+    };
+
+    const addTender = () => {
+        // New rows default to whatever is still owed so a split is two clicks.
+        const used = TENDER_TYPES.find(type => !tenders.some(t => t.method === type.id));
+        setTenders([...tenders, { method: used ? used.id : 'card', amount: remaining || '' }]);
+    };
+
+    const removeTender = (idx) => {
+        setTenders(tenders.filter((_, i) => i !== idx));
+    };
+
+    // One-tap settle: put the whole outstanding amount on a single method.
+    const payRemaining = (method) => {
+        const existing = tenders.findIndex(t => t.method === method);
+        if (existing >= 0) {
+            const current = Number(tenders[existing].amount) || 0;
+            updateTender(existing, 'amount', Math.round((current + remaining) * 100) / 100);
+        } else {
+            setTenders([...tenders.filter(t => Number(t.amount) > 0), { method, amount: remaining }]);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!canConfirm) return;
+
+        const cashTendered = tenders
+            .filter(t => t.method === 'cash')
+            .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
+
+        onConfirm({ tenders: applied, cashTendered, changeDue });
+    };
+
+    return (
+        <div className="modal active">
+            <div className="modal-content modal-small">
+                <div className="modal-header">
+                    <h2>Payment</h2>
+                    <button className="close-modal-btn" onClick={onClose}>
+                        <X size={24} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="tender-total">
+                        <span>Amount Due</span>
+                        <strong>{formatCurrency(total)}</strong>
+                    </div>
+
+                    <div className="tender-quick">
+                        {TENDER_TYPES.map(type => (
+                            <button
+                                key={type.id}
+                                type="button"
+                                className="preset-btn"
+                                onClick={() => payRemaining(type.id)}
+                                disabled={remaining === 0}
+                            >
+                                {type.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {tenders.map((tender, idx) => (
+                        <div key={idx} className="tender-row">
+                            <select
+                                value={tender.method}
+                                onChange={(e) => updateTender(idx, 'method', e.target.value)}
+                            >
+                                {TENDER_TYPES.map(type => (
+                                    <option key={type.id} value={type.id}>{type.label}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                placeholder="0.00"
+                                value={tender.amount}
+                                onChange={(e) => updateTender(idx, 'amount', e.target.value)}
+                            />
+                            {tenders.length > 1 && (
+                                <button
+                                    type="button"
+                                    className="pos-remove-btn"
+                                    onClick={() => removeTender(idx)}
+                                    aria-label="Remove payment"
+                                >
+                                    <Trash2 size={18} />
+                                </button>
+                            )}
+                        </div>
+                    ))}
+
+                    <button type="button" className="btn btn-secondary tender-add-btn" onClick={addTender}>
+                        <Plus size={16} />
+                        Split Payment
+                    </button>
+
+                    <div className="tender-summary">
+                        <div className="pos-summary-row">
+                            <span>Paid</span>
+                            <span>{formatCurrency(paid)}</span>
+                        </div>
+                        <div className="pos-summary-row">
+                            <span>Remaining</span>
+                            <span>{formatCurrency(remaining)}</span>
+                        </div>
+                        <div className="pos-summary-row pos-summary-total">
+                            <span>Change Due</span>
+                            <span>{formatCurrency(changeDue)}</span>
+                        </div>
+                        {overpaidNonCash > 0 && (
+                            <p className="tender-error">
+                                Card, EFT and account payments can't exceed the amount due - only cash gives change.
+                            </p>
+                        )}
+                    </div>
+
+                    <div className="form-actions">
+                        <button type="button" className="btn btn-secondary cancel-btn" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={!canConfirm}>
+                            {isProcessing ? 'Processing...' : 'Complete Sale'}
+                        </button>
+                    </div>
+                </form>
+
+                <style>{`
+                    .tender-total {
+                        display: flex;
+                        justify-content: space-between;
+                        align-items: center;
+                        font-size: 1.2rem;
+                        margin-bottom: 1rem;
+                    }
+                    .tender-quick {
+                        display: flex;
+                        gap: 6px;
+                        flex-wrap: wrap;
+                        margin-bottom: 1rem;
+                    }
+                    .tender-row {
+                        display: flex;
+                        gap: 8px;
+                        align-items: center;
+                        margin-bottom: 8px;
+                    }
+                    .tender-row select {
+                        flex: 1;
+                    }
+                    .tender-row input {
+                        flex: 1;
+                    }
+                    .tender-add-btn {
+                        width: 100%;
+                        margin-bottom: 1rem;
+                    }
+                    .tender-summary {
+                        display: flex;
+                        flex-direction: column;
+                        gap: 4px;
+                    }
+                    .tender-error {
+                        color: var(--accent-danger);
+                        font-size: 0.85rem;
+                    }
+                    .preset-btn {
+                        padding: 6px 12px;
+                        border-radius: 6px;
+                        border: 1px solid var(--border-color);
+                        background: var(--bg-elevated);
+                        color: var(--text-secondary);
+                        font-size: 0.85rem;
+                        font-weight: 600;
+                        cursor: pointer;
+                    }
+                    .preset-btn:disabled {
+                        opacity: 0.5;
+                        cursor: not-allowed;
+                    }
+                `}</style>
+            </div>
+        </div>
+    );
+}
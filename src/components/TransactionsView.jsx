@@ -1,13 +1,102 @@
-import { useState } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useInventory } from '../contexts/InventoryContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 import { formatCurrency } from '../utils/format';
+import { downloadRows } from '../utils/spreadsheet';
+import { TRANSACTION_COLUMNS, toTransactionRows } from '../utils/exports';
+import { toDateInputValue } from '../utils/sales';
+import ExportMenu from './ExportMenu';
 import { RefreshCw } from 'lucide-react';
 
 const PAGE_SIZE = 20;
+// Left out of the export for roles that can't see costs.
+const COST_COLUMN_KEYS = ['costPrice', 'totalCost'];
+const TRANSACTION_TYPES = ['IN', 'OUT', 'RETURN', 'ADJUSTMENT', 'TRANSFER', 'COST', 'DELETE', 'RESTORE'];
+const EMPTY_FILTERS = { dateFrom: '', dateTo: '', type: '', itemId: '', performedBy: '' };
 
 export default function TransactionsView() {
-    const { transactions, loadTransactions } = useInventory();
-    const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+    const { items, transactions: recentTransactions, fetchTransactionPage, fetchAllTransactions } = useInventory();
+    const { can } = useAuth();
+    const showCosts = can(PERMISSIONS.VIEW_COSTS);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [transactions, setTransactions] = useState([]);
+    const [cursor, setCursor] = useState(null);
+    const [hasMore, setHasMore] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+    // Ignore pages that arrive after the filters have changed again.
+    const requestRef = useRef(0);
+
+    const queryFilters = useMemo(() => ({
+        dateFrom: filters.dateFrom,
+        dateTo: filters.dateTo,
+        types: filters.type ? [filters.type] : [],
+        itemId: filters.itemId,
+        performedBy: filters.performedBy.trim()
+    }), [filters]);
+
+    // Bumped by Refresh to re-run the first-page query with the same filters.
+    const [reloadKey, setReloadKey] = useState(0);
+
+    // First page whenever the filters change. Callers set isLoading first.
+    useEffect(() => {
+        const requestId = ++requestRef.current;
+        fetchTransactionPage(queryFilters, null, PAGE_SIZE).then(page => {
+            if (requestId !== requestRef.current) return;
+            setIsLoading(false);
+            if (!page) return;
+            setTransactions(page.transactions);
+            setCursor(page.cursor);
+            setHasMore(page.hasMore);
+        });
+    }, [fetchTransactionPage, queryFilters, reloadKey]);
+
+    const loadMore = async () => {
+        const requestId = ++requestRef.current;
+        setIsLoading(true);
+        const page = await fetchTransactionPage(queryFilters, cursor, PAGE_SIZE);
+        if (requestId !== requestRef.current) return;
+
+        setIsLoading(false);
+        if (!page) return;
+        setTransactions(prev => [...prev, ...page.transactions]);
+        setCursor(page.cursor);
+        setHasMore(page.hasMore);
+    };
+
+    const updateFilter = (name, value) => {
+        setIsLoading(true);
+        setFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    const clearFilters = () => {
+        setIsLoading(true);
+        setFilters(EMPTY_FILTERS);
+    };
+
+    const refresh = () => {
+        setIsLoading(true);
+        setReloadKey(prev => prev + 1);
+    };
+
+    // Everything matching the filters, not just the pages loaded so far.
+    const handleExport = async (format) => {
+        const all = await fetchAllTransactions(queryFilters);
+        if (!all) return;
+        const period = `${filters.dateFrom || 'start'}-to-${filters.dateTo || toDateInputValue(new Date())}`;
+        await downloadRows(toTransactionRows(all), showCosts ? TRANSACTION_COLUMNS : TRANSACTION_COLUMNS.filter(col => !COST_COLUMN_KEYS.includes(col.key)), format, `transactions-${period}`);
+    };
+
+    const sortedItems = useMemo(
+        () => [...items].sort((a, b) => (a.description || '').localeCompare(b.description || '')),
+        [items]
+    );
+    // Names to suggest in the user filter; it has to match performedBy exactly.
+    const knownUsers = useMemo(
+        () => [...new Set(recentTransactions.map(t => t.performedBy).filter(Boolean))].sort(),
+        [recentTransactions]
+    );
+    const hasFilters = Object.values(filters).some(Boolean);
 
     const formatDate = (dateString) => {
         try {
@@ -17,17 +106,83 @@ export default function TransactionsView() {
         }
     };
 
-    const visibleTransactions = transactions.slice(0, visibleCount);
-    const remaining = transactions.length - visibleTransactions.length;
-
     return (
         <section className="view active">
             <div className="view-header" style={{ marginBottom: '1.5rem' }}>
                 <h2>Transactions Log</h2>
-                <button className="btn btn-secondary" onClick={loadTransactions}>
-                    <RefreshCw size={18} />
-                    Refresh
-                </button>
+                <div className="view-actions">
+                    <button className="btn btn-secondary" onClick={refresh} disabled={isLoading}>
+                        <RefreshCw size={18} />
+                        Refresh
+                    </button>
+                    <ExportMenu onExport={handleExport} disabled={isLoading} />
+                </div>
+            </div>
+
+            <div className="txn-filter-bar">
+                <div className="txn-filter">
+                    <label htmlFor="txn-date-from">From</label>
+                    <input
+                        type="date"
+                        id="txn-date-from"
+                        value={filters.dateFrom}
+                        onChange={(e) => updateFilter('dateFrom', e.target.value)}
+                    />
+                </div>
+                <div className="txn-filter">
+                    <label htmlFor="txn-date-to">To</label>
+                    <input
+                        type="date"
+                        id="txn-date-to"
+                        value={filters.dateTo}
+                        onChange={(e) => updateFilter('dateTo', e.target.value)}
+                    />
+                </div>
+                <div className="txn-filter">
+                    <label htmlFor="txn-type">Type</label>
+                    <select
+                        id="txn-type"
+                        value={filters.type}
+                        onChange={(e) => updateFilter('type', e.target.value)}
+                    >
+                        <option value="">All types</option>
+                        {TRANSACTION_TYPES.map(type => (
+                            <option key={type} value={type}>{type}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="txn-filter">
+                    <label htmlFor="txn-item">Item</label>
+                    <select
+                        id="txn-item"
+                        value={filters.itemId}
+                        onChange={(e) => updateFilter('itemId', e.target.value)}
+                    >
+                        <option value="">All items</option>
+                        {sortedItems.map(item => (
+                            <option key={item.id} value={item.id}>{item.description} ({item.stockNumber})</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="txn-filter">
+                    <label htmlFor="txn-user">User</label>
+                    <input
+                        type="text"
+                        id="txn-user"
+                        list="txn-user-options"
+                        placeholder="Any user"
+                        value={filters.performedBy}
+                        onChange={(e) => updateFilter('performedBy', e.target.value)}
+                    />
+                    <datalist id="txn-user-options">
+                        {knownUsers.map(name => <option key={name} value={name} />)}
+                    </datalist>
+                </div>
+                {hasFilters && (
+                    <button className="btn btn-secondary txn-clear-btn" onClick={clearFilters}>
+                        Clear Filters
+                    </button>
+                )}
             </div>
 
             <div className="table-responsive">
@@ -39,9 +194,9 @@ export default function TransactionsView() {
                             <th>Type</th>
                             <th>Item</th>
                             <th>Quantity</th>
-                            <th>Cost Price</th>
+                            {showCosts && <th>Cost Price</th>}
                             <th>Sale Price</th>
-                            <th>Total Cost</th>
+                            {showCosts && <th>Total Cost</th>}
                             <th>Total Sales</th>
                             <th>Reason</th>
                         </tr>
@@ -49,13 +204,15 @@ export default function TransactionsView() {
                     <tbody>
                         {transactions.length === 0 ? (
                             <tr>
-                                <td colSpan="10" style={{ textAlign: 'center', padding: '2rem' }}>
-                                    No transactions recorded yet.
+                                <td colSpan={showCosts ? 10 : 8} style={{ textAlign: 'center', padding: '2rem' }}>
+                                    {isLoading
+                                        ? 'Loading transactions...'
+                                        : hasFilters ? 'No transactions match these filters.' : 'No transactions recorded yet.'}
                                 </td>
                             </tr>
                         ) : (
-                            visibleTransactions.map(t => (
-                                <tr key={t.id} className={(t.type === 'OUT' || t.type === 'DELETE') ? 'row-out' : 'row-in'}>
+                            transactions.map(t => (
+                                <tr key={t.id} className={(t.type === 'TRANSFER' || t.type === 'COST') ? 'row-move' : (t.type === 'OUT' || t.type === 'DELETE') ? 'row-out' : 'row-in'}>
                                     <td>{formatDate(t.timestamp)}</td>
                                     <td>
                                         <div style={{ display: 'flex', flexDirection: 'column', fontSize: '0.85rem' }}>
@@ -63,19 +220,22 @@ export default function TransactionsView() {
                                         </div>
                                     </td>
                                     <td>
-                                        <span className={`badge ${(t.type === 'OUT' || t.type === 'DELETE') ? 'badge-danger' : 'badge-success'}`}>
+                                        <span className={`badge ${(t.type === 'TRANSFER' || t.type === 'COST') ? 'badge-info' : (t.type === 'OUT' || t.type === 'DELETE') ? 'badge-danger' : 'badge-success'}`}>
                                             {t.type}
                                         </span>
                                     </td>
                                     <td>{t.itemName}</td>
                                     <td>
-                                        {(t.type === 'OUT' || t.type === 'DELETE')
-                                            ? (t.quantity > 0 ? -t.quantity : t.quantity)
-                                            : (t.quantity > 0 ? `+${t.quantity}` : t.quantity)}
+                                        {/* Transfers move stock without changing the total; cost edits don't move any. */}
+                                        {(t.type === 'TRANSFER' || t.type === 'COST')
+                                            ? t.quantity
+                                            : (t.type === 'OUT' || t.type === 'DELETE')
+                                                ? (t.quantity > 0 ? -t.quantity : t.quantity)
+                                                : (t.quantity > 0 ? `+${t.quantity}` : t.quantity)}
                                     </td>
-                                    <td>{formatCurrency(t.costPrice)}</td>
+                                    {showCosts && <td>{formatCurrency(t.costPrice)}</td>}
                                     <td>{t.salePrice ? formatCurrency(t.salePrice) : '-'}</td>
-                                    <td>{formatCurrency(t.totalCost)}</td>
+                                    {showCosts && <td>{formatCurrency(t.totalCost)}</td>}
                                     <td>{t.totalSales ? formatCurrency(t.totalSales) : '-'}</td>
                                     <td>{t.reason || '-'}</td>
                                 </tr>
@@ -85,18 +245,40 @@ export default function TransactionsView() {
                 </table>
             </div>
 
-            {remaining > 0 && (
+            {hasMore && (
                 <div style={{ textAlign: 'center', marginTop: '1.5rem' }}>
                     <button
                         className="btn btn-secondary"
-                        onClick={() => setVisibleCount(prev => prev + PAGE_SIZE)}
+                        onClick={loadMore}
+                        disabled={isLoading}
                     >
-                        Load More ({remaining} remaining)
+                        {isLoading ? 'Loading...' : 'Load More'}
                     </button>
                 </div>
             )}
 
             <style>{`
+                .txn-filter-bar {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: flex-end;
+                    gap: 1rem;
+                    margin-bottom: 1.5rem;
+                }
+                .txn-filter {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 4px;
+                    min-width: 150px;
+                }
+                .txn-filter label {
+                    font-size: 0.8rem;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                }
+                .txn-filter input, .txn-filter select {
+                    padding: 8px;
+                }
                 .table-responsive {
                     overflow-x: auto;
                     background: var(--bg-card);
@@ -125,6 +307,9 @@ export default function TransactionsView() {
                 .row-in {
                     background-color: rgba(16, 185, 129, 0.05);
                 }
+                .row-move {
+                    background-color: rgba(59, 130, 246, 0.05);
+                }
                 .badge {
                     padding: 4px 8px;
                     border-radius: 4px;
@@ -139,6 +324,10 @@ export default function TransactionsView() {
                     background-color: rgba(239, 68, 68, 0.2);
                     color: var(--accent-danger);
                 }
+                .badge-info {
+                    background-color: rgba(59, 130, 246, 0.2);
+                    color: var(--accent-primary);
+                }
                 /* Compact mobile styles */
                 @media (max-width: 768px) {
                     .data-table th, .data-table td {
@@ -3,10 +3,11 @@ import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
 import { db } from '../utils/firebase';
 import { collection, query, getDocs, orderBy } from 'firebase/firestore';
-import { UserPlus, Trash2, Shield, User, Lock, Unlock } from 'lucide-react';
+import { DEFAULT_ROLE, ROLES, getRole } from '../utils/permissions';
+import { UserPlus, Trash2, Shield, ShieldCheck, User, Lock, Unlock } from 'lucide-react';
 
 export default function UserManagementView() {
-    const { createNewUser, user, toggleUserStatus } = useAuth();
+    const { createNewUser, user, toggleUserStatus, updateUserRole, approvalSettings, updateApprovalSettings } = useAuth();
     const { showToast } = useToast();
 
     const [users, setUsers] = useState([]);
@@ -16,9 +17,17 @@ export default function UserManagementView() {
     const [newUserEmail, setNewUserEmail] = useState('');
     const [newUserPassword, setNewUserPassword] = useState('');
     const [newName, setNewName] = useState('');
-    const [newRole, setNewRole] = useState('user');
+    const [newRole, setNewRole] = useState(DEFAULT_ROLE);
     const [isCreating, setIsCreating] = useState(false);
 
+    // Checkout approval thresholds, kept in step with what's saved
+    const [approvalForm, setApprovalForm] = useState(approvalSettings);
+    const [isSavingApprovals, setIsSavingApprovals] = useState(false);
+
+    useEffect(() => {
+        setApprovalForm(approvalSettings);
+    }, [approvalSettings]);
+
     const loadUsers = async () => {
         setLoading(true);
         try {
@@ -65,7 +74,7 @@ export default function UserManagementView() {
             setNewUserEmail('');
             setNewUserPassword('');
             setNewName('');
-            setNewRole('user');
+            setNewRole(DEFAULT_ROLE);
 
             // Refresh list
             loadUsers();
@@ -90,6 +99,31 @@ export default function UserManagementView() {
         }
     };
 
+    const handleRoleChange = async (target, role) => {
+        if (!window.confirm(`Make ${target.name || target.email} a ${getRole(role).label}?`)) return;
+
+        try {
+            await updateUserRole(target.id, role);
+            showToast("Role updated", "success");
+            loadUsers();
+        } catch {
+            showToast("Failed to update role", "error");
+        }
+    };
+
+    const handleSaveApprovals = async (e) => {
+        e.preventDefault();
+        setIsSavingApprovals(true);
+        try {
+            await updateApprovalSettings(approvalForm);
+            showToast("Approval settings saved", "success");
+        } catch {
+            showToast("Failed to save approval settings", "error");
+        } finally {
+            setIsSavingApprovals(false);
+        }
+    };
+
     return (
         <section className="view active">
             <div className="view-header">
@@ -134,8 +168,7 @@ export default function UserManagementView() {
                         <div className="form-group">
                             <label>Role</label>
                             <select value={newRole} onChange={e => setNewRole(e.target.value)}>
-                                <option value="user">Staff (User)</option>
-                                <option value="admin">Administrator</option>
+                                {ROLES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
                             </select>
                         </div>
                         <button type="submit" className="btn btn-primary" disabled={isCreating}>
@@ -144,6 +177,51 @@ export default function UserManagementView() {
                     </form>
                 </div>
 
+                {/* Checkout Approvals */}
+                <div className="card approval-settings-card">
+                    <h3><ShieldCheck size={20} style={{ marginRight: '8px' }} /> Checkout Approvals</h3>
+                    <p className="approval-settings-hint">
+                        Sales past these limits need a manager to approve them at the till.
+                    </p>
+                    <form onSubmit={handleSaveApprovals} className="create-user-form">
+                        <div className="form-group">
+                            <label>Max discount without approval (%)</label>
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                step="0.5"
+                                value={approvalForm.maxDiscountPercent}
+                                onChange={e => setApprovalForm(prev => ({ ...prev, maxDiscountPercent: e.target.value }))}
+                                required
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Max price reduction without approval (%)</label>
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                step="0.5"
+                                value={approvalForm.maxPriceReductionPercent}
+                                onChange={e => setApprovalForm(prev => ({ ...prev, maxPriceReductionPercent: e.target.value }))}
+                                required
+                            />
+                        </div>
+                        <label className="approval-settings-toggle">
+                            <input
+                                type="checkbox"
+                                checked={approvalForm.approveBelowCost}
+                                onChange={e => setApprovalForm(prev => ({ ...prev, approveBelowCost: e.target.checked }))}
+                            />
+                            Selling below cost always needs approval
+                        </label>
+                        <button type="submit" className="btn btn-primary" disabled={isSavingApprovals}>
+                            {isSavingApprovals ? 'Saving...' : 'Save Approval Settings'}
+                        </button>
+                    </form>
+                </div>
+
                 {/* User List */}
                 <div className="card user-list-card">
                     <h3>Existing Users</h3>
@@ -156,15 +234,25 @@ export default function UserManagementView() {
                                     <div className="user-info">
                                         <span className="user-name">{u.name || 'Unnamed'}</span>
                                         <span className="user-email">{u.email}</span>
-                                        <span className={`user-role ${u.role === 'admin' ? 'role-admin' : 'role-user'}`}>
-                                            {u.role === 'admin' ? <Shield size={12} /> : <User size={12} />}
-                                            {u.role ? u.role.toUpperCase() : 'USER'}
+                                        <span className={`user-role ${getRole(u.role).id === 'admin' ? 'role-admin' : 'role-user'}`}>
+                                            {getRole(u.role).id === 'admin' ? <Shield size={12} /> : <User size={12} />}
+                                            {getRole(u.role).label.toUpperCase()}
                                         </span>
                                         {u.disabled && <span className="status-badge status-disabled">DISABLED</span>}
                                     </div>
 
                                     {/* Action Buttons */}
                                     <div className="user-actions">
+                                        {u.id !== user.uid && (
+                                            <select
+                                                className="user-role-select"
+                                                value={getRole(u.role).id}
+                                                onChange={e => handleRoleChange(u, e.target.value)}
+                                                title="Change role"
+                                            >
+                                                {ROLES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                                            </select>
+                                        )}
                                         {u.id !== user.uid && (
                                             <button
                                                 className={`action-btn ${u.disabled ? 'btn-enable' : 'btn-disable'}`}
@@ -184,6 +272,18 @@ export default function UserManagementView() {
             </div>
 
             <style>{`
+                .approval-settings-hint {
+                    color: var(--text-secondary);
+                    font-size: 0.9rem;
+                    margin: 0 0 1rem;
+                }
+                .approval-settings-toggle {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    color: var(--text-primary);
+                    font-size: 0.9rem;
+                }
                 .user-management-container {
                     display: grid;
                     grid-template-columns: 1fr;
@@ -271,8 +371,13 @@ export default function UserManagementView() {
                 }
                 .user-actions {
                     display: flex;
+                    align-items: center;
                     gap: 0.5rem;
                 }
+                .user-role-select {
+                    padding: 4px 8px;
+                    font-size: 0.85rem;
+                }
                 .action-btn {
                     background: none;
                     border: none;
@@ -0,0 +1,322 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { useVehicles } from '../contexts/VehicleContext';
+import { useModal } from '../contexts/ModalContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatCurrency } from '../utils/format';
+import { formatVehicleName, summarizeVehicle } from '../utils/vehicles';
+import { fitmentFromVehicle } from '../utils/fitment';
+import ItemCard from './ItemCard';
+import VehicleModal from './VehicleModal';
+import { ArrowLeft, Edit, Plus, Trash2, RefreshCw } from 'lucide-react';
+
+const formatDate = (dateString) => {
+    try {
+        return new Date(dateString).toLocaleString();
+    } catch {
+        return dateString;
+    }
+};
+
+export default function VehicleDetailView({ vehicleId, onNavigate }) {
+    const { items } = useInventory();
+    const { vehicles, updateVehicle, deleteVehicle, loadVehicleSales } = useVehicles();
+    const { openDetailModal, openItemModal } = useModal();
+    const { can } = useAuth();
+    const showCosts = can(PERMISSIONS.VIEW_COSTS);
+    const canEdit = can(PERMISSIONS.EDIT_ITEMS);
+    const [salesLines, setSalesLines] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isEditing, setIsEditing] = useState(false);
+    // Bumped by Refresh to load the vehicle's sales again.
+    const [reloadKey, setReloadKey] = useState(0);
+    // Ignore results that arrive after switching to another vehicle.
+    const requestRef = useRef(0);
+
+    const vehicle = vehicles.find(v => v.id === vehicleId) || null;
+
+    useEffect(() => {
+        if (!vehicleId) return;
+        const requestId = ++requestRef.current;
+        loadVehicleSales(vehicleId).then(lines => {
+            if (requestId !== requestRef.current) return;
+            setIsLoading(false);
+            if (lines) setSalesLines(lines.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || '')));
+        });
+    }, [loadVehicleSales, vehicleId, reloadKey]);
+
+    const parts = useMemo(
+        () => items
+            .filter(item => item.vehicleId === vehicleId)
+            .sort((a, b) => (a.description || '').localeCompare(b.description || '')),
+        [items, vehicleId]
+    );
+
+    if (!vehicle) {
+        return (
+            <section className="view active">
+                <div className="empty-state">
+                    <p className="empty-state-text">Vehicle not found.</p>
+                    <button className="btn btn-secondary" onClick={() => onNavigate('vehicles')}>
+                        <ArrowLeft size={18} />
+                        Back to Vehicles
+                    </button>
+                </div>
+            </section>
+        );
+    }
+
+    const summary = summarizeVehicle(vehicle, parts, salesLines);
+    const remainingParts = parts.filter(p => (Number(p.quantity) || 0) > 0);
+    const soldOutParts = parts.length - remainingParts.length;
+
+    const refresh = () => {
+        setIsLoading(true);
+        setReloadKey(prev => prev + 1);
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete ${formatVehicleName(vehicle)}? This cannot be undone.`)) return;
+        if (await deleteVehicle(vehicle.id)) onNavigate('vehicles');
+    };
+
+    // New parts start out linked to this vehicle and fitting it.
+    const handleAddPart = () => openItemModal({
+        vehicleId: vehicle.id,
+        fitments: [fitmentFromVehicle(vehicle)]
+    });
+
+    return (
+        <section className="view active">
+            <div className="view-header" style={{ marginBottom: '1.5rem' }}>
+                <button className="btn btn-secondary" onClick={() => onNavigate('vehicles')}>
+                    <ArrowLeft size={18} />
+                    Vehicles
+                </button>
+            </div>
+
+            <div className="inventory-header">
+                <div>
+                    <h2>{formatVehicleName(vehicle)}</h2>
+                    <div className="vehicle-detail-sub">
+                        {[
+                            vehicle.vin && `VIN ${vehicle.vin}`,
+                            vehicle.engineCode && `Engine ${vehicle.engineCode}`,
+                            vehicle.purchaseDate && `Bought ${vehicle.purchaseDate}`,
+                            vehicle.dateStripped && `Stripped ${vehicle.dateStripped}`
+                        ].filter(Boolean).join(' · ')}
+                    </div>
+                </div>
+                {canEdit && (
+                    <div className="view-actions">
+                        <button className="btn btn-primary" onClick={handleAddPart}>
+                            <Plus size={18} />
+                            Add Part
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => setIsEditing(true)}>
+                            <Edit size={18} />
+                            Edit
+                        </button>
+                        <button className="btn btn-danger" onClick={handleDelete}>
+                            <Trash2 size={18} />
+                            Delete
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {vehicle.notes && <p className="vehicle-detail-notes">{vehicle.notes}</p>}
+
+            <div className="vehicle-stats">
+                {showCosts && (
+                    <div className="vehicle-stat">
+                        <span className="vehicle-stat-label">Purchase Cost</span>
+                        <span className="vehicle-stat-value">{formatCurrency(summary.purchaseCost)}</span>
+                    </div>
+                )}
+                <div className="vehicle-stat">
+                    <span className="vehicle-stat-label">Revenue Recovered</span>
+                    <span className="vehicle-stat-value">{formatCurrency(summary.revenue)}</span>
+                    {/* Measured against the purchase cost, so it gives the cost away. */}
+                    {showCosts && summary.recoveredPercent !== null && (
+                        <div className="vehicle-recovery-bar">
+                            <div style={{ width: `${Math.min(100, summary.recoveredPercent)}%` }} />
+                        </div>
+                    )}
+                </div>
+                {showCosts && (
+                    <div className="vehicle-stat">
+                        <span className="vehicle-stat-label">
+                            {summary.netPosition >= 0 ? 'Profit So Far' : 'Still To Recover'}
+                        </span>
+                        <span className={`vehicle-stat-value ${summary.netPosition >= 0 ? 'profit-positive' : 'profit-negative'}`}>
+                            {formatCurrency(Math.abs(summary.netPosition))}
+                        </span>
+                    </div>
+                )}
+                <div className="vehicle-stat">
+                    <span className="vehicle-stat-label">Parts Remaining</span>
+                    <span className="vehicle-stat-value">{summary.unitsRemaining}</span>
+                    <span className="vehicle-stat-note">worth {formatCurrency(summary.remainingValue)} at selling price</span>
+                </div>
+                <div className="vehicle-stat">
+                    <span className="vehicle-stat-label">Parts Sold</span>
+                    <span className="vehicle-stat-value">{summary.unitsSold}</span>
+                    {soldOutParts > 0 && <span className="vehicle-stat-note">{soldOutParts} sold out</span>}
+                </div>
+            </div>
+
+            <h3 className="vehicle-section-title">Parts in Stock ({remainingParts.length})</h3>
+            <div className="inventory-list">
+                {remainingParts.length === 0 ? (
+                    <div className="empty-state">
+                        <p className="empty-state-text">No parts from this vehicle in stock.</p>
+                    </div>
+                ) : (
+                    remainingParts.map(item => (
+                        <ItemCard key={item.id} item={item} onClick={openDetailModal} />
+                    ))
+                )}
+            </div>
+
+            <div className="vehicle-section-header">
+                <h3 className="vehicle-section-title">Sales</h3>
+                <button className="btn btn-secondary" onClick={refresh} disabled={isLoading}>
+                    <RefreshCw size={18} />
+                    Refresh
+                </button>
+            </div>
+            {isLoading ? (
+                <div className="loading-state">Loading sales...</div>
+            ) : salesLines.length === 0 ? (
+                <div className="empty-state">
+                    <p className="empty-state-text">No parts from this vehicle sold yet.</p>
+                </div>
+            ) : (
+                <div className="vehicle-table-wrapper">
+                    <table className="vehicle-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Part</th>
+                                <th>Qty</th>
+                                <th>Amount</th>
+                                <th>By</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {salesLines.map(line => (
+                                <tr key={line.id} className={line.type === 'RETURN' ? 'vehicle-row-return' : ''}>
+                                    <td>{formatDate(line.timestamp)}</td>
+                                    <td>{line.itemName}{line.type === 'RETURN' && ' (returned)'}</td>
+                                    <td>{Math.abs(Number(line.quantity) || 0)}</td>
+                                    <td>{formatCurrency(line.totalSales)}</td>
+                                    <td>{line.performedBy}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {isEditing && (
+                <VehicleModal
+                    initialData={vehicle}
+                    onClose={() => setIsEditing(false)}
+                    onSave={(data) => updateVehicle({ ...data, id: vehicle.id })}
+                />
+            )}
+
+            <style>{`
+                .vehicle-detail-sub {
+                    font-size: 0.9rem;
+                    color: var(--text-secondary);
+                }
+                .vehicle-detail-notes {
+                    color: var(--text-secondary);
+                    margin-bottom: 1rem;
+                }
+                .vehicle-stats {
+                    display: flex;
+                    gap: 1rem;
+                    flex-wrap: wrap;
+                    margin-bottom: 1.5rem;
+                }
+                .vehicle-stat {
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 12px 20px;
+                    display: flex;
+                    flex-direction: column;
+                    min-width: 160px;
+                }
+                .vehicle-stat-label {
+                    font-size: 0.8rem;
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .vehicle-stat-value {
+                    font-size: 1.4rem;
+                    font-weight: 700;
+                    color: var(--text-primary);
+                }
+                .vehicle-stat-value.profit-positive {
+                    color: var(--accent-success);
+                }
+                .vehicle-stat-value.profit-negative {
+                    color: var(--accent-danger);
+                }
+                .vehicle-stat-note {
+                    font-size: 0.8rem;
+                    color: var(--text-secondary);
+                }
+                .vehicle-recovery-bar {
+                    height: 6px;
+                    margin-top: 6px;
+                    border-radius: 3px;
+                    background: var(--bg-elevated);
+                    overflow: hidden;
+                }
+                .vehicle-recovery-bar div {
+                    height: 100%;
+                    background: var(--accent-success);
+                }
+                .vehicle-section-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    margin-top: 1.5rem;
+                }
+                .vehicle-section-title {
+                    margin: 1rem 0 0.75rem;
+                }
+                .vehicle-table-wrapper {
+                    overflow-x: auto;
+                    background: var(--bg-card);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                }
+                .vehicle-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                    color: var(--text-primary);
+                }
+                .vehicle-table th, .vehicle-table td {
+                    padding: 8px 12px;
+                    text-align: left;
+                    border-bottom: 1px solid var(--border-color);
+                }
+                .vehicle-table th {
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                }
+                .vehicle-row-return td {
+                    color: var(--accent-danger);
+                }
+            `}</style>
+        </section>
+    );
+}
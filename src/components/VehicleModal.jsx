@@ -0,0 +1,178 @@
+import { useState } from 'react';
+import { X } from 'lucide-react';
+
+const EMPTY_VEHICLE = {
+    vin: '',
+    make: '',
+    model: '',
+    year: '',
+    engineCode: '',
+    purchaseCost: '',
+    purchaseDate: '',
+    dateStripped: '',
+    notes: ''
+};
+
+// Add/edit form for a donor vehicle. Mount it fresh for each vehicle.
+export default function VehicleModal({ initialData, onClose, onSave }) {
+    const [formData, setFormData] = useState(() => ({
+        ...EMPTY_VEHICLE,
+        ...initialData,
+        year: initialData?.year ?? '',
+        purchaseCost: initialData?.purchaseCost ?? ''
+    }));
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const saved = await onSave(formData);
+        setIsSaving(false);
+        if (saved) onClose();
+    };
+
+    return (
+        <div className="modal active">
+            <div className="modal-content">
+                <div className="modal-header">
+                    <h2>{initialData?.id ? 'Edit Vehicle' : 'Add Vehicle'}</h2>
+                    <button className="close-modal-btn" onClick={onClose}><X size={24} /></button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label htmlFor="vin">VIN</label>
+                        <input
+                            type="text"
+                            id="vin"
+                            name="vin"
+                            value={formData.vin}
+                            onChange={handleChange}
+                            placeholder="17-character VIN"
+                            maxLength={17}
+                        />
+                    </div>
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="make">Make *</label>
+                            <input
+                                type="text"
+                                id="make"
+                                name="make"
+                                value={formData.make}
+                                onChange={handleChange}
+                                required
+                                placeholder="e.g., Volkswagen"
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="model">Model *</label>
+                            <input
+                                type="text"
+                                id="model"
+                                name="model"
+                                value={formData.model}
+                                onChange={handleChange}
+                                required
+                                placeholder="e.g., Polo"
+                            />
+                        </div>
+                    </div>
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="year">Year *</label>
+                            <input
+                                type="number"
+                                id="year"
+                                name="year"
+                                value={formData.year}
+                                onChange={handleChange}
+                                required
+                                min="1900"
+                                max="2100"
+                                placeholder="e.g., 2011"
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="engineCode">Engine Code</label>
+                            <input
+                                type="text"
+                                id="engineCode"
+                                name="engineCode"
+                                value={formData.engineCode}
+                                onChange={handleChange}
+                                placeholder="e.g., CGP"
+                            />
+                        </div>
+                    </div>
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="purchaseCost">Purchase Cost *</label>
+                            <input
+                                type="number"
+                                id="purchaseCost"
+                                name="purchaseCost"
+                                value={formData.purchaseCost}
+                                onChange={handleChange}
+                                required
+                                step="0.01"
+                                min="0"
+                                placeholder="0.00"
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="purchaseDate">Purchase Date</label>
+                            <input
+                                type="date"
+                                id="purchaseDate"
+                                name="purchaseDate"
+                                value={formData.purchaseDate}
+                                onChange={handleChange}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="dateStripped">Date Stripped</label>
+                        <input
+                            type="date"
+                            id="dateStripped"
+                            name="dateStripped"
+                            value={formData.dateStripped}
+                            onChange={handleChange}
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="notes">Notes</label>
+                        <textarea
+                            id="notes"
+                            name="notes"
+                            value={formData.notes}
+                            onChange={handleChange}
+                            placeholder="Colour, mileage, damage..."
+                        />
+                    </div>
+
+                    <div className="form-actions">
+                        <button type="button" className="btn btn-secondary cancel-btn" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                            {isSaving ? 'Saving...' : 'Save Vehicle'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,146 @@
+import { useMemo, useState } from 'react';
+import { useInventory } from '../contexts/InventoryContext';
+import { useVehicles } from '../contexts/VehicleContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatCurrency } from '../utils/format';
+import { normalizeText } from '../utils/search';
+import { formatVehicleName } from '../utils/vehicles';
+import VehicleModal from './VehicleModal';
+import { Plus, Search, X, Car } from 'lucide-react';
+
+export default function VehiclesView({ onNavigate }) {
+    const { items } = useInventory();
+    const { vehicles, addVehicle } = useVehicles();
+    const { can } = useAuth();
+    const [query, setQuery] = useState('');
+    const [isAdding, setIsAdding] = useState(false);
+
+    // Units still on the shelf per vehicle.
+    const remainingByVehicle = useMemo(() => {
+        const counts = new Map();
+        items.forEach(item => {
+            if (!item.vehicleId) return;
+            counts.set(item.vehicleId, (counts.get(item.vehicleId) || 0) + Math.max(0, Number(item.quantity) || 0));
+        });
+        return counts;
+    }, [items]);
+
+    const filteredVehicles = useMemo(() => {
+        const terms = normalizeText(query).split(' ').filter(Boolean);
+        if (terms.length === 0) return vehicles;
+        return vehicles.filter(v => {
+            const text = normalizeText([v.year, v.make, v.model, v.vin, v.engineCode].join(' '));
+            return terms.every(term => text.includes(term));
+        });
+    }, [vehicles, query]);
+
+    const handleAdd = async (data) => {
+        const id = await addVehicle(data);
+        if (id) onNavigate('vehicle', { vehicleId: id });
+        return Boolean(id);
+    };
+
+    return (
+        <section className="view active">
+            <div className="inventory-header">
+                <h2>Donor Vehicles</h2>
+                {can(PERMISSIONS.EDIT_ITEMS) && (
+                    <button className="btn btn-primary" onClick={() => setIsAdding(true)}>
+                        <Plus size={18} />
+                        Add Vehicle
+                    </button>
+                )}
+            </div>
+
+            <div className="search-container">
+                <div className="search-input-wrapper">
+                    <span className="search-icon"><Search size={20} /></span>
+                    <input
+                        type="text"
+                        placeholder="Search by make, model, year, VIN or engine code..."
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Escape') setQuery(''); }}
+                    />
+                    {query && (
+                        <button className="clear-btn" onClick={() => setQuery('')}>
+                            <X size={16} />
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {filteredVehicles.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon"><Car size={48} /></div>
+                    <p className="empty-state-text">
+                        {vehicles.length === 0 ? 'No donor vehicles yet' : `No vehicles found for "${query}"`}
+                    </p>
+                </div>
+            ) : (
+                <div className="vehicle-list">
+                    {filteredVehicles.map(vehicle => (
+                        <button
+                            key={vehicle.id}
+                            className="vehicle-card"
+                            onClick={() => onNavigate('vehicle', { vehicleId: vehicle.id })}
+                        >
+                            <div className="vehicle-card-title">{formatVehicleName(vehicle)}</div>
+                            <div className="vehicle-card-sub">
+                                {[vehicle.engineCode, vehicle.vin].filter(Boolean).join(' · ') || 'No VIN recorded'}
+                            </div>
+                            <div className="vehicle-card-stats">
+                                <span>
+                                    Bought {vehicle.purchaseDate || '-'}
+                                    {can(PERMISSIONS.VIEW_COSTS) && ` for ${formatCurrency(vehicle.purchaseCost)}`}
+                                </span>
+                                <span>{remainingByVehicle.get(vehicle.id) || 0} parts in stock</span>
+                            </div>
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {isAdding && (
+                <VehicleModal onClose={() => setIsAdding(false)} onSave={handleAdd} />
+            )}
+
+            <style>{`
+                .vehicle-list {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+                    gap: 1rem;
+                }
+                .vehicle-card {
+                    text-align: left;
+                    background: var(--bg-card);
+                    border: 1px solid var(--border-color);
+                    border-radius: 8px;
+                    box-shadow: var(--shadow-sm);
+                    padding: 1rem 1.25rem;
+                    color: var(--text-primary);
+                    cursor: pointer;
+                }
+                .vehicle-card:hover {
+                    border-color: var(--accent-primary);
+                }
+                .vehicle-card-title {
+                    font-weight: 600;
+                    font-size: 1.05rem;
+                }
+                .vehicle-card-sub {
+                    font-size: 0.85rem;
+                    color: var(--text-secondary);
+                    margin-bottom: 0.75rem;
+                }
+                .vehicle-card-stats {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 2px;
+                    font-size: 0.85rem;
+                }
+            `}</style>
+        </section>
+    );
+}
@@ -1,4 +1,4 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { auth } from '../utils/firebase';
 import {
     signInWithEmailAndPassword,
@@ -6,10 +6,16 @@ import {
     signOut,
     onAuthStateChanged
 } from 'firebase/auth';
-import { doc, setDoc, updateDoc, onSnapshot } from 'firebase/firestore';
+import { doc, getDoc, getFirestore, setDoc, updateDoc, onSnapshot } from 'firebase/firestore';
 import { db } from '../utils/firebase';
-import { initializeApp } from "firebase/app";
+import { getApps, initializeApp } from "firebase/app";
 import { getAuth as getSecondaryAuth, createUserWithEmailAndPassword as secondaryCreateUser } from "firebase/auth";
+import { DEFAULT_ROLE, getRole, hasPermission, normalizeRole } from '../utils/permissions';
+import { DEFAULT_APPROVAL_SETTINGS, normalizeApprovalSettings } from '../utils/approvals';
+
+// Separate app instance for checking a manager's sign-in at the till, so the
+// cashier's own session is left alone.
+const APPROVAL_APP_NAME = 'ApprovalApp';
 
 const AuthContext = createContext(null);
 
@@ -17,6 +23,8 @@ export function AuthProvider({ children }) {
     const [user, setUser] = useState(null);
     const [userData, setUserData] = useState(null);
     const [loading, setLoading] = useState(true);
+    // Checkout thresholds (utils/approvals), live from settings/approvals.
+    const [approvalSettings, setApprovalSettings] = useState(DEFAULT_APPROVAL_SETTINGS);
 
     useEffect(() => {
         const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
@@ -54,7 +62,7 @@ export function AuthProvider({ children }) {
                 // If doc doesn't exist, create it (bootstrap)
                 const defaultData = {
                     email: user.email,
-                    role: 'user',
+                    role: DEFAULT_ROLE,
                     createdAt: new Date().toISOString(),
                     disabled: false
                 };
@@ -80,7 +88,7 @@ export function AuthProvider({ children }) {
 
     // This is for creating users without logging out the admin
     // We use a secondary app instance
-    const createNewUser = async (email, password, role = 'user', name = '') => {
+    const createNewUser = async (email, password, role = DEFAULT_ROLE, name = '') => {
         const firebaseConfig = {
             apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
             authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
@@ -132,6 +140,85 @@ export function AuthProvider({ children }) {
         }
     };
 
+    const updateUserRole = async (uid, role) => {
+        try {
+            await updateDoc(doc(db, 'users', uid), { role });
+        } catch (error) {
+            console.error("Error updating user role:", error);
+            throw error;
+        }
+    };
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribe = onSnapshot(doc(db, 'settings', 'approvals'), (docSnap) => {
+            setApprovalSettings(normalizeApprovalSettings(docSnap.exists() ? docSnap.data() : {}));
+        }, (error) => {
+            console.error("Error loading approval settings:", error);
+        });
+        return unsubscribe;
+    }, [user]);
+
+    const updateApprovalSettings = async (settings) => {
+        try {
+            await setDoc(doc(db, 'settings', 'approvals'), {
+                ...normalizeApprovalSettings(settings),
+                updatedAt: new Date().toISOString(),
+                updatedBy: userData?.name || user?.email || 'Unknown'
+            });
+        } catch (error) {
+            console.error("Error saving approval settings:", error);
+            throw error;
+        }
+    };
+
+    // Checks a manager's email and password at the till and that their role
+    // has every permission asked for, then records the approval in approvals
+    // as them so the rules can tell it was really given.
+    // Returns Promise<{ uid, name, approvalId }>; throws with a message to show otherwise
+    const verifyApprover = async (email, password, permissions) => {
+        const approvalApp = getApps().find(a => a.name === APPROVAL_APP_NAME)
+            || initializeApp(auth.app.options, APPROVAL_APP_NAME);
+        const approvalAuth = getSecondaryAuth(approvalApp);
+
+        let approver;
+        try {
+            ({ user: approver } = await signInWithEmailAndPassword(approvalAuth, email, password));
+        } catch (error) {
+            console.error("Approval sign-in failed:", error);
+            throw new Error('Wrong email or password');
+        }
+
+        try {
+            // Read as the approver: staff can only read their own profile.
+            const snap = await getDoc(doc(getFirestore(approvalApp), 'users', approver.uid));
+            const data = snap.exists() ? snap.data() : null;
+            const name = data?.name || approver.email;
+            if (!data || data.disabled) {
+                throw new Error(`${name}'s account can't approve sales`);
+            }
+            if (!permissions.every(permission => hasPermission(data.role, permission))) {
+                throw new Error(`A ${getRole(data.role).label} can't approve this`);
+            }
+            // The sale takes this id as its saleId, so one approval covers one sale.
+            const approvalId = crypto.randomUUID();
+            try {
+                await setDoc(doc(getFirestore(approvalApp), 'approvals', approvalId), {
+                    approvedBy: name,
+                    approvedByUid: approver.uid,
+                    requestedByUid: user?.uid || null,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error("Error recording approval:", error);
+                throw new Error('Could not record the approval. Try again.');
+            }
+            return { uid: approver.uid, name, approvalId };
+        } finally {
+            await signOut(approvalAuth);
+        }
+    };
+
     // Public signup (removed from UI, but kept here just in case/for legacy)
     const signup = (email, password) => {
         return createUserWithEmailAndPassword(auth, email, password);
@@ -141,16 +228,26 @@ export function AuthProvider({ children }) {
         return signOut(auth);
     };
 
+    // Older accounts may still say 'user'; see utils/permissions.
+    const role = normalizeRole(userData?.role);
+    const can = useCallback((permission) => hasPermission(role, permission), [role]);
+
     const value = {
         user,
         login,
         signup,
         logout,
         isAuthenticated: !!user,
-        userData, // Contains { role: 'admin' | 'user' }
+        userData, // Contains { role } - one of the ROLES in utils/permissions
         createNewUser,
         toggleUserStatus,
-        isAdmin: userData?.role === 'admin'
+        updateUserRole,
+        role,
+        can,
+        approvalSettings,
+        updateApprovalSettings,
+        verifyApprover,
+        isAdmin: role === 'admin'
     };
 
     return (
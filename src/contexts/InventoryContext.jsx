@@ -1,10 +1,32 @@
-import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useAuth } from './AuthContext';
 import { useToast } from './ToastContext';
 import { db } from '../utils/firebase';
+import { getReturnedQuantities } from '../utils/sales';
+import { DEFAULT_TAX_CLASS, getTaxRate, vatFromInclusive } from '../utils/vat';
+import {
+    UNASSIGNED_LOCATION,
+    getAvailableStock,
+    getLocationName,
+    getStockAt,
+    planPick,
+    buildStockUpdate
+} from '../utils/locations';
+import { planVarianceChanges } from '../utils/stockTake';
+import { parseReorderSetting } from '../utils/reorder';
+import { applyReceipt, costDiffers, formatPoNumber } from '../utils/purchasing';
+import { COST_METHOD, costChangeFields, getWeightedAverageCost, toCostHistory } from '../utils/costing';
+import { AUDIT_ACTIONS, buildAuditEntry, buildItemHistory, diffItemFields } from '../utils/audit';
+import {
+    getQueuedOperations,
+    putQueuedOperation,
+    deleteQueuedOperation,
+    isOfflineError
+} from '../utils/offlineQueue';
 import {
     collection,
     getDocs,
+    onSnapshot,
     addDoc,
     updateDoc,
     deleteDoc,
@@ -12,74 +34,404 @@ import {
     query,
     orderBy,
     limit,
-    runTransaction
+    startAfter,
+    where,
+    runTransaction,
+    writeBatch,
+    increment
 } from 'firebase/firestore';
 
 const InventoryContext = createContext(null);
 
+// How many of the most recent transactions are kept live in context.
+// Anything older is read on demand with fetchTransactionPage.
+const TRANSACTION_WINDOW = 50;
+// Page size used when a report needs every transaction in a period.
+const REPORT_PAGE_SIZE = 500;
+// How long the "updated by another user" marker stays on an item.
+const REMOTE_UPDATE_TTL_MS = 60000;
+// Rows per bulk-import batch. Each row is up to three writes (the item, its
+// IN transaction and its audit entry) and Firestore caps a batch at 500.
+const IMPORT_BATCH_ROWS = 150;
+// Variance lines per stock-take batch: the item and its ADJUSTMENT transaction.
+const STOCK_TAKE_BATCH_ROWS = 200;
+// How many past stock-take reports the Stock Take screen lists.
+const STOCK_TAKE_HISTORY = 20;
+
+// Firestore filters for transaction history.
+// filters: { dateFrom?: 'YYYY-MM-DD', dateTo?: 'YYYY-MM-DD', types?: string[], itemId?: string, performedBy?: string }
+// Dates are local days; timestamps are stored as ISO strings, which sort
+// chronologically, so a day range is a plain string range.
+const buildTransactionFilters = ({ dateFrom, dateTo, types, itemId, performedBy } = {}) => {
+    const constraints = [];
+    if (types && types.length === 1) constraints.push(where('type', '==', types[0]));
+    if (types && types.length > 1) constraints.push(where('type', 'in', types));
+    if (itemId) constraints.push(where('itemId', '==', itemId));
+    if (performedBy) constraints.push(where('performedBy', '==', performedBy));
+    if (dateFrom) {
+        constraints.push(where('timestamp', '>=', new Date(`${dateFrom}T00:00:00`).toISOString()));
+    }
+    if (dateTo) {
+        const end = new Date(`${dateTo}T00:00:00`);
+        end.setDate(end.getDate() + 1);
+        constraints.push(where('timestamp', '<', end.toISOString()));
+    }
+    return constraints;
+};
+
+// One OUT line of a POS sale. sale: { saleId, timestamp, performedBy, offlineQueueId? }
+const buildSaleLine = (ci, saleInfo, sale) => {
+    const totalSales = ci.quantity * Number(ci.unitPrice);
+    const taxClass = ci.taxClass || DEFAULT_TAX_CLASS;
+    const vatRate = getTaxRate(taxClass);
+    return {
+        type: 'OUT',
+        itemId: ci.id,
+        itemName: ci.itemName,
+        quantity: -ci.quantity,
+        costPrice: Number(ci.costPrice),
+        salePrice: Number(ci.unitPrice),
+        listPrice: Number(ci.listPrice ?? ci.unitPrice),
+        // The item's usual price, so overrides can be reported against it.
+        ...(ci.sellingPrice != null ? { sellingPrice: Number(ci.sellingPrice) } : {}),
+        // The promotion the till applied to this line (utils/promotions).
+        ...(ci.promotion ? { promotion: ci.promotion } : {}),
+        totalCost: -ci.quantity * Number(ci.costPrice),
+        costMethod: COST_METHOD,
+        totalSales,
+        // unitPrice is always what the customer paid, i.e. VAT-inclusive.
+        taxClass,
+        vatRate,
+        vatAmount: vatFromInclusive(totalSales, vatRate),
+        timestamp: sale.timestamp,
+        reason: 'POS Sale',
+        performedBy: sale.performedBy,
+        saleId: sale.saleId,
+        // Sale-level payment and shift details ride along on every line, like performedBy.
+        ...(saleInfo.tenders ? {
+            tenders: saleInfo.tenders,
+            cashTendered: Number(saleInfo.cashTendered) || 0,
+            changeDue: Number(saleInfo.changeDue) || 0
+        } : {}),
+        ...(saleInfo.shiftId ? { shiftId: saleInfo.shiftId } : {}),
+        // Who approved a discount or price past the checkout thresholds (utils/approvals).
+        ...(saleInfo.approval ? { approval: saleInfo.approval } : {}),
+        ...(sale.offlineQueueId ? { offlineQueueId: sale.offlineQueueId } : {})
+    };
+};
+
+// Deleted items stay in Firestore so they can be restored, but nothing can be
+// sold, received or returned against them.
+const isLiveItem = (snap) => snap.exists() && !snap.data().deleted;
+
+// Error for lines whose item is missing or short of stock; err.conflicts has
+// one { itemId, itemName, requested, available, missing, locationName? } entry per line.
+const stockConflictError = (conflicts) => {
+    const first = conflicts[0];
+    const locationText = first.locationName ? ` at ${first.locationName}` : '';
+    const err = new Error(first.missing
+        ? `Item not found: ${first.itemName}`
+        : `Not enough stock for ${first.itemName}${locationText}. Available: ${first.available}`);
+    err.conflicts = conflicts;
+    return err;
+};
+
+// Reads every item in one transaction and returns the snapshots plus any
+// stock conflicts. checkStock: false only reports missing items.
+const readCartItems = async (transaction, cartItems, checkStock) => {
+    const refs = cartItems.map(ci => doc(db, 'inventory', ci.id));
+
+    // All reads must happen before any writes in a Firestore transaction.
+    const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+
+    const conflicts = [];
+    snapshots.forEach((snap, idx) => {
+        const ci = cartItems[idx];
+        // Sales picking from one location can only take what's there.
+        const available = isLiveItem(snap) ? getAvailableStock(snap.data(), ci.locationId) : 0;
+        if (!isLiveItem(snap) || (checkStock && available < ci.quantity)) {
+            conflicts.push({
+                itemId: ci.id,
+                itemName: ci.itemName,
+                requested: ci.quantity,
+                available,
+                missing: !isLiveItem(snap),
+                ...(ci.locationName ? { locationName: ci.locationName } : {})
+            });
+        }
+    });
+
+    return { refs, snapshots, conflicts };
+};
+
+// Writes a POS sale atomically. With force, conflicts are ignored: the sale is
+// recorded even if stock goes below zero, and items deleted since are logged
+// without a stock change.
+// Returns Promise<Array> - the OUT lines written; throws stockConflictError otherwise
+const commitSale = async (cartItems, saleInfo, sale, stamp, { force = false } = {}) => {
+    const saleLines = [];
+
+    await runTransaction(db, async (transaction) => {
+        // Firestore may retry this callback on contention; start clean each attempt.
+        saleLines.length = 0;
+        const { refs, snapshots, conflicts } = await readCartItems(transaction, cartItems, true);
+        if (conflicts.length > 0 && !force) throw stockConflictError(conflicts);
+
+        cartItems.forEach((ci, idx) => {
+            // The cost basis is the item's average cost as it stands now, not
+            // whatever the cart saw when the line was added.
+            let costPrice = Number(ci.costPrice);
+            const txnRef = doc(collection(db, 'transactions'));
+            if (isLiveItem(snapshots[idx])) {
+                const data = snapshots[idx].data();
+                const picks = planPick(data, ci.quantity, ci.locationId);
+                const changes = Object.fromEntries(Object.entries(picks).map(([id, qty]) => [id, -qty]));
+                // The rules only let a till move stock against the line that records it.
+                transaction.update(refs[idx], {
+                    ...buildStockUpdate(data, changes),
+                    lastTransactionId: txnRef.id,
+                    ...stamp
+                });
+                costPrice = Number(data.costPrice) || 0;
+            }
+
+            // Tag the donor vehicle so its takings can be totalled later.
+            const vehicleId = isLiveItem(snapshots[idx]) ? snapshots[idx].data().vehicleId : null;
+            const line = {
+                ...buildSaleLine({ ...ci, costPrice }, saleInfo, sale),
+                ...(vehicleId ? { vehicleId } : {}),
+                ...(ci.locationId ? { locationId: ci.locationId } : {})
+            };
+            transaction.set(txnRef, line);
+            saleLines.push({ id: txnRef.id, ...line });
+        });
+    });
+
+    return saleLines;
+};
+
+// Writes a stock intake atomically. intake: { timestamp, performedBy, offlineQueueId?, purchaseOrderId? }
+// Lines with a locationId are put away there (and get their bin code, if
+// given); the rest go to unassigned stock.
+// Against a purchase order, the delivery is booked on the PO too, and lines
+// whose cost differs from the PO keep the ordered cost alongside.
+// Each line's cost is blended into the item's average cost (utils/costing).
+// With force, items deleted since are logged without a stock change.
+const commitIntake = async (cartItems, intake, stamp, { force = false } = {}) => {
+    await runTransaction(db, async (transaction) => {
+        const { refs, snapshots, conflicts } = await readCartItems(transaction, cartItems, false);
+        if (conflicts.length > 0 && !force) throw stockConflictError(conflicts);
+
+        const poRef = intake.purchaseOrderId ? doc(db, 'purchaseOrders', intake.purchaseOrderId) : null;
+        const poSnap = poRef ? await transaction.get(poRef) : null;
+        const po = poSnap?.exists() ? poSnap.data() : null;
+        if (po) {
+            transaction.update(poRef, { ...applyReceipt(po, cartItems), lastReceivedAt: intake.timestamp, updatedAt: intake.timestamp });
+        }
+
+        cartItems.forEach((ci, idx) => {
+            const locationId = ci.locationId || UNASSIGNED_LOCATION;
+            const poLine = po?.lines?.find(line => line.itemId === ci.id);
+            let costChange = {};
+            if (isLiveItem(snapshots[idx])) {
+                const data = snapshots[idx].data();
+                const averageCost = getWeightedAverageCost(data.quantity, data.costPrice, ci.quantity, ci.costPrice);
+                costChange = costChangeFields(data.costPrice, averageCost);
+                transaction.update(refs[idx], {
+                    ...buildStockUpdate(data, { [locationId]: ci.quantity }),
+                    ...(locationId && ci.bin ? { [`bins.${locationId}`]: ci.bin } : {}),
+                    costPrice: averageCost,
+                    ...stamp
+                });
+            }
+
+            const txnRef = doc(collection(db, 'transactions'));
+            transaction.set(txnRef, {
+                type: 'IN',
+                itemId: ci.id,
+                itemName: ci.itemName,
+                quantity: ci.quantity,
+                costPrice: Number(ci.costPrice),
+                totalCost: ci.quantity * Number(ci.costPrice),
+                timestamp: intake.timestamp,
+                reason: po ? `Stock Intake (${formatPoNumber(intake.purchaseOrderId)})` : 'Stock Intake',
+                performedBy: intake.performedBy,
+                ...costChange,
+                ...(locationId ? { locationId, ...(ci.bin ? { bin: ci.bin } : {}) } : {}),
+                ...(po ? { purchaseOrderId: intake.purchaseOrderId } : {}),
+                ...(poLine && costDiffers(ci.costPrice, poLine.unitCost) ? { poUnitCost: poLine.unitCost } : {}),
+                ...(intake.offlineQueueId ? { offlineQueueId: intake.offlineQueueId } : {})
+            });
+        });
+    });
+};
+
+// Replays one queued offline operation. Lines are tagged with the queue id, so
+// an operation that was written but never cleared from the queue (e.g. the tab
+// closed mid-sync) isn't written twice.
+const commitQueuedOperation = async (op, stamp, options) => {
+    const existing = await getDocs(query(
+        collection(db, 'transactions'),
+        where('offlineQueueId', '==', op.id),
+        limit(1)
+    ));
+    if (!existing.empty) return;
+
+    const record = { timestamp: op.createdAt, performedBy: op.performedBy, offlineQueueId: op.id };
+    if (op.kind === 'sale') {
+        await commitSale(op.cartItems, op.saleInfo || {}, { ...record, saleId: op.id }, stamp, options);
+    } else {
+        await commitIntake(op.cartItems, { ...record, purchaseOrderId: op.purchaseOrderId }, stamp, options);
+    }
+};
+
 export function InventoryProvider({ children }) {
     const { isAuthenticated, user, userData } = useAuth();
     const { showToast } = useToast();
 
+    // Every item, including soft-deleted ones; the context hands out
+    // liveItems and deletedItems.
     const [items, setItems] = useState([]);
     const [transactions, setTransactions] = useState([]);
-    const [loading, setLoading] = useState(false);
+    const [locations, setLocations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    // Items another user changed since we loaded them: { [itemId]: { by, at } }
+    const [remoteUpdates, setRemoteUpdates] = useState({});
+    const remoteUpdateTimers = useRef(new Set());
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    // Sales and intakes waiting to be written to Firestore (see utils/offlineQueue)
+    const [offlineQueue, setOfflineQueue] = useState([]);
+    const isReplayingRef = useRef(false);
 
-    // Load transactions from Firestore
-    const loadTransactions = useCallback(async () => {
-        if (!isAuthenticated) return;
+    // Stamped on every inventory write so listeners can tell our own changes
+    // from another till's.
+    const editStamp = useCallback(() => ({
+        updatedAt: new Date().toISOString(),
+        updatedBy: userData?.name || user?.email || 'Unknown',
+        updatedByUid: user?.uid || null
+    }), [user, userData]);
 
-        try {
-            const q = query(
-                collection(db, 'transactions'),
-                orderBy('timestamp', 'desc'),
-                limit(50)
-            );
-            const querySnapshot = await getDocs(q);
-            const loadedTransactions = querySnapshot.docs.map(d => ({
-                id: d.id,
-                ...d.data()
-            }));
-            setTransactions(loadedTransactions);
-        } catch (err) {
-            console.error('Error loading transactions:', err);
-        }
-    }, [isAuthenticated]);
+    const liveItems = useMemo(() => items.filter(item => !item.deleted), [items]);
+    const deletedItems = useMemo(() => items.filter(item => item.deleted), [items]);
+
+    const dismissRemoteUpdate = useCallback((itemId) => {
+        setRemoteUpdates(prev => {
+            if (!prev[itemId]) return prev;
+            const next = { ...prev };
+            delete next[itemId];
+            return next;
+        });
+    }, []);
 
-    // Load items from Firestore
-    const loadInventory = useCallback(async (silent = false) => {
+    // Live inventory and a bounded window of recent transactions. Writes below
+    // don't patch local state themselves; the listeners pick them up.
+    useEffect(() => {
         if (!isAuthenticated) return;
 
-        if (!silent) setLoading(true);
+        let isFirstInventorySnapshot = true;
+        const timers = remoteUpdateTimers.current;
 
-        try {
-            // const q = query(collection(db, 'inventory'), orderBy('name'));
-            const q = query(collection(db, 'inventory'));
+        const unsubscribeInventory = onSnapshot(query(collection(db, 'inventory')), (snapshot) => {
+            if (isFirstInventorySnapshot) {
+                isFirstInventorySnapshot = false;
+                setItems(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+                setLoading(false);
+                return;
+            }
 
-            const querySnapshot = await getDocs(q);
+            const changes = snapshot.docChanges();
+            if (changes.length === 0) return;
+
+            setItems(prev => {
+                const next = new Map(prev.map(item => [item.id, item]));
+                changes.forEach(change => {
+                    if (change.type === 'removed') {
+                        next.delete(change.doc.id);
+                    } else {
+                        next.set(change.doc.id, { id: change.doc.id, ...change.doc.data() });
+                    }
+                });
+                return Array.from(next.values());
+            });
 
-            if (querySnapshot.empty) {
-                console.log("Snapshot is empty. Check collection.");
+            const remote = changes.filter(change =>
+                change.type === 'modified' && change.doc.data().updatedByUid !== user?.uid
+            );
+            if (remote.length > 0) {
+                const at = new Date().toISOString();
+                setRemoteUpdates(prev => {
+                    const next = { ...prev };
+                    remote.forEach(change => {
+                        next[change.doc.id] = { by: change.doc.data().updatedBy || 'another user', at };
+                    });
+                    return next;
+                });
+                remote.forEach(change => {
+                    const timer = setTimeout(() => {
+                        timers.delete(timer);
+                        setRemoteUpdates(prev => {
+                            if (prev[change.doc.id]?.at !== at) return prev;
+                            const next = { ...prev };
+                            delete next[change.doc.id];
+                            return next;
+                        });
+                    }, REMOTE_UPDATE_TTL_MS);
+                    timers.add(timer);
+                });
             }
+        }, (err) => {
+            console.error('Inventory listener error:', err);
+            showToast('Failed to load inventory', 'error');
+            setLoading(false);
+        });
 
-            const loadedItems = querySnapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
+        const unsubscribeLocations = onSnapshot(collection(db, 'locations'), (snapshot) => {
+            setLocations(snapshot.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+        }, (err) => {
+            console.error('Locations listener error:', err);
+        });
 
-            console.log('Inventory loaded successfully', loadedItems.length, 'items');
-            setItems(loadedItems);
-        } catch (err) {
-            console.error('Error loading inventory:', err);
-            showToast('Failed to load inventory', 'error');
-        } finally {
-            if (!silent) setLoading(false);
-        }
-    }, [isAuthenticated, showToast]);
+        const unsubscribeTransactions = onSnapshot(query(
+            collection(db, 'transactions'),
+            orderBy('timestamp', 'desc'),
+            limit(TRANSACTION_WINDOW)
+        ), (snapshot) => {
+            setTransactions(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (err) => {
+            console.error('Transactions listener error:', err);
+        });
+
+        return () => {
+            unsubscribeInventory();
+            unsubscribeLocations();
+            unsubscribeTransactions();
+            timers.forEach(timer => clearTimeout(timer));
+            timers.clear();
+            setItems([]);
+            setTransactions([]);
+            setLocations([]);
+            setRemoteUpdates({});
+            setLoading(true);
+        };
+    }, [isAuthenticated, user?.uid, showToast]);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
 
     // CRUD Operations
     const addItem = async (itemData) => {
         try {
+            const stamp = editStamp();
             const newItem = {
                 ...itemData,
                 // Form inputs hand these back as strings even for type="number";
@@ -88,14 +440,22 @@ export function InventoryProvider({ children }) {
                 quantity: Number(itemData.quantity) || 0,
                 costPrice: Number(itemData.costPrice) || 0,
                 sellingPrice: Number(itemData.sellingPrice) || 0,
+                reorderPoint: parseReorderSetting(itemData.reorderPoint),
+                reorderQuantity: parseReorderSetting(itemData.reorderQuantity),
                 createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
+                ...stamp
             };
 
-            const docRef = await addDoc(collection(db, 'inventory'), newItem);
+            const docRef = doc(collection(db, 'inventory'));
+            const auditRef = doc(collection(db, 'auditLog'));
+            const batch = writeBatch(db);
+            batch.set(docRef, newItem);
+            batch.set(auditRef, buildAuditEntry(
+                { id: docRef.id, ...newItem }, AUDIT_ACTIONS.CREATE, diffItemFields({}, newItem), stamp
+            ));
 
             // Log Transaction
-            await addDoc(collection(db, 'transactions'), {
+            batch.set(doc(collection(db, 'transactions')), {
                 type: 'IN', // 'IN' for buying/initial stock
                 itemId: docRef.id,
                 itemName: newItem.description,
@@ -104,13 +464,12 @@ export function InventoryProvider({ children }) {
                 totalCost: Number(newItem.quantity) * Number(newItem.costPrice),
                 timestamp: new Date().toISOString(),
                 reason: 'Initial Stock',
-                performedBy: userData?.name || user?.email || 'Unknown'
+                performedBy: userData?.name || user?.email || 'Unknown',
+                averageCost: Number(newItem.costPrice),
+                auditId: auditRef.id
             });
 
-            // Optimistic update or reload
-            const addedItem = { id: docRef.id, ...newItem };
-            setItems(prev => [...prev, addedItem]);
-            loadTransactions(); // Refresh transactions
+            await batch.commit();
 
             showToast('Item added successfully', 'success');
             return true;
@@ -125,6 +484,7 @@ export function InventoryProvider({ children }) {
         try {
             const { id, ...data } = itemData;
             const itemRef = doc(db, 'inventory', id);
+            const stamp = editStamp();
 
             const updateData = {
                 ...data,
@@ -132,21 +492,31 @@ export function InventoryProvider({ children }) {
                 quantity: Number(data.quantity) || 0,
                 costPrice: Number(data.costPrice) || 0,
                 sellingPrice: Number(data.sellingPrice) || 0,
-                updatedAt: new Date().toISOString()
+                reorderPoint: parseReorderSetting(data.reorderPoint),
+                reorderQuantity: parseReorderSetting(data.reorderQuantity),
+                ...stamp
             };
 
             const oldItem = items.find(i => i.id === id);
+            const batch = writeBatch(db);
+            batch.update(itemRef, updateData);
 
-            await updateDoc(itemRef, updateData);
-
-            // Log transaction if quantity changed
+            // Every field that changed goes in the audit log, and stock or
+            // cost changes also get a transaction pointing back to the entry.
             if (oldItem) {
+                const newItem = { ...oldItem, ...updateData };
+                const changes = diffItemFields(oldItem, newItem);
+                const auditRef = doc(collection(db, 'auditLog'));
+                if (changes.length > 0) {
+                    batch.set(auditRef, buildAuditEntry(newItem, AUDIT_ACTIONS.UPDATE, changes, stamp));
+                }
+
                 const oldQty = Number(oldItem.quantity);
                 const newQty = Number(updateData.quantity);
                 const diff = newQty - oldQty;
 
                 if (diff !== 0) {
-                    await addDoc(collection(db, 'transactions'), {
+                    batch.set(doc(collection(db, 'transactions')), {
                         type: diff > 0 ? 'IN' : 'ADJUSTMENT',
                         itemId: id,
                         itemName: updateData.description,
@@ -155,15 +525,32 @@ export function InventoryProvider({ children }) {
                         totalCost: diff * Number(updateData.costPrice),
                         timestamp: new Date().toISOString(),
                         reason: diff > 0 ? 'Stock Update (Add)' : 'Stock Update (Adjustment)',
-                        performedBy: userData?.name || user?.email || 'Unknown'
+                        performedBy: userData?.name || user?.email || 'Unknown',
+                        auditId: auditRef.id
+                    });
+                }
+
+                // A cost typed in by hand replaces the average outright; log it
+                // so the item's cost history shows where the figure came from.
+                const oldCost = Number(oldItem.costPrice) || 0;
+                if (updateData.costPrice !== oldCost) {
+                    batch.set(doc(collection(db, 'transactions')), {
+                        type: 'COST',
+                        itemId: id,
+                        itemName: updateData.description,
+                        quantity: 0,
+                        costPrice: updateData.costPrice,
+                        totalCost: 0,
+                        timestamp: new Date().toISOString(),
+                        reason: 'Cost Price Edited',
+                        performedBy: userData?.name || user?.email || 'Unknown',
+                        ...costChangeFields(oldCost, updateData.costPrice),
+                        auditId: auditRef.id
                     });
-                    loadTransactions();
                 }
             }
 
-            setItems(prev => prev.map(item =>
-                item.id === id ? { ...item, ...updateData } : item
-            ));
+            await batch.commit();
 
             showToast('Item updated successfully', 'success');
             return true;
@@ -174,14 +561,26 @@ export function InventoryProvider({ children }) {
         }
     };
 
+    // Items are soft-deleted: flagged and hidden, with their stock written off,
+    // so restoreItem can bring them back.
     const deleteItem = async (id) => {
         const itemToDelete = items.find(i => i.id === id);
 
         try {
-            await deleteDoc(doc(db, 'inventory', id));
+            const stamp = editStamp();
+            const deletion = { deleted: true, deletedAt: stamp.updatedAt, deletedBy: stamp.updatedBy };
+            const batch = writeBatch(db);
+            batch.update(doc(db, 'inventory', id), { ...deletion, ...stamp });
 
             if (itemToDelete) {
-                await addDoc(collection(db, 'transactions'), {
+                const auditRef = doc(collection(db, 'auditLog'));
+                batch.set(auditRef, buildAuditEntry(
+                    itemToDelete,
+                    AUDIT_ACTIONS.DELETE,
+                    diffItemFields(itemToDelete, { ...itemToDelete, ...deletion }),
+                    stamp
+                ));
+                batch.set(doc(collection(db, 'transactions')), {
                     type: 'DELETE',
                     itemId: id,
                     itemName: itemToDelete.description,
@@ -192,12 +591,12 @@ export function InventoryProvider({ children }) {
                     totalSales: 0,
                     timestamp: new Date().toISOString(),
                     reason: 'Item Deleted',
-                    performedBy: userData?.name || user?.email || 'Unknown'
+                    performedBy: userData?.name || user?.email || 'Unknown',
+                    auditId: auditRef.id
                 });
-                loadTransactions();
             }
 
-            setItems(prev => prev.filter(item => item.id !== id));
+            await batch.commit();
 
             showToast('Item deleted successfully', 'success');
             return true;
@@ -208,134 +607,758 @@ export function InventoryProvider({ children }) {
         }
     };
 
-    // Atomic multi-item checkout for the POS screen.
-    // cartItems: Array<{ id: string, itemName: string, quantity: number, unitPrice: number, costPrice: number }>
-    // Returns Promise<boolean> - true on success, false on failure (already shows a toast either way)
-    const checkoutSale = async (cartItems) => {
-        const saleId = crypto.randomUUID();
+    // Brings a deleted item back with the stock it had, logged as a RESTORE.
+    const restoreItem = async (id) => {
+        const item = items.find(i => i.id === id);
+        if (!item?.deleted) return false;
+
+        try {
+            const stamp = editStamp();
+            const restored = { deleted: false, deletedAt: null, deletedBy: null };
+            const auditRef = doc(collection(db, 'auditLog'));
+            const batch = writeBatch(db);
+            batch.update(doc(db, 'inventory', id), { ...restored, ...stamp });
+            batch.set(auditRef, buildAuditEntry(
+                item, AUDIT_ACTIONS.RESTORE, diffItemFields(item, { ...item, ...restored }), stamp
+            ));
+            batch.set(doc(collection(db, 'transactions')), {
+                type: 'RESTORE',
+                itemId: id,
+                itemName: item.description,
+                quantity: Number(item.quantity) || 0,
+                costPrice: Number(item.costPrice) || 0,
+                totalCost: (Number(item.quantity) || 0) * (Number(item.costPrice) || 0),
+                timestamp: stamp.updatedAt,
+                reason: 'Item Restored',
+                performedBy: stamp.updatedBy,
+                auditId: auditRef.id
+            });
+            await batch.commit();
+
+            showToast(`${item.description} restored`, 'success');
+            return true;
+        } catch (err) {
+            console.error('Error restoring item:', err);
+            showToast('Failed to restore item', 'error');
+            return false;
+        }
+    };
+
+    // Storage locations (bays, shelves, the yard).
+    const addLocation = async (name) => {
+        try {
+            await addDoc(collection(db, 'locations'), {
+                name: name.trim(),
+                createdAt: new Date().toISOString()
+            });
+            showToast('Location added', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error adding location:', err);
+            showToast('Failed to add location', 'error');
+            return false;
+        }
+    };
+
+    const renameLocation = async (id, name) => {
+        try {
+            await updateDoc(doc(db, 'locations', id), { name: name.trim() });
+            showToast('Location renamed', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error renaming location:', err);
+            showToast('Failed to rename location', 'error');
+            return false;
+        }
+    };
+
+    // Only empty locations can go, so no stock is left at a location that
+    // no longer exists.
+    const deleteLocation = async (id) => {
+        if (liveItems.some(item => getStockAt(item, id) !== 0)) {
+            showToast('Move the stock out of this location first', 'warning');
+            return false;
+        }
+
+        try {
+            await deleteDoc(doc(db, 'locations', id));
+            showToast('Location deleted', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error deleting location:', err);
+            showToast('Failed to delete location', 'error');
+            return false;
+        }
+    };
+
+    // Move stock of one item between locations (UNASSIGNED_LOCATION for the
+    // unassigned remainder). The total doesn't change; a TRANSFER transaction
+    // records the move. bin: the item's bin code at the destination (optional).
+    // Returns Promise<boolean> (already shows a toast either way)
+    const transferStock = async (itemId, fromLocationId, toLocationId, quantity, bin = '') => {
+        if (fromLocationId === toLocationId || !(quantity > 0)) {
+            showToast('Choose two different locations and a quantity', 'warning');
+            return false;
+        }
+
+        const fromName = getLocationName(locations, fromLocationId);
+        const toName = getLocationName(locations, toLocationId);
 
         try {
             await runTransaction(db, async (transaction) => {
-                const refs = cartItems.map(ci => doc(db, 'inventory', ci.id));
+                const itemRef = doc(db, 'inventory', itemId);
+                const snap = await transaction.get(itemRef);
+                if (!snap.exists()) throw new Error('Item not found');
 
-                // All reads must happen before any writes in a Firestore transaction.
-                const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+                const data = snap.data();
+                const available = getStockAt(data, fromLocationId);
+                if (available < quantity) {
+                    throw new Error(`Only ${available} of ${data.description} at ${fromName}`);
+                }
+
+                transaction.update(itemRef, {
+                    ...buildStockUpdate(data, { [fromLocationId]: -quantity, [toLocationId]: quantity }),
+                    ...(toLocationId && bin ? { [`bins.${toLocationId}`]: bin.trim() } : {}),
+                    ...editStamp()
+                });
+
+                transaction.set(doc(collection(db, 'transactions')), {
+                    type: 'TRANSFER',
+                    itemId,
+                    itemName: data.description,
+                    quantity,
+                    costPrice: Number(data.costPrice) || 0,
+                    totalCost: 0,
+                    fromLocationId,
+                    toLocationId,
+                    fromLocation: fromName,
+                    toLocation: toName,
+                    timestamp: new Date().toISOString(),
+                    reason: `Transfer: ${fromName} → ${toName}`,
+                    performedBy: userData?.name || user?.email || 'Unknown'
+                });
+            });
+
+            showToast(`Moved ${quantity} to ${toName}`, 'success');
+            return true;
+        } catch (err) {
+            console.error('Error transferring stock:', err);
+            showToast(err.message || 'Transfer failed', 'error');
+            return false;
+        }
+    };
+
+    // Bulk import from the Import screen, written in batches of IMPORT_BATCH_ROWS.
+    // rows: validated rows from validateImportRows (utils/bulkImport) without errors
+    // New items are created; existing ones get the imported fields and their
+    // quantity added to stock. Units brought in are logged as IN transactions.
+    // Returns Promise<{ created: number, updated: number }|false> (already shows a toast either way)
+    const bulkImportItems = async (rows) => {
+        const importId = crypto.randomUUID();
+        const stamp = editStamp();
+        const timestamp = stamp.updatedAt;
+        const performedBy = userData?.name || user?.email || 'Unknown';
+        const result = { created: 0, updated: 0 };
+
+        try {
+            for (let start = 0; start < rows.length; start += IMPORT_BATCH_ROWS) {
+                const chunk = rows.slice(start, start + IMPORT_BATCH_ROWS);
+                const batch = writeBatch(db);
+                const counts = { created: 0, updated: 0 };
 
-                const currentQuantities = snapshots.map((snap, idx) => {
-                    const ci = cartItems[idx];
-                    if (!snap.exists()) {
-                        throw new Error(`Item not found: ${ci.itemName}`);
+                chunk.forEach(row => {
+                    const { quantity: _quantity, stockNumber: _stockNumber, ...fields } = row.values;
+                    let itemRef;
+                    let item;
+                    let costChange = {};
+                    const auditRef = doc(collection(db, 'auditLog'));
+
+                    if (row.item) {
+                        itemRef = doc(db, 'inventory', row.item.id);
+                        // Stock coming in at an imported cost is blended into the
+                        // average, like a delivery.
+                        if (row.quantity > 0 && fields.costPrice !== undefined) {
+                            const averageCost = getWeightedAverageCost(row.item.quantity, row.item.costPrice, row.quantity, fields.costPrice);
+                            costChange = costChangeFields(row.item.costPrice, averageCost);
+                            fields.costPrice = averageCost;
+                        }
+                        item = { ...row.item, ...fields };
+                        batch.update(itemRef, {
+                            ...fields,
+                            ...(row.quantity > 0 ? { quantity: increment(row.quantity) } : {}),
+                            ...stamp
+                        });
+                        const changes = diffItemFields(row.item, {
+                            ...item,
+                            quantity: (Number(row.item.quantity) || 0) + Math.max(row.quantity, 0)
+                        });
+                        if (changes.length > 0) {
+                            batch.set(auditRef, buildAuditEntry(item, AUDIT_ACTIONS.UPDATE, changes, stamp, 'Bulk Import'));
+                        }
+                        counts.updated++;
+                    } else {
+                        itemRef = doc(collection(db, 'inventory'));
+                        item = {
+                            stockNumber: row.values.stockNumber,
+                            barcode: '',
+                            supplier: '',
+                            category: '',
+                            costPrice: 0,
+                            sellingPrice: 0,
+                            taxClass: DEFAULT_TAX_CLASS,
+                            ...fields,
+                            quantity: row.quantity
+                        };
+                        costChange = { averageCost: Number(item.costPrice) || 0 };
+                        batch.set(itemRef, { ...item, createdAt: timestamp, ...stamp });
+                        batch.set(auditRef, buildAuditEntry(
+                            { id: itemRef.id, ...item }, AUDIT_ACTIONS.CREATE, diffItemFields({}, item), stamp, 'Bulk Import'
+                        ));
+                        counts.created++;
                     }
-                    const currentQty = Number(snap.data().quantity);
-                    if (currentQty < ci.quantity) {
-                        throw new Error(`Not enough stock for ${ci.itemName}. Available: ${currentQty}`);
+
+                    if (row.quantity > 0) {
+                        batch.set(doc(collection(db, 'transactions')), {
+                            type: 'IN',
+                            itemId: itemRef.id,
+                            itemName: item.description,
+                            quantity: row.quantity,
+                            costPrice: Number(item.costPrice) || 0,
+                            totalCost: row.quantity * (Number(item.costPrice) || 0),
+                            timestamp,
+                            reason: 'Bulk Import',
+                            importId,
+                            performedBy,
+                            ...costChange,
+                            auditId: auditRef.id
+                        });
                     }
-                    return currentQty;
                 });
 
-                cartItems.forEach((ci, idx) => {
-                    const currentQty = currentQuantities[idx];
-                    const itemRef = refs[idx];
+                await batch.commit();
+                result.created += counts.created;
+                result.updated += counts.updated;
+            }
+
+            showToast(`Imported ${result.created} new and ${result.updated} updated items`, 'success');
+            return result;
+        } catch (err) {
+            console.error('Error importing items:', err);
+            const done = result.created + result.updated;
+            showToast(done > 0
+                ? `Import stopped after ${done} of ${rows.length} rows - the rest were not imported`
+                : 'Import failed', 'error');
+            return false;
+        }
+    };
+
+    // Post an approved stock take: every line with a variance is adjusted by
+    // that much (on top of whatever has sold since that line was counted) and
+    // logged as an ADJUSTMENT with reason "Stock Take". The count report
+    // itself is stored in stockTakes, and the transactions point back to it.
+    // The report keeps only the lines with a variance, plus the counts; a
+    // whole-warehouse count sheet would outgrow a single document.
+    // stockTake: { scope: { type, id, label }, startedAt, uncountedAsZero, summary } with
+    // summary from summarizeStockTake (utils/stockTake)
+    // Returns Promise<string|false> - the report id (already shows a toast either way)
+    const postStockTake = async ({ scope, startedAt, uncountedAsZero, summary }) => {
+        const reportRef = doc(collection(db, 'stockTakes'));
+        const timestamp = new Date().toISOString();
+        const performedBy = userData?.name || user?.email || 'Unknown';
+        // Items deleted while the count was open can't be adjusted any more.
+        const variances = summary.lines.filter(line => line.variance && liveItems.some(i => i.id === line.id));
+        let posted = 0;
 
-                    transaction.update(itemRef, {
-                        quantity: currentQty - ci.quantity,
-                        updatedAt: new Date().toISOString()
+        try {
+            for (let start = 0; start < Math.max(variances.length, 1); start += STOCK_TAKE_BATCH_ROWS) {
+                const batch = writeBatch(db);
+                // The report goes in with the first batch so there's a record
+                // of whatever did get posted.
+                if (start === 0) {
+                    batch.set(reportRef, {
+                        scopeType: scope.type,
+                        scopeId: scope.id || null,
+                        scopeLabel: scope.label,
+                        startedAt,
+                        completedAt: timestamp,
+                        uncountedAsZero: Boolean(uncountedAsZero),
+                        lines: summary.lines.filter(line => line.variance).map(({ id, description, stockNumber, bin, costPrice, expected, counted, variance }) => (
+                            { id, description, stockNumber, bin, costPrice, expected, counted, variance }
+                        )),
+                        countedLines: summary.counted,
+                        uncountedLines: summary.uncounted,
+                        shortUnits: summary.shortUnits,
+                        overUnits: summary.overUnits,
+                        varianceValue: summary.varianceValue,
+                        performedBy
                     });
+                }
 
-                    const txnRef = doc(collection(db, 'transactions'));
-                    transaction.set(txnRef, {
-                        type: 'OUT',
-                        itemId: ci.id,
-                        itemName: ci.itemName,
-                        quantity: -ci.quantity,
-                        costPrice: Number(ci.costPrice),
-                        salePrice: Number(ci.unitPrice),
-                        totalCost: -ci.quantity * Number(ci.costPrice),
-                        totalSales: ci.quantity * Number(ci.unitPrice),
-                        timestamp: new Date().toISOString(),
-                        reason: 'POS Sale',
-                        performedBy: userData?.name || user?.email || 'Unknown',
-                        saleId
+                const chunk = variances.slice(start, start + STOCK_TAKE_BATCH_ROWS);
+                chunk.forEach(line => {
+                    const item = items.find(i => i.id === line.id);
+                    const changes = planVarianceChanges(item, line.variance, scope);
+                    const update = { quantity: increment(line.variance) };
+                    Object.entries(changes).forEach(([locationId, delta]) => {
+                        if (locationId !== UNASSIGNED_LOCATION) update[`stockByLocation.${locationId}`] = increment(delta);
+                    });
+                    batch.update(doc(db, 'inventory', line.id), { ...update, ...editStamp() });
+
+                    batch.set(doc(collection(db, 'transactions')), {
+                        type: 'ADJUSTMENT',
+                        itemId: line.id,
+                        itemName: line.description,
+                        quantity: line.variance,
+                        costPrice: line.costPrice,
+                        totalCost: line.variance * line.costPrice,
+                        timestamp,
+                        reason: 'Stock Take',
+                        stockTakeId: reportRef.id,
+                        ...(scope.type === 'location' ? { locationId: scope.id } : {}),
+                        performedBy
                     });
                 });
-            });
 
-            // Optimistic local update
-            setItems(prev => prev.map(item => {
-                const ci = cartItems.find(c => c.id === item.id);
-                return ci ? { ...item, quantity: Number(item.quantity) - ci.quantity } : item;
-            }));
-            loadTransactions();
+                await batch.commit();
+                posted += chunk.length;
+            }
+
+            showToast(variances.length > 0
+                ? `Stock take posted - ${variances.length} item${variances.length !== 1 ? 's' : ''} adjusted`
+                : 'Stock take posted - no variances', 'success');
+            return reportRef.id;
+        } catch (err) {
+            console.error('Error posting stock take:', err);
+            showToast(posted > 0
+                ? `Stock take stopped after ${posted} of ${variances.length} adjustments - the rest were not posted`
+                : 'Failed to post stock take', 'error');
+            return false;
+        }
+    };
+
+    // Most recent stock-take reports, newest first.
+    // Returns Promise<Array|null> (null on failure, after a toast)
+    const fetchStockTakes = useCallback(async () => {
+        try {
+            const snapshot = await getDocs(query(
+                collection(db, 'stockTakes'),
+                orderBy('completedAt', 'desc'),
+                limit(STOCK_TAKE_HISTORY)
+            ));
+            return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        } catch (err) {
+            console.error('Error loading stock takes:', err);
+            showToast('Failed to load past stock takes', 'error');
+            return null;
+        }
+    }, [showToast]);
+
+    // An item's cost changes, newest first (see utils/costing). Filtering on
+    // the item alone needs no composite index; the rest is sorted here.
+    // Returns Promise<Array|null> (null after a toast if the read failed)
+    const fetchCostHistory = useCallback(async (itemId) => {
+        try {
+            const snapshot = await getDocs(query(collection(db, 'transactions'), where('itemId', '==', itemId)));
+            return toCostHistory(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        } catch (err) {
+            console.error('Error loading cost history:', err);
+            showToast('Failed to load cost history', 'error');
+            return null;
+        }
+    }, [showToast]);
+
+    // Everything that has happened to an item: audit entries and stock
+    // movements together, newest first (see utils/audit).
+    // Returns Promise<Array|null> (null after a toast if the read failed)
+    const fetchItemHistory = useCallback(async (itemId) => {
+        try {
+            const [auditSnapshot, transactionSnapshot] = await Promise.all([
+                getDocs(query(collection(db, 'auditLog'), where('itemId', '==', itemId))),
+                getDocs(query(collection(db, 'transactions'), where('itemId', '==', itemId)))
+            ]);
+            return buildItemHistory(
+                auditSnapshot.docs.map(d => ({ id: d.id, ...d.data() })),
+                transactionSnapshot.docs.map(d => ({ id: d.id, ...d.data() }))
+            );
+        } catch (err) {
+            console.error('Error loading item history:', err);
+            showToast('Failed to load item history', 'error');
+            return null;
+        }
+    }, [showToast]);
+
+    // Atomic multi-item checkout for the POS screen.
+    // cartItems: Array<{ id: string, itemName: string, quantity: number, unitPrice: number, costPrice: number, listPrice?: number, sellingPrice?: number, taxClass?: string,
+    //   promotion?: { id, name, discount } }>
+    // listPrice is the unit price before any discount or promotion, kept so receipts can show the discount.
+    // sellingPrice is the item's usual price, kept so price overrides can be reported.
+    // promotion.discount is the amount it took off the line total.
+    // saleInfo: { tenders: Array<{ method: string, amount: number }>, cashTendered: number, changeDue: number, shiftId: string,
+    //   approval: { approvedBy, approvedByUid, approvalId?, reasons: Array<string> } } (all optional)
+    // An approval given at the till (approvalId, see AuthContext verifyApprover) is used up by this sale.
+    // Returns Promise<Array|false> - the OUT lines written (for the receipt) on success, false on failure (already shows a toast either way)
+    // Offline, the sale is queued on this device instead and its lines come back with queued: true.
+    const checkoutSale = async (cartItems, saleInfo = {}) => {
+        const sale = {
+            // The rules only accept a till approval on the sale it was given for.
+            saleId: saleInfo.approval?.approvalId || crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            performedBy: userData?.name || user?.email || 'Unknown'
+        };
+
+        // No connection: keep the sale on this device rather than lose it.
+        if (!navigator.onLine) return queueSale(cartItems, saleInfo, sale);
 
+        try {
+            const saleLines = await commitSale(cartItems, saleInfo, sale, editStamp());
             showToast('Sale completed successfully', 'success');
-            return true;
+            return saleLines;
         } catch (err) {
+            if (isOfflineError(err)) return queueSale(cartItems, saleInfo, sale);
             console.error('Error checking out sale:', err);
             showToast(err.message || 'Sale failed', 'error');
             return false;
         }
     };
 
+    const queueSale = async (cartItems, saleInfo, sale) => {
+        try {
+            await queueOperation({
+                id: sale.saleId,
+                kind: 'sale',
+                createdAt: sale.timestamp,
+                performedBy: sale.performedBy,
+                cartItems,
+                saleInfo
+            });
+            showToast('Offline: sale saved on this device and will sync when back online', 'warning');
+            // Not in Firestore yet, but the lines are all the receipt needs.
+            return cartItems.map(ci => ({ id: null, ...buildSaleLine(ci, saleInfo, sale), queued: true }));
+        } catch (err) {
+            console.error('Error queueing sale:', err);
+            showToast('Sale failed and could not be saved offline', 'error');
+            return false;
+        }
+    };
+
     // Atomic multi-item stock intake for the Stock Intake screen.
-    // cartItems: Array<{ id: string, itemName: string, quantity: number, costPrice: number }>
+    // cartItems: Array<{ id: string, itemName: string, quantity: number, costPrice: number, locationId?: string, bin?: string }>
+    // receipt: { purchaseOrderId?: string } - the PO this delivery is against, if any
+    // Returns Promise<boolean> - true on success (or queued while offline), false on failure (already shows a toast either way)
+    const receiveStock = async (cartItems, receipt = {}) => {
+        const intake = {
+            timestamp: new Date().toISOString(),
+            performedBy: userData?.name || user?.email || 'Unknown',
+            ...(receipt.purchaseOrderId ? { purchaseOrderId: receipt.purchaseOrderId } : {})
+        };
+
+        if (!navigator.onLine) return queueIntake(cartItems, intake);
+
+        try {
+            await commitIntake(cartItems, intake, editStamp());
+            showToast('Stock received successfully', 'success');
+            return true;
+        } catch (err) {
+            if (isOfflineError(err)) return queueIntake(cartItems, intake);
+            console.error('Error receiving stock:', err);
+            showToast(err.message || 'Stock intake failed', 'error');
+            return false;
+        }
+    };
+
+    const queueIntake = async (cartItems, intake) => {
+        try {
+            await queueOperation({
+                id: crypto.randomUUID(),
+                kind: 'intake',
+                createdAt: intake.timestamp,
+                performedBy: intake.performedBy,
+                cartItems,
+                ...(intake.purchaseOrderId ? { purchaseOrderId: intake.purchaseOrderId } : {})
+            });
+            showToast('Offline: intake saved on this device and will sync when back online', 'warning');
+            return true;
+        } catch (err) {
+            console.error('Error queueing stock intake:', err);
+            showToast('Stock intake failed and could not be saved offline', 'error');
+            return false;
+        }
+    };
+
+    const queueOperation = async (operation) => {
+        await putQueuedOperation({ ...operation, status: 'pending' });
+        setOfflineQueue(await getQueuedOperations());
+    };
+
+    // Write every pending queued operation, oldest first. Anything Firestore
+    // rejects (usually not enough stock any more) is kept as a conflict for
+    // someone to resolve on the Sync screen; nothing is dropped silently.
+    const replayOfflineQueue = useCallback(async () => {
+        if (isReplayingRef.current || !navigator.onLine) return;
+        isReplayingRef.current = true;
+
+        let synced = 0;
+        let conflicted = 0;
+        try {
+            const operations = await getQueuedOperations();
+            for (const op of operations) {
+                if (op.status !== 'pending') continue;
+                try {
+                    await commitQueuedOperation(op, editStamp());
+                    await deleteQueuedOperation(op.id);
+                    synced += 1;
+                } catch (err) {
+                    // Dropped again mid-replay; the rest waits for the next reconnect.
+                    if (isOfflineError(err)) break;
+                    console.error('Error replaying queued operation:', err);
+                    await putQueuedOperation({
+                        ...op,
+                        status: 'conflict',
+                        conflicts: err.conflicts || [],
+                        error: err.message
+                    });
+                    conflicted += 1;
+                }
+            }
+            setOfflineQueue(await getQueuedOperations());
+        } catch (err) {
+            console.error('Error reading offline queue:', err);
+        } finally {
+            isReplayingRef.current = false;
+        }
+
+        if (synced > 0) {
+            showToast(`Synced ${synced} offline record${synced !== 1 ? 's' : ''}`, 'success');
+        }
+        if (conflicted > 0) {
+            showToast(`${conflicted} offline record${conflicted !== 1 ? 's need' : ' needs'} attention on the Sync screen`, 'warning');
+        }
+    }, [editStamp, showToast]);
+
+    // Settle a queued operation that couldn't be replayed.
+    // resolution: 'retry' (e.g. after receiving stock), 'force' (record it even
+    // if stock goes below zero) or 'discard'
     // Returns Promise<boolean> - true on success, false on failure (already shows a toast either way)
-    const receiveStock = async (cartItems) => {
+    const resolveQueuedOperation = async (id, resolution) => {
+        const op = offlineQueue.find(o => o.id === id);
+        if (!op) return false;
+
+        try {
+            if (resolution === 'retry') {
+                await putQueuedOperation({ ...op, status: 'pending', conflicts: [], error: null });
+                await replayOfflineQueue();
+                return true;
+            }
+
+            if (resolution === 'force') {
+                await commitQueuedOperation(op, editStamp(), { force: true });
+                showToast('Recorded. Check stock levels for the affected items.', 'warning');
+            } else {
+                showToast('Queued record discarded', 'info');
+            }
+            await deleteQueuedOperation(id);
+            setOfflineQueue(await getQueuedOperations());
+            return true;
+        } catch (err) {
+            console.error('Error resolving queued operation:', err);
+            showToast(isOfflineError(err) ? 'Still offline. Try again once connected.' : (err.message || 'Failed to resolve'), 'error');
+            return false;
+        }
+    };
+
+    // One page of transaction history, newest first, filtered in Firestore
+    // (see buildTransactionFilters). Pass the returned cursor back in to get
+    // the next page. Needs the composite indexes in firestore.indexes.json.
+    // Returns Promise<{ transactions: Array, cursor, hasMore: boolean } | null> - null on failure (already shows a toast)
+    const fetchTransactionPage = useCallback(async (filters, cursor = null, pageSize = TRANSACTION_WINDOW) => {
+        try {
+            const q = query(
+                collection(db, 'transactions'),
+                ...buildTransactionFilters(filters),
+                orderBy('timestamp', 'desc'),
+                ...(cursor ? [startAfter(cursor)] : []),
+                // One extra document tells us whether there is another page.
+                limit(pageSize + 1)
+            );
+            const snapshot = await getDocs(q);
+            const docs = snapshot.docs.slice(0, pageSize);
+            return {
+                transactions: docs.map(d => ({ id: d.id, ...d.data() })),
+                cursor: docs[docs.length - 1] || null,
+                hasMore: snapshot.docs.length > pageSize
+            };
+        } catch (err) {
+            console.error('Error loading transactions:', err);
+            showToast('Failed to load transactions', 'error');
+            return null;
+        }
+    }, [showToast]);
+
+    // Every transaction matching filters, for reports that need complete
+    // totals for a period rather than one page.
+    // Returns Promise<Array|null> - null on failure (already shows a toast)
+    const fetchAllTransactions = useCallback(async (filters) => {
+        const all = [];
+        let cursor = null;
+        let hasMore = true;
+        while (hasMore) {
+            const page = await fetchTransactionPage(filters, cursor, REPORT_PAGE_SIZE);
+            if (!page) return null;
+            all.push(...page.transactions);
+            ({ cursor, hasMore } = page);
+        }
+        return all;
+    }, [fetchTransactionPage]);
+
+    // Look up every transaction line belonging to a POS sale. saleRef can be
+    // the full saleId or the short sale number printed from formatSaleNumber.
+    // Returns Promise<{ saleId: string, lines: Array } | null> - null when not found (already shows a toast)
+    const findSale = useCallback(async (saleRef) => {
+        const ref = (saleRef || '').trim().toLowerCase();
+        if (!ref) return null;
+
         try {
+            const q = ref.length >= 36
+                ? query(collection(db, 'transactions'), where('saleId', '==', ref))
+                : query(
+                    collection(db, 'transactions'),
+                    where('saleId', '>=', ref),
+                    where('saleId', '<=', ref + '\uf8ff')
+                );
+            const querySnapshot = await getDocs(q);
+            const lines = querySnapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+            const saleIds = new Set(lines.map(l => l.saleId));
+            if (saleIds.size === 0) {
+                showToast('Sale not found', 'warning');
+                return null;
+            }
+            if (saleIds.size > 1) {
+                showToast('More than one sale matches that number. Enter more of the sale ID.', 'warning');
+                return null;
+            }
+
+            return { saleId: [...saleIds][0], lines };
+        } catch (err) {
+            console.error('Error finding sale:', err);
+            showToast('Failed to look up sale', 'error');
+            return null;
+        }
+    }, [showToast]);
+
+    // Atomic customer return against an earlier POS sale.
+    // returnLines: Array<{ transactionId: string, id: string, itemName: string, quantity: number, unitPrice: number, costPrice: number }>
+    // transactionId is the original OUT line being reversed; unitPrice is the refund per unit.
+    // options: { reason: string, refundMethod: string (tender type, see utils/payments), shiftId: string }
+    // Returns Promise<boolean> - true on success, false on failure (already shows a toast either way)
+    const processReturn = async (saleId, returnLines, options = {}) => {
+        const { reason = 'Customer Return', refundMethod = 'cash', shiftId = null } = options;
+        const returnId = crypto.randomUUID();
+
+        try {
+            // Re-read the sale to see what has already come back. Queries can't
+            // run inside a client transaction, so two tills refunding at once
+            // are caught by the saleReturns counters below instead.
+            const existing = await getDocs(query(collection(db, 'transactions'), where('saleId', '==', saleId)));
+            const saleLines = existing.docs.map(d => ({ id: d.id, ...d.data() }));
+            const returned = getReturnedQuantities(saleLines);
+            const outLines = new Map();
+
+            returnLines.forEach(rl => {
+                const outLine = saleLines.find(l => l.id === rl.transactionId && l.type === 'OUT');
+                if (!outLine) {
+                    throw new Error(`${rl.itemName} is not part of this sale`);
+                }
+                outLines.set(rl.transactionId, outLine);
+                const returnable = Math.abs(Number(outLine.quantity) || 0) - (returned.get(rl.transactionId) || 0);
+                if (rl.quantity > returnable) {
+                    throw new Error(`Only ${returnable} of ${rl.itemName} can still be returned`);
+                }
+            });
+
             await runTransaction(db, async (transaction) => {
-                const refs = cartItems.map(ci => doc(db, 'inventory', ci.id));
+                const refs = returnLines.map(rl => doc(db, 'inventory', rl.id));
+                // Units returned so far against each OUT line. The rules check
+                // every RETURN line against this, so it's kept in step here.
+                const counterRefs = returnLines.map(rl => doc(db, 'saleReturns', rl.transactionId));
 
                 // All reads must happen before any writes in a Firestore transaction.
                 const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+                const counters = await Promise.all(counterRefs.map(ref => transaction.get(ref)));
 
                 snapshots.forEach((snap, idx) => {
-                    if (!snap.exists()) {
-                        throw new Error(`Item not found: ${cartItems[idx].itemName}`);
+                    if (!isLiveItem(snap)) {
+                        throw new Error(`Item no longer in inventory: ${returnLines[idx].itemName}`);
                     }
                 });
 
-                cartItems.forEach((ci, idx) => {
-                    const currentQty = Number(snapshots[idx].data().quantity) || 0;
-                    const itemRef = refs[idx];
+                const alreadyReturned = counters.map(snap => (snap.exists() ? Number(snap.data().quantity) || 0 : 0));
+                returnLines.forEach((rl, idx) => {
+                    const returnable = Math.abs(Number(outLines.get(rl.transactionId).quantity) || 0) - alreadyReturned[idx];
+                    if (rl.quantity > returnable) {
+                        throw new Error(`Only ${returnable} of ${rl.itemName} can still be returned`);
+                    }
+                });
 
-                    transaction.update(itemRef, {
-                        quantity: currentQty + ci.quantity,
-                        costPrice: Number(ci.costPrice),
-                        updatedAt: new Date().toISOString()
+                returnLines.forEach((rl, idx) => {
+                    const data = snapshots[idx].data();
+                    const currentQty = Number(data.quantity) || 0;
+                    const txnRef = doc(collection(db, 'transactions'));
+
+                    // Returned units go back on the shelf at the item's current
+                    // average cost; the till can't change what stock is worth.
+                    transaction.update(refs[idx], {
+                        quantity: currentQty + rl.quantity,
+                        lastTransactionId: txnRef.id,
+                        ...editStamp()
+                    });
+                    transaction.set(counterRefs[idx], {
+                        quantity: alreadyReturned[idx] + rl.quantity,
+                        lastReturnId: txnRef.id
                     });
 
-                    const txnRef = doc(collection(db, 'transactions'));
+                    const refundAmount = Math.round(rl.quantity * Number(rl.unitPrice) * 100) / 100;
+                    // The refund reverses output VAT at the rate the item was sold at.
+                    const outLine = outLines.get(rl.transactionId);
+                    const taxClass = outLine.taxClass || DEFAULT_TAX_CLASS;
+                    const vatRate = outLine.vatRate ?? getTaxRate(taxClass);
                     transaction.set(txnRef, {
-                        type: 'IN',
-                        itemId: ci.id,
-                        itemName: ci.itemName,
-                        quantity: ci.quantity,
-                        costPrice: Number(ci.costPrice),
-                        totalCost: ci.quantity * Number(ci.costPrice),
+                        type: 'RETURN',
+                        itemId: rl.id,
+                        itemName: rl.itemName,
+                        quantity: rl.quantity,
+                        costPrice: Number(rl.costPrice),
+                        salePrice: Number(rl.unitPrice),
+                        totalCost: rl.quantity * Number(rl.costPrice),
+                        totalSales: -refundAmount,
+                        refundAmount,
+                        refundMethod,
+                        taxClass,
+                        vatRate,
+                        vatAmount: -vatFromInclusive(refundAmount, vatRate),
                         timestamp: new Date().toISOString(),
-                        reason: 'Stock Intake',
-                        performedBy: userData?.name || user?.email || 'Unknown'
+                        reason,
+                        performedBy: userData?.name || user?.email || 'Unknown',
+                        saleId,
+                        returnId,
+                        originalTransactionId: rl.transactionId,
+                        ...(shiftId ? { shiftId } : {}),
+                        ...(outLine.vehicleId ? { vehicleId: outLine.vehicleId } : {})
                     });
                 });
             });
 
-            // Optimistic local update
-            setItems(prev => prev.map(item => {
-                const ci = cartItems.find(c => c.id === item.id);
-                return ci ? { ...item, quantity: Number(item.quantity) + ci.quantity, costPrice: Number(ci.costPrice) } : item;
-            }));
-            loadTransactions();
-
-            showToast('Stock received successfully', 'success');
+            showToast('Return processed successfully', 'success');
             return true;
         } catch (err) {
-            console.error('Error receiving stock:', err);
-            showToast(err.message || 'Stock intake failed', 'error');
+            console.error('Error processing return:', err);
+            showToast(err.message || 'Return failed', 'error');
             return false;
         }
     };
 
     const removeStock = async (id, quantity, salePrice) => {
-        const item = items.find(i => i.id === id);
+        const item = liveItems.find(i => i.id === id);
         if (!item) return false;
 
         if (item.quantity < quantity) {
@@ -348,34 +1371,56 @@ export function InventoryProvider({ children }) {
             itemName: item.description,
             quantity,
             unitPrice: salePrice,
-            costPrice: item.costPrice
+            costPrice: item.costPrice,
+            taxClass: item.taxClass
         }]);
     };
 
-    // Initial load
     useEffect(() => {
-        if (isAuthenticated) {
-            loadInventory();
-            loadTransactions();
-        } else {
-            setItems([]);
-            setTransactions([]);
-        }
-    }, [isAuthenticated, loadInventory, loadTransactions]);
+        if (!isAuthenticated) return;
+        getQueuedOperations()
+            .then(setOfflineQueue)
+            .catch(err => console.error('Error reading offline queue:', err));
+    }, [isAuthenticated]);
+
+    // Replay whatever was queued as soon as we're signed in and back online.
+    useEffect(() => {
+        if (isAuthenticated && isOnline) replayOfflineQueue();
+    }, [isAuthenticated, isOnline, replayOfflineQueue]);
 
     return (
         <InventoryContext.Provider value={{
-            items,
+            items: liveItems,
+            deletedItems,
             loading,
-            loadInventory,
+            remoteUpdates,
+            dismissRemoteUpdate,
             addItem,
             updateItem,
             deleteItem,
+            restoreItem,
+            bulkImportItems,
+            locations,
+            addLocation,
+            renameLocation,
+            deleteLocation,
+            transferStock,
+            postStockTake,
+            fetchStockTakes,
+            fetchCostHistory,
+            fetchItemHistory,
             removeStock,
             checkoutSale,
             receiveStock,
+            findSale,
+            processReturn,
             transactions,
-            loadTransactions
+            fetchTransactionPage,
+            fetchAllTransactions,
+            isOnline,
+            offlineQueue,
+            replayOfflineQueue,
+            resolveQueuedOperation
         }}>
             {children}
         </InventoryContext.Provider>
@@ -2,14 +2,20 @@ import { createContext, useContext, useState, useCallback } from 'react';
 import ItemModal from '../components/ItemModal';
 import ItemDetailModal from '../components/ItemDetailModal';
 import SellModal from '../components/SellModal';
+import ReceiptModal from '../components/ReceiptModal';
 import { useInventory } from './InventoryContext';
+import { useAuth } from './AuthContext';
+import { useToast } from './ToastContext';
+import { PERMISSIONS } from '../utils/permissions';
 
 const ModalContext = createContext(null);
 
 export function ModalProvider({ children }) {
     const { addItem, updateItem, removeStock, deleteItem } = useInventory();
+    const { can } = useAuth();
+    const { showToast } = useToast();
 
-    const [activeModal, setActiveModal] = useState(null); // 'item', 'detail', 'sell'
+    const [activeModal, setActiveModal] = useState(null); // 'item', 'detail', 'sell', 'receipt'
     const [modalProps, setModalProps] = useState({});
 
     const closeModals = useCallback(() => {
@@ -17,7 +23,12 @@ export function ModalProvider({ children }) {
         setModalProps({});
     }, []);
 
+    // Every way into the item form (Add, Edit, an unknown scan) comes through here.
     const openItemModal = useCallback((item = null) => {
+        if (!can(PERMISSIONS.EDIT_ITEMS)) {
+            showToast("Your role can't add or edit items", 'warning');
+            return;
+        }
         setModalProps({
             initialData: item,
             onSave: async (data) => {
@@ -27,15 +38,15 @@ export function ModalProvider({ children }) {
                     await addItem(data);
                 }
             },
-            onDelete: async (id) => {
-                if (window.confirm(`Are you sure you want to delete this item? This action cannot be undone.`)) {
+            onDelete: can(PERMISSIONS.DELETE_ITEMS) ? async (id) => {
+                if (window.confirm(`Are you sure you want to delete this item? It can be restored later from Inventory > Deleted.`)) {
                     await deleteItem(id);
                     closeModals();
                 }
-            }
+            } : null
         });
         setActiveModal('item');
-    }, [addItem, updateItem]);
+    }, [addItem, updateItem, can, showToast]);
 
     const openSellModal = useCallback((item) => {
         setModalProps({
@@ -47,6 +58,11 @@ export function ModalProvider({ children }) {
         setActiveModal('sell');
     }, [removeStock]);
 
+    const openReceiptModal = useCallback((receipt) => {
+        setModalProps({ receipt });
+        setActiveModal('receipt');
+    }, []);
+
     const openDetailModal = useCallback((item) => {
         setModalProps({
             item,
@@ -63,7 +79,7 @@ export function ModalProvider({ children }) {
     }, [closeModals, openItemModal, openSellModal]);
 
     return (
-        <ModalContext.Provider value={{ openItemModal, openDetailModal, openSellModal, closeModals }}>
+        <ModalContext.Provider value={{ openItemModal, openDetailModal, openSellModal, openReceiptModal, closeModals }}>
             {children}
 
             {activeModal === 'item' && (
@@ -89,6 +105,14 @@ export function ModalProvider({ children }) {
                     {...modalProps}
                 />
             )}
+
+            {activeModal === 'receipt' && (
+                <ReceiptModal
+                    isOpen={true}
+                    onClose={closeModals}
+                    {...modalProps}
+                />
+            )}
         </ModalContext.Provider>
     );
 }
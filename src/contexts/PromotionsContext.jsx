@@ -0,0 +1,130 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { useAuth } from './AuthContext';
+import { useToast } from './ToastContext';
+import { db } from '../utils/firebase';
+import { PROMOTION_SCOPES, PROMOTION_TYPES } from '../utils/promotions';
+import {
+    collection,
+    addDoc,
+    updateDoc,
+    deleteDoc,
+    doc,
+    onSnapshot
+} from 'firebase/firestore';
+
+const PromotionsContext = createContext(null);
+
+// Form values come back as strings; keep numbers numeric in Firestore, and
+// only keep the fields the promotion's type and scope use.
+const normalizePromotion = (data) => ({
+    name: (data.name || '').trim(),
+    type: data.type || PROMOTION_TYPES.PERCENT_OFF,
+    ...(data.type === PROMOTION_TYPES.BUNDLE ? {
+        bundleQuantity: Number(data.bundleQuantity) || 0,
+        bundlePrice: Number(data.bundlePrice) || 0
+    } : data.type === PROMOTION_TYPES.BUY_X_GET_Y ? {
+        buyQuantity: Number(data.buyQuantity) || 0,
+        freeQuantity: Number(data.freeQuantity) || 0
+    } : {
+        percent: Number(data.percent) || 0
+    }),
+    scope: data.scope || PROMOTION_SCOPES.ALL,
+    supplier: data.scope === PROMOTION_SCOPES.SUPPLIER ? (data.supplier || '').trim() : '',
+    itemIds: data.scope === PROMOTION_SCOPES.ITEMS ? (data.itemIds || []) : [],
+    startDate: data.startDate || '',
+    endDate: data.endDate || '',
+    active: data.active !== false
+});
+
+export function PromotionsProvider({ children }) {
+    const { isAuthenticated, user, userData } = useAuth();
+    const { showToast } = useToast();
+
+    const [promotions, setPromotions] = useState([]);
+
+    // A handful at most, and the till needs changes straight away.
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        const unsubscribe = onSnapshot(collection(db, 'promotions'), (snapshot) => {
+            setPromotions(snapshot.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+        }, (error) => {
+            console.error('Promotion listener error:', error);
+        });
+
+        return () => {
+            unsubscribe();
+            setPromotions([]);
+        };
+    }, [isAuthenticated]);
+
+    const performedBy = () => userData?.name || user?.email || 'Unknown';
+
+    // Returns Promise<string|null> - the new promotion's id, or null on failure (already shows a toast)
+    const addPromotion = async (data) => {
+        try {
+            const docRef = await addDoc(collection(db, 'promotions'), {
+                ...normalizePromotion(data),
+                createdAt: new Date().toISOString(),
+                createdBy: performedBy()
+            });
+            showToast('Promotion added', 'success');
+            return docRef.id;
+        } catch (err) {
+            console.error('Error adding promotion:', err);
+            showToast('Failed to add promotion', 'error');
+            return null;
+        }
+    };
+
+    const updatePromotion = async (data) => {
+        try {
+            await updateDoc(doc(db, 'promotions', data.id), {
+                ...normalizePromotion(data),
+                updatedAt: new Date().toISOString(),
+                updatedBy: performedBy()
+            });
+            showToast('Promotion updated', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error updating promotion:', err);
+            showToast('Failed to update promotion', 'error');
+            return false;
+        }
+    };
+
+    // Sales keep the promotion's name on their lines, so deleting one
+    // doesn't lose what was given.
+    const deletePromotion = async (id) => {
+        try {
+            await deleteDoc(doc(db, 'promotions', id));
+            showToast('Promotion deleted', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error deleting promotion:', err);
+            showToast('Failed to delete promotion', 'error');
+            return false;
+        }
+    };
+
+    return (
+        <PromotionsContext.Provider value={{
+            promotions,
+            addPromotion,
+            updatePromotion,
+            deletePromotion
+        }}>
+            {children}
+        </PromotionsContext.Provider>
+    );
+}
+
+export function usePromotions() {
+    const context = useContext(PromotionsContext);
+    if (!context) {
+        throw new Error('usePromotions must be used within a PromotionsProvider');
+    }
+    return context;
+}
@@ -0,0 +1,242 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { useAuth } from './AuthContext';
+import { useToast } from './ToastContext';
+import { db } from '../utils/firebase';
+import { OPEN_PO_STATUSES } from '../utils/purchasing';
+import {
+    collection,
+    addDoc,
+    updateDoc,
+    deleteDoc,
+    doc,
+    onSnapshot
+} from 'firebase/firestore';
+
+const PurchasingContext = createContext(null);
+
+// Form values come back as strings; keep numbers numeric in Firestore.
+const normalizeSupplier = (data) => ({
+    name: (data.name || '').trim(),
+    contactName: (data.contactName || '').trim(),
+    phone: (data.phone || '').trim(),
+    email: (data.email || '').trim(),
+    address: data.address || '',
+    accountNumber: (data.accountNumber || '').trim(),
+    paymentTerms: (data.paymentTerms || '').trim(),
+    leadTimeDays: data.leadTimeDays === '' || data.leadTimeDays == null ? null : Number(data.leadTimeDays),
+    notes: data.notes || ''
+});
+
+const normalizePoLines = (lines) => lines.map(line => ({
+    itemId: line.itemId,
+    description: line.description || '',
+    stockNumber: line.stockNumber || '',
+    quantity: Number(line.quantity) || 0,
+    unitCost: Number(line.unitCost) || 0,
+    received: Number(line.received) || 0,
+    receivedCost: Number(line.receivedCost) || 0
+}));
+
+export function PurchasingProvider({ children }) {
+    const { isAuthenticated, user, userData } = useAuth();
+    const { showToast } = useToast();
+
+    const [suppliers, setSuppliers] = useState([]);
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+
+    // Suppliers and orders are both small lists, so keep them live.
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        const unsubSuppliers = onSnapshot(collection(db, 'suppliers'), (snapshot) => {
+            setSuppliers(snapshot.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+        }, (error) => {
+            console.error('Supplier listener error:', error);
+        });
+
+        const unsubOrders = onSnapshot(collection(db, 'purchaseOrders'), (snapshot) => {
+            setPurchaseOrders(snapshot.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')));
+        }, (error) => {
+            console.error('Purchase order listener error:', error);
+        });
+
+        return () => {
+            unsubSuppliers();
+            unsubOrders();
+            setSuppliers([]);
+            setPurchaseOrders([]);
+        };
+    }, [isAuthenticated]);
+
+    const performedBy = () => userData?.name || user?.email || 'Unknown';
+
+    // Returns Promise<string|null> - the new supplier's id, or null on failure (already shows a toast)
+    const addSupplier = async (data) => {
+        try {
+            const docRef = await addDoc(collection(db, 'suppliers'), {
+                ...normalizeSupplier(data),
+                createdAt: new Date().toISOString(),
+                createdBy: performedBy()
+            });
+            showToast('Supplier added', 'success');
+            return docRef.id;
+        } catch (err) {
+            console.error('Error adding supplier:', err);
+            showToast('Failed to add supplier', 'error');
+            return null;
+        }
+    };
+
+    const updateSupplier = async (data) => {
+        try {
+            await updateDoc(doc(db, 'suppliers', data.id), {
+                ...normalizeSupplier(data),
+                updatedAt: new Date().toISOString()
+            });
+            showToast('Supplier updated', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error updating supplier:', err);
+            showToast('Failed to update supplier', 'error');
+            return false;
+        }
+    };
+
+    // Suppliers with orders still to arrive can't go.
+    const deleteSupplier = async (id) => {
+        if (purchaseOrders.some(po => po.supplierId === id && (po.status === 'draft' || OPEN_PO_STATUSES.includes(po.status)))) {
+            showToast('Finish or cancel this supplier\'s open orders first', 'warning');
+            return false;
+        }
+
+        try {
+            await deleteDoc(doc(db, 'suppliers', id));
+            showToast('Supplier deleted', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error deleting supplier:', err);
+            showToast('Failed to delete supplier', 'error');
+            return false;
+        }
+    };
+
+    // New orders start as drafts.
+    // data: { supplierId, lines, expectedDate?, notes? }
+    // Returns Promise<string|null> - the new order's id, or null on failure (already shows a toast)
+    const createPurchaseOrder = async ({ supplierId, lines, expectedDate = '', notes = '' }) => {
+        const supplier = suppliers.find(s => s.id === supplierId);
+        try {
+            const docRef = await addDoc(collection(db, 'purchaseOrders'), {
+                supplierId,
+                supplierName: supplier?.name || '',
+                status: 'draft',
+                lines: normalizePoLines(lines),
+                expectedDate,
+                notes,
+                createdAt: new Date().toISOString(),
+                createdBy: performedBy()
+            });
+            showToast('Purchase order created', 'success');
+            return docRef.id;
+        } catch (err) {
+            console.error('Error creating purchase order:', err);
+            showToast('Failed to create purchase order', 'error');
+            return null;
+        }
+    };
+
+    // Only drafts can be edited; once ordered the lines are what the
+    // supplier was asked for.
+    // data: { supplierId, lines, expectedDate, notes }
+    const updatePurchaseOrder = async (id, { supplierId, lines, expectedDate = '', notes = '' }) => {
+        const po = purchaseOrders.find(p => p.id === id);
+        if (po && po.status !== 'draft') {
+            showToast('Only draft orders can be changed', 'warning');
+            return false;
+        }
+        const supplier = suppliers.find(s => s.id === supplierId);
+
+        try {
+            await updateDoc(doc(db, 'purchaseOrders', id), {
+                supplierId,
+                supplierName: supplier?.name || '',
+                lines: normalizePoLines(lines),
+                expectedDate,
+                notes,
+                updatedAt: new Date().toISOString()
+            });
+            showToast('Purchase order saved', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error saving purchase order:', err);
+            showToast('Failed to save purchase order', 'error');
+            return false;
+        }
+    };
+
+    // Move an order along: draft -> ordered, or cancelled / closed short.
+    // Deliveries set partial / received themselves (see receiveStock).
+    const setPurchaseOrderStatus = async (id, status) => {
+        const stamp = new Date().toISOString();
+        try {
+            await updateDoc(doc(db, 'purchaseOrders', id), {
+                status,
+                [`${status}At`]: stamp,
+                [`${status}By`]: performedBy(),
+                updatedAt: stamp
+            });
+            showToast(status === 'ordered' ? 'Purchase order marked as ordered' : `Purchase order ${status}`, 'success');
+            return true;
+        } catch (err) {
+            console.error('Error updating purchase order:', err);
+            showToast('Failed to update purchase order', 'error');
+            return false;
+        }
+    };
+
+    const deletePurchaseOrder = async (id) => {
+        const po = purchaseOrders.find(p => p.id === id);
+        if (po && po.status !== 'draft') {
+            showToast('Only draft orders can be deleted - cancel it instead', 'warning');
+            return false;
+        }
+
+        try {
+            await deleteDoc(doc(db, 'purchaseOrders', id));
+            showToast('Purchase order deleted', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error deleting purchase order:', err);
+            showToast('Failed to delete purchase order', 'error');
+            return false;
+        }
+    };
+
+    return (
+        <PurchasingContext.Provider value={{
+            suppliers,
+            addSupplier,
+            updateSupplier,
+            deleteSupplier,
+            purchaseOrders,
+            createPurchaseOrder,
+            updatePurchaseOrder,
+            setPurchaseOrderStatus,
+            deletePurchaseOrder
+        }}>
+            {children}
+        </PurchasingContext.Provider>
+    );
+}
+
+export function usePurchasing() {
+    const context = useContext(PurchasingContext);
+    if (!context) {
+        throw new Error('usePurchasing must be used within a PurchasingProvider');
+    }
+    return context;
+}
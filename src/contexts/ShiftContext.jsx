@@ -0,0 +1,149 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { useToast } from './ToastContext';
+import { db } from '../utils/firebase';
+import { buildZReport } from '../utils/shifts';
+import {
+    collection,
+    getDocs,
+    addDoc,
+    updateDoc,
+    doc,
+    query,
+    where,
+    orderBy,
+    limit,
+    onSnapshot
+} from 'firebase/firestore';
+
+const ShiftContext = createContext(null);
+
+export function ShiftProvider({ children }) {
+    const { user, userData } = useAuth();
+    const { showToast } = useToast();
+
+    // Tagged with the uid it was loaded for, so a previous user's shift is
+    // never shown after switching accounts.
+    const [shiftState, setShiftState] = useState({ uid: null, shift: null });
+    const currentShift = user && shiftState.uid === user.uid ? shiftState.shift : null;
+
+    // Each cashier has at most one open shift (their own drawer and float).
+    // Listen rather than fetch so closing it on another device clears it here.
+    useEffect(() => {
+        if (!user) return;
+
+        const q = query(
+            collection(db, 'shifts'),
+            where('openedByUid', '==', user.uid),
+            where('status', '==', 'open')
+        );
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setShiftState({
+                uid: user.uid,
+                shift: snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() }
+            });
+        }, (error) => {
+            console.error('Shift listener error:', error);
+        });
+
+        return () => unsubscribe();
+    }, [user]);
+
+    const openShift = async (openingFloat) => {
+        if (currentShift) {
+            showToast('You already have an open shift', 'warning');
+            return false;
+        }
+
+        try {
+            await addDoc(collection(db, 'shifts'), {
+                status: 'open',
+                openedBy: userData?.name || user?.email || 'Unknown',
+                openedByUid: user.uid,
+                openedAt: new Date().toISOString(),
+                openingFloat: Number(openingFloat) || 0
+            });
+            showToast('Shift opened', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error opening shift:', err);
+            showToast('Failed to open shift', 'error');
+            return false;
+        }
+    };
+
+    // Every sale and refund made during the shift, for the live X read and the Z report.
+    const loadShiftTransactions = useCallback(async (shiftId) => {
+        const q = query(collection(db, 'transactions'), where('shiftId', '==', shiftId));
+        const snapshot = await getDocs(q);
+        return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    }, []);
+
+    // Close the current shift and store its Z report on the shift document.
+    // Returns Promise<object|null> - the closed shift (with zReport) on success, null on failure (already shows a toast)
+    const closeShift = async (countedCash, notes = '') => {
+        if (!currentShift) return null;
+
+        try {
+            const shiftTransactions = await loadShiftTransactions(currentShift.id);
+            const zReport = buildZReport(currentShift, shiftTransactions, countedCash);
+
+            const closed = {
+                status: 'closed',
+                closedAt: new Date().toISOString(),
+                closedBy: userData?.name || user?.email || 'Unknown',
+                countedCash: zReport.countedCash,
+                notes,
+                zReport
+            };
+            await updateDoc(doc(db, 'shifts', currentShift.id), closed);
+
+            showToast('Shift closed', 'success');
+            return { ...currentShift, ...closed };
+        } catch (err) {
+            console.error('Error closing shift:', err);
+            showToast('Failed to close shift', 'error');
+            return null;
+        }
+    };
+
+    // Closed shifts, newest first, for the admin Z report list.
+    const loadShiftReports = useCallback(async () => {
+        try {
+            // Ordering by closedAt already skips open shifts (they have no
+            // closedAt), without needing a composite index on status.
+            const q = query(
+                collection(db, 'shifts'),
+                orderBy('closedAt', 'desc'),
+                limit(50)
+            );
+            const snapshot = await getDocs(q);
+            return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        } catch (err) {
+            console.error('Error loading shift reports:', err);
+            showToast('Failed to load shift reports', 'error');
+            return [];
+        }
+    }, [showToast]);
+
+    return (
+        <ShiftContext.Provider value={{
+            currentShift,
+            openShift,
+            closeShift,
+            loadShiftTransactions,
+            loadShiftReports
+        }}>
+            {children}
+        </ShiftContext.Provider>
+    );
+}
+
+export function useShift() {
+    const context = useContext(ShiftContext);
+    if (!context) {
+        throw new Error('useShift must be used within a ShiftProvider');
+    }
+    return context;
+}
@@ -0,0 +1,146 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { useToast } from './ToastContext';
+import { useInventory } from './InventoryContext';
+import { db } from '../utils/firebase';
+import {
+    collection,
+    getDocs,
+    addDoc,
+    updateDoc,
+    deleteDoc,
+    doc,
+    query,
+    where,
+    onSnapshot
+} from 'firebase/firestore';
+
+const VehicleContext = createContext(null);
+
+// Form values come back as strings; keep numbers numeric in Firestore.
+const normalizeVehicle = (data) => ({
+    vin: (data.vin || '').trim().toUpperCase(),
+    make: (data.make || '').trim(),
+    model: (data.model || '').trim(),
+    year: data.year ? Number(data.year) : null,
+    engineCode: (data.engineCode || '').trim(),
+    purchaseCost: Number(data.purchaseCost) || 0,
+    purchaseDate: data.purchaseDate || '',
+    dateStripped: data.dateStripped || '',
+    notes: data.notes || ''
+});
+
+export function VehicleProvider({ children }) {
+    const { isAuthenticated, user, userData } = useAuth();
+    const { showToast } = useToast();
+    const { items } = useInventory();
+
+    const [vehicles, setVehicles] = useState([]);
+
+    // Donor vehicles are few and change rarely, so keep the whole list live.
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        const unsubscribe = onSnapshot(collection(db, 'vehicles'), (snapshot) => {
+            setVehicles(snapshot.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .sort((a, b) => (b.purchaseDate || b.createdAt || '').localeCompare(a.purchaseDate || a.createdAt || '')));
+        }, (error) => {
+            console.error('Vehicle listener error:', error);
+        });
+
+        return () => {
+            unsubscribe();
+            setVehicles([]);
+        };
+    }, [isAuthenticated]);
+
+    // Returns Promise<string|null> - the new vehicle's id, or null on failure (already shows a toast)
+    const addVehicle = async (data) => {
+        try {
+            const docRef = await addDoc(collection(db, 'vehicles'), {
+                ...normalizeVehicle(data),
+                createdAt: new Date().toISOString(),
+                createdBy: userData?.name || user?.email || 'Unknown'
+            });
+            showToast('Vehicle added', 'success');
+            return docRef.id;
+        } catch (err) {
+            console.error('Error adding vehicle:', err);
+            showToast('Failed to add vehicle', 'error');
+            return null;
+        }
+    };
+
+    const updateVehicle = async (data) => {
+        try {
+            await updateDoc(doc(db, 'vehicles', data.id), {
+                ...normalizeVehicle(data),
+                updatedAt: new Date().toISOString()
+            });
+            showToast('Vehicle updated', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error updating vehicle:', err);
+            showToast('Failed to update vehicle', 'error');
+            return false;
+        }
+    };
+
+    // Only vehicles with no parts linked can go, so no item is left pointing
+    // at a donor that no longer exists.
+    const deleteVehicle = async (id) => {
+        if (items.some(item => item.vehicleId === id)) {
+            showToast('Unlink or delete this vehicle\'s parts first', 'warning');
+            return false;
+        }
+
+        try {
+            await deleteDoc(doc(db, 'vehicles', id));
+            showToast('Vehicle deleted', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error deleting vehicle:', err);
+            showToast('Failed to delete vehicle', 'error');
+            return false;
+        }
+    };
+
+    // Every sale and return line for the vehicle's parts.
+    // Returns Promise<Array|null> - null on failure (already shows a toast)
+    const loadVehicleSales = useCallback(async (vehicleId) => {
+        try {
+            const snapshot = await getDocs(query(
+                collection(db, 'transactions'),
+                where('vehicleId', '==', vehicleId)
+            ));
+            return snapshot.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .filter(t => t.type === 'OUT' || t.type === 'RETURN');
+        } catch (err) {
+            console.error('Error loading vehicle sales:', err);
+            showToast('Failed to load vehicle sales', 'error');
+            return null;
+        }
+    }, [showToast]);
+
+    return (
+        <VehicleContext.Provider value={{
+            vehicles,
+            addVehicle,
+            updateVehicle,
+            deleteVehicle,
+            loadVehicleSales
+        }}>
+            {children}
+        </VehicleContext.Provider>
+    );
+}
+
+export function useVehicles() {
+    const context = useContext(VehicleContext);
+    if (!context) {
+        throw new Error('useVehicles must be used within a VehicleProvider');
+    }
+    return context;
+}
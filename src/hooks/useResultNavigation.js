@@ -0,0 +1,34 @@
+import { useState } from 'react';
+
+// Arrow-key movement through search results while focus stays in the search
+// input. Enter picks the highlighted result via onSelect.
+// Returns { activeIndex, handleKeyDown } - handleKeyDown returns true when it
+// handled the key, so the input's own Enter handling can be skipped.
+export default function useResultNavigation(results, onSelect) {
+    // The highlight belongs to one list of results and resets when it changes.
+    const [selection, setSelection] = useState({ results, index: -1 });
+    const activeIndex = selection.results === results ? selection.index : -1;
+
+    const handleKeyDown = (e) => {
+        if (results.length === 0) return false;
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setSelection({ results, index: Math.min(activeIndex + 1, results.length - 1) });
+            return true;
+        }
+        if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setSelection({ results, index: Math.max(activeIndex - 1, -1) });
+            return true;
+        }
+        if (e.key === 'Enter' && activeIndex >= 0) {
+            e.preventDefault();
+            onSelect(results[activeIndex]);
+            return true;
+        }
+        return false;
+    };
+
+    return { activeIndex, handleKeyDown };
+}
@@ -0,0 +1,114 @@
+// Checkout approvals. Sales that go past the shop's thresholds (set by an
+// admin in User Management, stored in settings/approvals) need someone whose
+// role has the matching permission: the cashier themselves if it does,
+// otherwise a manager signing in at the till. Whoever approved it is recorded
+// on every line of the sale.
+import { PERMISSIONS, STAFF_DISCOUNT_LIMIT } from './permissions';
+
+export const DEFAULT_APPROVAL_SETTINGS = {
+    // Sale-wide discount, as a percentage of the subtotal.
+    maxDiscountPercent: STAFF_DISCOUNT_LIMIT,
+    // How far below its selling price a line can be priced; 0 means any cut.
+    maxPriceReductionPercent: 0,
+    // Whether selling below the item's average cost always needs approval.
+    approveBelowCost: true
+};
+
+export const APPROVAL_REASONS = {
+    DISCOUNT: 'discount',
+    PRICE_OVERRIDE: 'priceOverride',
+    BELOW_COST: 'belowCost'
+};
+
+const REASON_LABELS = {
+    discount: 'Discount',
+    priceOverride: 'Price override',
+    belowCost: 'Below cost'
+};
+
+export const getApprovalReasonLabel = (reason) => REASON_LABELS[reason] || reason;
+
+// Fills in anything missing from the stored settings and keeps the numbers sane.
+export const normalizeApprovalSettings = (settings = {}) => {
+    const percent = (value, fallback) => {
+        const n = Number(value);
+        return Number.isFinite(n) && n >= 0 && n <= 100 ? n : fallback;
+    };
+    return {
+        maxDiscountPercent: percent(settings.maxDiscountPercent, DEFAULT_APPROVAL_SETTINGS.maxDiscountPercent),
+        maxPriceReductionPercent: percent(settings.maxPriceReductionPercent, DEFAULT_APPROVAL_SETTINGS.maxPriceReductionPercent),
+        approveBelowCost: settings.approveBelowCost ?? DEFAULT_APPROVAL_SETTINGS.approveBelowCost
+    };
+};
+
+// What a cart needs approving before it can be paid for.
+// lines: Array<{ itemName, unitPrice, sellingPrice, chargedPrice, costPrice, vatRate }>
+//   unitPrice and sellingPrice as entered at the till; chargedPrice is what the
+//   customer pays per unit after the sale discount, VAT-inclusive as logged.
+//   costPrice is ex-VAT, so the VAT (at vatRate) comes off chargedPrice first.
+// Returns Array<{ reason, permission, message }>, one per reason
+export const getRequiredApprovals = (lines, discountPercent, settings) => {
+    const required = [];
+
+    if (discountPercent > settings.maxDiscountPercent) {
+        required.push({
+            reason: APPROVAL_REASONS.DISCOUNT,
+            permission: PERMISSIONS.DISCOUNT,
+            message: `Discount of ${Math.round(discountPercent * 10) / 10}% is over the ${settings.maxDiscountPercent}% limit`
+        });
+    }
+
+    const floor = 1 - settings.maxPriceReductionPercent / 100;
+    // Rounded to the cent so a price typed back to the selling price counts as unchanged.
+    const cut = lines.filter(line => Math.round(line.unitPrice * 100) < Math.round(line.sellingPrice * floor * 100));
+    if (cut.length > 0) {
+        required.push({
+            reason: APPROVAL_REASONS.PRICE_OVERRIDE,
+            permission: PERMISSIONS.OVERRIDE_PRICE,
+            message: `Price reduced on ${cut.map(line => line.itemName).join(', ')}`
+        });
+    }
+
+    const belowCost = settings.approveBelowCost
+        ? lines.filter(line => line.costPrice > 0
+            && Math.round(line.chargedPrice / (1 + (Number(line.vatRate) || 0)) * 100) < Math.round(line.costPrice * 100))
+        : [];
+    if (belowCost.length > 0) {
+        required.push({
+            reason: APPROVAL_REASONS.BELOW_COST,
+            permission: PERMISSIONS.OVERRIDE_PRICE,
+            message: `Selling below cost: ${belowCost.map(line => line.itemName).join(', ')}`
+        });
+    }
+
+    return required;
+};
+
+// Sales with an approval, per cashier, for the Sales screen.
+// saleGroups: from groupSales (utils/sales)
+// Returns Array<{ cashier, sales, reasons: { [reason]: number }, discountGiven, approvers: Array<string> }>
+export const summarizeOverrides = (saleGroups) => {
+    const byCashier = new Map();
+    saleGroups.forEach(group => {
+        if (!group.approval) return;
+        const cashier = group.performedBy || 'Unknown';
+        if (!byCashier.has(cashier)) {
+            byCashier.set(cashier, { cashier, sales: 0, reasons: {}, discountGiven: 0, approvers: new Set() });
+        }
+        const entry = byCashier.get(cashier);
+        entry.sales++;
+        (group.approval.reasons || []).forEach(reason => {
+            entry.reasons[reason] = (entry.reasons[reason] || 0) + 1;
+        });
+        // Against the item's usual price where the line has it, otherwise
+        // the price before the sale discount. Promotions aren't the cashier's doing.
+        entry.discountGiven += group.lines.reduce((sum, line) => (
+            sum + Math.abs(Number(line.quantity) || 0) * ((Number(line.sellingPrice ?? line.listPrice) || 0) - (Number(line.salePrice) || 0))
+                - (Number(line.promotion?.discount) || 0)
+        ), 0);
+        entry.approvers.add(group.approval.approvedBy || 'Unknown');
+    });
+    return [...byCashier.values()]
+        .map(entry => ({ ...entry, approvers: [...entry.approvers].sort() }))
+        .sort((a, b) => b.sales - a.sales);
+};
@@ -0,0 +1,85 @@
+// Item audit trail. Every change to an item's record (adding it, editing its
+// details, deleting and restoring it) writes an entry to the auditLog
+// collection listing each field's value before and after. Entries are never
+// changed or removed (see firestore.rules).
+// Stock movements already have a permanent record in transactions. Lines
+// written as part of an audited change carry its auditId, so the item's
+// history can show the two together without listing a change twice.
+
+export const AUDIT_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    RESTORE: 'restore'
+};
+
+const ACTION_LABELS = {
+    create: 'Added',
+    update: 'Edited',
+    delete: 'Deleted',
+    restore: 'Restored'
+};
+
+export const getAuditActionLabel = (action) => ACTION_LABELS[action] || action;
+
+export const FIELD_LABELS = {
+    description: 'Description',
+    stockNumber: 'Stock Number',
+    barcode: 'Barcode',
+    supplier: 'Supplier',
+    category: 'Category',
+    costPrice: 'Cost Price',
+    sellingPrice: 'Selling Price',
+    taxClass: 'VAT',
+    quantity: 'Quantity',
+    reorderPoint: 'Reorder Point',
+    reorderQuantity: 'Reorder Quantity',
+    vehicleId: 'Donor Vehicle',
+    fitments: 'Fits',
+    stockByLocation: 'Stock by Location',
+    bins: 'Bins',
+    deleted: 'Deleted'
+};
+
+export const getFieldLabel = (field) => FIELD_LABELS[field] || field;
+
+// Bookkeeping that changes on every write, or only says who deleted the item
+// (the entry itself records that).
+const IGNORED_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'updatedBy', 'updatedByUid', 'lastTransactionId', 'deletedAt', 'deletedBy']);
+
+// Firestore won't store undefined, and '' vs missing isn't a change worth
+// recording.
+const normalize = (value) => (value === undefined || value === '' ? null : value);
+
+const sameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// Fields that differ between two versions of an item, in a stable order.
+// Returns Array<{ field, from, to }>
+export const diffItemFields = (before = {}, after = {}) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields]
+        .filter(field => !IGNORED_FIELDS.has(field) && !sameValue(before[field], after[field]))
+        .sort()
+        .map(field => ({ field, from: normalize(before[field]), to: normalize(after[field]) }));
+};
+
+// item: the item as it stands after the change (id and description are used)
+// stamp: the editStamp the change was written with
+export const buildAuditEntry = (item, action, changes, stamp, reason = '') => ({
+    itemId: item.id,
+    itemName: item.description || '',
+    action,
+    changes,
+    ...(reason ? { reason } : {}),
+    performedBy: stamp.updatedBy,
+    performedByUid: stamp.updatedByUid,
+    timestamp: stamp.updatedAt
+});
+
+// Audit entries and stock movements for one item, newest first. Transaction
+// lines that belong to an audit entry are left out; the entry shows the change.
+// Returns Array<{ id, kind: 'audit'|'stock', timestamp, performedBy, ... }>
+export const buildItemHistory = (auditEntries, transactions) => [
+    ...auditEntries.map(entry => ({ ...entry, kind: 'audit' })),
+    ...transactions.filter(t => !t.auditId).map(t => ({ ...t, kind: 'stock' }))
+].sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
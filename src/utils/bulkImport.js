@@ -0,0 +1,148 @@
+// Bulk inventory import: matching spreadsheet columns to item fields and
+// checking every row against the current inventory before anything is
+// written, so the preview shows exactly what the import will do.
+import { TAX_CLASSES } from './vat';
+
+// Item fields a column can be mapped to. `aliases` are header names (already
+// normalized) recognised when guessing the mapping.
+export const IMPORT_FIELDS = [
+    { key: 'stockNumber', label: 'Stock Number', required: true, aliases: ['stock number', 'stock no', 'stock', 'sku', 'part number', 'part no'] },
+    { key: 'barcode', label: 'Barcode', aliases: ['barcode', 'ean', 'upc'] },
+    { key: 'description', label: 'Description', aliases: ['description', 'name', 'item', 'item name', 'part'] },
+    { key: 'supplier', label: 'Supplier', aliases: ['supplier', 'vendor'] },
+    { key: 'category', label: 'Category', aliases: ['category', 'group', 'part type'] },
+    { key: 'costPrice', label: 'Cost Price', numeric: true, aliases: ['cost price', 'cost'] },
+    { key: 'sellingPrice', label: 'Selling Price', numeric: true, aliases: ['selling price', 'price', 'sell price', 'retail price'] },
+    { key: 'quantity', label: 'Quantity', numeric: true, aliases: ['quantity', 'qty', 'stock in', 'units'] },
+    { key: 'reorderPoint', label: 'Reorder Point', numeric: true, aliases: ['reorder point', 'reorder level', 'min stock', 'minimum'] },
+    { key: 'reorderQuantity', label: 'Reorder Quantity', numeric: true, aliases: ['reorder quantity', 'reorder qty', 'order quantity'] },
+    { key: 'taxClass', label: 'Tax Class', aliases: ['tax class', 'vat', 'tax'] }
+];
+
+const normalizeHeader = (header) =>
+    String(header ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Best-guess column for each field from the header row.
+// Returns { [fieldKey]: columnIndex } - fields with no matching header are left out
+export const guessMapping = (headers) => {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    const used = new Set();
+    IMPORT_FIELDS.forEach(field => {
+        const idx = normalized.findIndex((h, i) =>
+            !used.has(i) && (h === normalizeHeader(field.key) || field.aliases.includes(h)));
+        if (idx !== -1) {
+            mapping[field.key] = idx;
+            used.add(idx);
+        }
+    });
+    return mapping;
+};
+
+// "R 1 250,00" and "1250" both read as 1250; anything else is NaN.
+const parseNumber = (raw) => {
+    const cleaned = raw.replace(/^r\s*/i, '').replace(/\s/g, '').replace(/,(\d{1,2})$/, '.$1').replace(/,/g, '');
+    return cleaned === '' || !/^-?\d*\.?\d+$/.test(cleaned) ? NaN : Number(cleaned);
+};
+
+const parseTaxClass = (raw) => {
+    const value = raw.toLowerCase();
+    const match = TAX_CLASSES.find(t =>
+        t.id === value || t.label.toLowerCase() === value || t.label.toLowerCase().startsWith(value));
+    return match ? match.id : null;
+};
+
+// Check each data row and work out what importing it would do.
+// rows: Array<Array<string>> (data rows, header row excluded)
+// mapping: { [fieldKey]: columnIndex }
+// items: the current inventory
+// Returns Array<{
+//   rowNumber: number,               // spreadsheet row, counting the header as row 1
+//   action: 'create' | 'update' | 'unchanged',
+//   item: object | null,             // existing item being updated
+//   values: object,                  // parsed item fields (blank cells left out)
+//   quantity: number,                // units to add to stock
+//   changes: Array<{ field: string, label: string, from: any, to: any }>,
+//   errors: Array<string>            // rows with errors are not imported
+// }>
+// Blank cells leave an existing item's field as it is. Quantity is always the
+// number of units being brought in and is added to the current stock.
+export const validateImportRows = (rows, mapping, items) => {
+    const byStockNumber = new Map(items.map(item => [(item.stockNumber || '').trim().toLowerCase(), item]));
+    const byBarcode = new Map(items.filter(item => item.barcode).map(item => [item.barcode, item]));
+    const seenStockNumbers = new Map();
+    const seenBarcodes = new Map();
+
+    return rows.map((row, idx) => {
+        const rowNumber = idx + 2;
+        const errors = [];
+        const values = {};
+
+        IMPORT_FIELDS.forEach(field => {
+            if (mapping[field.key] === undefined) return;
+            const raw = String(row[mapping[field.key]] ?? '').trim();
+            if (raw === '') return;
+
+            if (field.numeric) {
+                const number = parseNumber(raw);
+                if (Number.isNaN(number) || number < 0) {
+                    errors.push(`${field.label} "${raw}" is not a valid number`);
+                } else if (field.key === 'quantity' && !Number.isInteger(number)) {
+                    errors.push(`Quantity "${raw}" must be a whole number`);
+                } else {
+                    values[field.key] = number;
+                }
+            } else if (field.key === 'taxClass') {
+                const taxClass = parseTaxClass(raw);
+                if (taxClass) values.taxClass = taxClass;
+                else errors.push(`Unknown tax class "${raw}"`);
+            } else {
+                values[field.key] = raw;
+            }
+        });
+
+        const stockKey = (values.stockNumber || '').toLowerCase();
+        const existing = stockKey ? byStockNumber.get(stockKey) || null : null;
+
+        if (!stockKey) {
+            errors.push('Missing stock number');
+        } else if (seenStockNumbers.has(stockKey)) {
+            errors.push(`Stock number repeats row ${seenStockNumbers.get(stockKey)}`);
+        } else {
+            seenStockNumbers.set(stockKey, rowNumber);
+        }
+
+        if (values.barcode) {
+            const owner = byBarcode.get(values.barcode);
+            if (seenBarcodes.has(values.barcode)) {
+                errors.push(`Barcode repeats row ${seenBarcodes.get(values.barcode)}`);
+            } else if (owner && owner !== existing) {
+                errors.push(`Barcode already belongs to ${owner.stockNumber} (${owner.description})`);
+            }
+            seenBarcodes.set(values.barcode, rowNumber);
+        }
+
+        if (!existing && !values.description) errors.push('New items need a description');
+
+        const quantity = values.quantity || 0;
+        const changes = [];
+        IMPORT_FIELDS.forEach(field => {
+            // Stock numbers match ignoring case, so an existing one isn't a change.
+            if (field.key === 'quantity' || !(field.key in values)) return;
+            if (field.key === 'stockNumber' && existing) return;
+            const from = existing ? existing[field.key] : undefined;
+            const to = values[field.key];
+            const same = field.numeric ? Number(from) === to : String(from ?? '') === to;
+            if (!same) changes.push({ field: field.key, label: field.label, from, to });
+        });
+        if (quantity > 0) {
+            const from = existing ? Number(existing.quantity) || 0 : 0;
+            changes.push({ field: 'quantity', label: 'Quantity', from, to: from + quantity });
+        }
+
+        let action = 'create';
+        if (existing) action = changes.length > 0 ? 'update' : 'unchanged';
+
+        return { rowNumber, action, item: existing, values, quantity, changes, errors };
+    });
+};
@@ -0,0 +1,31 @@
+// Weighted-average costing. An item's costPrice is the average unit cost of
+// the stock on hand: each delivery (or return) is blended in at its own cost,
+// and sales take the average at the moment they are written as their cost basis.
+
+export const COST_METHOD = 'weighted-average';
+
+// Averages keep a few more places than cents so repeated blending doesn't drift.
+export const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+// Unit cost after adding inQty units at inCost to onHand units at currentCost.
+// Stock at or below zero has nothing left to blend with, so the incoming cost
+// is taken as is.
+export const getWeightedAverageCost = (onHand, currentCost, inQty, inCost) => {
+    const held = Number(onHand) || 0;
+    const added = Number(inQty) || 0;
+    const incoming = Number(inCost) || 0;
+    if (held <= 0 || added <= 0) return added > 0 ? roundCost(incoming) : roundCost(Number(currentCost) || 0);
+    return roundCost((held * (Number(currentCost) || 0) + added * incoming) / (held + added));
+};
+
+// Fields recording a cost change on the transaction that caused it.
+export const costChangeFields = (previousCost, averageCost) => ({
+    previousCost: roundCost(Number(previousCost) || 0),
+    averageCost
+});
+
+// Transactions that set an item's unit cost, newest first: deliveries,
+// imports and manual cost edits all carry the resulting averageCost.
+export const toCostHistory = (transactions) => transactions
+    .filter(t => t.averageCost != null)
+    .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
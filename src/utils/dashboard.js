@@ -0,0 +1,58 @@
+// Figures for the Dashboard, worked out from sale and return lines (OUT and
+// RETURN transactions). Revenue is what customers paid less refunds, and
+// profit takes off the cost basis recorded on each line, as on the Sales screen.
+import { toDateInputValue } from './sales';
+
+// Local calendar days, oldest first, ending today.
+// Returns Array<'YYYY-MM-DD'>
+export const getRecentDays = (count, now = new Date()) => Array.from({ length: count }, (_, idx) => {
+    const day = new Date(now);
+    day.setDate(now.getDate() - (count - 1 - idx));
+    return toDateInputValue(day);
+});
+
+const lineRevenue = (t) => {
+    if (t.type === 'OUT') return Number(t.totalSales) || 0;
+    if (t.type === 'RETURN') return -(Number(t.refundAmount) || 0);
+    return 0;
+};
+
+// OUT lines carry a negative totalCost and returns a positive one, so adding
+// it to revenue leaves the profit.
+const lineProfit = (t) => lineRevenue(t) + (Number(t.totalCost) || 0);
+
+// Revenue, profit and number of sales per day, one entry for every day given.
+// Returns Array<{ date, revenue, profit, sales }>
+export const buildDailySales = (transactions, days) => {
+    const byDay = new Map(days.map(date => [date, { date, revenue: 0, profit: 0, saleIds: new Set() }]));
+    transactions.forEach(t => {
+        if (t.type !== 'OUT' && t.type !== 'RETURN') return;
+        const entry = byDay.get(toDateInputValue(new Date(t.timestamp)));
+        if (!entry) return;
+        entry.revenue += lineRevenue(t);
+        entry.profit += lineProfit(t);
+        if (t.type === 'OUT') entry.saleIds.add(t.saleId || t.id);
+    });
+    return days.map(date => {
+        const { saleIds, ...entry } = byDay.get(date);
+        return { ...entry, sales: saleIds.size };
+    });
+};
+
+// Best sellers by revenue, with returns netted off.
+// Returns Array<{ itemId, itemName, quantity, revenue }>
+export const getTopSellers = (transactions, count = 5) => {
+    const byItem = new Map();
+    transactions.forEach(t => {
+        if ((t.type !== 'OUT' && t.type !== 'RETURN') || !t.itemId) return;
+        if (!byItem.has(t.itemId)) byItem.set(t.itemId, { itemId: t.itemId, itemName: t.itemName, quantity: 0, revenue: 0 });
+        const entry = byItem.get(t.itemId);
+        // OUT quantities are negative, RETURN quantities positive.
+        entry.quantity -= Number(t.quantity) || 0;
+        entry.revenue += lineRevenue(t);
+    });
+    return [...byItem.values()]
+        .filter(entry => entry.revenue > 0)
+        .sort((a, b) => b.revenue - a.revenue)
+        .slice(0, count);
+};
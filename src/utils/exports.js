@@ -0,0 +1,159 @@
+// Column schemas for the Inventory, Transactions, Sales, purchase list and stock aging exports, and the
+// functions that turn app data into rows for them. Keys stay stable across
+// CSV, Excel and JSON so the accountant's sheets don't break between exports.
+import { formatSaleNumber } from './sales';
+import { getTenderLabel } from './payments';
+import { getTaxClass, summarizeVat } from './vat';
+import { getReorderPoint } from './reorder';
+
+const roundCents = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const INVENTORY_COLUMNS = [
+    { key: 'stockNumber', label: 'Stock Number' },
+    { key: 'barcode', label: 'Barcode' },
+    { key: 'description', label: 'Description' },
+    { key: 'supplier', label: 'Supplier' },
+    { key: 'category', label: 'Category' },
+    { key: 'taxClass', label: 'Tax Class' },
+    { key: 'quantity', label: 'Quantity', type: 'number' },
+    { key: 'reorderPoint', label: 'Reorder Point', type: 'number' },
+    { key: 'reorderQuantity', label: 'Reorder Quantity', type: 'number' },
+    { key: 'costPrice', label: 'Cost Price', type: 'currency' },
+    { key: 'sellingPrice', label: 'Selling Price', type: 'currency' },
+    { key: 'stockValue', label: 'Stock Value', type: 'currency' }
+];
+
+export const PURCHASE_LIST_COLUMNS = [
+    { key: 'supplier', label: 'Supplier' },
+    { key: 'stockNumber', label: 'Stock Number' },
+    { key: 'barcode', label: 'Barcode' },
+    { key: 'description', label: 'Description' },
+    { key: 'onHand', label: 'On Hand', type: 'number' },
+    { key: 'reorderPoint', label: 'Reorder Point', type: 'number' },
+    { key: 'orderQuantity', label: 'Order Quantity', type: 'number' },
+    { key: 'costPrice', label: 'Cost Price', type: 'currency' },
+    { key: 'lineCost', label: 'Line Cost', type: 'currency' }
+];
+
+export const AGING_COLUMNS = [
+    { key: 'stockNumber', label: 'Stock Number' },
+    { key: 'description', label: 'Description' },
+    { key: 'supplier', label: 'Supplier' },
+    { key: 'category', label: 'Category' },
+    { key: 'quantity', label: 'Quantity', type: 'number' },
+    { key: 'lastReceivedAt', label: 'Last Received', type: 'date' },
+    { key: 'days', label: 'Days', type: 'number' },
+    { key: 'bucket', label: 'Age' },
+    { key: 'costValue', label: 'Value at Cost', type: 'currency' },
+    { key: 'retailValue', label: 'Value at Selling', type: 'currency' }
+];
+
+export const TRANSACTION_COLUMNS = [
+    { key: 'timestamp', label: 'Date', type: 'date' },
+    { key: 'type', label: 'Type' },
+    { key: 'itemName', label: 'Item' },
+    { key: 'quantity', label: 'Quantity', type: 'number' },
+    { key: 'costPrice', label: 'Cost Price', type: 'currency' },
+    { key: 'salePrice', label: 'Sale Price', type: 'currency' },
+    { key: 'totalCost', label: 'Total Cost', type: 'currency' },
+    { key: 'totalSales', label: 'Total Sales', type: 'currency' },
+    { key: 'vatAmount', label: 'VAT', type: 'currency' },
+    { key: 'reason', label: 'Reason' },
+    { key: 'saleNumber', label: 'Sale #' },
+    { key: 'performedBy', label: 'User' }
+];
+
+export const SALES_COLUMNS = [
+    { key: 'timestamp', label: 'Date', type: 'date' },
+    { key: 'saleNumber', label: 'Sale #' },
+    { key: 'performedBy', label: 'Cashier' },
+    { key: 'items', label: 'Items', type: 'number' },
+    { key: 'grossSales', label: 'Gross Sales', type: 'currency' },
+    { key: 'refunds', label: 'Refunds', type: 'currency' },
+    { key: 'netSales', label: 'Net Sales', type: 'currency' },
+    { key: 'vat', label: 'VAT', type: 'currency' },
+    { key: 'cost', label: 'Cost', type: 'currency' },
+    { key: 'profit', label: 'Profit', type: 'currency' },
+    { key: 'tenders', label: 'Payment' }
+];
+
+export const toInventoryRows = (items) => items.map(item => {
+    const quantity = Number(item.quantity) || 0;
+    return {
+        stockNumber: item.stockNumber || '',
+        barcode: item.barcode || '',
+        description: item.description || '',
+        supplier: item.supplier || '',
+        category: item.category || '',
+        taxClass: getTaxClass(item.taxClass).label,
+        quantity,
+        reorderPoint: item.reorderPoint ?? null,
+        reorderQuantity: item.reorderQuantity ?? null,
+        costPrice: roundCents(item.costPrice),
+        sellingPrice: roundCents(item.sellingPrice),
+        stockValue: roundCents(quantity * (Number(item.costPrice) || 0))
+    };
+});
+
+export const toTransactionRows = (transactions) => transactions.map(t => ({
+    timestamp: t.timestamp,
+    type: t.type,
+    itemName: t.itemName || '',
+    quantity: Number(t.quantity) || 0,
+    costPrice: roundCents(t.costPrice),
+    salePrice: t.salePrice ? roundCents(t.salePrice) : null,
+    totalCost: roundCents(t.totalCost),
+    totalSales: t.totalSales ? roundCents(t.totalSales) : null,
+    vatAmount: t.vatAmount !== undefined ? roundCents(t.vatAmount) : null,
+    reason: t.reason || '',
+    saleNumber: t.saleId ? formatSaleNumber(t.saleId) : '',
+    performedBy: t.performedBy || ''
+}));
+
+// One row per sale as grouped by groupSales, returns netted off.
+export const toSalesRows = (groups) => groups.map(g => ({
+    timestamp: g.timestamp,
+    saleNumber: formatSaleNumber(g.saleId),
+    performedBy: g.performedBy || '',
+    items: g.lines.reduce((sum, l) => sum + Math.abs(Number(l.quantity) || 0), 0),
+    grossSales: roundCents(g.grossSales),
+    refunds: roundCents(g.refunds),
+    netSales: roundCents(g.totalSales),
+    vat: summarizeVat([g]).outputVat,
+    cost: roundCents(g.totalCost),
+    profit: roundCents(g.profit),
+    tenders: (g.tenders || [])
+        .map(t => `${getTenderLabel(t.method)} ${roundCents(t.amount).toFixed(2)}`)
+        .join('; ')
+}));
+
+// One row per line of the suggested purchase list (groupLowStockBySupplier).
+// quantities: { [itemId]: number } overrides for the suggested order quantities
+export const toPurchaseListRows = (groups, quantities = {}) => groups.flatMap(g => g.lines.map(({ item, orderQuantity }) => {
+    const quantity = quantities[item.id] ?? orderQuantity;
+    return {
+        supplier: g.supplier,
+        stockNumber: item.stockNumber || '',
+        barcode: item.barcode || '',
+        description: item.description || '',
+        onHand: Number(item.quantity) || 0,
+        reorderPoint: getReorderPoint(item),
+        orderQuantity: quantity,
+        costPrice: roundCents(item.costPrice),
+        lineCost: roundCents(quantity * (Number(item.costPrice) || 0))
+    };
+}));
+
+// One row per aging line from buildAgingReport (utils/valuation).
+export const toAgingRows = (lines) => lines.map(line => ({
+    stockNumber: line.item.stockNumber || '',
+    description: line.item.description || '',
+    supplier: line.item.supplier || '',
+    category: line.item.category || '',
+    quantity: line.units,
+    lastReceivedAt: line.lastReceivedAt,
+    days: line.days,
+    bucket: line.bucket.label,
+    costValue: roundCents(line.costValue),
+    retailValue: roundCents(line.retailValue)
+}));
@@ -0,0 +1,92 @@
+// Which vehicles a part fits. Items carry a `fitments` list of
+// { make, model, yearFrom, yearTo, variant }; a missing year means the range
+// is open on that end, and a missing model means any model of the make.
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const toYear = (value) => {
+    const year = parseInt(value, 10);
+    return Number.isFinite(year) ? year : null;
+};
+
+// Clean up fitment rows from the item form: trimmed text, numeric years in
+// order, and rows without a make dropped.
+export const normalizeFitments = (fitments) => (fitments || [])
+    .map(f => {
+        let yearFrom = toYear(f.yearFrom);
+        let yearTo = toYear(f.yearTo);
+        if (yearFrom !== null && yearTo !== null && yearFrom > yearTo) [yearFrom, yearTo] = [yearTo, yearFrom];
+        return {
+            make: String(f.make || '').trim(),
+            model: String(f.model || '').trim(),
+            yearFrom,
+            yearTo,
+            variant: String(f.variant || '').trim()
+        };
+    })
+    .filter(f => f.make);
+
+export const formatYearRange = (fitment) => {
+    const { yearFrom, yearTo } = fitment;
+    if (yearFrom && yearTo) return yearFrom === yearTo ? String(yearFrom) : `${yearFrom}-${yearTo}`;
+    if (yearFrom) return `${yearFrom}+`;
+    if (yearTo) return `up to ${yearTo}`;
+    return '';
+};
+
+// "Toyota Corolla 2008-2012 (1.6 GLE)"
+export const formatFitment = (fitment) => {
+    const text = [fitment.make, fitment.model, formatYearRange(fitment)].filter(Boolean).join(' ');
+    return fitment.variant ? `${text} (${fitment.variant})` : text;
+};
+
+// Nothing picked in the make / model / year filter.
+export const EMPTY_FITMENT_SELECTION = { make: '', model: '', year: '' };
+
+// Does this item fit the selected vehicle?
+// selection: { make: string, model?: string, year?: number|string }
+export const fitsVehicle = (item, selection) => {
+    const year = toYear(selection.year);
+    return (item.fitments || []).some(f =>
+        sameText(f.make, selection.make) &&
+        (!selection.model || !f.model || sameText(f.model, selection.model)) &&
+        (year === null || ((f.yearFrom ?? -Infinity) <= year && year <= (f.yearTo ?? Infinity)))
+    );
+};
+
+export const filterByFitment = (items, selection) =>
+    selection.make ? items.filter(item => fitsVehicle(item, selection)) : [];
+
+// Makes, and models per make, that appear in any item's fitment list, for the
+// vehicle pickers. Returns { makes: string[], modelsByMake: Map<string, string[]> }
+// with modelsByMake keyed by lower-cased make.
+export const getFitmentOptions = (items) => {
+    const makes = new Map();
+    const models = new Map();
+    items.forEach(item => {
+        (item.fitments || []).forEach(f => {
+            if (!f.make) return;
+            const makeKey = f.make.toLowerCase();
+            if (!makes.has(makeKey)) makes.set(makeKey, f.make);
+            if (!models.has(makeKey)) models.set(makeKey, new Map());
+            if (f.model && !models.get(makeKey).has(f.model.toLowerCase())) {
+                models.get(makeKey).set(f.model.toLowerCase(), f.model);
+            }
+        });
+    });
+
+    const sorted = (values) => [...values].sort((a, b) => a.localeCompare(b));
+    return {
+        makes: sorted(makes.values()),
+        modelsByMake: new Map([...models].map(([key, names]) => [key, sorted(names.values())]))
+    };
+};
+
+// Fitment row describing a donor vehicle, for parts taken off it.
+export const fitmentFromVehicle = (vehicle) => ({
+    make: vehicle.make || '',
+    model: vehicle.model || '',
+    yearFrom: vehicle.year || null,
+    yearTo: vehicle.year || null,
+    variant: vehicle.engineCode || ''
+});
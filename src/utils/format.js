@@ -1,9 +1,11 @@
+import { DEFAULT_REORDER_POINT } from './reorder';
+
 export const formatCurrency = (value) => {
     return 'R ' + parseFloat(value || 0).toFixed(2);
 };
 
-export const getStockClass = (quantity) => {
+export const getStockClass = (quantity, reorderPoint = DEFAULT_REORDER_POINT) => {
     if (quantity === 0) return 'out-of-stock';
-    if (quantity <= 5) return 'low-stock';
+    if (quantity <= reorderPoint) return 'low-stock';
     return '';
 };
@@ -0,0 +1,89 @@
+// Stock split across storage locations (bays, shelves, the yard). An item's
+// `quantity` stays its total; `stockByLocation` holds how much of it is put
+// away at each location (keyed by location id) and whatever is left over is
+// "Unassigned" - which is where all stock from before locations existed sits.
+// `bins` holds the item's bin code at each location.
+
+// Location id used for the unassigned remainder in pickers and stock changes.
+export const UNASSIGNED_LOCATION = '';
+
+const sumValues = (obj) => Object.values(obj || {}).reduce((sum, qty) => sum + (Number(qty) || 0), 0);
+
+export const getUnassignedStock = (item) => (Number(item.quantity) || 0) - sumValues(item.stockByLocation);
+
+// Stock put away at named locations, which the total can't drop below.
+export const getAssignedStock = (item) => sumValues(item.stockByLocation);
+
+export const getStockAt = (item, locationId) => (locationId === UNASSIGNED_LOCATION
+    ? getUnassignedStock(item)
+    : Number(item.stockByLocation?.[locationId]) || 0);
+
+// Stock that can be picked for a sale: from one location, or anywhere when
+// no location is chosen.
+export const getAvailableStock = (item, locationId) =>
+    locationId ? getStockAt(item, locationId) : Number(item.quantity) || 0;
+
+export const getLocationName = (locations, locationId) => {
+    if (locationId === UNASSIGNED_LOCATION || locationId === undefined || locationId === null) return 'Unassigned';
+    return locations.find(l => l.id === locationId)?.name || 'Unknown location';
+};
+
+// Where an item's stock is, for display: every location holding some, with
+// its bin, then the unassigned remainder.
+// Returns Array<{ locationId, name, quantity, bin }>
+export const getLocationBreakdown = (item, locations) => {
+    const rows = Object.entries(item.stockByLocation || {})
+        .filter(([, qty]) => Number(qty) !== 0)
+        .map(([locationId, qty]) => ({
+            locationId,
+            name: getLocationName(locations, locationId),
+            quantity: Number(qty),
+            bin: item.bins?.[locationId] || ''
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const unassigned = getUnassignedStock(item);
+    if (unassigned !== 0) {
+        rows.push({ locationId: UNASSIGNED_LOCATION, name: 'Unassigned', quantity: unassigned, bin: '' });
+    }
+    return rows;
+};
+
+// Which locations a sale of quantity comes out of. A chosen location gives
+// everything from there; otherwise unassigned stock goes first, then the
+// fullest locations, so the per-location numbers stay in step with the total.
+// Returns { [locationId]: quantity } (UNASSIGNED_LOCATION for the remainder)
+export const planPick = (item, quantity, locationId) => {
+    if (locationId) return { [locationId]: quantity };
+
+    const picks = {};
+    let remaining = quantity;
+    const unassigned = Math.max(0, getUnassignedStock(item));
+    const sources = Object.entries(item.stockByLocation || {})
+        .map(([id, qty]) => [id, Number(qty) || 0])
+        .filter(([, qty]) => qty > 0)
+        .sort((a, b) => b[1] - a[1]);
+
+    for (const [id, available] of [[UNASSIGNED_LOCATION, unassigned], ...sources]) {
+        if (remaining <= 0) break;
+        const take = Math.min(available, remaining);
+        if (take > 0) {
+            picks[id] = take;
+            remaining -= take;
+        }
+    }
+    // Anything still outstanding (overselling a forced sale) comes off the total.
+    if (remaining > 0) picks[UNASSIGNED_LOCATION] = (picks[UNASSIGNED_LOCATION] || 0) + remaining;
+    return picks;
+};
+
+// Firestore update fields applying per-location changes to an item.
+// changes: { [locationId]: delta } - UNASSIGNED_LOCATION only moves the total
+export const buildStockUpdate = (item, changes) => {
+    const update = { quantity: (Number(item.quantity) || 0) + sumValues(changes) };
+    Object.entries(changes).forEach(([locationId, delta]) => {
+        if (locationId === UNASSIGNED_LOCATION) return;
+        update[`stockByLocation.${locationId}`] = (Number(item.stockByLocation?.[locationId]) || 0) + delta;
+    });
+    return update;
+};
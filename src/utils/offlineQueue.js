@@ -0,0 +1,46 @@
+// Sales and stock intakes made while Firestore is unreachable are kept in
+// IndexedDB and replayed by InventoryContext once the connection is back.
+// Each entry: { id, kind: 'sale'|'intake', status: 'pending'|'conflict',
+// createdAt, performedBy, cartItems, saleInfo?, conflicts?, error? }
+const DB_NAME = 'stock-manager-offline';
+const STORE_NAME = 'queue';
+
+let dbPromise = null;
+
+const openQueueDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+const withStore = async (mode, action) => {
+    const queueDb = await openQueueDb();
+    return new Promise((resolve, reject) => {
+        const tx = queueDb.transaction(STORE_NAME, mode);
+        const request = action(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+// Oldest first, so replay happens in the order things were rung up.
+export const getQueuedOperations = async () => {
+    const operations = await withStore('readonly', store => store.getAll());
+    return operations.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+export const putQueuedOperation = (operation) => withStore('readwrite', store => store.put(operation));
+
+export const deleteQueuedOperation = (id) => withStore('readwrite', store => store.delete(id));
+
+// Errors that mean "couldn't reach Firestore" rather than "Firestore said no".
+export const isOfflineError = (err) =>
+    !navigator.onLine || err?.code === 'unavailable' || err?.code === 'deadline-exceeded';
@@ -0,0 +1,72 @@
+// Payment methods a sale can be settled with. Only cash can be over-tendered
+// (the difference is handed back as change).
+export const TENDER_TYPES = [
+    { id: 'cash', label: 'Cash' },
+    { id: 'card', label: 'Card' },
+    { id: 'eft', label: 'EFT' },
+    { id: 'account', label: 'Account' }
+];
+
+export const getTenderLabel = (method) => {
+    const type = TENDER_TYPES.find(t => t.id === method);
+    return type ? type.label : 'Unrecorded';
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Work out what a set of entered tenders pays towards a total.
+// tenders: Array<{ method: string, amount: number }> as typed into the tender dialog
+// Returns { paid, remaining, changeDue, applied } where applied is the tenders
+// with cash reduced by the change, i.e. what actually stays in the till.
+export const settleTenders = (tenders, total) => {
+    const paid = roundCents(tenders.reduce((sum, t) => sum + (Number(t.amount) || 0), 0));
+    const cashTendered = tenders
+        .filter(t => t.method === 'cash')
+        .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
+    const overpaid = roundCents(Math.max(0, paid - total));
+    // Change can only come out of the cash drawer.
+    const changeDue = Math.min(overpaid, roundCents(cashTendered));
+
+    let changeLeft = changeDue;
+    const applied = tenders
+        .filter(t => Number(t.amount) > 0)
+        .map(t => {
+            let amount = Number(t.amount) || 0;
+            if (t.method === 'cash' && changeLeft > 0) {
+                const taken = Math.min(amount, changeLeft);
+                amount -= taken;
+                changeLeft -= taken;
+            }
+            return { method: t.method, amount: roundCents(amount) };
+        })
+        .filter(t => t.amount > 0);
+
+    return {
+        paid,
+        remaining: roundCents(Math.max(0, total - paid)),
+        changeDue,
+        overpaidNonCash: roundCents(overpaid - changeDue),
+        applied
+    };
+};
+
+// Takings per tender type across a list of sale groups (see groupSales),
+// with refunds taken off the method they were paid out with.
+export const summarizeTenders = (groups) => {
+    const totals = {};
+    const add = (method, amount) => {
+        const key = method || 'unrecorded';
+        totals[key] = roundCents((totals[key] || 0) + amount);
+    };
+
+    groups.forEach(g => {
+        if (g.tenders && g.tenders.length > 0) {
+            g.tenders.forEach(t => add(t.method, Number(t.amount) || 0));
+        } else if (g.grossSales) {
+            add('unrecorded', g.grossSales);
+        }
+        g.returnLines.forEach(l => add(l.refundMethod || 'cash', -(Number(l.refundAmount) || 0)));
+    });
+
+    return totals;
+};
@@ -0,0 +1,57 @@
+// Roles and what each one may do. The UI checks these through useAuth().can,
+// and firestore.rules mirrors the same table so the checks hold server-side.
+// Keep the two in step when a role changes.
+
+export const PERMISSIONS = {
+    SELL: 'sell',
+    // Approving discounts past the checkout threshold (utils/approvals).
+    DISCOUNT: 'discount',
+    // Approving prices cut below the item's selling price or its cost.
+    OVERRIDE_PRICE: 'overridePrice',
+    RECEIVE_STOCK: 'receiveStock',
+    // Stock takes, transfers and hand edits of the stock level.
+    ADJUST_STOCK: 'adjustStock',
+    // Adding items and editing their details.
+    EDIT_ITEMS: 'editItems',
+    DELETE_ITEMS: 'deleteItems',
+    // Cost prices, stock value and profit.
+    VIEW_COSTS: 'viewCosts',
+    // Setting up the promotions the till applies (utils/promotions).
+    MANAGE_PROMOTIONS: 'managePromotions',
+    MANAGE_USERS: 'manageUsers'
+};
+
+// Largest discount, as a percentage of the sale, staff without the
+// discount permission can give unless an admin sets another limit.
+export const STAFF_DISCOUNT_LIMIT = 10;
+
+const {
+    SELL, DISCOUNT, OVERRIDE_PRICE, RECEIVE_STOCK, ADJUST_STOCK, EDIT_ITEMS, DELETE_ITEMS, VIEW_COSTS, MANAGE_PROMOTIONS
+} = PERMISSIONS;
+
+export const ROLES = [
+    { id: 'cashier', label: 'Cashier', permissions: [SELL] },
+    { id: 'storeman', label: 'Storeman', permissions: [RECEIVE_STOCK, ADJUST_STOCK, EDIT_ITEMS, VIEW_COSTS] },
+    {
+        id: 'manager',
+        label: 'Manager',
+        permissions: [
+            SELL, DISCOUNT, OVERRIDE_PRICE, RECEIVE_STOCK, ADJUST_STOCK, EDIT_ITEMS, DELETE_ITEMS, VIEW_COSTS, MANAGE_PROMOTIONS
+        ]
+    },
+    { id: 'admin', label: 'Administrator', permissions: Object.values(PERMISSIONS) }
+];
+
+export const DEFAULT_ROLE = 'cashier';
+
+// Accounts created before roles existed are plain 'user' staff.
+const LEGACY_ROLES = { user: 'cashier' };
+
+export const normalizeRole = (role) => {
+    const id = LEGACY_ROLES[role] || role;
+    return ROLES.some(r => r.id === id) ? id : DEFAULT_ROLE;
+};
+
+export const getRole = (role) => ROLES.find(r => r.id === normalizeRole(role));
+
+export const hasPermission = (role, permission) => getRole(role).permissions.includes(permission);
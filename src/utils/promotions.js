@@ -0,0 +1,180 @@
+// Discounts and promotions for the POS. Discounts are typed in at the till,
+// either on a line or on the whole sale; promotions are set up ahead of time
+// (Promotions screen, stored in the promotions collection) and applied to the
+// cart automatically.
+import { formatCurrency } from './format';
+
+export const DISCOUNT_TYPES = {
+    AMOUNT: 'amount',
+    PERCENT: 'percent'
+};
+
+// What a discount takes off base, never more than base itself.
+// discount: { type, value } or null
+export const calculateDiscount = (base, discount) => {
+    const value = Number(discount?.value) || 0;
+    if (base <= 0 || value <= 0) return 0;
+    const amount = discount.type === DISCOUNT_TYPES.PERCENT
+        ? base * Math.min(value, 100) / 100
+        : value;
+    return Math.min(base, amount);
+};
+
+export const PROMOTION_TYPES = {
+    // percent off each matching item
+    PERCENT_OFF: 'percentOff',
+    // bundleQuantity matching items for bundlePrice
+    BUNDLE: 'bundle',
+    // buy buyQuantity, get freeQuantity more free (the cheapest in each group)
+    BUY_X_GET_Y: 'buyXGetY'
+};
+
+export const PROMOTION_TYPE_OPTIONS = [
+    { id: PROMOTION_TYPES.PERCENT_OFF, label: 'Percentage off' },
+    { id: PROMOTION_TYPES.BUNDLE, label: 'Bundle price' },
+    { id: PROMOTION_TYPES.BUY_X_GET_Y, label: 'Buy X get Y free' }
+];
+
+export const PROMOTION_SCOPES = {
+    ALL: 'all',
+    SUPPLIER: 'supplier',
+    ITEMS: 'items'
+};
+
+export const PROMOTION_SCOPE_OPTIONS = [
+    { id: PROMOTION_SCOPES.ALL, label: 'All items' },
+    { id: PROMOTION_SCOPES.SUPPLIER, label: 'One supplier' },
+    { id: PROMOTION_SCOPES.ITEMS, label: 'Chosen items' }
+];
+
+// e.g. "10% off", "3 for R 100.00", "Buy 2 get 1 free"
+export const describePromotion = (promotion) => {
+    switch (promotion.type) {
+        case PROMOTION_TYPES.BUNDLE:
+            return `${promotion.bundleQuantity} for ${formatCurrency(promotion.bundlePrice)}`;
+        case PROMOTION_TYPES.BUY_X_GET_Y:
+            return `Buy ${promotion.buyQuantity} get ${promotion.freeQuantity} free`;
+        default:
+            return `${promotion.percent}% off`;
+    }
+};
+
+export const describeScope = (promotion) => {
+    if (promotion.scope === PROMOTION_SCOPES.SUPPLIER) return `Items from ${promotion.supplier}`;
+    if (promotion.scope === PROMOTION_SCOPES.ITEMS) {
+        const count = (promotion.itemIds || []).length;
+        return `${count} item${count !== 1 ? 's' : ''}`;
+    }
+    return 'All items';
+};
+
+// date: 'YYYY-MM-DD' (toDateInputValue). Start and end dates are inclusive
+// and either may be left open.
+export const isPromotionActive = (promotion, date) => (
+    promotion.active !== false
+    && (!promotion.startDate || promotion.startDate <= date)
+    && (!promotion.endDate || date <= promotion.endDate)
+);
+
+// 'scheduled', 'running', 'ended' or 'paused'
+export const getPromotionStatus = (promotion, date) => {
+    if (promotion.active === false) return 'paused';
+    if (promotion.startDate && date < promotion.startDate) return 'scheduled';
+    if (promotion.endDate && promotion.endDate < date) return 'ended';
+    return 'running';
+};
+
+// Items carry the supplier's name as text, so match on that.
+const matchesLine = (promotion, line) => {
+    if (promotion.scope === PROMOTION_SCOPES.SUPPLIER) {
+        return (line.supplier || '').trim().toLowerCase() === (promotion.supplier || '').trim().toLowerCase();
+    }
+    if (promotion.scope === PROMOTION_SCOPES.ITEMS) return (promotion.itemIds || []).includes(line.id);
+    return true;
+};
+
+// One entry per unit, dearest first, so groups are filled the same way
+// whatever order the cart is in.
+const expandUnits = (lines) => lines
+    .flatMap(line => Array.from({ length: line.quantity }, () => ({ id: line.id, price: line.unitPrice })))
+    .sort((a, b) => b.price - a.price || a.id.localeCompare(b.id));
+
+// Splits each group's saving over its units by price, so a return of any one
+// of them refunds its fair share.
+const spreadOverGroups = (units, groupSize, groupDiscount) => {
+    const discounts = {};
+    for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+        const group = units.slice(start, start + groupSize);
+        const groupTotal = group.reduce((sum, u) => sum + u.price, 0);
+        const saving = groupDiscount(group, groupTotal);
+        if (saving <= 0 || groupTotal <= 0) continue;
+        group.forEach(u => {
+            discounts[u.id] = (discounts[u.id] || 0) + saving * (u.price / groupTotal);
+        });
+    }
+    return discounts;
+};
+
+// Amount off each matching line's total: { [lineId]: number }
+const evaluatePromotion = (promotion, lines) => {
+    switch (promotion.type) {
+        case PROMOTION_TYPES.BUNDLE: {
+            const size = Number(promotion.bundleQuantity) || 0;
+            if (size < 1) return {};
+            return spreadOverGroups(expandUnits(lines), size,
+                (group, groupTotal) => groupTotal - (Number(promotion.bundlePrice) || 0));
+        }
+        case PROMOTION_TYPES.BUY_X_GET_Y: {
+            const buy = Number(promotion.buyQuantity) || 0;
+            const free = Number(promotion.freeQuantity) || 0;
+            if (buy < 1 || free < 1) return {};
+            return spreadOverGroups(expandUnits(lines), buy + free,
+                (group) => group.slice(-free).reduce((sum, u) => sum + u.price, 0));
+        }
+        default: {
+            const percent = Math.min(Number(promotion.percent) || 0, 100);
+            if (percent <= 0) return {};
+            return Object.fromEntries(lines.map(line => [line.id, line.quantity * line.unitPrice * percent / 100]));
+        }
+    }
+};
+
+// Works out which promotions apply to a cart. Lines already priced down by
+// hand or given a line discount are left out, so the two never stack. Each
+// line gets at most one promotion: the one saving the customer most is
+// applied first, then the next best on what's left, and so on.
+// lines: Array<{ id, quantity, unitPrice, sellingPrice, supplier, lineDiscount? }>
+// date: 'YYYY-MM-DD'
+// Returns { [lineId]: { id, name, discount } }, discount being the amount off the line total
+export const applyPromotions = (lines, promotions, date) => {
+    const running = promotions.filter(p => isPromotionActive(p, date));
+    let remaining = lines.filter(line => (
+        line.quantity > 0
+        && line.unitPrice === line.sellingPrice
+        && calculateDiscount(line.quantity * line.unitPrice, line.lineDiscount) === 0
+    ));
+    const applied = {};
+
+    while (remaining.length > 0) {
+        let best = null;
+        running.forEach(promotion => {
+            const matching = remaining.filter(line => matchesLine(promotion, line));
+            if (matching.length === 0) return;
+            const discounts = evaluatePromotion(promotion, matching);
+            const total = Object.values(discounts).reduce((sum, d) => sum + d, 0);
+            if (total >= 0.01 && (!best || total > best.total)) best = { promotion, discounts, total };
+        });
+        if (!best) break;
+
+        Object.entries(best.discounts).forEach(([lineId, discount]) => {
+            applied[lineId] = {
+                id: best.promotion.id,
+                name: best.promotion.name,
+                discount: Math.round(discount * 100) / 100
+            };
+        });
+        remaining = remaining.filter(line => !applied[line.id]);
+    }
+
+    return applied;
+};
@@ -0,0 +1,95 @@
+// Suppliers and purchase orders. A PO holds { supplierId, supplierName,
+// status, lines, expectedDate, notes }, each line being
+// { itemId, description, stockNumber, quantity, unitCost, received, receivedCost }
+// where received/receivedCost add up what has come in against it so far
+// (receivedCost at the cost actually paid).
+
+export const PO_STATUSES = [
+    { id: 'draft', label: 'Draft' },
+    { id: 'ordered', label: 'Ordered' },
+    { id: 'partial', label: 'Partly Received' },
+    { id: 'received', label: 'Received' },
+    { id: 'closed', label: 'Closed Short' },
+    { id: 'cancelled', label: 'Cancelled' }
+];
+
+// Orders that goods can still be received against.
+export const OPEN_PO_STATUSES = ['ordered', 'partial'];
+
+export const getPoStatusLabel = (status) => PO_STATUSES.find(s => s.id === status)?.label || status;
+
+// Short reference shown on screens and written on intake transactions.
+export const formatPoNumber = (purchaseOrderId) =>
+    purchaseOrderId ? `PO-${purchaseOrderId.slice(0, 6).toUpperCase()}` : '-';
+
+export const getOutstanding = (line) => Math.max(0, (Number(line.quantity) || 0) - (Number(line.received) || 0));
+
+// Average cost actually paid for a line so far, or null before anything arrived.
+export const getReceivedUnitCost = (line) =>
+    line.received > 0 ? Math.round((line.receivedCost / line.received) * 100) / 100 : null;
+
+// Differences smaller than half a cent are rounding, not a price change.
+export const costDiffers = (cost, poCost) => Math.abs((Number(cost) || 0) - (Number(poCost) || 0)) >= 0.005;
+
+// Returns { orderedUnits, receivedUnits, outstandingUnits, orderValue }
+export const summarizePurchaseOrder = (po) => (po.lines || []).reduce((sum, line) => ({
+    orderedUnits: sum.orderedUnits + (Number(line.quantity) || 0),
+    receivedUnits: sum.receivedUnits + (Number(line.received) || 0),
+    outstandingUnits: sum.outstandingUnits + getOutstanding(line),
+    orderValue: sum.orderValue + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0)
+}), { orderedUnits: 0, receivedUnits: 0, outstandingUnits: 0, orderValue: 0 });
+
+// Book a delivery against a PO. Intake lines for items that aren't on the
+// order are received into stock but leave the PO alone.
+// Returns { lines, status } - the PO's updated lines and status
+export const applyReceipt = (po, cartItems) => {
+    const lines = (po.lines || []).map(line => {
+        const delivered = cartItems.filter(ci => ci.id === line.itemId);
+        if (delivered.length === 0) return line;
+        const quantity = delivered.reduce((sum, ci) => sum + ci.quantity, 0);
+        const cost = delivered.reduce((sum, ci) => sum + ci.quantity * (Number(ci.costPrice) || 0), 0);
+        return {
+            ...line,
+            received: (Number(line.received) || 0) + quantity,
+            receivedCost: Math.round(((Number(line.receivedCost) || 0) + cost) * 100) / 100
+        };
+    });
+    const status = lines.every(line => getOutstanding(line) === 0) ? 'received' : 'partial';
+    return { lines, status };
+};
+
+// Intake batch lines for whatever is still outstanding on a PO, merged into
+// the current batch: items already in it keep what was entered.
+export const mergePoIntoCart = (cart, po, items) => {
+    const merged = [...cart];
+    (po.lines || []).forEach(line => {
+        const outstanding = getOutstanding(line);
+        if (outstanding <= 0 || merged.some(l => l.id === line.itemId)) return;
+        const item = items.find(i => i.id === line.itemId);
+        if (!item) return;
+        merged.push({
+            id: item.id,
+            description: item.description,
+            stockNumber: item.stockNumber,
+            currentStock: Number(item.quantity) || 0,
+            quantity: outstanding,
+            costPrice: Number(line.unitCost) || 0,
+            bin: ''
+        });
+    });
+    return merged;
+};
+
+// Draft PO lines from the suggested purchase list (groupLowStockBySupplier).
+// quantities: { [itemId]: number } overrides for the suggested order quantities
+export const toPurchaseOrderLines = (group, quantities = {}) => group.lines
+    .map(({ item, orderQuantity }) => ({
+        itemId: item.id,
+        description: item.description || '',
+        stockNumber: item.stockNumber || '',
+        quantity: quantities[item.id] ?? orderQuantity,
+        unitCost: Number(item.costPrice) || 0,
+        received: 0,
+        receivedCost: 0
+    }))
+    .filter(line => line.quantity > 0);
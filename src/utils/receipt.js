@@ -0,0 +1,91 @@
+import { formatCurrency } from './format';
+import { formatSaleNumber } from './sales';
+import { getTenderLabel } from './payments';
+import { getLineVat } from './vat';
+
+// Header printed at the top of every till slip. Address and phone are
+// optional and come from the build environment like the Firebase config.
+export const COMPANY = {
+    name: 'Dismantled Motors',
+    address: import.meta.env.VITE_COMPANY_ADDRESS || '',
+    phone: import.meta.env.VITE_COMPANY_PHONE || '',
+    vatNumber: import.meta.env.VITE_COMPANY_VAT_NUMBER || ''
+};
+
+// Receipt roll sizes (ids must match printer-server LABEL_SIZES keys).
+// widthPx is the printable width at 96dpi, used for the on-screen template.
+export const RECEIPT_ROLLS = [
+    { id: '80_receipt', name: '80mm Thermal Roll (ESC/POS)', widthMm: 80, printableMm: 72, widthPx: 272 },
+    { id: '62_continuous', name: '62mm Continuous Roll (DK-22205)', widthMm: 62, printableMm: 58, widthPx: 219 }
+];
+
+// Build a receipt from the OUT transaction lines of one sale, either the
+// lines checkoutSale just wrote or the ones SalesView already has loaded.
+export const buildReceipt = (saleLines) => {
+    const lines = saleLines.filter(l => l.type === 'OUT');
+    const first = lines[0] || {};
+
+    const receiptLines = lines.map(l => {
+        const quantity = Math.abs(Number(l.quantity) || 0);
+        // listPrice is the price before any discount was taken off; older
+        // sales only have the discounted salePrice.
+        const unitPrice = Number(l.listPrice ?? l.salePrice) || 0;
+        return {
+            name: l.itemName,
+            quantity,
+            unitPrice,
+            total: quantity * unitPrice,
+            promotion: l.promotion ? { name: l.promotion.name, discount: Number(l.promotion.discount) || 0 } : null
+        };
+    });
+
+    // Promotions are shown under their lines, so the subtotal is after them.
+    const subtotal = receiptLines.reduce((sum, l) => sum + l.total - (l.promotion?.discount || 0), 0);
+    const total = lines.reduce((sum, l) => sum + (Number(l.totalSales) || 0), 0);
+    const vat = lines.reduce((sum, l) => sum + getLineVat(l), 0);
+
+    return {
+        saleId: first.saleId || null,
+        saleNumber: formatSaleNumber(first.saleId),
+        timestamp: first.timestamp,
+        cashier: first.performedBy || 'Unknown',
+        lines: receiptLines,
+        subtotal,
+        discount: Math.max(0, Math.round((subtotal - total) * 100) / 100),
+        total,
+        vat: Math.round(vat * 100) / 100,
+        tenders: first.tenders || [],
+        cashTendered: Number(first.cashTendered) || 0,
+        changeDue: Number(first.changeDue) || 0
+    };
+};
+
+// Plain-text version of the slip, for email bodies.
+export const formatReceiptText = (receipt) => {
+    const rows = [
+        ...[COMPANY.name, COMPANY.address, COMPANY.phone].filter(Boolean),
+        ...(COMPANY.vatNumber ? [`VAT No: ${COMPANY.vatNumber}`] : []),
+        '',
+        `Sale #${receipt.saleNumber}`,
+        new Date(receipt.timestamp).toLocaleString(),
+        `Cashier: ${receipt.cashier}`,
+        '',
+        ...receipt.lines.flatMap(l => [
+            `${l.quantity} x ${l.name} @ ${formatCurrency(l.unitPrice)} = ${formatCurrency(l.total)}`,
+            ...(l.promotion ? [`  ${l.promotion.name}: -${formatCurrency(l.promotion.discount)}`] : [])
+        ]),
+        '',
+        `Subtotal: ${formatCurrency(receipt.subtotal)}`
+    ];
+    if (receipt.discount > 0) rows.push(`Discount: -${formatCurrency(receipt.discount)}`);
+    rows.push(`Total: ${formatCurrency(receipt.total)}`);
+    rows.push(`VAT included: ${formatCurrency(receipt.vat)}`);
+    receipt.tenders.forEach(t => {
+        const shown = t.method === 'cash' && receipt.cashTendered ? receipt.cashTendered : t.amount;
+        rows.push(`${getTenderLabel(t.method)}: ${formatCurrency(shown)}`);
+    });
+    if (receipt.changeDue > 0) rows.push(`Change: ${formatCurrency(receipt.changeDue)}`);
+    rows.push('', 'Thank you for your business!');
+
+    return rows.join('\n');
+};
@@ -0,0 +1,52 @@
+// Reorder points. Each item can carry a `reorderPoint` (stock at or below it
+// counts as low) and a `reorderQuantity` (how many to buy when it gets there).
+// Items without their own reorder point use DEFAULT_REORDER_POINT.
+
+export const DEFAULT_REORDER_POINT = 5;
+
+// Form value -> stored setting: blank means "use the default" (null).
+export const parseReorderSetting = (value) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+export const getReorderPoint = (item) => item.reorderPoint ?? DEFAULT_REORDER_POINT;
+
+export const isLowStock = (item) => (Number(item.quantity) || 0) <= getReorderPoint(item);
+
+// How many to order: the item's reorder quantity, or enough to get back to
+// twice its reorder point when it has none. Either way at least enough to
+// lift stock back above the reorder point.
+export const getSuggestedOrderQuantity = (item) => {
+    const quantity = Number(item.quantity) || 0;
+    const reorderPoint = getReorderPoint(item);
+    const shortfall = Math.max(0, reorderPoint - quantity + 1);
+    const suggested = item.reorderQuantity ? item.reorderQuantity : reorderPoint * 2 - quantity;
+    return Math.max(suggested, shortfall);
+};
+
+// Low-stock items grouped by supplier (suppliers A-Z, items by stock level),
+// each with a suggested order quantity.
+// Returns Array<{ supplier, lines: Array<{ item, orderQuantity }>, orderCost }>
+export const groupLowStockBySupplier = (items) => {
+    const groups = new Map();
+    items.filter(isLowStock).forEach(item => {
+        const supplier = (item.supplier || '').trim() || 'No supplier';
+        const key = supplier.toLowerCase();
+        if (!groups.has(key)) groups.set(key, { supplier, lines: [], orderCost: 0 });
+        const orderQuantity = getSuggestedOrderQuantity(item);
+        const group = groups.get(key);
+        group.lines.push({ item, orderQuantity });
+        group.orderCost += orderQuantity * (Number(item.costPrice) || 0);
+    });
+
+    return [...groups.values()]
+        .map(group => ({
+            ...group,
+            lines: group.lines.sort((a, b) =>
+                (Number(a.item.quantity) || 0) - (Number(b.item.quantity) || 0) ||
+                (a.item.description || '').localeCompare(b.item.description || ''))
+        }))
+        .sort((a, b) => a.supplier.localeCompare(b.supplier));
+};
@@ -0,0 +1,74 @@
+export const toDateInputValue = (date) => {
+    // Local calendar date (not UTC) so "Today" matches what the clock on the
+    // wall says, even though transaction timestamps are stored as UTC ISO strings.
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+// Short, human-friendly reference for a sale (the first block of its UUID).
+// Returns and receipts look sales up by this prefix.
+export const formatSaleNumber = (saleId) => {
+    return saleId ? saleId.slice(0, 8).toUpperCase() : '-';
+};
+
+// How many units of each OUT line have already come back, keyed by the
+// OUT transaction id that the RETURN lines point at.
+export const getReturnedQuantities = (lines) => {
+    const returned = new Map();
+    lines.filter(l => l.type === 'RETURN').forEach(l => {
+        const key = l.originalTransactionId;
+        returned.set(key, (returned.get(key) || 0) + (Number(l.quantity) || 0));
+    });
+    return returned;
+};
+
+// Group OUT lines that share a saleId into a single sale, netting off any
+// RETURN lines posted against the same saleId. Legacy transactions without
+// a saleId are treated as their own standalone sale group.
+export const groupSales = (transactions) => {
+    const groupMap = new Map();
+    transactions
+        .filter(t => t.type === 'OUT' || (t.type === 'RETURN' && t.saleId))
+        .forEach(t => {
+            const groupId = t.saleId || t.id;
+            if (!groupMap.has(groupId)) {
+                groupMap.set(groupId, []);
+            }
+            groupMap.get(groupId).push(t);
+        });
+
+    return Array.from(groupMap.entries()).map(([groupId, allLines]) => {
+        const lines = allLines.filter(l => l.type === 'OUT');
+        const returnLines = allLines.filter(l => l.type === 'RETURN');
+
+        const grossSales = lines.reduce((sum, l) => sum + (Number(l.totalSales) || 0), 0);
+        const refunds = returnLines.reduce((sum, l) => sum + (Number(l.refundAmount) || 0), 0);
+        const totalSales = grossSales - refunds;
+        // OUT lines carry a negative totalCost and returns a positive one, so a
+        // group made only of returns has a negative cost (and gives back profit).
+        const totalCost = -allLines.reduce((sum, l) => sum + (Number(l.totalCost) || 0), 0);
+        const profit = totalSales - totalCost;
+
+        // Date and cashier come from the sale itself, not a later return.
+        const first = lines[0] || allLines[0];
+
+        return {
+            groupId,
+            saleId: first.saleId || null,
+            timestamp: first.timestamp,
+            performedBy: first.performedBy,
+            tenders: first.tenders || null,
+            approval: first.approval || null,
+            changeDue: Number(first.changeDue) || 0,
+            lines,
+            returnLines,
+            grossSales,
+            refunds,
+            totalSales,
+            totalCost,
+            profit
+        };
+    });
+};
@@ -0,0 +1,165 @@
+// Ranked, typo-tolerant inventory search shared by the Inventory, POS and
+// Stock Intake screens. Every word of the query has to match some field of
+// the item (exactly, as a prefix, inside a word, or within a couple of typos),
+// and better matches in more important fields rank higher.
+import { formatFitment } from './fitment';
+
+// Fields searched and how much a match in each counts. `get` pulls the text
+// out of an item. Fitment makes free-text queries like "corolla headlight"
+// work; picking a vehicle in the fitment filter is the exact way.
+export const SEARCH_FIELDS = [
+    { key: 'stockNumber', weight: 4, get: item => item.stockNumber },
+    { key: 'barcode', weight: 4, get: item => item.barcode },
+    { key: 'description', weight: 3, get: item => item.description },
+    { key: 'fitment', weight: 2, get: item => (item.fitments || []).map(formatFitment).join(' ') },
+    { key: 'supplier', weight: 1, get: item => item.supplier },
+    { key: 'category', weight: 1, get: item => item.category }
+];
+
+const MATCH_EXACT = 1;
+const MATCH_PREFIX = 0.9;
+const MATCH_INFIX = 0.7;
+const MATCH_FUZZY = 0.6;
+
+export const normalizeText = (value) =>
+    String(value ?? '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+
+export const tokenize = (value) => {
+    const normalized = normalizeText(value);
+    return normalized ? normalized.split(' ') : [];
+};
+
+// Typos allowed for a query word of this length. Short words and numbers
+// (years, part numbers) have to match exactly.
+const allowedTypos = (token) => {
+    if (/^\d+$/.test(token) || token.length <= 3) return 0;
+    return token.length <= 5 ? 1 : 2;
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), giving
+// up early once it can't come in at or under max.
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+    return prev[b.length];
+};
+
+// How well one query word matches one word of an item (0 = not at all).
+const scoreToken = (queryToken, word) => {
+    if (word === queryToken) return MATCH_EXACT;
+    if (word.startsWith(queryToken)) return MATCH_PREFIX;
+    if (queryToken.length >= 3 && word.includes(queryToken)) return MATCH_INFIX;
+
+    const maxTypos = allowedTypos(queryToken);
+    if (maxTypos === 0) return 0;
+    // Compare against the whole word and against its start, so a misspelt
+    // prefix ("hedli") still finds "headlight".
+    const distance = Math.min(
+        editDistance(queryToken, word, maxTypos),
+        editDistance(queryToken, word.slice(0, queryToken.length), maxTypos)
+    );
+    return distance <= maxTypos ? MATCH_FUZZY - 0.1 * distance : 0;
+};
+
+// Items are indexed once and reused for as long as the same object is in
+// the inventory list (the listeners replace objects when they change).
+const indexCache = new WeakMap();
+
+const indexItem = (item, fields) => {
+    const cached = indexCache.get(item);
+    if (cached && cached.fields === fields) return cached;
+
+    const entry = {
+        fields,
+        words: fields.map(field => tokenize(field.get(item))),
+        texts: fields.map(field => normalizeText(field.get(item)))
+    };
+    indexCache.set(item, entry);
+    return entry;
+};
+
+// Score an item against already-tokenized query words; 0 means no match.
+const scoreItem = (item, queryTokens, normalizedQuery, fields) => {
+    const index = indexItem(item, fields);
+    let total = 0;
+
+    for (const queryToken of queryTokens) {
+        let best = 0;
+        fields.forEach((field, f) => {
+            for (const word of index.words[f]) {
+                const score = scoreToken(queryToken, word) * field.weight;
+                if (score > best) best = score;
+            }
+        });
+        if (best === 0) return 0;
+        total += best;
+    }
+
+    fields.forEach((field, f) => {
+        const text = index.texts[f];
+        if (!text) return;
+        // Whole-field hits (a scanned stock number) and the query appearing
+        // as a phrase rank above scattered word matches.
+        if (text === normalizedQuery) total += field.weight * 3;
+        else if (text.includes(normalizedQuery)) total += field.weight;
+    });
+
+    return total;
+};
+
+// The item a scanned or typed code refers to outright: an exact barcode, or
+// an exact stock number (ignoring case). null when there isn't one.
+export const findExactItem = (items, code) => {
+    const trimmed = String(code ?? '').trim();
+    if (!trimmed) return null;
+    const lower = trimmed.toLowerCase();
+    return items.find(item => item.barcode === trimmed) ||
+        items.find(item => (item.stockNumber || '').toLowerCase() === lower) ||
+        null;
+};
+
+// Search items for query and return the matches, best first.
+// options: { fields?: Array (defaults to SEARCH_FIELDS), limit?: number }
+export const searchItems = (items, query, options = {}) => {
+    const { fields = SEARCH_FIELDS, limit } = options;
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) return [];
+    const normalizedQuery = queryTokens.join(' ');
+
+    const ranked = [];
+    items.forEach(item => {
+        const score = scoreItem(item, queryTokens, normalizedQuery, fields);
+        if (score > 0) ranked.push({ item, score });
+    });
+
+    ranked.sort((a, b) =>
+        b.score - a.score ||
+        (a.item.description || '').localeCompare(b.item.description || '')
+    );
+
+    const results = ranked.map(r => r.item);
+    return limit ? results.slice(0, limit) : results;
+};
@@ -0,0 +1,49 @@
+import { groupSales } from './sales';
+import { summarizeTenders } from './payments';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// End-of-shift (Z) report from every transaction tagged with the shift's id.
+// Expected cash is the opening float plus cash takings (net of cash refunds);
+// variance is what was counted minus that.
+export const buildZReport = (shift, transactions, countedCash) => {
+    const groups = groupSales(transactions);
+    const sales = groups.filter(g => g.lines.length > 0);
+    const outLines = transactions.filter(t => t.type === 'OUT');
+    const returnLines = transactions.filter(t => t.type === 'RETURN');
+
+    const netSales = outLines.reduce((sum, l) => sum + (Number(l.totalSales) || 0), 0);
+    const gross = outLines.reduce((sum, l) => {
+        const qty = Math.abs(Number(l.quantity) || 0);
+        return sum + qty * (Number(l.listPrice ?? l.salePrice) || 0);
+    }, 0);
+    const returns = returnLines.reduce((sum, l) => sum + (Number(l.refundAmount) || 0), 0);
+    const tenders = summarizeTenders(groups);
+
+    const byUser = {};
+    groups.forEach(g => {
+        const name = g.performedBy || 'Unknown';
+        if (!byUser[name]) byUser[name] = { salesCount: 0, total: 0 };
+        if (g.lines.length > 0) byUser[name].salesCount += 1;
+        byUser[name].total = roundCents(byUser[name].total + g.totalSales);
+    });
+
+    const openingFloat = Number(shift.openingFloat) || 0;
+    const expectedCash = roundCents(openingFloat + (tenders.cash || 0));
+    const counted = roundCents(Number(countedCash) || 0);
+
+    return {
+        salesCount: sales.length,
+        gross: roundCents(gross),
+        discounts: roundCents(gross - netSales),
+        returns: roundCents(returns),
+        returnsCount: new Set(returnLines.map(l => l.returnId)).size,
+        netSales: roundCents(netSales - returns),
+        tenders,
+        byUser,
+        openingFloat,
+        expectedCash,
+        countedCash: counted,
+        variance: roundCents(counted - expectedCash)
+    };
+};
@@ -0,0 +1,165 @@
+// Reading CSV and Excel files into plain rows of cell values, and writing
+// report rows back out as CSV, Excel or JSON downloads.
+// Excel support is loaded on demand so it doesn't weigh down the main bundle.
+
+// Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF).
+// Returns Array<Array<string>>, skipping completely empty lines.
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    // Strip a UTF-8 byte order mark left by Excel's "CSV UTF-8" export.
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Plain value of an ExcelJS cell (formulas give their result, rich text its text).
+const excelCellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        if ('result' in value) return excelCellValue(value.result);
+        if ('text' in value) return String(value.text);
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    }
+    return String(value);
+};
+
+const readExcel = async (file) => {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await file.arrayBuffer());
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (sheetRow) => {
+        const cells = [];
+        for (let col = 1; col <= sheet.columnCount; col++) {
+            cells.push(excelCellValue(sheetRow.getCell(col).value));
+        }
+        rows.push(cells);
+    });
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Read the first sheet of an .xlsx file, or a .csv file, as rows of strings.
+// The first row is expected to be the header row.
+// Returns Promise<Array<Array<string>>> - throws for unsupported files
+export const readSpreadsheet = async (file) => {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.csv')) return parseCsv(await file.text());
+    if (name.endsWith('.xlsx')) return readExcel(file);
+    throw new Error('Unsupported file type. Please choose a .csv or .xlsx file.');
+};
+
+// Export formats offered wherever data can be downloaded.
+export const EXPORT_FORMATS = [
+    { id: 'csv', label: 'CSV' },
+    { id: 'xlsx', label: 'Excel' },
+    { id: 'json', label: 'JSON' }
+];
+
+// Cell value for CSV: quoted when it contains a separator, quote or newline.
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, columns) => [
+    columns.map(col => csvCell(col.label)).join(','),
+    ...rows.map(row => columns.map(col => csvCell(row[col.key])).join(','))
+].join('\r\n');
+
+const EXCEL_FORMATS = {
+    currency: '#,##0.00',
+    number: '#,##0.##',
+    date: 'yyyy-mm-dd hh:mm'
+};
+
+const toExcel = async (rows, columns, sheetName) => {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(col => ({
+        header: col.label,
+        key: col.key,
+        width: Math.max(12, col.label.length + 2),
+        style: EXCEL_FORMATS[col.type] ? { numFmt: EXCEL_FORMATS[col.type] } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => {
+        sheet.addRow(Object.fromEntries(columns.map(col => {
+            const value = row[col.key];
+            // Dates go in as real dates so Excel can sort and filter them.
+            return [col.key, col.type === 'date' && value ? new Date(value) : value];
+        })));
+    });
+    return workbook.xlsx.writeBuffer();
+};
+
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Download rows in the chosen format. Every format uses the same columns:
+// CSV and Excel headers are the labels, JSON objects are keyed by `key`.
+// rows: Array<object>
+// columns: Array<{ key: string, label: string, type?: 'text' | 'number' | 'currency' | 'date' }>
+// format: 'csv' | 'xlsx' | 'json'
+// baseName: file name without extension, also used as the sheet name
+export const downloadRows = async (rows, columns, format, baseName) => {
+    if (format === 'json') {
+        const records = rows.map(row => Object.fromEntries(columns.map(col => [col.key, row[col.key] ?? null])));
+        downloadBlob(new Blob([JSON.stringify(records, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+    } else if (format === 'xlsx') {
+        const buffer = await toExcel(rows, columns, baseName.slice(0, 31));
+        downloadBlob(new Blob([buffer], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        }), `${baseName}.xlsx`);
+    } else {
+        // Byte order mark so Excel opens the CSV as UTF-8.
+        downloadBlob(new Blob(['\ufeff', toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' }), `${baseName}.csv`);
+    }
+};
@@ -0,0 +1,97 @@
+// Stock take (cycle count): a count sheet is drawn up for a set of items,
+// staff count what's actually there, and approving posts the differences.
+// Each line's expected quantity is read again from the live item when it is
+// first counted, so the variance only covers what the shelf disagrees with
+// at that moment. Variances are applied to the live stock level rather than
+// overwriting it, so sales made after a shelf was counted still count, and
+// sales made before it aren't taken off twice.
+import { UNASSIGNED_LOCATION, getStockAt, planPick } from './locations';
+
+export const STOCK_TAKE_SCOPES = [
+    { id: 'all', label: 'All items' },
+    { id: 'location', label: 'One location' },
+    { id: 'supplier', label: 'One supplier' }
+];
+
+// Distinct suppliers across the inventory, for the scope picker.
+export const getSupplierOptions = (items) => {
+    const suppliers = new Map();
+    items.forEach(item => {
+        const name = (item.supplier || '').trim();
+        if (name && !suppliers.has(name.toLowerCase())) suppliers.set(name.toLowerCase(), name);
+    });
+    return [...suppliers.values()].sort((a, b) => a.localeCompare(b));
+};
+
+// What the system thinks is on the shelf for this item within the scope.
+// scope: { type: 'all'|'location'|'supplier', id?: string, label: string }
+export const getExpectedQuantity = (item, scope) => (scope.type === 'location'
+    ? getStockAt(item, scope.id)
+    : Number(item.quantity) || 0);
+
+const inScope = (item, scope) => {
+    if (scope.type === 'location') return getStockAt(item, scope.id) !== 0 || Boolean(item.bins?.[scope.id]);
+    if (scope.type === 'supplier') return (item.supplier || '').trim().toLowerCase() === scope.id.toLowerCase();
+    return true;
+};
+
+export const toSheetLine = (item, scope, extra = {}) => ({
+    id: item.id,
+    description: item.description || '',
+    stockNumber: item.stockNumber || '',
+    bin: scope.type === 'location' ? item.bins?.[scope.id] || '' : '',
+    costPrice: Number(item.costPrice) || 0,
+    expected: getExpectedQuantity(item, scope),
+    counted: null,
+    ...extra
+});
+
+// The line with its expected quantity as the live item has it now.
+export const withLiveExpected = (line, item, scope) => (item
+    ? { ...line, expected: getExpectedQuantity(item, scope) }
+    : line);
+
+// Sets a line's count. The first count of a line takes the expected quantity
+// from the live item, which already reflects anything sold or received since
+// the sheet was drawn up.
+export const recordCount = (line, item, scope, counted) => {
+    const firstCount = (line.counted === null || line.counted === undefined) && counted !== null;
+    return { ...(firstCount ? withLiveExpected(line, item, scope) : line), counted };
+};
+
+// The count sheet for a scope, in bin then description order.
+export const buildStockTakeSheet = (items, scope) => items
+    .filter(item => inScope(item, scope))
+    .map(item => toSheetLine(item, scope))
+    .sort((a, b) =>
+        (a.bin || '').localeCompare(b.bin || '') ||
+        (a.description || '').localeCompare(b.description || ''));
+
+// Variances for every line plus totals. Uncounted lines are left out of the
+// variances unless uncountedAsZero, in which case they were counted as none.
+// Returns { lines, counted, uncounted, shortUnits, overUnits, varianceValue }
+export const summarizeStockTake = (lines, uncountedAsZero = false) => {
+    const summary = { lines: [], counted: 0, uncounted: 0, shortUnits: 0, overUnits: 0, varianceValue: 0 };
+    lines.forEach(line => {
+        const counted = line.counted ?? (uncountedAsZero ? 0 : null);
+        if (line.counted === null || line.counted === undefined) summary.uncounted++;
+        else summary.counted++;
+
+        const variance = counted === null ? null : Math.round((counted - line.expected) * 100) / 100;
+        if (variance < 0) summary.shortUnits -= variance;
+        if (variance > 0) summary.overUnits += variance;
+        if (variance) summary.varianceValue += variance * line.costPrice;
+        summary.lines.push({ ...line, counted, variance });
+    });
+    return summary;
+};
+
+// Per-location stock changes for posting a variance (see buildStockUpdate).
+// Counting one location adjusts that location. Otherwise extra stock is left
+// unassigned and missing stock comes out of locations the way a sale would.
+export const planVarianceChanges = (item, variance, scope) => {
+    if (scope.type === 'location') return { [scope.id]: variance };
+    if (variance > 0) return { [UNASSIGNED_LOCATION]: variance };
+    const picks = planPick(item, -variance, null);
+    return Object.fromEntries(Object.entries(picks).map(([id, qty]) => [id, -qty]));
+};
@@ -0,0 +1,112 @@
+// Stock valuation and aging for the Reports screen. Values are taken from the
+// live item list: stock at its (average) cost and at its selling price.
+// Aging counts the days since an item last had stock come in.
+import { getLocationBreakdown } from './locations';
+
+export const VALUATION_GROUPINGS = [
+    { id: 'supplier', label: 'Supplier' },
+    { id: 'category', label: 'Category' },
+    { id: 'location', label: 'Location' }
+];
+
+// Days since the last IN. The last bucket is the dead stock nobody has
+// touched in a year.
+export const AGING_BUCKETS = [
+    { id: 'current', label: 'Under 90 days', minDays: 0 },
+    { id: '90', label: '90-179 days', minDays: 90 },
+    { id: '180', label: '180-364 days', minDays: 180 },
+    { id: '365', label: '365+ days', minDays: 365 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const stockValues = (item, quantity) => ({
+    units: quantity,
+    costValue: quantity * (Number(item.costPrice) || 0),
+    retailValue: quantity * (Number(item.sellingPrice) || 0)
+});
+
+const addValues = (row, values) => {
+    row.units += values.units;
+    row.costValue += values.costValue;
+    row.retailValue += values.retailValue;
+};
+
+const emptyValues = () => ({ units: 0, costValue: 0, retailValue: 0 });
+
+// Only stock actually on the shelf is valued; negative counts are ignored.
+const inStock = (items) => items.filter(item => (Number(item.quantity) || 0) > 0);
+
+// Totals for everything in stock.
+// Returns { itemCount, units, costValue, retailValue }
+export const summarizeValuation = (items) => {
+    const stocked = inStock(items);
+    const totals = emptyValues();
+    stocked.forEach(item => addValues(totals, stockValues(item, Number(item.quantity))));
+    return { itemCount: stocked.length, ...totals };
+};
+
+// Stock value per supplier, category or location, biggest first. By location,
+// each item's stock is split across the places it is held.
+// Returns Array<{ key, label, itemCount, units, costValue, retailValue }>
+export const groupValuation = (items, groupBy, locations = []) => {
+    const groups = new Map();
+    const addTo = (key, label, item, quantity) => {
+        if (!groups.has(key)) groups.set(key, { key, label, itemIds: new Set(), ...emptyValues() });
+        const group = groups.get(key);
+        group.itemIds.add(item.id);
+        addValues(group, stockValues(item, quantity));
+    };
+
+    inStock(items).forEach(item => {
+        if (groupBy === 'location') {
+            getLocationBreakdown(item, locations)
+                .filter(row => row.quantity > 0)
+                .forEach(row => addTo(row.locationId, row.name, item, row.quantity));
+            return;
+        }
+        const label = (item[groupBy] || '').trim();
+        addTo(label.toLowerCase(), label || `No ${groupBy}`, item, Number(item.quantity));
+    });
+
+    return [...groups.values()]
+        .map(({ itemIds, ...group }) => ({ ...group, itemCount: itemIds.size }))
+        .sort((a, b) => b.costValue - a.costValue);
+};
+
+// Latest IN timestamp per item. transactions: IN lines, in any order
+// Returns Map<itemId, string>
+export const getLastReceivedDates = (transactions) => {
+    const dates = new Map();
+    transactions.forEach(t => {
+        if (t.type !== 'IN' || !t.itemId || !t.timestamp) return;
+        if (!dates.has(t.itemId) || t.timestamp > dates.get(t.itemId)) dates.set(t.itemId, t.timestamp);
+    });
+    return dates;
+};
+
+export const getAgingBucket = (days) =>
+    [...AGING_BUCKETS].reverse().find(bucket => days >= bucket.minDays) || AGING_BUCKETS[0];
+
+// Every item in stock with how long since stock last came in. Items with no
+// IN on record fall back to when they were created.
+// Returns { lines: Array<{ item, lastReceivedAt, days, bucket, costValue, retailValue }>,
+//           buckets: Array<bucket & { itemCount, units, costValue, retailValue }> }
+export const buildAgingReport = (items, lastReceived, now = new Date()) => {
+    const lines = inStock(items).map(item => {
+        const lastReceivedAt = lastReceived.get(item.id) || item.createdAt || null;
+        const days = lastReceivedAt ? Math.max(0, Math.floor((now - new Date(lastReceivedAt)) / DAY_MS)) : null;
+        // No date at all is as stale as it gets.
+        const bucket = days === null ? AGING_BUCKETS[AGING_BUCKETS.length - 1] : getAgingBucket(days);
+        return { item, lastReceivedAt, days, bucket, ...stockValues(item, Number(item.quantity)) };
+    }).sort((a, b) => (b.days ?? Number.MAX_SAFE_INTEGER) - (a.days ?? Number.MAX_SAFE_INTEGER));
+
+    const buckets = AGING_BUCKETS.map(bucket => {
+        const inBucket = lines.filter(line => line.bucket.id === bucket.id);
+        const totals = emptyValues();
+        inBucket.forEach(line => addValues(totals, line));
+        return { ...bucket, itemCount: inBucket.length, ...totals };
+    });
+
+    return { lines, buckets };
+};
@@ -0,0 +1,66 @@
+// South African VAT. Every item carries a tax class; only standard-rated
+// supplies attract output VAT, but zero-rated and exempt supplies are still
+// reported separately on the VAT201 return.
+export const VAT_RATE = 0.15;
+
+export const TAX_CLASSES = [
+    { id: 'standard', label: 'Standard (15%)', rate: VAT_RATE },
+    { id: 'zero', label: 'Zero-rated (0%)', rate: 0 },
+    { id: 'exempt', label: 'Exempt', rate: 0 }
+];
+
+export const DEFAULT_TAX_CLASS = 'standard';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+export const getTaxClass = (taxClass) =>
+    TAX_CLASSES.find(t => t.id === taxClass) || TAX_CLASSES.find(t => t.id === DEFAULT_TAX_CLASS);
+
+export const getTaxRate = (taxClass) => getTaxClass(taxClass).rate;
+
+// VAT contained in a VAT-inclusive amount.
+export const vatFromInclusive = (amount, rate) => roundCents(amount * rate / (1 + rate));
+
+// VAT to add on top of a VAT-exclusive amount.
+export const vatFromExclusive = (amount, rate) => roundCents(amount * rate);
+
+// VAT on a sale or return line. Lines written before VAT was tracked have no
+// vatAmount; their prices were always VAT-inclusive at the standard rate.
+export const getLineVat = (line) => {
+    if (line.vatAmount !== undefined) return Number(line.vatAmount) || 0;
+    return vatFromInclusive(Number(line.totalSales) || 0, getTaxRate(line.taxClass));
+};
+
+// VAT201 figures across a list of sale groups (see groupSales). Supplies are
+// VAT-exclusive and returns (credit notes) are netted off the period they were
+// made in, by the tax class of the line that was returned.
+export const summarizeVat = (groups) => {
+    const summary = {
+        standardSupplies: 0,
+        zeroRatedSupplies: 0,
+        exemptSupplies: 0,
+        outputVat: 0
+    };
+
+    groups.forEach(g => {
+        [...g.lines, ...g.returnLines].forEach(line => {
+            const gross = Number(line.totalSales) || 0;
+            const vat = getLineVat(line);
+            const taxClass = getTaxClass(line.taxClass).id;
+
+            if (taxClass === 'zero') {
+                summary.zeroRatedSupplies += gross;
+            } else if (taxClass === 'exempt') {
+                summary.exemptSupplies += gross;
+            } else {
+                summary.standardSupplies += gross - vat;
+                summary.outputVat += vat;
+            }
+        });
+    });
+
+    Object.keys(summary).forEach(key => {
+        summary[key] = roundCents(summary[key]);
+    });
+    return summary;
+};
@@ -0,0 +1,43 @@
+// Donor vehicles: the stripped cars our parts come from. Items carry the
+// donor's id as vehicleId, and so do the sale and return lines written for
+// them, so a vehicle's takings survive the part being sold out or deleted.
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// "2011 Volkswagen Polo", falling back to the VIN for half-captured vehicles.
+export const formatVehicleName = (vehicle) => {
+    if (!vehicle) return '';
+    const name = [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ');
+    return name || vehicle.vin || 'Unnamed vehicle';
+};
+
+// What's left on the shelf from a vehicle and what it has brought in so far.
+// parts: inventory items with this vehicleId
+// lines: the vehicle's OUT and RETURN transactions
+// Returns {
+//   partsRemaining, unitsRemaining, remainingValue (at selling price),
+//   unitsSold (net of returns), revenue (net of refunds),
+//   purchaseCost, recoveredPercent, netPosition (revenue - purchaseCost)
+// }
+export const summarizeVehicle = (vehicle, parts, lines) => {
+    const inStock = parts.filter(p => (Number(p.quantity) || 0) > 0);
+    const unitsRemaining = inStock.reduce((sum, p) => sum + Number(p.quantity), 0);
+    const remainingValue = inStock.reduce((sum, p) => sum + Number(p.quantity) * (Number(p.sellingPrice) || 0), 0);
+
+    // OUT quantities are negative and RETURN quantities positive, so the
+    // negated sum is the units that stayed sold.
+    const unitsSold = -lines.reduce((sum, l) => sum + (Number(l.quantity) || 0), 0);
+    const revenue = lines.reduce((sum, l) => sum + (Number(l.totalSales) || 0), 0);
+    const purchaseCost = Number(vehicle?.purchaseCost) || 0;
+
+    return {
+        partsRemaining: inStock.length,
+        unitsRemaining,
+        remainingValue: roundCents(remainingValue),
+        unitsSold,
+        revenue: roundCents(revenue),
+        purchaseCost,
+        recoveredPercent: purchaseCost > 0 ? Math.round((revenue / purchaseCost) * 100) : null,
+        netPosition: roundCents(revenue - purchaseCost)
+    };
+};
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { APPROVAL_REASONS, DEFAULT_APPROVAL_SETTINGS, getRequiredApprovals } from '../src/utils/approvals';
+
+// A line sold at its selling price; prices are VAT-inclusive as logged.
+const line = (chargedPrice, costPrice, vatRate) => ({
+    itemName: 'Brake Pad Set',
+    unitPrice: chargedPrice,
+    sellingPrice: chargedPrice,
+    chargedPrice,
+    costPrice,
+    vatRate
+});
+
+const reasons = (lines) => getRequiredApprovals(lines, 0, DEFAULT_APPROVAL_SETTINGS).map(r => r.reason);
+
+describe('getRequiredApprovals', () => {
+    describe('below cost, with VAT', () => {
+        it('takes the VAT off the charged price before comparing it with cost', () => {
+            // R 110 including 15% VAT is R 95.65 net, under the R 100 cost.
+            expect(reasons([line(110, 100, 0.15)])).toEqual([APPROVAL_REASONS.BELOW_COST]);
+        });
+
+        it('does not ask for approval when the net price covers cost', () => {
+            expect(reasons([line(115, 100, 0.15)])).toEqual([]);
+            expect(reasons([line(120, 100, 0.15)])).toEqual([]);
+        });
+
+        it('compares zero-rated lines as they are', () => {
+            expect(reasons([line(99, 100, 0)])).toEqual([APPROVAL_REASONS.BELOW_COST]);
+            expect(reasons([line(100, 100, 0)])).toEqual([]);
+        });
+    });
+});
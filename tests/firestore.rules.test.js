@@ -0,0 +1,424 @@
+// Checks firestore.rules against the local Firestore emulator.
+// Run with `npm run test:rules` (needs the Firebase CLI and Java installed).
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { readFileSync } from 'node:fs';
+import {
+    assertFails,
+    assertSucceeds,
+    initializeTestEnvironment
+} from '@firebase/rules-unit-testing';
+import {
+    addDoc,
+    collection,
+    deleteDoc,
+    doc,
+    getDoc,
+    setDoc,
+    updateDoc,
+    writeBatch
+} from 'firebase/firestore';
+
+const RULES = readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8');
+
+// One account per role, plus a legacy 'user' account and a disabled manager.
+const USERS = {
+    admin: { role: 'admin' },
+    manager: { role: 'manager' },
+    storeman: { role: 'storeman' },
+    cashier: { role: 'cashier' },
+    legacy: { role: 'user' },
+    disabled: { role: 'manager', disabled: true }
+};
+
+const ITEM = {
+    description: 'Brake Pad Set',
+    stockNumber: 'BP-100',
+    quantity: 10,
+    costPrice: 20,
+    sellingPrice: 35,
+    stockByLocation: {},
+    bins: {}
+};
+
+const line = (type, extra = {}) => ({
+    type,
+    itemId: 'item-1',
+    itemName: ITEM.description,
+    quantity: type === 'OUT' ? -1 : 1,
+    performedBy: 'Test',
+    timestamp: new Date().toISOString(),
+    ...extra
+});
+
+// The earlier sale that returns are made against: 2 of item-1.
+const SALE = line('OUT', { quantity: -2 });
+
+const returnLine = (quantity, extra = {}) => line('RETURN', { quantity, originalTransactionId: 'sale-0', ...extra });
+
+// A till's stock movement: the ledger line and the item update it pays for,
+// committed together the way checkout and returns do. A return also moves
+// its sale's saleReturns counter on to returnedSoFar.
+const moveStock = (db, lineId, ledgerLine, itemUpdate, returnedSoFar = null) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'transactions', lineId), ledgerLine);
+    batch.update(doc(db, 'inventory', 'item-1'), { lastTransactionId: lineId, ...itemUpdate });
+    if (returnedSoFar !== null) {
+        batch.set(doc(db, 'saleReturns', ledgerLine.originalTransactionId), { quantity: returnedSoFar, lastReturnId: lineId });
+    }
+    return batch.commit();
+};
+
+let testEnv;
+
+const dbAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+const anonymousDb = () => testEnv.unauthenticatedContext().firestore();
+
+describe('firestore.rules', () => {
+    before(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-stock-manager',
+            firestore: { rules: RULES }
+        });
+    });
+
+    after(async () => {
+        await testEnv.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await Promise.all(Object.entries(USERS).map(([uid, data]) => (
+                setDoc(doc(db, 'users', uid), { email: `${uid}@example.com`, disabled: false, ...data })
+            )));
+            await setDoc(doc(db, 'inventory', 'item-1'), ITEM);
+            await setDoc(doc(db, 'transactions', 'line-1'), line('IN'));
+            await setDoc(doc(db, 'transactions', 'sale-0'), SALE);
+        });
+    });
+
+    describe('signed-out and disabled users', () => {
+        it('cannot read or write anything when signed out', async () => {
+            const db = anonymousDb();
+            await assertFails(getDoc(doc(db, 'inventory', 'item-1')));
+            await assertFails(getDoc(doc(db, 'transactions', 'line-1')));
+            await assertFails(setDoc(doc(db, 'inventory', 'item-2'), ITEM));
+            await assertFails(addDoc(collection(db, 'transactions'), line('OUT')));
+        });
+
+        it('signed-in users without a profile cannot read stock', async () => {
+            await assertFails(getDoc(doc(dbAs('stranger'), 'inventory', 'item-1')));
+        });
+
+        it('disabled users are locked out whatever their role', async () => {
+            const db = dbAs('disabled');
+            await assertFails(getDoc(doc(db, 'inventory', 'item-1')));
+            await assertFails(updateDoc(doc(db, 'inventory', 'item-1'), { quantity: 9 }));
+            await assertFails(addDoc(collection(db, 'transactions'), line('OUT')));
+        });
+
+        it('disabled users can still read their own profile, so the app can sign them out', async () => {
+            await assertSucceeds(getDoc(doc(dbAs('disabled'), 'users', 'disabled')));
+        });
+    });
+
+    describe('users', () => {
+        it('new accounts may only create their own profile as an enabled cashier', async () => {
+            const db = dbAs('newcomer');
+            await assertFails(setDoc(doc(db, 'users', 'newcomer'), { email: 'n@example.com', role: 'admin', disabled: false }));
+            await assertFails(setDoc(doc(db, 'users', 'newcomer'), { email: 'n@example.com', role: 'cashier', disabled: true }));
+            await assertFails(setDoc(doc(db, 'users', 'someone-else'), { email: 'n@example.com', role: 'cashier', disabled: false }));
+            await assertSucceeds(setDoc(doc(db, 'users', 'newcomer'), { email: 'n@example.com', role: 'cashier', disabled: false }));
+        });
+
+        it('staff cannot promote themselves or read other profiles', async () => {
+            const db = dbAs('manager');
+            await assertFails(updateDoc(doc(db, 'users', 'manager'), { role: 'admin' }));
+            await assertFails(getDoc(doc(db, 'users', 'cashier')));
+        });
+
+        it('admins manage other users', async () => {
+            const db = dbAs('admin');
+            await assertSucceeds(getDoc(doc(db, 'users', 'cashier')));
+            await assertSucceeds(updateDoc(doc(db, 'users', 'cashier'), { role: 'storeman' }));
+            await assertSucceeds(updateDoc(doc(db, 'users', 'cashier'), { disabled: true }));
+        });
+    });
+
+    describe('inventory', () => {
+        it('every active role can read stock', async () => {
+            for (const uid of ['admin', 'manager', 'storeman', 'cashier', 'legacy']) {
+                await assertSucceeds(getDoc(doc(dbAs(uid), 'inventory', 'item-1')));
+            }
+        });
+
+        it('cashiers can move stock but not edit item details', async () => {
+            const db = dbAs('cashier');
+            await assertSucceeds(moveStock(db, 'sale-1', line('OUT'), { quantity: 9, updatedBy: 'Cashier' }));
+            await assertSucceeds(moveStock(db, 'return-1', returnLine(1), { quantity: 10 }, 1));
+            await assertFails(updateDoc(doc(db, 'inventory', 'item-1'), { sellingPrice: 1 }));
+            await assertFails(setDoc(doc(db, 'inventory', 'item-2'), ITEM));
+            await assertFails(deleteDoc(doc(db, 'inventory', 'item-1')));
+        });
+
+        it('cashiers only move stock by the sale or return line written with it', async () => {
+            const db = dbAs('cashier');
+            await assertFails(updateDoc(doc(db, 'inventory', 'item-1'), { quantity: 9 }));
+            await assertFails(moveStock(db, 'sale-1', line('OUT'), { quantity: 5 }));
+            await assertFails(moveStock(db, 'sale-1', line('OUT', { itemId: 'item-2' }), { quantity: 9 }));
+            await assertFails(updateDoc(doc(db, 'inventory', 'item-1'), { quantity: 11, lastTransactionId: 'line-1' }));
+        });
+
+        it('cashiers cannot change what stock cost', async () => {
+            const db = dbAs('cashier');
+            await assertFails(updateDoc(doc(db, 'inventory', 'item-1'), { costPrice: 1 }));
+            await assertFails(moveStock(db, 'return-1', returnLine(1), { quantity: 11, costPrice: 1 }, 1));
+            await assertFails(moveStock(db, 'return-1', returnLine(1), { quantity: 11, bins: { shelf: 'A1' } }, 1));
+        });
+
+        it('legacy user accounts are treated as cashiers', async () => {
+            const db = dbAs('legacy');
+            await assertSucceeds(moveStock(db, 'sale-1', line('OUT'), { quantity: 9 }));
+            await assertFails(updateDoc(doc(db, 'inventory', 'item-1'), { description: 'Renamed' }));
+        });
+
+        it('stock levels must stay numbers', async () => {
+            await assertFails(updateDoc(doc(dbAs('cashier'), 'inventory', 'item-1'), { quantity: 'lots' }));
+        });
+
+        it('storemen edit items but cannot delete them', async () => {
+            const db = dbAs('storeman');
+            await assertSucceeds(setDoc(doc(db, 'inventory', 'item-2'), ITEM));
+            await assertSucceeds(updateDoc(doc(db, 'inventory', 'item-1'), { sellingPrice: 40 }));
+            await assertFails(updateDoc(doc(db, 'inventory', 'item-1'), { deleted: true }));
+        });
+
+        it('managers soft-delete and restore items', async () => {
+            const db = dbAs('manager');
+            await assertSucceeds(updateDoc(doc(db, 'inventory', 'item-1'), { deleted: true, deletedBy: 'Manager' }));
+            await assertSucceeds(updateDoc(doc(db, 'inventory', 'item-1'), { deleted: false, deletedBy: null }));
+        });
+
+        it('items are never removed outright, even by an admin', async () => {
+            await assertFails(deleteDoc(doc(dbAs('admin'), 'inventory', 'item-1')));
+        });
+    });
+
+    describe('transactions', () => {
+        it('are written by the roles allowed to make them', async () => {
+            await assertSucceeds(moveStock(dbAs('cashier'), 'sale-1', line('OUT'), { quantity: 9 }));
+            await assertSucceeds(moveStock(dbAs('cashier'), 'return-1', returnLine(1), { quantity: 10 }, 1));
+            await assertSucceeds(addDoc(collection(dbAs('storeman'), 'transactions'), line('IN')));
+            await assertSucceeds(addDoc(collection(dbAs('storeman'), 'transactions'), line('ADJUSTMENT')));
+            await assertSucceeds(addDoc(collection(dbAs('storeman'), 'transactions'), line('COST', { quantity: 0 })));
+            await assertSucceeds(addDoc(collection(dbAs('manager'), 'transactions'), line('DELETE', { quantity: -10 })));
+            await assertSucceeds(addDoc(collection(dbAs('manager'), 'transactions'), line('RESTORE', { quantity: 10 })));
+        });
+
+        it('are refused for roles without the permission', async () => {
+            await assertFails(addDoc(collection(dbAs('cashier'), 'transactions'), line('IN')));
+            await assertFails(addDoc(collection(dbAs('cashier'), 'transactions'), line('ADJUSTMENT')));
+            await assertFails(addDoc(collection(dbAs('storeman'), 'transactions'), line('OUT')));
+            await assertFails(addDoc(collection(dbAs('storeman'), 'transactions'), line('DELETE')));
+            await assertFails(addDoc(collection(dbAs('storeman'), 'transactions'), line('RESTORE')));
+        });
+
+        it('must be well formed', async () => {
+            const db = dbAs('admin');
+            await assertFails(addDoc(collection(db, 'transactions'), line('GIFT')));
+            await assertFails(addDoc(collection(db, 'transactions'), line('OUT', { quantity: '1' })));
+            const { timestamp: _timestamp, ...untimed } = line('OUT');
+            await assertFails(addDoc(collection(db, 'transactions'), untimed));
+        });
+
+        it('recorded as approved by the seller must be within their own role', async () => {
+            const approved = (uid) => line('OUT', { approval: { approvedBy: uid, approvedByUid: uid, reasons: ['discount'] } });
+            await assertSucceeds(moveStock(dbAs('manager'), 'sale-1', approved('manager'), { quantity: 9 }));
+            for (const uid of ['cashier', 'manager', 'storeman', 'disabled', 'nobody']) {
+                await assertFails(moveStock(dbAs('cashier'), `sale-${uid}`, approved(uid), { quantity: 8 }));
+            }
+        });
+
+        it('recorded as approved at the till must cite the approval given for that sale', async () => {
+            const given = { approvedBy: 'Manager', approvedByUid: 'manager', requestedByUid: 'cashier', timestamp: new Date().toISOString() };
+            await assertSucceeds(setDoc(doc(dbAs('manager'), 'approvals', 'approval-1'), given));
+            const approved = (saleId, approvalId = 'approval-1') => line('OUT', {
+                saleId,
+                approval: { approvedBy: 'Manager', approvedByUid: 'manager', approvalId, reasons: ['discount'] }
+            });
+            await assertFails(moveStock(dbAs('cashier'), 'sale-1', approved('another-sale'), { quantity: 9 }));
+            await assertFails(moveStock(dbAs('cashier'), 'sale-1', approved('approval-2', 'approval-2'), { quantity: 9 }));
+            await assertFails(moveStock(dbAs('legacy'), 'sale-1', approved('approval-1'), { quantity: 9 }));
+            await assertSucceeds(moveStock(dbAs('cashier'), 'sale-1', approved('approval-1'), { quantity: 9 }));
+        });
+
+        it('sales take their units off the item they name', async () => {
+            const db = dbAs('cashier');
+            await assertFails(addDoc(collection(db, 'transactions'), line('OUT')));
+            await assertFails(addDoc(collection(db, 'transactions'), line('OUT', { quantity: -1000 })));
+        });
+
+        it('returns reverse an earlier sale of the same item, up to what was sold', async () => {
+            const db = dbAs('cashier');
+            await assertSucceeds(moveStock(db, 'return-1', returnLine(1), { quantity: 11 }, 1));
+            await assertSucceeds(moveStock(db, 'return-2', returnLine(1), { quantity: 12 }, 2));
+            await assertFails(moveStock(db, 'return-3', returnLine(1), { quantity: 13 }, 3));
+        });
+
+        it('returns cannot bring back more than was sold in one go', async () => {
+            await assertFails(moveStock(dbAs('cashier'), 'return-1', returnLine(3), { quantity: 13 }, 3));
+        });
+
+        it('returns without a sale to reverse are refused', async () => {
+            const db = dbAs('cashier');
+            const { originalTransactionId: _original, ...standalone } = returnLine(5);
+            await assertFails(moveStock(db, 'return-1', standalone, { quantity: 15 }));
+            await assertFails(moveStock(db, 'return-1', returnLine(1, { originalTransactionId: 'line-1' }), { quantity: 11 }, 1));
+            await assertFails(moveStock(db, 'return-1', returnLine(1, { itemId: 'item-2' }), { quantity: 11 }, 1));
+        });
+
+        it('returns must count themselves against the sale', async () => {
+            const db = dbAs('cashier');
+            await assertFails(moveStock(db, 'return-1', returnLine(1), { quantity: 11 }));
+            await assertFails(moveStock(db, 'return-1', returnLine(1), { quantity: 11 }, 2));
+        });
+
+        it('the units returned against a sale are only moved on by a return', async () => {
+            const db = dbAs('cashier');
+            await assertFails(setDoc(doc(db, 'saleReturns', 'sale-0'), { quantity: 0, lastReturnId: 'line-1' }));
+            await assertSucceeds(moveStock(db, 'return-1', returnLine(1), { quantity: 11 }, 1));
+            await assertFails(deleteDoc(doc(db, 'saleReturns', 'sale-0')));
+        });
+
+        it('can never be changed or removed, even by an admin', async () => {
+            for (const uid of ['admin', 'manager', 'cashier']) {
+                const db = dbAs(uid);
+                await assertFails(updateDoc(doc(db, 'transactions', 'line-1'), { quantity: 100 }));
+                await assertFails(deleteDoc(doc(db, 'transactions', 'line-1')));
+            }
+        });
+    });
+
+    describe('approvals', () => {
+        const given = (approvedByUid) => ({ approvedBy: approvedByUid, approvedByUid, requestedByUid: 'cashier', timestamp: new Date().toISOString() });
+
+        it('are only given by someone who can approve, as themselves', async () => {
+            await assertSucceeds(setDoc(doc(dbAs('manager'), 'approvals', 'approval-1'), given('manager')));
+            await assertFails(setDoc(doc(dbAs('cashier'), 'approvals', 'approval-2'), given('manager')));
+            await assertFails(setDoc(doc(dbAs('cashier'), 'approvals', 'approval-2'), given('cashier')));
+            await assertFails(setDoc(doc(dbAs('storeman'), 'approvals', 'approval-2'), given('storeman')));
+            await assertFails(setDoc(doc(dbAs('disabled'), 'approvals', 'approval-2'), given('disabled')));
+        });
+
+        it('are kept as given', async () => {
+            await assertSucceeds(setDoc(doc(dbAs('manager'), 'approvals', 'approval-1'), given('manager')));
+            await assertFails(updateDoc(doc(dbAs('manager'), 'approvals', 'approval-1'), { requestedByUid: 'legacy' }));
+            await assertFails(deleteDoc(doc(dbAs('admin'), 'approvals', 'approval-1')));
+        });
+    });
+
+    describe('audit log', () => {
+        const entry = (uid, extra = {}) => ({
+            itemId: 'item-1',
+            itemName: ITEM.description,
+            action: 'update',
+            changes: [{ field: 'sellingPrice', from: 35, to: 40 }],
+            performedBy: 'Test',
+            performedByUid: uid,
+            timestamp: new Date().toISOString(),
+            ...extra
+        });
+
+        it('is written by staff who edit items, in their own name', async () => {
+            await assertSucceeds(addDoc(collection(dbAs('storeman'), 'auditLog'), entry('storeman')));
+            await assertFails(addDoc(collection(dbAs('storeman'), 'auditLog'), entry('manager')));
+            await assertFails(addDoc(collection(dbAs('cashier'), 'auditLog'), entry('cashier')));
+        });
+
+        it('only takes known actions', async () => {
+            await assertFails(addDoc(collection(dbAs('admin'), 'auditLog'), entry('admin', { action: 'purge' })));
+        });
+
+        it('is readable by all active staff', async () => {
+            const ref = await assertSucceeds(addDoc(collection(dbAs('manager'), 'auditLog'), entry('manager')));
+            await assertSucceeds(getDoc(doc(dbAs('cashier'), 'auditLog', ref.id)));
+            await assertFails(getDoc(doc(dbAs('disabled'), 'auditLog', ref.id)));
+        });
+
+        it('can never be changed or removed, even by an admin', async () => {
+            const ref = await assertSucceeds(addDoc(collection(dbAs('admin'), 'auditLog'), entry('admin')));
+            await assertFails(updateDoc(ref, { performedBy: 'Someone else' }));
+            await assertFails(deleteDoc(ref));
+        });
+    });
+
+    describe('settings', () => {
+        it('are read by all active staff and changed only by admins', async () => {
+            const settings = { maxDiscountPercent: 10, maxPriceReductionPercent: 0, approveBelowCost: true };
+            await assertSucceeds(setDoc(doc(dbAs('admin'), 'settings', 'approvals'), settings));
+            await assertSucceeds(getDoc(doc(dbAs('cashier'), 'settings', 'approvals')));
+            await assertFails(getDoc(doc(dbAs('disabled'), 'settings', 'approvals')));
+            await assertFails(setDoc(doc(dbAs('manager'), 'settings', 'approvals'), { ...settings, maxDiscountPercent: 100 }));
+            await assertFails(setDoc(doc(dbAs('cashier'), 'settings', 'approvals'), { ...settings, maxDiscountPercent: 100 }));
+        });
+    });
+
+    describe('other collections', () => {
+        it('only managers and admins set up promotions, which every till reads', async () => {
+            const promotion = { name: 'Winter Sale', type: 'percentOff', percent: 10, scope: 'all', active: true };
+            const ref = await assertSucceeds(addDoc(collection(dbAs('manager'), 'promotions'), promotion));
+            await assertSucceeds(getDoc(doc(dbAs('cashier'), 'promotions', ref.id)));
+            await assertFails(addDoc(collection(dbAs('cashier'), 'promotions'), promotion));
+            await assertFails(addDoc(collection(dbAs('storeman'), 'promotions'), promotion));
+            await assertFails(updateDoc(doc(dbAs('cashier'), 'promotions', ref.id), { percent: 90 }));
+        });
+
+        it('only sellers open shifts, and only their own', async () => {
+            await assertSucceeds(addDoc(collection(dbAs('cashier'), 'shifts'), { status: 'open', openedByUid: 'cashier' }));
+            await assertFails(addDoc(collection(dbAs('storeman'), 'shifts'), { status: 'open', openedByUid: 'storeman' }));
+            await assertFails(addDoc(collection(dbAs('cashier'), 'shifts'), { status: 'open', openedByUid: 'legacy' }));
+            await assertFails(addDoc(collection(dbAs('cashier'), 'shifts'), { status: 'closed', openedByUid: 'cashier' }));
+        });
+
+        it('shifts are closed by whoever opened them and never changed after', async () => {
+            const ref = await assertSucceeds(addDoc(collection(dbAs('cashier'), 'shifts'), { status: 'open', openedByUid: 'cashier' }));
+            const otherTill = doc(dbAs('legacy'), 'shifts', ref.id);
+            await assertFails(updateDoc(otherTill, { status: 'closed' }));
+            await assertFails(deleteDoc(otherTill));
+            await assertSucceeds(updateDoc(ref, { status: 'closed', countedCash: 500 }));
+            await assertFails(updateDoc(ref, { countedCash: 900 }));
+            await assertFails(deleteDoc(ref));
+            await assertFails(deleteDoc(doc(dbAs('admin'), 'shifts', ref.id)));
+        });
+
+        it('shifts are read by whoever opened them, managers and admins', async () => {
+            const ref = await assertSucceeds(addDoc(collection(dbAs('cashier'), 'shifts'), { status: 'open', openedByUid: 'cashier' }));
+            await assertSucceeds(getDoc(ref));
+            await assertSucceeds(getDoc(doc(dbAs('manager'), 'shifts', ref.id)));
+            await assertSucceeds(getDoc(doc(dbAs('admin'), 'shifts', ref.id)));
+            await assertFails(getDoc(doc(dbAs('legacy'), 'shifts', ref.id)));
+            await assertFails(getDoc(doc(dbAs('storeman'), 'shifts', ref.id)));
+        });
+
+        it('only staff who receive stock manage suppliers and purchase orders', async () => {
+            await assertSucceeds(addDoc(collection(dbAs('storeman'), 'suppliers'), { name: 'Parts Co' }));
+            await assertSucceeds(addDoc(collection(dbAs('storeman'), 'purchaseOrders'), { status: 'draft' }));
+            await assertFails(addDoc(collection(dbAs('cashier'), 'suppliers'), { name: 'Parts Co' }));
+            await assertFails(addDoc(collection(dbAs('cashier'), 'purchaseOrders'), { status: 'draft' }));
+        });
+
+        it('only staff who adjust stock manage locations and stock takes', async () => {
+            await assertSucceeds(addDoc(collection(dbAs('storeman'), 'locations'), { name: 'Back Room' }));
+            await assertFails(addDoc(collection(dbAs('cashier'), 'locations'), { name: 'Back Room' }));
+            await assertFails(addDoc(collection(dbAs('cashier'), 'stockTakes'), { lines: [] }));
+        });
+
+        it('stock takes are kept as recorded', async () => {
+            const db = dbAs('manager');
+            const ref = await assertSucceeds(addDoc(collection(db, 'stockTakes'), { lines: [] }));
+            await assertFails(updateDoc(ref, { lines: [{ id: 'item-1' }] }));
+            await assertFails(deleteDoc(ref));
+        });
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { groupSales } from '../src/utils/sales';
+
+const sale = (id, extra = {}) => ({
+    id,
+    type: 'OUT',
+    saleId: 'sale-1',
+    quantity: -2,
+    totalSales: 100,
+    totalCost: -60,
+    timestamp: '2026-10-01T09:00:00.000Z',
+    performedBy: 'Cashier',
+    ...extra
+});
+
+const refund = (id, extra = {}) => ({
+    id,
+    type: 'RETURN',
+    saleId: 'sale-1',
+    originalTransactionId: 'out-1',
+    quantity: 1,
+    refundAmount: 50,
+    totalCost: 30,
+    timestamp: '2026-10-02T09:00:00.000Z',
+    performedBy: 'Cashier',
+    ...extra
+});
+
+describe('groupSales', () => {
+    it('totals a plain sale', () => {
+        const [group] = groupSales([sale('out-1')]);
+        expect(group.totalSales).toBe(100);
+        expect(group.totalCost).toBe(60);
+        expect(group.profit).toBe(40);
+    });
+
+    it('gives back the profit on a group made only of returns', () => {
+        const [group] = groupSales([refund('ret-1')]);
+        expect(group.totalSales).toBe(-50);
+        expect(group.totalCost).toBe(-30);
+        expect(group.profit).toBe(-20);
+    });
+
+    it('nets returns off the sale they came from', () => {
+        const [group] = groupSales([sale('out-1'), refund('ret-1')]);
+        expect(group.totalSales).toBe(50);
+        expect(group.totalCost).toBe(30);
+        expect(group.profit).toBe(20);
+        expect(group.timestamp).toBe('2026-10-01T09:00:00.000Z');
+    });
+});
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { buildStockTakeSheet, recordCount, summarizeStockTake } from '../src/utils/stockTake';
+
+const ALL = { type: 'all', id: null, label: 'All items' };
+
+const item = (quantity) => ({ id: 'item-1', description: 'Brake Pad Set', costPrice: 20, quantity });
+
+// Live stock after the adjustment is posted on top of it, as postStockTake does.
+const post = (liveQuantity, lines) => {
+    const [line] = summarizeStockTake(lines).lines;
+    return liveQuantity + line.variance;
+};
+
+describe('stock take', () => {
+    it('does not take off a sale made between starting the count and counting the shelf', () => {
+        const [line] = buildStockTakeSheet([item(10)], ALL);
+        // 2 sold before anyone reached the shelf, which then holds 8.
+        const counted = recordCount(line, item(8), ALL, 8);
+        expect(counted.expected).toBe(8);
+        expect(post(8, [counted])).toBe(8);
+    });
+
+    it('keeps a sale made after the shelf was counted', () => {
+        const [line] = buildStockTakeSheet([item(10)], ALL);
+        const counted = recordCount(line, item(10), ALL, 9);
+        // 1 short on the shelf, then 3 sold before the count is posted.
+        expect(post(7, [counted])).toBe(6);
+    });
+
+    it('keeps the expected quantity from the first count while counting on', () => {
+        const [line] = buildStockTakeSheet([item(10)], ALL);
+        const first = recordCount(line, item(10), ALL, 1);
+        const second = recordCount(first, item(9), ALL, 2);
+        expect(second.expected).toBe(10);
+    });
+});
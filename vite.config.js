@@ -8,4 +8,9 @@ export default defineConfig({
   plugins: [react(), basicSsl()],
   // Use relative base path to ensure assets load correctly on any subdirectory
   base: './',
+  test: {
+    // The rules tests need the Firestore emulator: npm run test:rules
+    include: ['tests/**/*.test.js'],
+    exclude: ['tests/firestore.rules.test.js'],
+  },
 })